@@ -1,4 +1,5 @@
 const functions = require('firebase-functions');
+const { ebayHosts } = require('../capture-sdk/integrations/ebay/hosts.js');
 const { initializeApp } = require('firebase-admin/app');
 const { getFirestore } = require('firebase-admin/firestore');
 const { getAuth } = require('firebase-admin/auth');
@@ -24,21 +25,15 @@ function getEbayConfig() {
     redirectRuName: process.env.EBAY_REDIRECT_RU_NAME,
     
     getAuthUrl() {
-      return this.environment === 'sandbox'
-        ? 'https://auth.sandbox.ebay.com/oauth2/authorize'
-        : 'https://auth.ebay.com/oauth2/authorize';
+      return ebayHosts(this).authorizeUrl;
     },
 
     getTokenUrl() {
-      return this.environment === 'sandbox'
-        ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-        : 'https://api.ebay.com/identity/v1/oauth2/token';
+      return ebayHosts(this).tokenUrl;
     },
 
     getApiUrl() {
-      return this.environment === 'sandbox'
-        ? 'https://api.sandbox.ebay.com'
-        : 'https://api.ebay.com';
+      return ebayHosts(this).api;
     },
 
     getBasicAuth() {
@@ -54,9 +49,7 @@ async function fetchEbayAccountInfo(accessToken, config) {
   try {
     // Get user account info
     // Use apiz.ebay.com for Identity API instead of api.ebay.com
-const identityApiUrl = config.environment === 'sandbox' 
-  ? 'https://apiz.sandbox.ebay.com'
-  : 'https://apiz.ebay.com';
+const identityApiUrl = ebayHosts(config).identityApi;
 
 const userResponse = await fetch(`${identityApiUrl}/commerce/identity/v1/user/`, {
       headers: {
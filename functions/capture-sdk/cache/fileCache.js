@@ -0,0 +1,79 @@
+// functions/capture-sdk/cache/fileCache.js
+// Filesystem store for analysis results - one JSON file per entry
+
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+class FileCacheStore {
+  constructor(config = {}) {
+    this.directory = config.directory || path.join(os.tmpdir(), 'capture-sdk-analysis-cache');
+    this.maxListEntries = config.maxListEntries || 1000;
+  }
+
+  filePath(key) {
+    // Keys are hex digests, but never trust them as path segments
+    return path.join(this.directory, `${String(key).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ File cache read failed:', error.message);
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written entry
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(entry));
+    await fs.rename(temp, target);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Entries in a namespace, newest first
+   */
+  async list(namespace) {
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        if (entry.namespace === namespace) entries.push(entry);
+      } catch (error) {
+        // Skip unreadable entries
+      }
+    }
+
+    return entries
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, this.maxListEntries);
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = { FileCacheStore };
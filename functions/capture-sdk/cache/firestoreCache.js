@@ -0,0 +1,43 @@
+// functions/capture-sdk/cache/firestoreCache.js
+// Firestore store for analysis results, shared across function instances
+
+class FirestoreCacheStore {
+  constructor(config = {}) {
+    if (!config.db) {
+      throw new Error('FirestoreCacheStore requires a Firestore db instance (config.db)');
+    }
+    this.db = config.db;
+    this.collection = config.collection || 'analysisCache';
+    this.maxListEntries = config.maxListEntries || 200;
+  }
+
+  async get(key) {
+    const doc = await this.db.collection(this.collection).doc(key).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async set(key, entry) {
+    // Round-trip through JSON: Firestore rejects undefined values
+    await this.db.collection(this.collection).doc(key).set(JSON.parse(JSON.stringify(entry)));
+  }
+
+  async delete(key) {
+    await this.db.collection(this.collection).doc(key).delete();
+    return true;
+  }
+
+  /**
+   * Most recent entries in a namespace (needs a namespace + createdAt index)
+   */
+  async list(namespace) {
+    const snapshot = await this.db.collection(this.collection)
+      .where('namespace', '==', namespace)
+      .orderBy('createdAt', 'desc')
+      .limit(this.maxListEntries)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = { FirestoreCacheStore };
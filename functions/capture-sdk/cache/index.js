@@ -0,0 +1,189 @@
+// functions/capture-sdk/cache/index.js
+// Analysis result cache keyed by perceptual image hashes + prompt version + model
+// (see imageCacheKey: flat photos whose hash cannot tell them apart are keyed on their bytes)
+//
+// Stores are pluggable; any object with these async methods works:
+//   get(key) -> entry|null, set(key, entry), delete(key), list(namespace) -> entry[]
+
+const crypto = require('crypto');
+const { MemoryCacheStore } = require('./memoryCache.js');
+const { FileCacheStore } = require('./fileCache.js');
+const { FirestoreCacheStore } = require('./firestoreCache.js');
+const { hammingDistance, isDegenerateHash } = require('../utils/imagePreprocess.js');
+
+// Max differing bits (of 64) for two photos to count as the same shot
+const DEFAULT_NEAR_DUPLICATE_DISTANCE = 6;
+
+// Plain 64-bit hash with enough detail to compare by distance
+const isComparableKey = key => /^[0-9a-f]{16}$/.test(key) && !isDegenerateHash(key);
+
+/**
+ * Cache key for one preprocessed photo: its perceptual hash, plus the content digest when the
+ * hash is degenerate - otherwise every blank or low-texture photo would share one key
+ */
+function imageCacheKey({ phash, digest } = {}) {
+  if (!phash) return null;
+  return isDegenerateHash(phash) && digest ? `${phash}:${digest}` : phash;
+}
+
+class AnalysisCache {
+  constructor(config = {}) {
+    this.store = config.store || new MemoryCacheStore(config);
+    this.ttlMs = config.ttlMs || 30 * 24 * 60 * 60 * 1000; // 30 days
+    this.nearDuplicateDistance = config.nearDuplicateDistance ?? DEFAULT_NEAR_DUPLICATE_DISTANCE;
+    this.stats = { hits: 0, nearHits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Entries are only comparable within the same provider/model/prompt/mode
+   */
+  buildNamespace({ provider, model, promptVersion, mode = 'standard' }) {
+    return [provider, model, promptVersion, mode].map(v => String(v || 'default')).join('|');
+  }
+
+  buildKey(namespace, hashes) {
+    return crypto.createHash('sha256')
+      .update(namespace)
+      .update([...hashes].sort().join(','))
+      .digest('hex');
+  }
+
+  isExpired(entry) {
+    return !entry || Date.now() - new Date(entry.createdAt).getTime() > this.ttlMs;
+  }
+
+  /**
+   * Every incoming photo must have a close match in the entry (same photo count)
+   */
+  matchDistance(entryHashes, hashes) {
+    if (!Array.isArray(entryHashes) || entryHashes.length !== hashes.length) return Infinity;
+    if (!entryHashes.every(isComparableKey)) return Infinity;
+
+    const remaining = [...entryHashes];
+    let worst = 0;
+    for (const hash of hashes) {
+      let bestIndex = -1;
+      let best = Infinity;
+      remaining.forEach((candidate, i) => {
+        const distance = hammingDistance(hash, candidate);
+        if (distance < best) {
+          best = distance;
+          bestIndex = i;
+        }
+      });
+      if (bestIndex === -1 || best > this.nearDuplicateDistance) return Infinity;
+      remaining.splice(bestIndex, 1);
+      worst = Math.max(worst, best);
+    }
+    return worst;
+  }
+
+  /**
+   * Look up a cached analysis: exact hash set first, then near-duplicates
+   * @returns {Promise<{entry: Object, match: {type: string, distance: number}}|null>}
+   */
+  async lookup(hashes, context) {
+    if (!hashes?.length || hashes.some(h => !h)) return null;
+
+    const namespace = this.buildNamespace(context);
+    const key = this.buildKey(namespace, hashes);
+
+    try {
+      const exact = await this.store.get(key);
+      if (exact && !this.isExpired(exact)) {
+        this.stats.hits++;
+        return { entry: exact, match: { type: 'exact', distance: 0 } };
+      }
+
+      // Degenerate hashes are exact-match only: distance says nothing about them
+      if (this.nearDuplicateDistance > 0 && hashes.every(isComparableKey)) {
+        const candidates = await this.store.list(namespace);
+        let bestEntry = null;
+        let bestDistance = Infinity;
+        candidates.forEach(candidate => {
+          if (this.isExpired(candidate)) return;
+          const distance = this.matchDistance(candidate.hashes, hashes);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            bestEntry = candidate;
+          }
+        });
+
+        if (bestEntry) {
+          this.stats.nearHits++;
+          return { entry: bestEntry, match: { type: 'near_duplicate', distance: bestDistance } };
+        }
+      }
+    } catch (error) {
+      // A broken cache must never block an analysis
+      console.warn('⚠️ Analysis cache lookup failed:', error.message);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async save(hashes, context, result) {
+    if (!hashes?.length || hashes.some(h => !h)) return false;
+
+    const namespace = this.buildNamespace(context);
+    const key = this.buildKey(namespace, hashes);
+
+    try {
+      await this.store.set(key, {
+        key,
+        namespace,
+        hashes,
+        provider: context.provider,
+        model: context.model,
+        promptVersion: context.promptVersion,
+        createdAt: result.analyzedAt || new Date().toISOString(),
+        result
+      });
+      this.stats.writes++;
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Analysis cache write failed:', error.message);
+      return false;
+    }
+  }
+
+  async invalidate(hashes, context) {
+    return this.store.delete(this.buildKey(this.buildNamespace(context), hashes));
+  }
+}
+
+/**
+ * Build a cache from config: an AnalysisCache, a raw store, or
+ * { type: 'memory' | 'file' | 'firestore', ...storeOptions }
+ */
+function createAnalysisCache(config) {
+  if (!config) return null;
+  if (config instanceof AnalysisCache) return config;
+
+  if (typeof config.get === 'function' && typeof config.set === 'function' && typeof config.list === 'function') {
+    return new AnalysisCache({ store: config });
+  }
+
+  const stores = {
+    memory: () => new MemoryCacheStore(config),
+    file: () => new FileCacheStore(config),
+    firestore: () => new FirestoreCacheStore(config)
+  };
+
+  const type = config.type || 'memory';
+  if (!stores[type]) {
+    throw new Error(`Unknown analysis cache type "${type}" (use memory, file or firestore)`);
+  }
+
+  return new AnalysisCache({ ...config, store: stores[type]() });
+}
+
+module.exports = {
+  AnalysisCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  FirestoreCacheStore,
+  createAnalysisCache,
+  imageCacheKey
+};
@@ -0,0 +1,48 @@
+// functions/capture-sdk/cache/memoryCache.js
+// In-memory LRU store for analysis results (per process)
+
+class MemoryCacheStore {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * All entries in a namespace, most recently used first
+   */
+  async list(namespace) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.namespace === namespace)
+      .reverse();
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = { MemoryCacheStore };
@@ -0,0 +1,179 @@
+// capture-sdk/core/analysisSchema.js
+// JSON Schema for the raw item-analysis object a vision model must return,
+// plus the validation report and repair prompt built from it.
+
+const { validateSchema } = require('../utils/schemaValidator.js');
+const { DEFECT_TYPES, SEVERITIES } = require('./conditionGrade.js');
+
+// 1.1.0: optional condition.defects (defect taxonomy)
+const SCHEMA_VERSION = '1.1.0';
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const ITEM_ANALYSIS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://treasure-hunt-sdk/schemas/item-analysis.json',
+  title: 'ItemAnalysis',
+  version: SCHEMA_VERSION,
+  type: 'object',
+  required: ['category', 'brand', 'model', 'condition', 'resale', 'confidence'],
+  properties: {
+    category: { type: 'string', minLength: 1 },
+    brand: { type: 'string', minLength: 1 },
+    model: { type: 'string', minLength: 1 },
+    materials: stringArray,
+    style: { type: 'string' },
+    keyFeatures: stringArray,
+    functionalType: { type: 'string' },
+    condition: {
+      type: 'object',
+      required: ['rating', 'description', 'usableAsIs', 'issues'],
+      properties: {
+        rating: {
+          type: 'string',
+          pattern: '^\\s*(excellent|good|fair|poor|Excellent|Good|Fair|Poor)\\s*$',
+          description: 'one of excellent|good|fair|poor'
+        },
+        description: { type: 'string' },
+        usableAsIs: { type: 'boolean' },
+        issues: stringArray,
+        defects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'severity'],
+            properties: {
+              type: { type: 'string', enum: Object.keys(DEFECT_TYPES) },
+              severity: { type: 'string', enum: SEVERITIES },
+              description: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    identifiers: {
+      type: 'object',
+      properties: {
+        visible_text: { type: 'string' },
+        logos_seen: { type: 'string' },
+        size_info: { type: 'string' },
+        color: { type: 'string' },
+        distinctive_features: stringArray
+      }
+    },
+    resale: {
+      type: 'object',
+      required: ['recommendation', 'priceRange', 'justification'],
+      properties: {
+        recommendation: { type: 'string' },
+        priceRange: {
+          description: 'a numeric range string like "45-75" or an object {"low": 45, "high": 75}',
+          anyOf: [
+            {
+              type: 'string',
+              pattern: '^\\s*\\$?\\d+(\\.\\d+)?\\s*(-|–|to)\\s*\\$?\\d+(\\.\\d+)?\\s*$'
+            },
+            {
+              type: 'object',
+              required: ['low', 'high'],
+              properties: {
+                low: { type: 'number', minimum: 0 },
+                high: { type: 'number', minimum: 0 }
+              }
+            }
+          ]
+        },
+        justification: { type: 'string' }
+      }
+    },
+    specifications: {
+      type: 'object',
+      properties: {
+        size: { type: 'string' },
+        material: { type: 'string' },
+        style: { type: 'string' },
+        era: { type: 'string' },
+        construction: { type: 'string' }
+      }
+    },
+    salvageable: {
+      type: 'array',
+      items: { anyOf: [{ type: 'string' }, { type: 'object' }] }
+    },
+    confidence: { type: 'number', minimum: 1, maximum: 10 }
+  }
+};
+
+// Fields the normalizer fills with a default when the model's value is unusable
+const TRACKED_FIELDS = [
+  'category', 'brand', 'model', 'materials', 'style', 'keyFeatures', 'functionalType',
+  'condition', 'condition.rating', 'condition.description', 'condition.usableAsIs', 'condition.issues',
+  'identifiers', 'resale', 'resale.recommendation', 'resale.priceRange', 'resale.justification',
+  'specifications', 'salvageable', 'confidence'
+];
+
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+/**
+ * Validate a parsed model response against the item-analysis schema
+ * @returns {{valid: boolean, errors: Array}}
+ */
+function validateAnalysis(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return {
+      valid: false,
+      errors: [{ path: '(root)', keyword: 'type', message: 'response is not a JSON object' }]
+    };
+  }
+
+  const errors = validateSchema(parsed, ITEM_ANALYSIS_SCHEMA);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * List tracked fields that were missing or invalid and so were defaulted
+ */
+function collectDefaultedFields(parsed, errors = []) {
+  const invalidPaths = new Set(
+    errors.map(e => e.path.replace(/\[\d+\]/g, '')).filter(p => p !== '(root)')
+  );
+
+  return TRACKED_FIELDS.filter(field => {
+    if (!parsed || typeof parsed !== 'object') return true;
+    const value = getPath(parsed, field);
+    return value === undefined || value === null || invalidPaths.has(field);
+  });
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix specific validation errors
+ */
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  const errorList = errors
+    .slice(0, 20)
+    .map(e => `- ${e.path}: ${e.message}`)
+    .join('\n');
+
+  return `${originalPrompt}
+
+  ---
+  Your previous response did not match the required JSON structure.
+
+  PREVIOUS RESPONSE:
+  ${String(previousResponse || '').substring(0, 4000)}
+
+  VALIDATION ERRORS:
+  ${errorList}
+
+  Return the complete corrected JSON object. Keep every value that was already valid, fix only the fields listed above, and return ONLY the JSON object with no additional text or markdown formatting.`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ITEM_ANALYSIS_SCHEMA,
+  validateAnalysis,
+  collectDefaultedFields,
+  buildRepairPrompt
+};
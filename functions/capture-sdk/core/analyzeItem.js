@@ -1,223 +1,381 @@
   // capture-sdk/core/analyzeItem.js
-  // Enhanced vision analysis with Claude Sonnet 4
-  // - Streamlined for Claude API only
+  // Enhanced vision analysis with pluggable providers
+  // - Claude Sonnet 4 by default, any registered provider per call
   // - Proper error handling and fallbacks
   // - Enhanced JSON parsing with multiple strategies
-  // - Support for 1-3 images
-
-  // Dynamic import for fetch in Node.js environments
-  const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+  // - Support for 1-3 images, or up to 8 in multi-angle fusion mode
+
+  const { getProvider, resolveApiKey } = require('../providers/index.js');
+  const {
+    SCHEMA_VERSION,
+    validateAnalysis,
+    collectDefaultedFields,
+    buildRepairPrompt
+  } = require('./analysisSchema.js');
+  const { analyzeWithFusion, DEFAULT_MAX_FUSION_IMAGES } = require('./fuseImages.js');
+  const { analyzeWithDetection } = require('./detectItems.js');
+  const { preprocessImages, summarizePreprocessing } = require('../utils/imagePreprocess.js');
+  const { imageCacheKey } = require('../cache/index.js');
+  const { meterProvider, emptyUsage } = require('../usage/index.js');
+  const { DEFAULT_PROMPT_VERSION, renderPrompt } = require('../prompts/index.js');
+  const { computeFieldConfidence } = require('./confidence.js');
+  const { isRateLimited } = require('../utils/rateLimit.js');
+  const { decodeBarcodes } = require('../utils/barcode.js');
+  const { normalizeGtin, normalizeIsbn, gtinToIsbn } = require('../utils/gtin.js');
+  const { createProgressEmitter } = require('../utils/progress.js');
+  const { gradeCondition, normalizeConditionRating } = require('./conditionGrade.js');
+  const { assessAuthenticity } = require('./authenticity.js');
+  const { classifyRecycling } = require('./recycling.js');
+  const { normalizeSalvageComponent } = require('../utils/normalize.js');
+  const { resolveLocale } = require('../utils/locale.js');
 
   /**
-   * Analyze 1–3 images using Claude and return normalized item data.
+   * Analyze 1–3 images using a vision provider and return normalized item data.
    * @param {Array<Buffer|string|{buffer?:Buffer, base64?:string, url?:string}>} images
    * @param {Object} options
+   * @param {string|Object} [options.provider='claude'] - Registered provider name or provider object
+   * @param {string} [options.mode='standard'] - 'fusion' classifies every photo by role, reads labels,
+   *   and merges per-image findings (with provenance) into one analysis; 'detect' lists every
+   *   distinct item in the frame (box lots, piles) with a bounding box and its own analysis in `items`
+   * @param {boolean} [options.preprocess=true] - Sniff types, convert HEIC, auto-rotate, strip EXIF/GPS,
+   *   downscale to the provider's limits and compute perceptual hashes before the vision call
+   * @param {AnalysisCache} [options.cache] - Result cache keyed on image hashes, prompt version and model
+   * @param {boolean} [options.forceRefresh=false] - Skip the cache lookup (the fresh result is still stored)
+   * @param {string} [options.promptVersion] - Prompt library version (see prompts/index.js)
+   * @param {string} [options.categoryHint] - Known item type; narrows the prompt's category guidance
+   * @param {string} [options.locale='en-US'] - Output language and price currency (see utils/locale.js)
+   * @param {Object} [options.calibration] - Confidence calibration table (see core/confidence.js)
+   * @param {boolean} [options.barcodes=true] - Decode UPC/EAN/ISBN barcodes and QR codes locally
+   *   into identifiers.gtin / identifiers.isbn / identifiers.barcodes
+   * @param {ProductLookup} [options.productLookup] - GTIN product lookup (see lookup/index.js);
+   *   a hit is attached as `product` and fills an unknown brand/model
+   * @param {SafetyScreener} [options.safety] - Recall / prohibited-item screening (see safety/index.js);
+   *   the result is attached as `safety`
+   * @param {Object} [options.pricing] - Per-model price overrides for the usage cost ({ model: { input, output } })
+   * @param {Function} [options.onProgress] - Called with { phase: 'analyzeItem', step, ... } as work finishes:
+   *   preprocessing, preprocessed, cache_hit, barcodes, vision (partial fields), safety, done
    * @returns {Promise<Object>}
    */
   async function analyzeItem(images, options = {}) {
     const {
+      provider: providerOption = 'claude',
       apiKey,
-      model = 'claude-sonnet-4-20250514',
+      model,
       temperature = 0.1,
       maxTokens = 1500,
+      mode = 'standard',
+      preprocess = true,
+      cache = null,
+      forceRefresh = false,
+      promptVersion = DEFAULT_PROMPT_VERSION,
+      categoryHint = null,
+      locale = null,
+      calibration = null,
+      barcodes: decodeBarcodesOption = true,
+      productLookup = null,
+      safety = null,
+      onProgress = null,
       // passthroughs for compatibility
       uid = null,
       saveToFirestore = false
     } = options;
 
-    console.log('🔍 Starting Claude item analysis with options:', {
-      model,
+    const provider = getProvider(providerOption);
+    // Every provider call for this scan (repairs, fusion passes) is counted in result.usage
+    const meter = meterProvider(provider, { pricing: options.pricing });
+    const effectiveModel = model || provider.defaultModel;
+    const prompt = renderPrompt(promptVersion, { categoryHint, locale });
+    const localeConfig = resolveLocale(prompt.locale);
+    const emit = createProgressEmitter(onProgress, { phase: 'analyzeItem' });
+
+    console.log('🔍 Starting item analysis with options:', {
+      provider: provider.name,
+      model: effectiveModel,
+      promptVersion: prompt.version,
       imageCount: images?.length,
       hasApiKey: !!apiKey,
       maxTokens
     });
 
     // Determine API key
-    const effectiveApiKey = apiKey || process.env.CLAUDE_API_KEY;
+    const effectiveApiKey = resolveApiKey(provider, apiKey);
 
-    if (!effectiveApiKey) {
-      throw new Error('CLAUDE_API_KEY is required (set environment variable or pass options.apiKey)');
+    if (provider.requiresApiKey && !effectiveApiKey) {
+      throw new Error(`${provider.envKey || provider.name + ' API key'} is required (set environment variable or pass options.apiKey)`);
     }
     
     if (!images || !Array.isArray(images) || images.length === 0) {
       throw new Error('At least one image is required (1–3 images supported)');
     }
 
-    // Limit to 3 images for optimal performance
-    const processedImages = images.slice(0, 3);
+    const callOptions = {
+      ...options,
+      apiKey: effectiveApiKey,
+      model: effectiveModel,
+      temperature,
+      maxTokens,
+      analysisPrompt: prompt.text
+    };
+
+    // Limit to 3 images for optimal performance (fusion mode looks at up to maxImages photos)
+    const imageLimit = mode === 'fusion' ? (options.maxImages || DEFAULT_MAX_FUSION_IMAGES) : 3;
+    const processedImages = images.slice(0, imageLimit);
+    if (images.length > processedImages.length) {
+      console.warn(mode === 'fusion'
+        ? `⚠️ ${images.length - processedImages.length} image(s) ignored - fusion analyzes at most ${imageLimit} photos`
+        : `⚠️ ${images.length - processedImages.length} image(s) ignored - use mode: 'fusion' to analyze more than 3 photos`);
+    }
 
     try {
-      const result = await callClaudeAPI(processedImages, effectiveApiKey, {
-        model,
-        temperature,
-        maxTokens
+      // Only preprocess what will actually be sent
+      let preparedImages = processedImages;
+      let preprocessing = null;
+
+      if (preprocess) {
+        emit('preprocessing', { imageCount: processedImages.length });
+        preprocessing = await preprocessImages(processedImages, provider.imageLimits);
+        preparedImages = preprocessing.map(p => (p.buffer ? { buffer: p.buffer, mediaType: p.mediaType } : p.source));
+        emit('preprocessed', { preprocessing: summarizePreprocessing(preprocessing) });
+      }
+
+      // Same photos (or near-duplicates) with the same prompt and model: reuse the paid analysis
+      const imageHashes = preprocessing ? preprocessing.map(p => p.phash || null) : [];
+      const cacheKeys = preprocessing ? preprocessing.map(imageCacheKey) : [];
+      const cacheContext = { provider: provider.name, model: effectiveModel, promptVersion: prompt.cacheKey, mode };
+
+      if (cache && !forceRefresh) {
+        const hit = await cache.lookup(cacheKeys, cacheContext);
+        if (hit) {
+          console.log(`♻️ Analysis cache ${hit.match.type} hit (distance ${hit.match.distance}), analyzed at ${hit.entry.createdAt}`);
+          emit('cache_hit', { match: hit.match, fields: partialFields(hit.entry.result) });
+          const cachedResult = {
+            ...hit.entry.result,
+            // Re-scored so a newer calibration table applies to old analyses too
+            fieldConfidence: computeFieldConfidence(hit.entry.result, { calibration }),
+            cached: true,
+            analyzedAt: hit.entry.result.analyzedAt || hit.entry.createdAt,
+            cacheMatch: hit.match,
+            // A cache hit costs nothing; keep what the original analysis cost for reference
+            usage: { ...emptyUsage(provider.name, effectiveModel), cached: true },
+            originalUsage: hit.entry.result.usage || null,
+            imageHashes,
+            preprocessing: summarizePreprocessing(preprocessing)
+          };
+          // Screening data changes (new recalls) - never trust the verdict stored with the analysis
+          if (safety) await screenSafety(cachedResult, safety, emit);
+          emit('done', { cached: true, usage: cachedResult.usage });
+          return cachedResult;
+        }
+      }
+
+      // A printed barcode identifies the exact product - decode locally and tell the model
+      const barcodes = decodeBarcodesOption ? await decodeBarcodes(preparedImages) : [];
+      if (barcodes.length) {
+        callOptions.analysisPrompt += buildBarcodeContext(barcodes);
+        emit('barcodes', { barcodes });
+      }
+
+      let analysis;
+      if (mode === 'detect') {
+        analysis = await analyzeWithDetection(meter.provider, preparedImages, callOptions, {
+          parseJsonResponse,
+          toItemAnalysis
+        });
+      } else if (mode === 'fusion' && images.length > 1) {
+        analysis = await analyzeWithFusion(meter.provider, preparedImages, callOptions, {
+          runAnalysis: (subset, promptAddendum) => callVisionProvider(meter.provider, subset, { ...callOptions, promptAddendum }),
+          parseJsonResponse
+        });
+        // Photos over the cap were dropped before preprocessing
+        if (analysis.fusion) analysis.fusion.droppedImages += images.length - processedImages.length;
+      } else {
+        analysis = await callVisionProvider(meter.provider, preparedImages, callOptions);
+      }
+      emit('vision', { provider: provider.name, fields: partialFields(analysis) });
+
+      const result = {
+        ...analysis,
+        promptVersion: prompt.version,
+        ...(prompt.sections.length && { promptSections: prompt.sections }),
+        analyzedAt: new Date().toISOString(),
+        cached: false,
+        usage: { ...meter.summary(), cached: false },
+        ...(preprocessing && {
+          imageHashes,
+          preprocessing: summarizePreprocessing(preprocessing)
+        })
+      };
+
+      // The prompt asked for prices in the locale's currency
+      [result, ...(result.items || [])].forEach(item => {
+        item.locale = localeConfig.code;
+        if (item.resale?.priceRange) item.resale.priceRange.currency = localeConfig.currency;
       });
 
-      console.log('✅ Claude analysis complete:', {
+      if (barcodes.length) {
+        result.identifiers = mergeBarcodeIdentifiers(result.identifiers, barcodes);
+      }
+      if (productLookup && result.identifiers?.gtin) {
+        await applyProductLookup(result, productLookup);
+      }
+
+      // Graded after fusion/detection so merged issues count toward the grade
+      result.condition = applyConditionGrade(result);
+      // Branded sneakers, bags, watches and electronics: is the brand backed by labels across the photos?
+      result.authenticity = assessAuthenticity(result);
+      // Streams, scrap value and drop-off guidance for when resale is not viable
+      result.recycling = classifyRecycling(result);
+      result.fieldConfidence = computeFieldConfidence(result, { calibration });
+      if (result.items) {
+        result.items = result.items.map(item => ({
+          ...item,
+          condition: applyConditionGrade(item),
+          authenticity: assessAuthenticity(item),
+          recycling: classifyRecycling(item),
+          fieldConfidence: computeFieldConfidence(item, { calibration })
+        }));
+      }
+
+      // Recalled, expired or prohibited items must not be routed to a sale
+      if (safety) await screenSafety(result, safety, emit);
+
+      // Never cache failures or answers that are still schema-invalid
+      if (cache && !result.error && result.validation?.valid !== false) {
+        await cache.save(cacheKeys, cacheContext, result);
+      }
+
+      console.log(`✅ ${provider.name} analysis complete:`, {
         category: result.category,
         brand: result.brand,
         confidence: result.confidence,
+        calibratedConfidence: result.fieldConfidence.overall,
         condition: result.condition?.rating,
-        materials: result.materials?.length || 0
+        authenticityRisk: result.authenticity.applicable ? result.authenticity.risk : 'n/a',
+        materials: result.materials?.length || 0,
+        tokens: result.usage.totalTokens,
+        costUsd: result.usage.costUsd
       });
+      emit('done', { cached: false, usage: result.usage });
 
       return result;
 
     } catch (error) {
-      console.error('❌ Claude analysis failed:', error.message);
+      console.error(`❌ ${provider.name} analysis failed:`, error.message);
       
       // Return a basic structure on error instead of throwing
       // This prevents the entire UI from breaking
-      return createErrorResponse(error.message, images.length);
+      const errorResponse = createErrorResponse(error.message, images.length, provider.name);
+      return {
+        ...errorResponse,
+        // Callers that queue work (batch scans) retry these with backoff
+        ...(isRateLimited(error) && { errorCode: 'RATE_LIMITED', retryAfterMs: error.retryAfterMs ?? null }),
+        fieldConfidence: computeFieldConfidence(errorResponse),
+        promptVersion: prompt.version,
+        // Calls made before the failure were still billed
+        usage: { ...meter.summary(), cached: false }
+      };
     }
   }
 
   /**
-   * Call Claude API for image analysis
+   * Call a vision provider and run its raw output through the shared
+   * parse -> validate/repair -> normalize -> sanitize pipeline
    */
-  async function callClaudeAPI(images, apiKey, options = {}) {
+  async function callVisionProvider(provider, images, options = {}) {
     const {
-      model = 'claude-sonnet-4-20250514',
-      temperature = 0.1,
-      maxTokens = 1500
+      repair = true,
+      maxRepairAttempts = 1,
+      promptAddendum = ''
     } = options;
 
-    console.log('🔵 Calling Claude API with:', {
-      model,
-      imageCount: images.length,
-      maxTokens
-    });
-
-    // Convert images to Claude format
-    const imageContent = images.map((img, index) => {
-      console.log(`📸 Processing image ${index + 1}:`, typeof img);
-      return {
-        type: 'image',
-        source: {
-          type: 'base64',
-          media_type: determineImageMediaType(img),
-          data: convertToBase64(img)
-        }
-      };
-    });
-
-    const requestBody = {
-      model,
-      max_tokens: maxTokens,
-      temperature,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: ENHANCED_ANALYSIS_PROMPT },
-          ...imageContent
-        ]
-      }]
-    };
-
-    console.log('🚀 Sending request to Claude API...');
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      console.error('❌ Claude API Error:', errorText);
-      
-      // Handle specific error cases
-      if (response.status === 401) {
-        throw new Error('Invalid Claude API key - check your CLAUDE_API_KEY environment variable');
-      }
-      if (response.status === 429) {
-        throw new Error('Claude API rate limit exceeded - please try again later');
-      }
-      if (response.status === 400) {
-        throw new Error('Invalid request to Claude API - check image format and size');
-      }
-      
-      throw new Error(`Claude API error ${response.status}: ${errorText || response.statusText}`);
-    }
-
-    const data = await response.json();
-    console.log('✅ Claude API response received');
-    
-    // Log usage for debugging
-    if (data.usage) {
-      console.log('💰 Token usage:', {
-        input: data.usage.input_tokens,
-        output: data.usage.output_tokens,
-        total: data.usage.input_tokens + data.usage.output_tokens
-      });
-    }
+    const prompt = (options.analysisPrompt || renderPrompt().text) + promptAddendum;
+    const raw = await provider.analyze(images, prompt, options);
 
     // Extract content from response
-    const rawContent = data.content?.[0]?.text || '';
+    let rawContent = raw?.text || '';
     
     if (!rawContent) {
-      throw new Error('No content received from Claude API');
+      throw new Error(`No content received from ${provider.name}`);
     }
 
     console.log('📝 Raw response preview:', rawContent.substring(0, 200) + '...');
 
-    // Parse JSON with multiple strategies
-    const parsed = parseJsonResponse(rawContent);
+    // Parse JSON with multiple strategies, then validate against the schema
+    let parsed = parseJsonResponse(rawContent);
+    let validation = validateAnalysis(parsed);
+    const initialErrorCount = validation.errors.length;
+    let repairAttempts = 0;
+
+    // Re-prompt the model with the specific validation errors
+    while (!validation.valid && repair && repairAttempts < maxRepairAttempts) {
+      repairAttempts++;
+      console.log(`🔧 Schema validation failed (${validation.errors.length} errors), repair attempt ${repairAttempts}:`,
+        validation.errors.slice(0, 5).map(e => `${e.path}: ${e.message}`));
+
+      try {
+        const repairPrompt = buildRepairPrompt(prompt, rawContent, validation.errors);
+        const repairedRaw = await provider.analyze(images, repairPrompt, options);
+        const repairedParsed = parseJsonResponse(repairedRaw?.text || '');
+        const repairedValidation = validateAnalysis(repairedParsed);
+
+        // Only keep the repair if it is at least as good as what we had
+        if (repairedParsed && repairedValidation.errors.length <= validation.errors.length) {
+          rawContent = repairedRaw.text;
+          parsed = repairedParsed;
+          validation = repairedValidation;
+        }
+      } catch (repairError) {
+        console.warn('⚠️ Repair attempt failed:', repairError.message);
+        break;
+      }
+    }
     
     if (!parsed) {
       console.error('🔍 FULL RAW RESPONSE FOR DEBUGGING:', rawContent);
-      throw new Error('Failed to parse JSON response from Claude');
+      throw new Error(`Failed to parse JSON response from ${provider.name}`);
+    }
+
+    if (!validation.valid) {
+      console.warn('⚠️ Response still invalid after repair, defaulting fields:',
+        validation.errors.map(e => e.path));
     }
 
     // Normalize the response to our internal format
     const normalized = normalizeResponse(parsed);
     
     // Validate and sanitize the normalized response
-    return sanitizeResponse(normalized);
-  }
-
-  /**
-   * Determine image media type for Claude API
-   */
-  function determineImageMediaType(img) {
-    if (typeof img === 'string') {
-      if (img.startsWith('data:image/png')) return 'image/png';
-      if (img.startsWith('data:image/gif')) return 'image/gif';
-      if (img.startsWith('data:image/webp')) return 'image/webp';
-      return 'image/jpeg'; // Default
-    }
-    
-    // For buffers or other formats, default to JPEG
-    return 'image/jpeg';
+    return {
+      ...sanitizeResponse(normalized),
+      provider: provider.name,
+      visionModel: raw.model || options.model,
+      validation: {
+        schemaVersion: SCHEMA_VERSION,
+        valid: validation.valid,
+        repaired: repairAttempts > 0 && initialErrorCount > 0 && validation.errors.length < initialErrorCount,
+        repairAttempts,
+        errors: validation.errors,
+        defaultedFields: collectDefaultedFields(parsed, validation.errors)
+      }
+    };
   }
 
   /**
-   * Convert image to base64 string for Claude API
+   * One already-parsed item (e.g. from multi-item detection) through validate -> normalize -> sanitize.
+   * No repair re-prompt: the other items in the same response are still usable.
    */
-  function convertToBase64(img) {
-    if (typeof img === 'string') {
-      // If it's a data URL, extract the base64 part
-      if (img.startsWith('data:image/')) {
-        return img.split(',')[1];
+  function toItemAnalysis(parsed) {
+    const validation = validateAnalysis(parsed);
+    return {
+      ...sanitizeResponse(normalizeResponse(parsed || {})),
+      validation: {
+        schemaVersion: SCHEMA_VERSION,
+        valid: validation.valid,
+        repaired: false,
+        repairAttempts: 0,
+        errors: validation.errors,
+        defaultedFields: collectDefaultedFields(parsed, validation.errors)
       }
-      // If it's already base64, return as-is
-      return img;
-    }
-    
-    if (Buffer.isBuffer(img)) {
-      return img.toString('base64');
-    }
-    
-    if (typeof img === 'object' && img !== null) {
-      if (img.base64) return img.base64;
-      if (img.buffer) return img.buffer.toString('base64');
-    }
-    
-    throw new Error(`Unsupported image format for Claude: ${typeof img}`);
+    };
   }
 
   /**
@@ -280,10 +438,10 @@
   }
 
   /**
-   * Normalize response from Claude to our internal format
+   * Normalize a parsed provider response to our internal format
    */
   function normalizeResponse(parsed) {
-    console.log('🔄 Normalizing Claude response with keys:', Object.keys(parsed));
+    console.log('🔄 Normalizing provider response with keys:', Object.keys(parsed));
 
     const normalized = {
       category: extractField(parsed, ['category', 'itemCategory', 'item_category'], 'Unknown'),
@@ -300,7 +458,8 @@
       keyFeatures: extractField(parsed, ['keyFeatures', 'key_features', 'features'], []),
       functionalType: extractField(parsed, ['functionalType', 'functional_type', 'type'], 'Unknown'),
       identifiers: normalizeIdentifiers(parsed),
-      specifications: normalizeSpecifications(parsed)
+      specifications: normalizeSpecifications(parsed),
+      localizedCategory: extractField(parsed, ['localizedCategory', 'localized_category'], null)
     };
 
     return normalized;
@@ -339,36 +498,26 @@
       rating: normalizeConditionRating(conditionData.rating || conditionData.condition || 'fair'),
       description: conditionData.description || '',
       usableAsIs: conditionData.usableAsIs !== false,
-      issues: Array.isArray(conditionData.issues) ? conditionData.issues : []
+      issues: Array.isArray(conditionData.issues) ? conditionData.issues : [],
+      defects: Array.isArray(conditionData.defects) ? conditionData.defects : []
     };
   }
 
   /**
-   * Normalize condition rating to standard values
+   * Grade the condition against the category rubric (see core/conditionGrade.js):
+   * itemized defects can pull the rating down, and the grade carries the
+   * marketplace condition enums listings use
    */
-  function normalizeConditionRating(rating) {
-    if (typeof rating === 'number') {
-      if (rating >= 9) return 'excellent';
-      if (rating >= 7) return 'good';
-      if (rating >= 5) return 'fair';
-      return 'poor';
-    }
-
-    const ratingStr = String(rating).toLowerCase();
-    const mappings = {
-      'excellent': 'excellent',
-      'very good': 'good',
-      'good': 'good',
-      'fair': 'fair',
-      'poor': 'poor',
-      'new': 'excellent',
-      'like new': 'excellent',
-      'used': 'good',
-      'damaged': 'poor',
-      'broken': 'poor'
+  function applyConditionGrade(analysis) {
+    const graded = gradeCondition(analysis.condition || {}, { category: analysis.category });
+    return {
+      ...analysis.condition,
+      rating: graded.rating,
+      grade: graded.grade,
+      defects: graded.defects,
+      rubric: graded.rubric,
+      marketplaces: graded.marketplaces
     };
-
-    return mappings[ratingStr] || 'fair';
   }
 
   /**
@@ -376,18 +525,38 @@
    */
   function normalizeResale(parsed) {
     const resaleData = parsed.resale || {};
+    const range = parsePriceRange(extractField(resaleData, ['priceRange', 'price_range'], null));
     
     return {
       recommendation: extractField(resaleData, ['recommendation'], 'evaluate'),
       priceRange: {
-        low: extractPriceValue(resaleData, ['low', 'min', 'minPrice']) || 0,
-        high: extractPriceValue(resaleData, ['high', 'max', 'maxPrice']) || 0,
+        low: extractPriceValue(resaleData, ['low', 'min', 'minPrice']) || range.low,
+        high: extractPriceValue(resaleData, ['high', 'max', 'maxPrice']) || range.high,
         currency: 'USD'
       },
       justification: extractField(resaleData, ['justification', 'reasoning'], '')
     };
   }
 
+  /**
+   * Parse a price range given as "45-75", "$45 to $75" or { low, high }
+   */
+  function parsePriceRange(value) {
+    if (value && typeof value === 'object') {
+      const low = Number(value.low ?? value.min ?? 0) || 0;
+      const high = Number(value.high ?? value.max ?? low) || low;
+      return { low: Math.min(low, high), high: Math.max(low, high) };
+    }
+
+    if (typeof value === 'string') {
+      const nums = (value.replace(/,/g, '').match(/\d+(?:\.\d+)?/g) || []).map(parseFloat);
+      if (nums.length === 1) return { low: nums[0], high: nums[0] };
+      if (nums.length >= 2) return { low: Math.min(nums[0], nums[1]), high: Math.max(nums[0], nums[1]) };
+    }
+
+    return { low: 0, high: 0 };
+  }
+
   /**
    * Extract price value from various formats
    */
@@ -397,20 +566,13 @@
         const value = obj[key];
         if (typeof value === 'number') return value;
         if (typeof value === 'string') {
-          // Extract number from string like "$15–35" or "15-35"
+          // Extract number from string like "$15" or "15.50"
           const match = value.match(/(\d+(?:\.\d+)?)/);
           return match ? parseFloat(match[1]) : 0;
         }
       }
     }
     
-    // Try to extract from price range string
-    const priceRangeStr = extractField(obj, ['priceRange', 'price_range'], '');
-    if (priceRangeStr) {
-      const match = priceRangeStr.match(/(\d+(?:\.\d+)?)/);
-      return match ? parseFloat(match[1]) : 0;
-    }
-    
     return 0;
   }
 
@@ -424,21 +586,12 @@
       return [];
     }
 
-    return salvageData.map(item => {
-      if (typeof item === 'string') {
-        return {
-          component: item,
-          value: 'Unknown',
-          disposal: 'Check local recycling'
-        };
-      }
-      
-      return {
-        component: item.component || item.part || 'Unknown part',
-        value: item.value || 'Unknown',
-        disposal: item.disposal || 'Check local recycling'
-      };
-    });
+    // "Motor - $15" strings become { component, value }; materials and weights are kept for recycling
+    return salvageData.map(item => ({
+      ...normalizeSalvageComponent(item),
+      ...(item && typeof item === 'object' && item.material && { material: item.material }),
+      ...(item && typeof item === 'object' && item.weightLbs && { weightLbs: item.weightLbs })
+    }));
   }
 
   /**
@@ -452,10 +605,96 @@
       logos_seen: extractField(identifiers, ['logos_seen', 'logosSeen', 'logos'], ''),
       size_info: extractField(identifiers, ['size_info', 'sizeInfo', 'size'], ''),
       color: extractField(identifiers, ['color', 'primaryColor'], ''),
-      distinctive_features: extractField(identifiers, ['distinctive_features', 'distinctiveFeatures'], [])
+      distinctive_features: extractField(identifiers, ['distinctive_features', 'distinctiveFeatures'], []),
+      // Codes the model read off the item; only checksum-valid ones are kept
+      ...normalizePrintedCodes(identifiers)
+    };
+  }
+
+  function normalizePrintedCodes(identifiers) {
+    const isbn = normalizeIsbn(extractField(identifiers, ['isbn', 'isbn13', 'isbn_13', 'isbn10', 'isbn_10'], null));
+    const gtin = normalizeGtin(extractField(identifiers, ['gtin', 'upc', 'ean', 'barcode'], null)) || isbn;
+    return {
+      ...(gtin && { gtin }),
+      ...((isbn || gtinToIsbn(gtin)) && { isbn: isbn || gtinToIsbn(gtin) })
+    };
+  }
+
+  /**
+   * The headline fields a UI can show before routing finishes
+   */
+  function partialFields(analysis) {
+    return {
+      category: analysis.category,
+      brand: analysis.brand,
+      model: analysis.model,
+      condition: analysis.condition?.rating || null,
+      priceRange: analysis.resale?.priceRange || null,
+      confidence: analysis.confidence,
+      ...(analysis.items && { itemCount: analysis.items.length })
+    };
+  }
+
+  /**
+   * Prompt addendum with the locally decoded codes
+   */
+  function buildBarcodeContext(barcodes) {
+    const lines = barcodes.map(b => `- Photo ${b.imageIndex + 1}: ${b.format}${b.isbn ? ' (ISBN)' : ''} ${b.gtin || b.text}`);
+    return `
+
+  BARCODES DECODED FROM THE PHOTOS (machine-read, exact):
+  ${lines.join('\n  ')}
+  Use them to identify the exact product. Copy any GTIN into identifiers.gtin and any ISBN into identifiers.isbn.`;
+  }
+
+  /**
+   * Locally decoded codes win over anything the model transcribed
+   */
+  function mergeBarcodeIdentifiers(identifiers = {}, barcodes) {
+    const gtin = barcodes.find(b => b.gtin)?.gtin || identifiers.gtin;
+    const isbn = barcodes.find(b => b.isbn)?.isbn || identifiers.isbn || gtinToIsbn(gtin);
+    return {
+      ...identifiers,
+      ...(gtin && { gtin }),
+      ...(isbn && { isbn }),
+      barcodes
     };
   }
 
+  /**
+   * Attach the GTIN lookup hit; it only fills fields the model couldn't identify
+   */
+  async function applyProductLookup(result, productLookup) {
+    try {
+      const product = await productLookup.lookup(result.identifiers.gtin);
+      if (!product) return;
+
+      result.product = product;
+      const filled = [];
+      ['brand', 'model'].forEach(field => {
+        const value = product[field];
+        if ((!result[field] || result[field] === 'Unknown') && value && value !== 'Unknown') {
+          result[field] = value;
+          filled.push(field);
+        }
+      });
+      if (filled.length) result.productFilledFields = filled;
+    } catch (error) {
+      console.warn('⚠️ Product lookup failed:', error.message);
+    }
+  }
+
+  /**
+   * Attach the safety screening to the result and each detected item
+   */
+  async function screenSafety(result, safety, emit) {
+    result.safety = await safety.screen(result);
+    if (result.items) {
+      for (const item of result.items) item.safety = await safety.screen(item);
+    }
+    emit('safety', { status: result.safety.status, warnings: result.safety.warnings.map(w => w.title) });
+  }
+
   /**
    * Normalize specifications
    */
@@ -486,7 +725,8 @@
         rating: normalized.condition?.rating || 'fair',
         description: trimString(normalized.condition?.description) || '',
         usableAsIs: normalized.condition?.usableAsIs !== false,
-        issues: Array.isArray(normalized.condition?.issues) ? normalized.condition.issues : []
+        issues: Array.isArray(normalized.condition?.issues) ? normalized.condition.issues : [],
+        defects: Array.isArray(normalized.condition?.defects) ? normalized.condition.defects : []
       },
       resale: {
         recommendation: normalized.resale?.recommendation || 'evaluate',
@@ -498,7 +738,7 @@
         justification: trimString(normalized.resale?.justification) || ''
       },
       salvageable: Array.isArray(normalized.salvageable) ? normalized.salvageable : [],
-      confidence: Math.min(10, Math.max(1, normalized.confidence || 5)),
+      confidence: Math.min(10, Math.max(1, Number(normalized.confidence) || 5)),
       
       // Enhanced fields for better eBay search queries
       materials: Array.isArray(normalized.materials) ? normalized.materials : [],
@@ -506,14 +746,15 @@
       keyFeatures: Array.isArray(normalized.keyFeatures) ? normalized.keyFeatures : [],
       functionalType: trimString(normalized.functionalType) || 'Unknown',
       identifiers: normalized.identifiers || {},
-      specifications: normalized.specifications || {}
+      specifications: normalized.specifications || {},
+      ...(trimString(normalized.localizedCategory) && { localizedCategory: trimString(normalized.localizedCategory) })
     };
   }
 
   /**
    * Create error response structure
    */
-  function createErrorResponse(errorMessage, imageCount = 0) {
+  function createErrorResponse(errorMessage, imageCount = 0, providerName = 'claude') {
     return {
       category: 'Unknown',
       brand: 'Unknown',
@@ -540,146 +781,25 @@
       error: errorMessage,
       errorCode: 'ANALYSIS_FAILED',
       imageCount,
-      provider: 'claude'
+      provider: providerName,
+      validation: {
+        schemaVersion: SCHEMA_VERSION,
+        valid: false,
+        repaired: false,
+        repairAttempts: 0,
+        errors: [],
+        defaultedFields: collectDefaultedFields(null)
+      }
     };
   }
 
-  /**
-   * Enhanced analysis prompt optimized for Claude Sonnet 4
-   */
-  const ENHANCED_ANALYSIS_PROMPT = `You are an expert product identification assistant for a resale marketplace app that helps people find value in items. Analyze the uploaded image(s) with the precision of a professional appraiser.
-
-  CRITICAL IDENTIFICATION PRIORITIES:
-  1. **BRAND DETECTION** - Look exhaustively for brand identifiers:
-    - Logos (even partial or worn)
-    - Text on labels, tags, stickers, stamps
-    - Model numbers, serial numbers, part numbers
-    - Embossed or molded brand marks
-    - Design signatures unique to specific brands
-    - Check ALL visible surfaces, including bottoms, backs, undersides
-
-  2. **SPECIFIC CATEGORIZATION** - Be as specific as possible:
-    - Include materials: "bamboo side table" not "furniture"
-    - Include function: "infant car seat" not "child safety equipment"
-    - Include style: "vintage leather jacket" not "clothing"
-    - Include size category when relevant: "compact microwave" vs "full-size microwave"
-
-  3. **CONDITION ASSESSMENT** - Professional evaluation:
-    - Note ALL visible wear, damage, or defects
-    - Assess functionality from visual cues
-    - Consider age-appropriate wear vs damage
-    - Evaluate completeness (missing parts, accessories)
-
-  4. **RESALE VALUE FACTORS** - Consider market demand:
-    - Brand reputation and desirability
-    - Current market trends for this item type
-    - Condition impact on value
-    - Completeness (original packaging, accessories, manuals)
-    - Vintage/collectible potential
-
-  SPECIAL BRAND RECOGNITION GUIDES:
-
-  **Furniture Brands to Watch For:**
-  - IKEA (look for blue/yellow tags, Swedish names, assembly codes)
-  - West Elm, Pottery Barn, Crate & Barrel (often have metal tags)
-  - Herman Miller, Steelcase (office furniture with distinctive design)
-  - Mid-century pieces (Eames, Knoll often have manufacturer marks)
-
-  **Electronics Brands:**
-  - Apple (distinctive design, logos, model numbers like A1234)
-  - Samsung, Sony, LG (model numbers on backs/bottoms)
-  - Gaming consoles (distinctive controller ports, ventilation)
-
-  **Baby/Child Items:**
-  - Doona (car seat/stroller combo - premium brand)
-  - Maxi-Cosi, Chicco, Graco (safety seats)
-  - UPPAbaby, Bugaboo (premium strollers - high resale value)
-  - Fisher-Price, Little Tikes (toys/gear)
-
-  **Clothing Brands:**
-  - Designer labels in collars, waistbands, inner tags
-  - Athletic brands on labels, logos, distinctive styling
-  - Vintage band tees, sports memorabilia (check copyright dates)
-
-  ENHANCED JSON STRUCTURE - Return this exact format:
-
-  {
-    "category": "specific item with materials/style (e.g., 'infant car seat with base', 'vintage teak side table', 'Apple MacBook Pro 13-inch')",
-    "brand": "EXACT brand name if visible (be specific: 'Doona', 'IKEA', 'Apple'), or 'Unknown'",
-    "model": "specific model name/number if visible, or 'Unknown'",
-    "materials": ["primary material", "secondary material"],
-    "style": "style descriptor (vintage, modern, industrial, minimalist, etc.)",
-    "keyFeatures": ["distinctive feature 1", "distinctive feature 2", "distinctive feature 3"],
-    "functionalType": "primary function (car seat, coffee table, laptop, etc.)",
-    "condition": {
-      "rating": "excellent|good|fair|poor",
-      "description": "detailed condition notes including specific wear patterns, damage, or defects",
-      "usableAsIs": true,
-      "issues": ["specific issue 1", "specific issue 2"]
-    },
-    "identifiers": {
-      "visible_text": "ALL text visible on item (brand names, model numbers, labels, stickers)",
-      "logos_seen": "description of any logos or brand marks visible",
-      "size_info": "dimensions, capacity, or size markings if visible",
-      "color": "primary color and finish (e.g., 'matte black', 'natural wood', 'navy blue fabric')",
-      "distinctive_features": ["unique design element 1", "unique design element 2"]
-    },
-    "resale": {
-      "recommendation": "resell|donate|repair and resell|recycle|local pickup",
-      "priceRange": "realistic price range based on brand, condition, and market demand (e.g., '45-75' for mid-range items, '150-250' for premium brands)",
-      "justification": "explain value assessment considering brand reputation, condition, completeness, and market demand"
-    },
-    "specifications": {
-      "size": "approximate dimensions or capacity if determinable",
-      "material": "primary construction material",
-      "style": "design style or era",
-      "era": "approximate age if vintage/antique",
-      "construction": "build quality indicators (solid wood, injection molded, sewn construction, etc.)"
-    },
-    "salvageable": ["component 1 if item is damaged", "component 2"],
-    "confidence": 8
-  }
-
-  PRICING GUIDANCE BY CATEGORY:
-
-  **High-Value Items** (typically $100+):
-  - Premium baby gear (Doona, UPPAbaby, Maxi-Cosi)
-  - Apple electronics, gaming consoles
-  - Designer furniture, mid-century pieces
-  - Professional tools (DeWalt, Milwaukee)
-  - High-end appliances
-
-  **Medium-Value Items** ($25-100):
-  - Brand-name clothing in good condition
-  - IKEA furniture in excellent condition
-  - Consumer electronics (non-premium brands)
-  - Sporting goods from known brands
-  - Complete toy sets
-
-  **Lower-Value Items** ($5-25):
-  - Generic household items
-  - Worn clothing without designer labels
-  - Incomplete toy sets
-  - Older electronics without brand appeal
-
-  CONFIDENCE SCORING:
-  - **9-10**: Clear brand visible, model identifiable, condition obvious
-  - **7-8**: Brand visible OR category very clear, condition assessable
-  - **5-6**: Category clear, some uncertainty about brand/condition
-  - **3-4**: Can identify general category, significant uncertainty
-  - **1-2**: Minimal identification possible
-
-  QUALITY CONTROL:
-  - If multiple items visible, focus on the most prominent/valuable item
-  - If uncertain about brand, state "Unknown" rather than guessing
-  - Price ranges should reflect realistic resale values, not retail prices
-  - Consider regional market factors (some brands more popular in certain areas)
-  - Account for seasonal demand (winter coats in summer = lower immediate value)
-
-  Return ONLY the JSON object with no additional text or markdown formatting.`;
-
   // Export for CommonJS
-  module.exports = { analyzeItem };
+  module.exports = {
+    analyzeItem,
+    parseJsonResponse,
+    normalizeResponse,
+    sanitizeResponse
+  };
 
   // For environments that need direct access
   if (typeof window !== 'undefined') {
@@ -0,0 +1,269 @@
+// capture-sdk/core/authenticity.js
+// Counterfeit risk for branded goods in the categories fakes concentrate in
+// (sneakers, handbags, watches, electronics). The vision model reports a brand
+// from what the item looks like; this step checks that the brand is backed by
+// the labels and logos across every photo, collects suspicious indicators, and
+// returns a 0-1 risk score with reasons. Pricing stops trusting premium brands,
+// instant offers are withheld and listings carry a disclaimer when risk is high.
+
+// Checked in order - "smartwatch" is a watch before it is electronics
+const HIGH_RISK_CATEGORIES = {
+  sneakers: {
+    keywords: ['sneaker', 'footwear', 'shoe', 'trainer'],
+    identifiers: ['model_number'],
+    identifierLabel: 'style code on the size tag'
+  },
+  handbags: {
+    keywords: ['handbag', 'purse', 'bag', 'wallet', 'tote', 'clutch'],
+    identifiers: ['serial_number'],
+    identifierLabel: 'date code or serial tag'
+  },
+  watches: {
+    keywords: ['watch'],
+    identifiers: ['serial_number', 'model_number'],
+    identifierLabel: 'serial or reference number'
+  },
+  electronics: {
+    keywords: ['electronic', 'phone', 'headphone', 'earbud', 'tablet', 'laptop', 'console', 'speaker', 'camera'],
+    identifiers: ['serial_number', 'model_number'],
+    identifierLabel: 'serial or model number'
+  }
+};
+
+// Weight of each indicator in the 0-1 risk score (summed, capped at 1)
+const AUTHENTICITY_INDICATORS = {
+  suspicious_terms: 0.6,
+  brand_mismatch: 0.45,
+  misspelled_brand: 0.45,
+  construction_flags: 0.3,
+  logo_mismatch: 0.25,
+  brand_not_visible: 0.2,
+  missing_identifier: 0.15
+};
+
+const AUTHENTICITY_THRESHOLDS = { high: 0.5, medium: 0.25 };
+
+// Wording sellers of fakes use, and the model sometimes reads off tags
+const SUSPICIOUS_TERMS = [
+  /\breplica\b/, /\bfake\b/, /\bcounterfeit\b/, /\bknock ?off\b/, /\bdupe\b/,
+  /\binspired by\b/, /\b1 ?: ?1\b/, /\baaa\+?\b/, /\bmirror (quality|grade)\b/, /\bunauthori[sz]ed\b/
+];
+
+// Build-quality tells called out in condition issues or per-photo notes
+const CONSTRUCTION_FLAGS = [
+  /uneven stitch/, /sloppy stitch/, /(misaligned|off[- ]cent(er|re)|crooked) logo/,
+  /logo (is )?(misaligned|off[- ]cent(er|re)|crooked)/, /(blurry|poor|smudged) (print|printing|lettering)/,
+  /wrong font/, /glue (stain|mark|residue)/, /misspell/
+];
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function compact(value) {
+  return normalizeText(value).replace(/ /g, '');
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * "Nike" and "Nike Inc." are the same brand; "Nike" and "Adidas" are not
+ */
+function sameBrand(a, b) {
+  const x = compact(a);
+  const y = compact(b);
+  return !!x && !!y && (x.includes(y) || y.includes(x));
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Which high-counterfeit category the item falls in, if any
+ */
+function getRiskCategory(category) {
+  const text = normalizeText(category);
+  if (!text) return null;
+  return Object.keys(HIGH_RISK_CATEGORIES)
+    .find(key => HIGH_RISK_CATEGORIES[key].keywords.some(keyword => text.includes(keyword))) || null;
+}
+
+/**
+ * Near-miss spellings of the brand in printed text ("Addidas", "Guccii").
+ * Short brands are skipped - "Nike" is one letter from "nice" and "bike".
+ */
+function findMisspellings(brand, text) {
+  const target = compact(brand);
+  if (target.length < 5) return [];
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const candidates = new Set(tokens);
+  tokens.slice(1).forEach((token, i) => candidates.add(tokens[i] + token));
+
+  return Array.from(candidates).filter(token =>
+    token !== target &&
+    token[0] === target[0] &&
+    Math.abs(token.length - target.length) <= 1 &&
+    editDistance(token, target) === 1
+  );
+}
+
+/**
+ * Every place a brand was reported: the combined analysis, each photo's
+ * observation, label extractions and a barcode product lookup
+ */
+function collectBrandClaims(analysis) {
+  const claims = [];
+  if (isKnown(analysis.brand)) claims.push({ source: 'combined_analysis', value: analysis.brand.trim() });
+  (analysis.imageObservations || []).forEach(o => {
+    if (isKnown(o.observations?.brand)) {
+      claims.push({ source: 'image_observation', imageIndex: o.index, role: o.role, value: o.observations.brand });
+    }
+    if (isKnown(o.extraction?.brand)) {
+      claims.push({ source: 'label_extraction', imageIndex: o.index, role: o.role, value: o.extraction.brand });
+    }
+  });
+  if (isKnown(analysis.product?.brand)) claims.push({ source: 'product_lookup', value: analysis.product.brand });
+  return claims;
+}
+
+function notApplicable(reason) {
+  return {
+    applicable: false,
+    category: null,
+    risk: 'low',
+    score: 0,
+    reasons: [],
+    indicators: [],
+    instantOfferEligible: true,
+    disclaimer: null,
+    note: reason
+  };
+}
+
+/**
+ * Assess counterfeit risk for an analysis
+ * @param {Object} analysis - analyzeItem result (uses brand, identifiers, condition, imageObservations, product)
+ * @returns {Object} { applicable, category, brand, risk: 'low'|'medium'|'high', score, reasons, indicators, instantOfferEligible, disclaimer }
+ */
+function assessAuthenticity(analysis = {}) {
+  const category = getRiskCategory(analysis.category);
+  if (!category) return notApplicable('Category is not a common counterfeit target');
+  if (!isKnown(analysis.brand)) return notApplicable('No brand claimed');
+
+  const brand = analysis.brand.trim();
+  const rubric = HIGH_RISK_CATEGORIES[category];
+  const identifiers = analysis.identifiers || {};
+  const observations = analysis.imageObservations || [];
+  const indicators = [];
+  const flag = (type, detail, extra = {}) => indicators.push({ type, weight: AUTHENTICITY_INDICATORS[type], detail, ...extra });
+
+  const printedText = [
+    identifiers.visible_text,
+    identifiers.logos_seen,
+    ...observations.map(o => o.extraction?.text)
+  ].filter(isKnown).join(' ');
+  const narrative = [
+    printedText,
+    analysis.condition?.description,
+    ...(analysis.condition?.issues || []),
+    ...(analysis.condition?.defects || []).map(d => d.description),
+    ...observations.map(o => o.observations?.notes),
+    ...observations.flatMap(o => o.observations?.defects || [])
+  ].filter(isKnown).join(' ').toLowerCase();
+
+  // Different brands across photos, labels or the barcode's product record
+  const claims = collectBrandClaims(analysis);
+  const conflicting = claims.filter(claim => !sameBrand(claim.value, brand));
+  if (conflicting.length) {
+    const others = Array.from(new Set(conflicting.map(c => c.value)));
+    flag('brand_mismatch', `Photos or labels also show ${others.join(', ')}`, { sources: conflicting });
+  }
+
+  // Logos seen that are not the claimed brand
+  if (isKnown(identifiers.logos_seen) && !sameBrand(identifiers.logos_seen, brand)) {
+    flag('logo_mismatch', `Logo reads "${identifiers.logos_seen}", not ${brand}`);
+  }
+
+  // Brand only inferred from the look of the item
+  if (!compact(printedText).includes(compact(brand))) {
+    flag('brand_not_visible', `${brand} is not printed on any label or logo in the photos`);
+  }
+
+  const misspellings = findMisspellings(brand, printedText);
+  if (misspellings.length) {
+    flag('misspelled_brand', `Printed "${misspellings.join('", "')}" instead of ${brand}`);
+  }
+
+  const terms = SUSPICIOUS_TERMS.filter(pattern => pattern.test(narrative)).map(pattern => narrative.match(pattern)[0]);
+  if (terms.length) {
+    flag('suspicious_terms', `Mentions ${terms.map(t => `"${t}"`).join(', ')}`);
+  }
+
+  const construction = CONSTRUCTION_FLAGS.filter(pattern => pattern.test(narrative)).map(pattern => narrative.match(pattern)[0]);
+  if (construction.length) {
+    flag('construction_flags', `Build quality: ${construction.join(', ')}`);
+  }
+
+  if (!rubric.identifiers.some(field => isKnown(identifiers[field]))) {
+    flag('missing_identifier', `No ${rubric.identifierLabel} visible`);
+  }
+
+  const score = round2(Math.min(1, indicators.reduce((sum, i) => sum + i.weight, 0)));
+  const risk = score >= AUTHENTICITY_THRESHOLDS.high ? 'high'
+    : score >= AUTHENTICITY_THRESHOLDS.medium ? 'medium'
+      : 'low';
+
+  return {
+    applicable: true,
+    category,
+    brand,
+    risk,
+    score,
+    reasons: indicators.map(i => i.detail),
+    indicators,
+    instantOfferEligible: risk !== 'high',
+    disclaimer: risk === 'high' ? authenticityDisclaimer(brand) : null
+  };
+}
+
+/**
+ * Listing text for items we could not authenticate
+ */
+function authenticityDisclaimer(brand) {
+  return `Authenticity of this ${brand} item has not been verified. It is sold as-is based on the photos; ` +
+    'please review all photos and authenticate before purchasing.';
+}
+
+/**
+ * The assessment stored on the analysis, or a fresh one for older analyses
+ */
+function resolveAuthenticity(itemData = {}) {
+  return itemData.authenticity?.risk ? itemData.authenticity : assessAuthenticity(itemData);
+}
+
+module.exports = {
+  assessAuthenticity,
+  resolveAuthenticity,
+  authenticityDisclaimer,
+  getRiskCategory,
+  HIGH_RISK_CATEGORIES,
+  AUTHENTICITY_INDICATORS,
+  AUTHENTICITY_THRESHOLDS
+};
@@ -0,0 +1,276 @@
+// capture-sdk/core/batchAnalyze.js
+// Batch scanning for estate and garage cleanouts: many item groups (each one
+// item's photos) go through a concurrency-limited queue, provider 429s are
+// retried with backoff, and the results roll up into one inventory summary.
+
+const crypto = require('crypto');
+const { isRateLimited, backoffDelay, sleep } = require('../utils/rateLimit.js');
+
+const MAX_BATCH_ITEMS = 100;
+
+const DEFAULT_BATCH_OPTIONS = {
+  concurrency: 2,
+  maxRetries: 3,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate batch input and give every group an id
+ * @param {Array<{id?: string, images: Array, options?: Object}>} items
+ */
+function normalizeBatchItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Batch requires at least one item group ({ images: [...] })');
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new Error(`Batch too large: ${items.length} items (max ${MAX_BATCH_ITEMS}) - split the cleanout into several batches`);
+  }
+
+  const seen = new Set();
+  return items.map((item, index) => {
+    const images = Array.isArray(item) ? item : item?.images;
+    if (!Array.isArray(images) || images.length === 0) {
+      throw new Error(`Item ${index + 1} has no images`);
+    }
+
+    const id = String(item.id || `item-${index + 1}`);
+    if (seen.has(id)) throw new Error(`Duplicate item id "${id}" in batch`);
+    seen.add(id);
+
+    return { id, index, images, options: item.options || {} };
+  });
+}
+
+/**
+ * Market value of one analyzed item: eBay/manual pricing from routes when
+ * available, otherwise the model's own price range
+ */
+function itemValue(analysis, routes) {
+  const market = routes?.marketAnalysis?.estimatedValue;
+  const range = market?.priceRange || analysis?.resale?.priceRange || {};
+  const low = Number(range.low) || 0;
+  const high = Number(range.high) || 0;
+  const suggested = Number(market?.suggested) || (low + high) / 2;
+  return { low, high, suggested };
+}
+
+/**
+ * Currency an item was priced in: the market analysis, else the model's price range
+ */
+function itemCurrency(result) {
+  return result.routes?.marketAnalysis?.currency || result.analysis?.resale?.priceRange?.currency || null;
+}
+
+/**
+ * One inventory for the whole batch: value totals, counts by route and category, cost
+ * @param {Array} results - Item results from analyzeBatch
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Currency when no item carries one (the batch locale's)
+ */
+function summarizeBatch(results, { currency = 'USD' } = {}) {
+  const currencies = Array.from(new Set(results.filter(r => r.status === 'completed').map(itemCurrency).filter(Boolean)));
+  if (currencies.length > 1) {
+    console.warn(`⚠️ Batch priced in ${currencies.join(', ')} - totals mix currencies`);
+  }
+
+  const summary = {
+    totalItems: results.length,
+    completed: 0,
+    failed: 0,
+    needsReview: 0,
+    retries: 0,
+    estimatedValue: { low: 0, high: 0, suggested: 0, currency: currencies[0] || currency },
+    estimatedReturn: 0,
+    countsByRoute: {},
+    valueByRoute: {},
+    countsByCategory: {},
+    usage: { totalTokens: 0, costUsd: 0, cachedItems: 0 },
+    ...(currencies.length > 1 && { currencies })
+  };
+
+  results.forEach(result => {
+    summary.retries += Math.max(0, (result.attempts || 1) - 1);
+
+    const usage = result.analysis?.usage;
+    if (usage) {
+      summary.usage.totalTokens += usage.totalTokens || 0;
+      summary.usage.costUsd += usage.costUsd || 0;
+      if (usage.cached) summary.usage.cachedItems++;
+    }
+
+    if (result.status !== 'completed') {
+      summary.failed++;
+      return;
+    }
+    summary.completed++;
+
+    const value = itemValue(result.analysis, result.routes);
+    summary.estimatedValue.low += value.low;
+    summary.estimatedValue.high += value.high;
+    summary.estimatedValue.suggested += value.suggested;
+
+    const route = result.routes?.recommendedRoute;
+    const routeType = route?.type || 'unrouted';
+    summary.countsByRoute[routeType] = (summary.countsByRoute[routeType] || 0) + 1;
+    summary.valueByRoute[routeType] = round2((summary.valueByRoute[routeType] || 0) + (Number(route?.estimatedReturn) || 0));
+    summary.estimatedReturn += Number(route?.estimatedReturn) || 0;
+    if (route?.requiresReview) summary.needsReview++;
+
+    const category = String(result.analysis?.category || 'Unknown').toLowerCase();
+    summary.countsByCategory[category] = (summary.countsByCategory[category] || 0) + 1;
+  });
+
+  summary.estimatedValue.low = round2(summary.estimatedValue.low);
+  summary.estimatedValue.high = round2(summary.estimatedValue.high);
+  summary.estimatedValue.suggested = round2(summary.estimatedValue.suggested);
+  summary.estimatedReturn = round2(summary.estimatedReturn);
+  summary.usage.costUsd = Math.round(summary.usage.costUsd * 1e6) / 1e6;
+
+  return summary;
+}
+
+/**
+ * Analyze (and optionally route) many items with bounded concurrency.
+ * A 429 pauses the whole queue, not just the item that hit it, so the other
+ * workers don't burn their retries against the same limit.
+ * @param {Array<{id?: string, images: Array, options?: Object}>} items - One group of photos per item
+ * @param {Object} config
+ * @param {Function} config.analyze - (images, options) => analysis (e.g. sdk.analyzeItem)
+ * @param {Function} [config.route] - (analysis, item) => routes (e.g. sdk.getRoutes)
+ * @param {number} [config.concurrency=2] - Items analyzed at the same time
+ * @param {number} [config.maxRetries=3] - Retries per item on provider rate limits
+ * @param {number} [config.baseDelayMs=2000] - First backoff delay, doubled per retry
+ * @param {number} [config.maxDelayMs=60000]
+ * @param {Function} [config.onProgress] - Called with each progress event
+ * @param {string} [config.currency='USD'] - Summary currency when no item was priced (see summarizeBatch)
+ * @returns {Promise<{batchId: string, items: Array, summary: Object, startedAt: string, completedAt: string}>}
+ */
+async function analyzeBatch(items, config = {}) {
+  const { analyze, route = null, onProgress = null } = config;
+  const options = {
+    ...DEFAULT_BATCH_OPTIONS,
+    ...Object.fromEntries(Object.entries(config).filter(([key, value]) => key in DEFAULT_BATCH_OPTIONS && value != null))
+  };
+  if (typeof analyze !== 'function') throw new Error('analyzeBatch requires an analyze function');
+
+  const queue = normalizeBatchItems(items);
+  const batchId = config.batchId || `batch_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  const startedAt = new Date().toISOString();
+  const results = new Array(queue.length);
+  const progress = { total: queue.length, done: 0, completed: 0, failed: 0 };
+  let pausedUntil = 0;
+
+  const emit = (type, data = {}) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ type, batchId, ...data, progress: { ...progress } });
+    } catch (error) {
+      console.warn('⚠️ Batch progress listener failed:', error.message);
+    }
+  };
+
+  const waitForQueue = async () => {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+  };
+
+  async function processItem(item) {
+    const started = Date.now();
+    const finish = (status, data) => {
+      progress.done++;
+      progress[status]++;
+      return { id: item.id, index: item.index, status, durationMs: Date.now() - started, ...data };
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      await waitForQueue();
+      emit('item_started', { itemId: item.id, attempt });
+
+      let analysis;
+      let failure = null;
+      try {
+        analysis = await analyze(item.images, item.options);
+        if (isRateLimited(analysis)) failure = analysis;
+      } catch (error) {
+        failure = error;
+        analysis = null;
+      }
+
+      if (failure && isRateLimited(failure) && attempt <= options.maxRetries) {
+        const delayMs = backoffDelay(attempt, { ...options, retryAfterMs: failure.retryAfterMs });
+        pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+        console.warn(`⏳ Rate limited on ${item.id}, retry ${attempt}/${options.maxRetries} in ${delayMs}ms`);
+        emit('item_retry', { itemId: item.id, attempt, delayMs, reason: 'rate_limited' });
+        continue;
+      }
+
+      if (failure || analysis?.error) {
+        const message = failure?.message || failure?.error || analysis.error;
+        emit('item_failed', { itemId: item.id, attempts: attempt, error: message, code: failure?.code || analysis?.errorCode || null });
+        return finish('failed', { attempts: attempt, error: message, code: failure?.code || analysis?.errorCode || null, analysis });
+      }
+
+      // Routing problems don't lose the paid analysis
+      let routes = null;
+      let routeError = null;
+      if (route) {
+        try {
+          routes = await route(analysis, item);
+        } catch (error) {
+          routeError = error.message;
+          console.warn(`⚠️ Routing failed for ${item.id}:`, error.message);
+        }
+      }
+
+      const value = itemValue(analysis, routes);
+      emit('item_completed', {
+        itemId: item.id,
+        attempts: attempt,
+        category: analysis.category,
+        brand: analysis.brand,
+        route: routes?.recommendedRoute?.type || null,
+        estimatedValue: round2(value.suggested),
+        cached: !!analysis.cached
+      });
+      return finish('completed', { attempts: attempt, analysis, routes, ...(routeError && { routeError }) });
+    }
+  }
+
+  console.log(`📦 Batch ${batchId}: ${queue.length} items, concurrency ${options.concurrency}`);
+  emit('batch_started', { total: queue.length, concurrency: options.concurrency });
+
+  let next = 0;
+  const workers = Array.from({ length: Math.min(options.concurrency, queue.length) }, async () => {
+    while (next < queue.length) {
+      const item = queue[next++];
+      results[item.index] = await processItem(item);
+    }
+  });
+  await Promise.all(workers);
+
+  const summary = summarizeBatch(results, { currency: config.currency });
+  const completedAt = new Date().toISOString();
+  console.log(`✅ Batch ${batchId} complete:`, {
+    completed: summary.completed,
+    failed: summary.failed,
+    estimatedValue: summary.estimatedValue.suggested,
+    countsByRoute: summary.countsByRoute,
+    costUsd: summary.usage.costUsd
+  });
+  emit('batch_completed', { summary });
+
+  return { batchId, startedAt, completedAt, items: results, summary };
+}
+
+module.exports = {
+  analyzeBatch,
+  summarizeBatch,
+  normalizeBatchItems,
+  MAX_BATCH_ITEMS,
+  DEFAULT_BATCH_OPTIONS
+};
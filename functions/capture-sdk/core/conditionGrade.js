@@ -0,0 +1,462 @@
+// capture-sdk/core/conditionGrade.js
+// Condition grading: the single source of truth for what a condition means
+// - Defect taxonomy (scratch, stain, missing part, crack, non-functional) with severities
+// - Category rubrics weigh defects differently (a stain sinks a shirt, not a bookshelf)
+// - A numeric grade (0-10), the excellent/good/fair/poor rating derived from it,
+//   marketplace condition enums, and the price / instant-offer multipliers
+
+const CONDITION_RATINGS = ['excellent', 'good', 'fair', 'poor'];
+
+const SEVERITIES = ['minor', 'moderate', 'severe'];
+
+// Grade points lost per defect before the category weight
+const DEFECT_TYPES = {
+  scratch: {
+    label: 'Scratches, scuffs or wear',
+    keywords: ['scratch', 'scuff', 'scrape', 'wear', 'worn', 'dent', 'nick', 'fading', 'faded', 'pilling', 'tarnish', 'rub', 'patina', 'ding'],
+    deduction: { minor: 0.5, moderate: 1.25, severe: 2.5 }
+  },
+  stain: {
+    label: 'Stains, marks or odor',
+    keywords: ['stain', 'spot', 'discolor', 'yellowing', 'yellowed', 'mark', 'residue', 'mold', 'mildew', 'odor', 'smell', 'rust', 'water damage', 'foxing'],
+    deduction: { minor: 0.75, moderate: 1.75, severe: 3.5 }
+  },
+  missing_part: {
+    label: 'Missing parts or accessories',
+    keywords: ['missing', 'incomplete', 'lost', 'without', 'no charger', 'no remote', 'no cable', 'no lid', 'no box'],
+    deduction: { minor: 0.75, moderate: 2, severe: 4 }
+  },
+  crack: {
+    label: 'Cracks, chips, tears or breaks',
+    keywords: ['crack', 'chip', 'shatter', 'split', 'tear', 'torn', 'rip', 'hole', 'broken', 'break', 'snapped', 'bent'],
+    deduction: { minor: 1, moderate: 2.5, severe: 5 }
+  },
+  non_functional: {
+    label: 'Not working',
+    keywords: ['not working', 'does not work', "doesn't work", 'non-functional', 'nonfunctional', 'not functional', 'dead', "won't turn on", 'no power', 'inoperable', 'for parts', 'faulty', 'defective', 'malfunction'],
+    deduction: { minor: 2, moderate: 4, severe: 7 }
+  }
+};
+
+const SEVERITY_KEYWORDS = {
+  minor: ['slight', 'minor', 'small', 'light', 'faint', 'tiny', 'hairline', 'barely', 'minimal'],
+  severe: ['heavy', 'large', 'deep', 'major', 'severe', 'significant', 'extensive', 'badly', 'completely', 'entire', 'throughout']
+};
+
+// Category rubrics: defect weights, which defects make the item "for parts",
+// and whether eBay accepts graded used conditions (Very Good / Good / Acceptable)
+// in that category - most categories only take plain "Used" (3000)
+const CATEGORY_RUBRICS = {
+  electronics: {
+    keywords: ['electronic', 'phone', 'laptop', 'tablet', 'camera', 'console', 'headphone', 'speaker', 'monitor', 'computer', 'tv', 'television', 'radio', 'appliance'],
+    weights: { scratch: 0.8, missing_part: 1.2, non_functional: 1.5 },
+    forPartsDefects: { non_functional: 'moderate' }
+  },
+  clothing: {
+    keywords: ['clothing', 'apparel', 'shirt', 'jacket', 'dress', 'pants', 'jeans', 'shoe', 'sneaker', 'coat', 'sweater', 'handbag', 'purse'],
+    weights: { scratch: 0.6, stain: 1.5, crack: 1.3 }
+  },
+  furniture: {
+    keywords: ['furniture', 'table', 'chair', 'desk', 'dresser', 'shelf', 'bookcase', 'cabinet', 'sofa', 'couch', 'bed frame', 'nightstand'],
+    weights: { scratch: 0.6, stain: 0.8, crack: 1.2 }
+  },
+  books: {
+    keywords: ['book', 'novel', 'textbook', 'hardcover', 'paperback', 'comic', 'magazine'],
+    weights: { stain: 1.2, missing_part: 1.5 },
+    ebayGradedUsed: true
+  },
+  media: {
+    keywords: ['dvd', 'cd', 'vinyl', 'record', 'blu-ray', 'video game', 'cassette'],
+    weights: { scratch: 1.3 },
+    forPartsDefects: { non_functional: 'moderate' },
+    ebayGradedUsed: true
+  },
+  toys: {
+    keywords: ['toy', 'lego', 'puzzle', 'board game', 'doll', 'action figure'],
+    weights: { missing_part: 1.3 }
+  },
+  default: {
+    keywords: [],
+    weights: {}
+  }
+};
+
+// Where each rating sits on the grade scale, and what it does to the price
+const RATING_ANCHORS = [
+  { rating: 'excellent', grade: 9.5, priceMultiplier: 1.0 },
+  { rating: 'good', grade: 8, priceMultiplier: 0.85 },
+  { rating: 'fair', grade: 6, priceMultiplier: 0.65 },
+  { rating: 'poor', grade: 3.5, priceMultiplier: 0.35 }
+];
+
+const NEW_ITEM_KEYWORDS = ['new with tags', 'nwt', 'sealed', 'unopened', 'brand new', 'never used', 'new in box', 'nib'];
+
+// eBay Inventory API ConditionEnum -> buyer-facing label
+const EBAY_CONDITION_LABELS = {
+  NEW: 'New',
+  LIKE_NEW: 'Like New',
+  NEW_OTHER: 'New other (see details)',
+  NEW_WITH_DEFECTS: 'New with defects',
+  CERTIFIED_REFURBISHED: 'Certified - Refurbished',
+  EXCELLENT_REFURBISHED: 'Excellent - Refurbished',
+  VERY_GOOD_REFURBISHED: 'Very Good - Refurbished',
+  GOOD_REFURBISHED: 'Good - Refurbished',
+  SELLER_REFURBISHED: 'Seller refurbished',
+  USED_EXCELLENT: 'Used - Excellent',
+  USED_VERY_GOOD: 'Used - Very Good',
+  USED_GOOD: 'Used - Good',
+  USED_ACCEPTABLE: 'Used - Acceptable',
+  FOR_PARTS_OR_NOT_WORKING: 'For parts or not working',
+  PRE_OWNED_EXCELLENT: 'Pre-owned - Excellent',
+  PRE_OWNED_FAIR: 'Pre-owned - Fair'
+};
+
+// eBay ConditionEnum -> Trading API ConditionID
+const EBAY_CONDITION_IDS = {
+  NEW: 1000,
+  NEW_OTHER: 1500,
+  NEW_WITH_DEFECTS: 1750,
+  CERTIFIED_REFURBISHED: 2000,
+  EXCELLENT_REFURBISHED: 2010,
+  VERY_GOOD_REFURBISHED: 2020,
+  GOOD_REFURBISHED: 2030,
+  SELLER_REFURBISHED: 2500,
+  LIKE_NEW: 2750,
+  USED_EXCELLENT: 3000,
+  PRE_OWNED_EXCELLENT: 3000,
+  USED_VERY_GOOD: 4000,
+  USED_GOOD: 5000,
+  USED_ACCEPTABLE: 6000,
+  PRE_OWNED_FAIR: 3000,
+  FOR_PARTS_OR_NOT_WORKING: 7000
+};
+
+// Explicit eBay-style condition names users or listings pass straight through
+const EBAY_CONDITION_ALIASES = {
+  new: 'NEW',
+  like_new: 'LIKE_NEW',
+  new_other: 'NEW_OTHER',
+  new_with_defects: 'NEW_WITH_DEFECTS',
+  certified_refurbished: 'CERTIFIED_REFURBISHED',
+  excellent_refurbished: 'EXCELLENT_REFURBISHED',
+  very_good_refurbished: 'VERY_GOOD_REFURBISHED',
+  good_refurbished: 'GOOD_REFURBISHED',
+  seller_refurbished: 'SELLER_REFURBISHED',
+  refurbished: 'SELLER_REFURBISHED',
+  used_excellent: 'USED_EXCELLENT',
+  very_good: 'USED_VERY_GOOD',
+  used_very_good: 'USED_VERY_GOOD',
+  used_good: 'USED_GOOD',
+  used: 'USED_GOOD',
+  acceptable: 'USED_ACCEPTABLE',
+  used_acceptable: 'USED_ACCEPTABLE',
+  for_parts: 'FOR_PARTS_OR_NOT_WORKING',
+  broken: 'FOR_PARTS_OR_NOT_WORKING',
+  damaged: 'FOR_PARTS_OR_NOT_WORKING',
+  not_working: 'FOR_PARTS_OR_NOT_WORKING',
+  for_parts_or_not_working: 'FOR_PARTS_OR_NOT_WORKING'
+};
+
+// Browse API conditionIds filters for finding comparables in the same condition band
+const EBAY_BROWSE_CONDITION_IDS = {
+  excellent: { primary: ['1000', '1500', '2000'], fallback: ['2500', '3000'], description: 'excellent to new condition' },
+  good: { primary: ['2500', '3000'], fallback: ['2000', '4000'], description: 'good to very good condition' },
+  fair: { primary: ['3000', '4000'], fallback: ['2500', '5000'], description: 'fair to acceptable condition' },
+  poor: { primary: ['4000', '5000', '7000'], fallback: ['3000'], description: 'poor to for parts condition' }
+};
+
+const FACEBOOK_CONDITIONS = { new: 'new', excellent: 'used_like_new', good: 'used_good', fair: 'used_fair', poor: 'used_fair' };
+const MERCARI_CONDITIONS = { new: 'new', excellent: 'like_new', good: 'good', fair: 'fair', poor: 'poor' };
+
+// Rendered into the prompt so the model reports defects in the taxonomy's terms
+const DEFECT_PROMPT_GUIDE = `List every defect in condition.defects, one entry each:
+    - type: ${Object.keys(DEFECT_TYPES).join(' | ')}
+    - severity: ${SEVERITIES.join(' | ')} (minor = only visible up close; severe = obvious from arm's length or affects use)
+    - description: what and where (e.g., "2-inch scratch on the lid")`;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function toKey(value) {
+  return String(value ?? '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Map any rating (model output, user pick, 1-10 score) onto excellent/good/fair/poor
+ */
+function normalizeConditionRating(rating) {
+  if (typeof rating === 'number') return ratingFromGrade(rating);
+
+  const mappings = {
+    excellent: 'excellent',
+    new: 'excellent',
+    like_new: 'excellent',
+    mint: 'excellent',
+    very_good: 'good',
+    good: 'good',
+    used: 'good',
+    fair: 'fair',
+    acceptable: 'fair',
+    poor: 'poor',
+    for_parts: 'poor',
+    damaged: 'poor',
+    broken: 'poor'
+  };
+
+  return mappings[toKey(rating)] || 'fair';
+}
+
+function ratingFromGrade(grade) {
+  if (grade >= 9) return 'excellent';
+  if (grade >= 7) return 'good';
+  if (grade >= 5) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Which rubric applies to a category string ("vintage teak side table" -> furniture)
+ */
+function getCategoryRubric(category) {
+  const text = String(category || '').toLowerCase();
+  const name = Object.keys(CATEGORY_RUBRICS).find(key =>
+    key !== 'default' && CATEGORY_RUBRICS[key].keywords.some(keyword => text.includes(keyword))
+  ) || 'default';
+  return { name, ...CATEGORY_RUBRICS[name] };
+}
+
+function inferSeverity(text) {
+  const lower = String(text || '').toLowerCase();
+  if (SEVERITY_KEYWORDS.severe.some(word => lower.includes(word))) return 'severe';
+  if (SEVERITY_KEYWORDS.minor.some(word => lower.includes(word))) return 'minor';
+  return 'moderate';
+}
+
+/**
+ * Classify a free-text issue ("deep scratch on the lid") into the taxonomy, or null
+ */
+function classifyDefect(text) {
+  const lower = String(text || '').toLowerCase();
+  if (!lower.trim()) return null;
+
+  // Most damaging type first: "broken, does not work" is non-functional, not a crack
+  const type = ['non_functional', 'crack', 'missing_part', 'stain', 'scratch']
+    .find(key => DEFECT_TYPES[key].keywords.some(keyword => lower.includes(keyword)));
+  if (!type) return null;
+
+  return { type, severity: inferSeverity(lower), description: String(text).trim() };
+}
+
+/**
+ * Structured defects from the model (condition.defects) plus any free-text
+ * issues that no structured defect already covers
+ */
+function collectDefects(condition = {}) {
+  const defects = [];
+
+  (Array.isArray(condition.defects) ? condition.defects : []).forEach(defect => {
+    if (!defect) return;
+    const type = toKey(defect.type);
+    if (!DEFECT_TYPES[type]) {
+      const classified = classifyDefect(defect.description || defect.type);
+      if (classified) defects.push(classified);
+      return;
+    }
+    const severity = SEVERITIES.includes(toKey(defect.severity)) ? toKey(defect.severity) : inferSeverity(defect.description);
+    defects.push({ type, severity, description: String(defect.description || DEFECT_TYPES[type].label).trim() });
+  });
+
+  const described = defects.map(d => d.description.toLowerCase());
+  (Array.isArray(condition.issues) ? condition.issues : []).forEach(issue => {
+    if (typeof issue !== 'string' || described.includes(issue.trim().toLowerCase())) return;
+    const classified = classifyDefect(issue);
+    if (classified) defects.push(classified);
+  });
+
+  if (condition.usableAsIs === false && !defects.some(d => d.type === 'non_functional')) {
+    defects.push({ type: 'non_functional', severity: 'moderate', description: 'Not usable as-is' });
+  }
+
+  return defects;
+}
+
+/**
+ * Price multiplier for a grade, interpolated between the rating anchors so
+ * a plain rating keeps its old multiplier (good = 0.85)
+ */
+function priceMultiplierForGrade(grade) {
+  const top = RATING_ANCHORS[0];
+  const bottom = RATING_ANCHORS[RATING_ANCHORS.length - 1];
+  if (grade >= top.grade) return top.priceMultiplier;
+  if (grade <= bottom.grade) return round2(Math.max(0.1, bottom.priceMultiplier * grade / bottom.grade));
+
+  for (let i = 0; i < RATING_ANCHORS.length - 1; i++) {
+    const upper = RATING_ANCHORS[i];
+    const lower = RATING_ANCHORS[i + 1];
+    if (grade >= lower.grade) {
+      const t = (grade - lower.grade) / (upper.grade - lower.grade);
+      return round2(lower.priceMultiplier + t * (upper.priceMultiplier - lower.priceMultiplier));
+    }
+  }
+  return bottom.priceMultiplier;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function ebayConditionEnumForGrade({ grade, isNew, forParts }) {
+  if (forParts) return 'FOR_PARTS_OR_NOT_WORKING';
+  if (isNew) return 'NEW';
+  if (grade >= 9) return 'USED_EXCELLENT';
+  if (grade >= 8.5) return 'USED_VERY_GOOD';
+  if (grade >= 7) return 'USED_GOOD';
+  // Worn but working is still "Acceptable"; only forParts means not working
+  return 'USED_ACCEPTABLE';
+}
+
+/**
+ * Trading API ConditionID for an eBay ConditionEnum. Outside categories with
+ * graded used conditions (books, media) every used grade is plain "Used" (3000),
+ * which is all eBay accepts there.
+ */
+function ebayConditionIdForEnum(conditionEnum, rubric = CATEGORY_RUBRICS.default) {
+  const id = EBAY_CONDITION_IDS[conditionEnum] || 3000;
+  if (id >= 3000 && id < 7000 && !rubric.ebayGradedUsed) return 3000;
+  if (conditionEnum === 'USED_EXCELLENT' && rubric.ebayGradedUsed) return EBAY_CONDITION_IDS.LIKE_NEW;
+  return id;
+}
+
+/**
+ * Grade an item's condition
+ * @param {Object|string} condition - analysis.condition ({ rating, description, issues, defects, usableAsIs }) or a bare rating
+ * @param {Object} [options]
+ * @param {string} [options.category] - Item category; selects the rubric
+ * @returns {{grade: number, rating: string, defects: Array, rubric: string, isNew: boolean, forParts: boolean,
+ *   priceMultiplier: number, offerMultiplier: number, marketplaces: Object}}
+ */
+function gradeCondition(condition, { category } = {}) {
+  const data = condition && typeof condition === 'object' ? condition : { rating: condition };
+  // An already graded condition remembers its rubric for callers that don't know the category
+  const rubric = !category && CATEGORY_RUBRICS[data.rubric]
+    ? { name: data.rubric, ...CATEGORY_RUBRICS[data.rubric] }
+    : getCategoryRubric(category);
+  const defects = collectDefects(data);
+
+  const anchor = RATING_ANCHORS.find(a => a.rating === normalizeConditionRating(data.rating ?? 'good'));
+  const deductions = defects.reduce((sum, defect) =>
+    sum + DEFECT_TYPES[defect.type].deduction[defect.severity] * (rubric.weights[defect.type] ?? 1), 0);
+
+  // Defects can only pull the rating's anchor down; a stored grade is kept while it still agrees with the rating
+  const storedGrade = data.grade === undefined || data.grade === null ? NaN : Number(data.grade);
+  let grade = anchor.grade;
+  if (defects.length) grade = Math.min(anchor.grade, 10 - deductions);
+  else if (Number.isFinite(storedGrade) && ratingFromGrade(storedGrade) === anchor.rating) grade = storedGrade;
+  grade = round1(Math.min(10, Math.max(0, grade)));
+
+  // A bare "poor" with nothing itemized keeps its old meaning: for parts / repair
+  const forParts = (!defects.length && anchor.rating === 'poor') || defects.some(defect => {
+    if (defect.type === 'non_functional' && defect.severity === 'severe') return true;
+    const threshold = rubric.forPartsDefects?.[defect.type];
+    return threshold ? SEVERITIES.indexOf(defect.severity) >= SEVERITIES.indexOf(threshold) : false;
+  });
+
+  const text = `${data.description || ''} ${typeof condition === 'string' ? condition : data.rating || ''}`.toLowerCase();
+  const isNew = !defects.length && grade >= 9 && NEW_ITEM_KEYWORDS.some(keyword => text.includes(keyword));
+
+  const rating = forParts ? 'poor' : ratingFromGrade(grade);
+  const priceMultiplier = priceMultiplierForGrade(forParts ? Math.min(grade, RATING_ANCHORS[3].grade) : grade);
+  const goodMultiplier = RATING_ANCHORS.find(a => a.rating === 'good').priceMultiplier;
+
+  const ebayEnum = ebayConditionEnumForGrade({ grade, isNew, forParts });
+  const marketKey = isNew ? 'new' : rating;
+
+  return {
+    grade,
+    rating,
+    defects,
+    rubric: rubric.name,
+    isNew,
+    forParts,
+    priceMultiplier,
+    // Instant offers pay the full rate from "good" up and scale down below it
+    offerMultiplier: round2(Math.min(1, priceMultiplier / goodMultiplier)),
+    marketplaces: {
+      ebay: {
+        conditionEnum: ebayEnum,
+        conditionId: ebayConditionIdForEnum(ebayEnum, rubric),
+        label: EBAY_CONDITION_LABELS[ebayEnum]
+      },
+      facebook: FACEBOOK_CONDITIONS[marketKey],
+      mercari: MERCARI_CONDITIONS[marketKey]
+    }
+  };
+}
+
+/**
+ * eBay ConditionEnum for a condition object or string. Explicit eBay names
+ * ("like new", "for parts", "refurbished") pass straight through; anything
+ * else is graded.
+ */
+function toEbayConditionEnum(condition, { category } = {}) {
+  if (typeof condition === 'string') {
+    const key = toKey(condition);
+    const upper = key.toUpperCase();
+    if (EBAY_CONDITION_LABELS[upper]) return upper;
+    if (EBAY_CONDITION_ALIASES[key]) return EBAY_CONDITION_ALIASES[key];
+  }
+  return gradeCondition(condition, { category }).marketplaces.ebay.conditionEnum;
+}
+
+/**
+ * Trading API ConditionID for a condition object or string
+ */
+function toEbayConditionId(condition, { category } = {}) {
+  const rubric = !category && CATEGORY_RUBRICS[condition?.rubric]
+    ? CATEGORY_RUBRICS[condition.rubric]
+    : getCategoryRubric(category);
+  return ebayConditionIdForEnum(toEbayConditionEnum(condition, { category }), rubric);
+}
+
+function isValidEbayConditionEnum(conditionEnum) {
+  return Object.prototype.hasOwnProperty.call(EBAY_CONDITION_LABELS, conditionEnum);
+}
+
+function ebayConditionLabel(conditionEnum) {
+  return EBAY_CONDITION_LABELS[String(conditionEnum).toUpperCase().trim()] || EBAY_CONDITION_LABELS.USED_GOOD;
+}
+
+/**
+ * Browse API conditionIds to search comparables in the same condition band
+ */
+function ebayBrowseConditionIds(condition, { category } = {}) {
+  return EBAY_BROWSE_CONDITION_IDS[gradeCondition(condition || 'good', { category }).rating];
+}
+
+/**
+ * Price multiplier for a condition object, rating string or grade
+ */
+function conditionPriceMultiplier(condition, { category } = {}) {
+  if (typeof condition === 'number') return priceMultiplierForGrade(condition);
+  return gradeCondition(condition || 'good', { category }).priceMultiplier;
+}
+
+module.exports = {
+  CONDITION_RATINGS,
+  SEVERITIES,
+  DEFECT_TYPES,
+  CATEGORY_RUBRICS,
+  DEFECT_PROMPT_GUIDE,
+  EBAY_CONDITION_LABELS,
+  gradeCondition,
+  normalizeConditionRating,
+  ratingFromGrade,
+  classifyDefect,
+  getCategoryRubric,
+  conditionPriceMultiplier,
+  toEbayConditionEnum,
+  toEbayConditionId,
+  isValidEbayConditionEnum,
+  ebayConditionLabel,
+  ebayBrowseConditionIds
+};
@@ -0,0 +1,264 @@
+// capture-sdk/core/confidence.js
+// Per-field confidence for an analysis. The model's own 1-10 score is only a
+// prior; evidence we can check ourselves (brand text on the item, agreement
+// across photos, eBay comparables, price spread) moves it up or down, and a
+// calibration table fitted from user corrections maps the result to the
+// accuracy we actually observe.
+
+const CONFIDENCE_FIELDS = ['category', 'brand', 'model', 'condition', 'price'];
+
+// Routing and UI read `level`, never raw numbers
+const CONFIDENCE_THRESHOLDS = { high: 0.75, medium: 0.5 };
+
+// Field weights for the overall score - identity matters more than price for routing
+const OVERALL_WEIGHTS = { category: 0.25, brand: 0.25, model: 0.15, condition: 0.15, price: 0.2 };
+
+// Below this many samples a calibration bin is blended with the uncalibrated score
+const CALIBRATION_PRIOR_WEIGHT = 5;
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function clamp01(value) {
+  return Math.min(0.99, Math.max(0.01, value));
+}
+
+function logit(p) {
+  const q = clamp01(p);
+  return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function confidenceLevel(score) {
+  if (score >= CONFIDENCE_THRESHOLDS.high) return 'high';
+  if (score >= CONFIDENCE_THRESHOLDS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Is the value printed on the item? Model numbers are compared without spaces/dashes.
+ */
+function appearsInText(value, analysis) {
+  if (!isKnown(value)) return false;
+  const text = normalizeText([
+    analysis.identifiers?.visible_text,
+    analysis.identifiers?.logos_seen,
+    analysis.identifiers?.model_number
+  ].filter(Boolean).join(' '));
+  const needle = normalizeText(value);
+  return !!needle && (` ${text} `.includes(` ${needle} `) || text.replace(/ /g, '').includes(needle.replace(/ /g, '')));
+}
+
+/**
+ * Share of fusion photos that saw something and agree with the final value (null without fusion)
+ */
+function imageAgreement(analysis, field) {
+  const observations = (analysis.imageObservations || [])
+    .map(o => o.extraction?.[field] || o.observations?.[field])
+    .filter(isKnown);
+  if (!observations.length || !isKnown(analysis[field])) return null;
+
+  const target = normalizeText(analysis[field]);
+  const agrees = observed => {
+    const value = normalizeText(observed);
+    if (field !== 'category') return value === target;
+    // Categories are free text: any shared word counts ("denim jacket" vs "jacket")
+    return value.split(' ').some(word => word.length > 2 && target.split(' ').includes(word));
+  };
+
+  return observations.filter(agrees).length / observations.length;
+}
+
+/**
+ * Relative width of a price range: (high - low) / midpoint
+ */
+function priceSpread(range) {
+  const low = Number(range?.low);
+  const high = Number(range?.high);
+  const mid = (low + high) / 2;
+  if (!Number.isFinite(low) || !Number.isFinite(high) || mid <= 0) return null;
+  return Math.max(0, (high - low) / mid);
+}
+
+/**
+ * Signals we can compute without trusting the model
+ */
+function collectSignals(analysis, marketAnalysis = null) {
+  const selfScore = Number(analysis.confidence);
+  const estimate = marketAnalysis?.estimatedValue || marketAnalysis;
+  // Category estimates carry sampleSize 0 - no comparables behind them
+  const comparables = Number(estimate?.sampleSize) > 0 ? Number(estimate.sampleSize) : null;
+
+  return {
+    selfScore: Number.isFinite(selfScore) ? Math.min(10, Math.max(1, selfScore)) : 5,
+    imageCount: analysis.fusion?.imageCount || analysis.imageHashes?.length || 1,
+    brandInText: appearsInText(analysis.brand, analysis),
+    modelInText: appearsInText(analysis.model, analysis),
+    categoryAgreement: imageAgreement(analysis, 'category'),
+    brandAgreement: imageAgreement(analysis, 'brand'),
+    comparables,
+    priceSpread: priceSpread(comparables ? estimate.priceRange : analysis.resale?.priceRange),
+    schemaValid: analysis.validation ? analysis.validation.valid !== false : true
+  };
+}
+
+/**
+ * Uncalibrated per-field scores: the self-score as a prior in log-odds,
+ * shifted by each signal
+ */
+function scoreFields(analysis, signals) {
+  const prior = logit(signals.selfScore / 10);
+  const agreementShift = agreement => (agreement === null ? 0 : (agreement - 0.5) * 2);
+  const invalidShift = signals.schemaValid ? 0 : -0.5;
+
+  const category = isKnown(analysis.category)
+    ? sigmoid(prior + agreementShift(signals.categoryAgreement) + invalidShift)
+    : 0.05;
+
+  // "Unknown" is an honest answer, but there is nothing to be confident in
+  const brand = isKnown(analysis.brand)
+    ? sigmoid(prior + (signals.brandInText ? 1.5 : -1.0) + agreementShift(signals.brandAgreement) + invalidShift)
+    : 0;
+
+  const model = isKnown(analysis.model)
+    ? sigmoid(prior + (signals.modelInText ? 1.5 : -1.2) + invalidShift)
+    : 0;
+
+  // One photo hides the back and the underside
+  const condition = isKnown(analysis.condition?.rating)
+    ? sigmoid(prior + (signals.imageCount > 1 ? 0.3 : -0.3) + invalidShift)
+    : 0.05;
+
+  // LLM-only prices start below the prior; each comparable adds evidence, a wide spread removes it
+  let priceShift = signals.comparables === null ? -0.7 : Math.min(signals.comparables, 20) / 10 - 0.3;
+  if (signals.priceSpread !== null) priceShift -= 2 * Math.max(0, signals.priceSpread - 0.5);
+  const price = sigmoid(prior + priceShift + invalidShift);
+
+  return { category, brand, model, condition, price };
+}
+
+/**
+ * Map a raw score through a fitted calibration table (see fitCalibration)
+ */
+function applyCalibration(field, rawScore, calibration) {
+  const bins = calibration?.fields?.[field];
+  if (!bins?.length) return rawScore;
+
+  const bin = bins.find(b => rawScore >= b.min && rawScore < b.max) || bins[bins.length - 1];
+  return (bin.count * bin.accuracy + CALIBRATION_PRIOR_WEIGHT * rawScore) / (bin.count + CALIBRATION_PRIOR_WEIGHT);
+}
+
+/**
+ * Per-field confidence for an analysis
+ * @param {Object} analysis - Normalized analysis (from analyzeItem)
+ * @param {Object} [context]
+ * @param {Object} [context.marketAnalysis] - Pricing result with sampleSize/priceRange (from routeDisposition)
+ * @param {Object} [context.calibration] - Table from fitCalibration()
+ * @returns {{fields: Object, overall: number, level: string, signals: Object, calibrated: boolean, calibrationVersion: string|null}}
+ */
+function computeFieldConfidence(analysis, { marketAnalysis = null, calibration = null } = {}) {
+  const signals = collectSignals(analysis, marketAnalysis);
+  const raw = scoreFields(analysis, signals);
+
+  const fields = {};
+  CONFIDENCE_FIELDS.forEach(field => {
+    const score = round2(applyCalibration(field, raw[field], calibration));
+    fields[field] = { score, level: confidenceLevel(score), raw: round2(raw[field]) };
+  });
+
+  // Unbranded items legitimately have no brand/model - leave those out of the overall score
+  const scored = CONFIDENCE_FIELDS.filter(field => !['brand', 'model'].includes(field) || isKnown(analysis[field]));
+  const weight = scored.reduce((sum, field) => sum + OVERALL_WEIGHTS[field], 0);
+  const overall = round2(scored.reduce((sum, field) => sum + fields[field].score * OVERALL_WEIGHTS[field], 0) / weight);
+
+  return {
+    fields,
+    overall,
+    level: confidenceLevel(overall),
+    signals,
+    calibrated: !!calibration?.fields,
+    calibrationVersion: calibration?.version || null
+  };
+}
+
+/**
+ * Fit a calibration table from correction samples.
+ * @param {Array<{field: string, score: number, correct: boolean}>} samples - `score` is the
+ *   uncalibrated (`raw`) field score at analysis time, `correct` whether the user kept the value
+ * @param {Object} [options]
+ * @param {number} [options.bins=10]
+ * @returns {{version: string, fittedAt: string, sampleCount: number, fields: Object}}
+ */
+function fitCalibration(samples, { bins = 10 } = {}) {
+  const fields = {};
+
+  CONFIDENCE_FIELDS.forEach(field => {
+    const fieldSamples = samples.filter(s => s.field === field && Number.isFinite(Number(s.score)));
+    if (!fieldSamples.length) return;
+
+    const table = Array.from({ length: bins }, (_, i) => ({
+      min: i / bins,
+      max: i === bins - 1 ? 1.01 : (i + 1) / bins,
+      correct: 0,
+      count: 0
+    }));
+    fieldSamples.forEach(s => {
+      const bin = table[Math.min(bins - 1, Math.floor(Number(s.score) * bins))];
+      bin.count++;
+      if (s.correct) bin.correct++;
+    });
+
+    // Laplace-smoothed accuracy per bin, then pool adjacent violators so higher scores never mean lower accuracy
+    const pooled = table
+      .filter(b => b.count > 0)
+      .map(b => ({ min: b.min, correct: b.correct + 1, count: b.count + 2, samples: b.count }));
+    for (let i = 1; i < pooled.length; i++) {
+      if (pooled[i].correct / pooled[i].count < pooled[i - 1].correct / pooled[i - 1].count) {
+        pooled[i - 1] = {
+          min: pooled[i - 1].min,
+          correct: pooled[i - 1].correct + pooled[i].correct,
+          count: pooled[i - 1].count + pooled[i].count,
+          samples: pooled[i - 1].samples + pooled[i].samples
+        };
+        pooled.splice(i, 1);
+        i = Math.max(0, i - 2);
+      }
+    }
+
+    fields[field] = pooled.map((b, i) => ({
+      min: i === 0 ? 0 : b.min,
+      max: i === pooled.length - 1 ? 1.01 : pooled[i + 1].min,
+      accuracy: round2(b.correct / b.count),
+      count: b.samples
+    }));
+  });
+
+  const fittedAt = new Date().toISOString();
+  return {
+    version: `calibration-${fittedAt.slice(0, 10)}-${samples.length}`,
+    fittedAt,
+    sampleCount: samples.length,
+    fields
+  };
+}
+
+module.exports = {
+  CONFIDENCE_FIELDS,
+  CONFIDENCE_THRESHOLDS,
+  confidenceLevel,
+  computeFieldConfidence,
+  fitCalibration,
+  applyCalibration
+};
@@ -0,0 +1,298 @@
+// capture-sdk/core/detectItems.js
+// Multi-item detection for box lots and curbside piles
+// - One vision call lists every distinct item in the frame with a bounding box
+// - Each item gets its own normalized analysis (same schema as a single-item scan)
+// - Items can be routed one by one or grouped into a single "lot" listing
+
+const { estimatePackage } = require('../pricing/costs.js');
+const { routeProceeds, rankRoutes } = require('../pricing/proceeds.js');
+const { resolveAuthenticity } = require('./authenticity.js');
+
+const DEFAULT_MAX_ITEMS = 12;
+
+// A lot sells below the sum of its parts; buyers price in the hassle
+const LOT_PRICE_FACTOR = 0.8;
+
+const DETECTION_PROMPT_ADDENDUM = `
+
+  MULTI-ITEM DETECTION MODE (overrides the single-item instructions above):
+  This photo may show several separate items - a box lot, a curbside pile, a shelf. Do NOT focus on one item: list EVERY distinct sellable item.
+  - One entry per physical item; identical items share one entry with "quantity"
+  - Skip the background, the surface the items sit on, and packaging unless it is the item
+  - boundingBox is normalized to the photo: x/y is the top-left corner, width/height are fractions of the photo size (0-1)
+  - imageIndex is the photo (0-based) the box refers to
+
+  Return ONLY this JSON object; every entry in "items" has the full single-item structure described above plus the detection fields:
+  {
+    "items": [
+      {
+        "label": "short name, e.g. 'red stand mixer'",
+        "boundingBox": { "x": 0.1, "y": 0.2, "width": 0.3, "height": 0.4 },
+        "imageIndex": 0,
+        "quantity": 1,
+        "category": "...",
+        "brand": "...",
+        "...": "every other single-item field"
+      }
+    ]
+  }`;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Clamp a box to the unit square. Models sometimes answer in percent or
+ * 0-1000 coordinates; anything above 1 is rescaled.
+ */
+function normalizeBoundingBox(box) {
+  if (!box || typeof box !== 'object') return null;
+
+  let x = Number(box.x ?? box.left);
+  let y = Number(box.y ?? box.top);
+  let width = Number(box.width ?? box.w);
+  let height = Number(box.height ?? box.h);
+  if (![x, y, width, height].every(Number.isFinite)) return null;
+
+  const largest = Math.max(x + width, y + height);
+  const scale = largest > 100 ? 1000 : largest > 1.5 ? 100 : 1;
+  [x, y, width, height] = [x, y, width, height].map(v => v / scale);
+
+  x = Math.min(1, Math.max(0, x));
+  y = Math.min(1, Math.max(0, y));
+  width = Math.min(1 - x, Math.max(0, width));
+  height = Math.min(1 - y, Math.max(0, height));
+  if (width === 0 || height === 0) return null;
+
+  return { x: round2(x), y: round2(y), width: round2(width), height: round2(height) };
+}
+
+function boxOverlap(a, b) {
+  const ix = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+  const iy = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+  const intersection = ix * iy;
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Models occasionally list the same object twice; drop a box that almost
+ * covers an earlier one of the same category
+ */
+function dedupeItems(items) {
+  return items.filter((item, i) => !items.slice(0, i).some(other =>
+    item.boundingBox && other.boundingBox &&
+    item.imageIndex === other.imageIndex &&
+    String(item.category).toLowerCase() === String(other.category).toLowerCase() &&
+    boxOverlap(item.boundingBox, other.boundingBox) > 0.8
+  ));
+}
+
+function itemHighPrice(item) {
+  return Number(item.resale?.priceRange?.high) || 0;
+}
+
+/**
+ * Detect every item in the photos and analyze each one.
+ * `toItemAnalysis(parsedItem)` runs one raw item through the shared
+ * validate -> normalize -> sanitize pipeline.
+ * @returns {Promise<Object>} - The most valuable item's fields at the top level
+ *   (so single-item consumers keep working), plus `items` and `detection`
+ */
+async function analyzeWithDetection(provider, images, options, { parseJsonResponse, toItemAnalysis }) {
+  const { maxItems = DEFAULT_MAX_ITEMS } = options;
+
+  console.log(`🧺 Multi-item detection on ${images.length} image(s)...`);
+
+  const prompt = (options.analysisPrompt || '') + DETECTION_PROMPT_ADDENDUM;
+  const raw = await provider.analyze(images, prompt, { ...options, maxTokens: Math.max(options.maxTokens || 0, 4000) });
+  const parsed = parseJsonResponse(raw?.text || '');
+
+  // A model that ignored the detection format still described one item
+  const rawItems = Array.isArray(parsed?.items) ? parsed.items : Array.isArray(parsed) ? parsed : parsed ? [parsed] : [];
+  if (!rawItems.length) {
+    throw new Error(`No items detected in ${provider.name} response`);
+  }
+
+  const detected = rawItems.slice(0, maxItems).map((rawItem, i) => ({
+    ...toItemAnalysis(rawItem),
+    itemIndex: i,
+    label: typeof rawItem.label === 'string' && rawItem.label.trim() ? rawItem.label.trim() : rawItem.category || `Item ${i + 1}`,
+    boundingBox: normalizeBoundingBox(rawItem.boundingBox || rawItem.bbox || rawItem.box),
+    imageIndex: Math.min(images.length - 1, Math.max(0, parseInt(rawItem.imageIndex, 10) || 0)),
+    quantity: Math.max(1, parseInt(rawItem.quantity, 10) || 1)
+  }));
+
+  const items = dedupeItems(detected).map((item, i) => ({ ...item, itemIndex: i }));
+  const primary = items.reduce((best, item) => (itemHighPrice(item) > itemHighPrice(best) ? item : best), items[0]);
+
+  console.log(`🧺 Detected ${items.length} item(s):`, items.map(i => i.label).join(', '));
+
+  const { itemIndex, label, boundingBox, imageIndex, quantity, ...primaryAnalysis } = primary;
+  return {
+    ...primaryAnalysis,
+    provider: provider.name,
+    visionModel: raw.model || options.model,
+    items,
+    detection: {
+      mode: 'detect',
+      itemCount: items.length,
+      droppedItems: Math.max(0, rawItems.length - maxItems),
+      duplicatesRemoved: detected.length - items.length,
+      primaryItemIndex: primary.itemIndex
+    }
+  };
+}
+
+/**
+ * Why an item cannot be listed in a lot, or null: the safety screen blocks eBay
+ * for it (recall, prohibited) or it is a likely counterfeit
+ * @param {Object} item - A detected item
+ * @param {Object} [routes] - Its getRoutes() result, which carries the screening
+ */
+function lotExclusionReason(item, routes = null) {
+  const safety = routes?.safety || item.safety;
+  if (safety?.blockedRoutes?.includes('ebay')) {
+    const blocking = (safety.warnings || []).find(w => (w.blockedRoutes || []).includes('ebay'));
+    return blocking ? `Not allowed on eBay: ${blocking.title}` : 'Not allowed on eBay';
+  }
+
+  const authenticity = routes?.authenticity || resolveAuthenticity(item);
+  if (authenticity.risk === 'high') return 'High counterfeit risk';
+  return null;
+}
+
+/**
+ * Combine detected items (and their routes, when already priced) into a
+ * single lot: an itemData that generateListing accepts, and an eBay lot route
+ * priced and ranked like any other route (pricing/proceeds.js)
+ * @param {Array} items - `analysis.items` from detection mode
+ * @param {Array} [itemRoutes] - getRoutes() result per item, same order
+ * @param {Object} [options]
+ * @param {number} [options.priceFactor=0.8] - Lot price as a share of the items' total
+ * @param {Object} [options.preferences] - { hourlyRate, sellWithinDays } for the proceeds
+ * @returns {{itemData: Object, route: Object, alternativeRoutes: Array, excludedItems: Array}} - `route`
+ *   is the eBay lot listing with its `priority` among the lot's routes; items the safety screen keeps
+ *   off eBay and likely counterfeits are left out and listed in `excludedItems`; throws LOT_EMPTY
+ *   when that leaves nothing to sell
+ */
+function buildLot(detectedItems, detectedRoutes = [], { priceFactor = LOT_PRICE_FACTOR, preferences = {} } = {}) {
+  if (!Array.isArray(detectedItems) || detectedItems.length === 0) {
+    throw new Error('A lot needs at least one detected item');
+  }
+
+  const items = [];
+  const itemRoutes = [];
+  const excludedItems = [];
+  detectedItems.forEach((item, i) => {
+    const reason = lotExclusionReason(item, detectedRoutes[i]);
+    if (reason) {
+      excludedItems.push({ itemIndex: item.itemIndex ?? i, label: item.label || item.category, reason });
+    } else {
+      items.push(item);
+      itemRoutes.push(detectedRoutes[i]);
+    }
+  });
+  if (!items.length) {
+    const error = new Error(`No detected item can be listed in a lot (${excludedItems.map(e => `${e.label}: ${e.reason}`).join('; ')})`);
+    error.code = 'LOT_EMPTY';
+    error.excludedItems = excludedItems;
+    throw error;
+  }
+
+  const quantityOf = item => item.quantity || 1;
+  const totalCount = items.reduce((sum, item) => sum + quantityOf(item), 0);
+  const sumRange = key => items.reduce((sum, item, i) => {
+    const market = itemRoutes[i]?.marketAnalysis?.estimatedValue;
+    const value = key === 'suggested'
+      ? Number(market?.suggested) || (itemHighPrice(item) + (Number(item.resale?.priceRange?.low) || 0)) / 2
+      : Number(market?.priceRange?.[key]) || Number(item.resale?.priceRange?.[key]) || 0;
+    return sum + value * quantityOf(item);
+  }, 0);
+
+  const currency = itemRoutes.find(r => r?.marketAnalysis?.currency)?.marketAnalysis.currency
+    || items[0]?.resale?.priceRange?.currency || 'USD';
+  const low = Math.round(sumRange('low') * priceFactor);
+  const high = Math.round(sumRange('high') * priceFactor);
+  const listingPrice = Math.round(sumRange('suggested') * priceFactor);
+
+  // The lot is only as good as its worst piece
+  const ratings = ['excellent', 'good', 'fair', 'poor'];
+  const worstRating = items.reduce((worst, item) => {
+    const rating = item.condition?.rating;
+    return ratings.indexOf(rating) > ratings.indexOf(worst) ? rating : worst;
+  }, 'excellent');
+
+  const names = items.map(item => (quantityOf(item) > 1 ? `${quantityOf(item)}x ${item.label}` : item.label));
+  const brands = Array.from(new Set(items.map(item => item.brand).filter(b => b && b !== 'Unknown')));
+
+  const itemData = {
+    category: `Lot of ${totalCount}: ${names.join(', ')}`,
+    // Only a single-brand lot ("5 Pyrex dishes") keeps the brand in the title
+    brand: brands.length === 1 && items.every(item => item.brand === brands[0]) ? brands[0] : 'Unknown',
+    model: 'Unknown',
+    condition: {
+      rating: worstRating,
+      description: `Lot of ${totalCount} items: ${names.join('; ')}`,
+      usableAsIs: items.every(item => item.condition?.usableAsIs !== false),
+      issues: items.flatMap(item => (item.condition?.issues || []).map(issue => `${item.label}: ${issue}`))
+    },
+    resale: {
+      recommendation: 'resell',
+      priceRange: { low, high, currency },
+      justification: `Sum of ${items.length} item estimates at ${Math.round(priceFactor * 100)}% for selling as one lot`
+    },
+    salvageable: items.flatMap(item => item.salvageable || []),
+    materials: Array.from(new Set(items.flatMap(item => item.materials || []))),
+    // Everything ships in one parcel
+    weightLbs: round2(items.reduce((sum, item) => sum + estimatePackage(item).weightLbs * quantityOf(item), 0)),
+    confidence: Math.min(...items.map(item => Number(item.confidence) || 5)),
+    lotItems: items.map(item => ({
+      itemIndex: item.itemIndex,
+      label: item.label,
+      quantity: quantityOf(item),
+      category: item.category,
+      brand: item.brand,
+      boundingBox: item.boundingBox
+    }))
+  };
+
+  const marketAnalysis = { suggested: listingPrice, range: { low, high }, currency };
+  const withProceeds = (route) => {
+    const proceeds = routeProceeds(route.type, { itemData, marketAnalysis, preferences });
+    return { ...route, estimatedReturn: proceeds.cashIfSold, expectedNetValue: proceeds.expectedNetValue, proceeds };
+  };
+
+  const ebayRoute = withProceeds({ type: 'ebay', listingFormat: 'lot', timeToMoney: '7-14 days', effort: 'low' });
+  const { proceeds } = ebayRoute;
+  const ranked = rankRoutes([
+    {
+      ...ebayRoute,
+      details: {
+        listingPrice,
+        estimatedFees: proceeds.fees.total,
+        shippingCost: proceeds.shipping.cost,
+        packaging: proceeds.packaging,
+        netProfit: proceeds.cashIfSold,
+        priceRange: { low, high },
+        itemCount: totalCount
+      }
+    },
+    withProceeds({ type: 'local_pickup', listingFormat: 'lot', timeToMoney: '1-3 days', effort: 'low' }),
+    withProceeds({ type: 'donation', timeToMoney: 'immediate', effort: 'minimal' })
+  ]);
+
+  const route = ranked.find(r => r.type === 'ebay');
+  const alternativeRoutes = ranked.filter(r => r !== route);
+  return { itemData, route, alternativeRoutes, excludedItems };
+}
+
+module.exports = {
+  DEFAULT_MAX_ITEMS,
+  LOT_PRICE_FACTOR,
+  DETECTION_PROMPT_ADDENDUM,
+  analyzeWithDetection,
+  normalizeBoundingBox,
+  lotExclusionReason,
+  buildLot
+};
@@ -0,0 +1,308 @@
+// capture-sdk/core/fuseImages.js
+// Multi-angle image fusion
+// - Classify every photo by role (overview, label, damage, serial)
+// - Run a dedicated OCR-style extraction pass on label/serial photos
+// - Merge per-image findings into the main analysis with provenance
+
+const IMAGE_ROLES = ['overview', 'label', 'damage', 'serial'];
+const DEFAULT_MAX_FUSION_IMAGES = 8;
+
+const ROLE_CLASSIFICATION_PROMPT = `You are looking at ONE photo of a secondhand item taken for a resale listing. Classify what this photo mainly shows and note what you can see.
+
+Roles:
+- "overview": the whole item or a large part of it
+- "label": a brand label, clothing tag, sticker, box or packaging text
+- "serial": a serial plate, model number plate, barcode sticker or rating plate
+- "damage": a close-up of wear, stains, cracks, scratches, missing or broken parts
+
+Return ONLY this JSON object:
+{
+  "role": "overview|label|damage|serial",
+  "roleConfidence": 8,
+  "category": "specific item category if visible, or 'Unknown'",
+  "brand": "brand if clearly visible, or 'Unknown'",
+  "defects": ["specific defect visible in THIS photo"],
+  "notes": "one short sentence about what the photo shows"
+}`;
+
+const LABEL_EXTRACTION_PROMPT = `You are reading ONE close-up photo of a label, tag, sticker or serial/model plate. Transcribe it like an OCR engine and pull out identifiers. Do not guess: use "" for anything you cannot read.
+
+Return ONLY this JSON object:
+{
+  "text": "ALL legible text, exactly as printed, line breaks as ' | '",
+  "brand": "",
+  "model": "",
+  "model_number": "",
+  "serial_number": "",
+  "size": "",
+  "materials": ["material listed on the label"],
+  "manufacture_date": "",
+  "country_of_origin": ""
+}`;
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+function normalizeRole(role) {
+  const r = String(role || '').toLowerCase();
+  return IMAGE_ROLES.find(known => r.includes(known)) || 'overview';
+}
+
+/**
+ * Classify one image and collect its per-image observations
+ */
+async function observeImage(provider, image, index, options, parseJsonResponse) {
+  try {
+    const raw = await provider.analyze([image], ROLE_CLASSIFICATION_PROMPT, { ...options, maxTokens: 400 });
+    const parsed = parseJsonResponse(raw?.text || '') || {};
+
+    return {
+      index,
+      role: normalizeRole(parsed.role),
+      roleConfidence: Number(parsed.roleConfidence) || null,
+      observations: {
+        category: isKnown(parsed.category) ? parsed.category.trim() : null,
+        brand: isKnown(parsed.brand) ? parsed.brand.trim() : null,
+        defects: Array.isArray(parsed.defects) ? parsed.defects.filter(isKnown).map(d => d.trim()) : [],
+        notes: typeof parsed.notes === 'string' ? parsed.notes : ''
+      },
+      extraction: null
+    };
+  } catch (error) {
+    console.warn(`⚠️ Role classification failed for image ${index + 1}:`, error.message);
+    return {
+      index,
+      role: 'overview',
+      roleConfidence: null,
+      observations: { category: null, brand: null, defects: [], notes: '' },
+      extraction: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * OCR-style extraction pass for label and serial images
+ */
+async function extractLabel(provider, image, options, parseJsonResponse) {
+  try {
+    const raw = await provider.analyze([image], LABEL_EXTRACTION_PROMPT, { ...options, maxTokens: 600 });
+    const parsed = parseJsonResponse(raw?.text || '') || {};
+    const clean = (v) => (isKnown(v) ? v.trim() : '');
+
+    return {
+      text: clean(parsed.text),
+      brand: clean(parsed.brand),
+      model: clean(parsed.model),
+      model_number: clean(parsed.model_number),
+      serial_number: clean(parsed.serial_number),
+      size: clean(parsed.size),
+      materials: Array.isArray(parsed.materials) ? parsed.materials.filter(isKnown) : [],
+      manufacture_date: clean(parsed.manufacture_date),
+      country_of_origin: clean(parsed.country_of_origin)
+    };
+  } catch (error) {
+    console.warn('⚠️ Label extraction failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Pick up to three images for the main analysis: one overview, one label/serial,
+ * one damage close-up, then fill with whatever is left in shooting order
+ */
+function selectAnalysisImages(imageObservations, limit = 3) {
+  const picked = [];
+  const firstOf = (roles) => imageObservations.find(o => roles.includes(o.role) && !picked.includes(o.index));
+
+  [['overview'], ['label', 'serial'], ['damage']].forEach(roles => {
+    const hit = firstOf(roles);
+    if (hit && picked.length < limit) picked.push(hit.index);
+  });
+
+  imageObservations.forEach(o => {
+    if (picked.length < limit && !picked.includes(o.index)) picked.push(o.index);
+  });
+
+  return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Text handed to the main analysis so it can use the per-image findings
+ */
+function buildFusionContext(imageObservations) {
+  const lines = imageObservations.map(o => {
+    const parts = [`Photo ${o.index + 1} (${o.role})`];
+    if (o.observations.notes) parts.push(o.observations.notes);
+    if (o.extraction?.text) parts.push(`label text: "${o.extraction.text}"`);
+    if (o.observations.defects.length) parts.push(`defects: ${o.observations.defects.join('; ')}`);
+    return `- ${parts.join(' - ')}`;
+  });
+
+  return `
+
+  MULTI-ANGLE CONTEXT:
+  The seller took ${imageObservations.length} photos of the SAME item. You are shown a subset; findings from every photo are listed below. Use them, especially label text, for brand, model and condition:
+  ${lines.join('\n  ')}`;
+}
+
+function sameValue(a, b) {
+  return isKnown(a) && isKnown(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(isKnown).forEach(v => {
+    const key = v.trim().toLowerCase();
+    const entry = counts.get(key) || { value: v.trim(), count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+  const sorted = Array.from(counts.values()).sort((a, b) => b.count - a.count);
+  return sorted[0]?.value || null;
+}
+
+function similarIssue(a, b) {
+  const x = a.toLowerCase();
+  const y = b.toLowerCase();
+  return x.includes(y) || y.includes(x);
+}
+
+/**
+ * Merge per-image observations into the main analysis and record provenance
+ */
+function mergeObservations(analysis, imageObservations, analyzedImages) {
+  const merged = {
+    ...analysis,
+    condition: { ...analysis.condition, issues: [...(analysis.condition?.issues || [])] },
+    identifiers: { ...(analysis.identifiers || {}) }
+  };
+
+  const labelSources = imageObservations.filter(o => o.extraction);
+
+  // Brand / model: labels are the strongest evidence, then per-photo observations
+  const labelBrand = mostCommon(labelSources.map(o => o.extraction.brand));
+  const observedBrand = mostCommon(imageObservations.map(o => o.observations.brand));
+  if (!isKnown(merged.brand) && (labelBrand || observedBrand)) {
+    merged.brand = labelBrand || observedBrand;
+  }
+
+  const labelModel = mostCommon(labelSources.map(o => o.extraction.model || o.extraction.model_number));
+  if (!isKnown(merged.model) && labelModel) {
+    merged.model = labelModel;
+  }
+
+  // Identifiers from OCR
+  const labelText = Array.from(new Set(labelSources.map(o => o.extraction.text).filter(Boolean)));
+  if (labelText.length) {
+    merged.identifiers.visible_text = [merged.identifiers.visible_text, ...labelText]
+      .filter(isKnown)
+      .join(' | ');
+  }
+  const serial = mostCommon(labelSources.map(o => o.extraction.serial_number));
+  if (serial) merged.identifiers.serial_number = serial;
+  const modelNumber = mostCommon(labelSources.map(o => o.extraction.model_number));
+  if (modelNumber) merged.identifiers.model_number = modelNumber;
+
+  // Defects seen in close-ups that the main pass missed
+  imageObservations.forEach(o => {
+    o.observations.defects.forEach(defect => {
+      if (!merged.condition.issues.some(issue => similarIssue(issue, defect))) {
+        merged.condition.issues.push(defect);
+      }
+    });
+  });
+
+  // Provenance: which photo each value came from
+  const provenanceFor = (field, value) => {
+    const entries = [];
+    imageObservations.forEach(o => {
+      if (o.extraction && (sameValue(o.extraction[field], value) ||
+          (field === 'model' && sameValue(o.extraction.model_number, value)))) {
+        entries.push({ imageIndex: o.index, role: o.role, source: 'label_extraction', value: o.extraction[field] || o.extraction.model_number });
+      } else if (sameValue(o.observations[field], value)) {
+        entries.push({ imageIndex: o.index, role: o.role, source: 'image_observation', value: o.observations[field] });
+      }
+    });
+    if (isKnown(value) && sameValue(analysis[field], value)) {
+      entries.push({ imageIndexes: analyzedImages, source: 'combined_analysis', value });
+    }
+    return entries;
+  };
+
+  merged.provenance = {
+    category: provenanceFor('category', merged.category),
+    brand: provenanceFor('brand', merged.brand),
+    model: provenanceFor('model', merged.model),
+    defects: merged.condition.issues.map(issue => {
+      const images = imageObservations
+        .filter(o => o.observations.defects.some(d => similarIssue(d, issue)))
+        .map(o => ({ imageIndex: o.index, role: o.role }));
+      return images.length
+        ? { issue, source: 'image_observation', images }
+        : { issue, source: 'combined_analysis', imageIndexes: analyzedImages };
+    })
+  };
+
+  return merged;
+}
+
+/**
+ * Run the full fusion flow.
+ * `runAnalysis(images, promptAddendum)` performs the standard combined analysis.
+ */
+async function analyzeWithFusion(provider, images, options, { runAnalysis, parseJsonResponse }) {
+  const { maxImages = DEFAULT_MAX_FUSION_IMAGES } = options;
+  const fusionImages = images.slice(0, maxImages);
+
+  console.log(`🧩 Multi-angle fusion: classifying ${fusionImages.length} images...`);
+
+  // Sequential on purpose: keeps us under provider rate limits
+  const imageObservations = [];
+  for (let i = 0; i < fusionImages.length; i++) {
+    imageObservations.push(await observeImage(provider, fusionImages[i], i, options, parseJsonResponse));
+  }
+
+  for (const observation of imageObservations) {
+    if (observation.role === 'label' || observation.role === 'serial') {
+      observation.extraction = await extractLabel(provider, fusionImages[observation.index], options, parseJsonResponse);
+    }
+  }
+
+  const analyzedImages = selectAnalysisImages(imageObservations);
+  console.log('🧩 Image roles:', imageObservations.map(o => `${o.index + 1}:${o.role}`).join(', '),
+    '→ combined analysis on', analyzedImages.map(i => i + 1));
+
+  const analysis = await runAnalysis(
+    analyzedImages.map(i => fusionImages[i]),
+    buildFusionContext(imageObservations)
+  );
+
+  const merged = mergeObservations(analysis, imageObservations, analyzedImages);
+
+  const roles = IMAGE_ROLES.reduce((acc, role) => {
+    acc[role] = imageObservations.filter(o => o.role === role).map(o => o.index);
+    return acc;
+  }, {});
+
+  return {
+    ...merged,
+    imageObservations,
+    fusion: {
+      mode: 'fusion',
+      imageCount: fusionImages.length,
+      droppedImages: Math.max(0, images.length - fusionImages.length),
+      analyzedImages,
+      roles
+    }
+  };
+}
+
+module.exports = {
+  IMAGE_ROLES,
+  DEFAULT_MAX_FUSION_IMAGES,
+  analyzeWithFusion,
+  selectAnalysisImages,
+  mergeObservations
+};
@@ -1,3 +1,7 @@
+const { gradeCondition } = require('./conditionGrade.js');
+const { resolveAuthenticity } = require('./authenticity.js');
+const { resolveLocale, formatCurrency } = require('../utils/locale.js');
+
 function generateListing(itemData, route, options = {}) {
     const {
       platform = 'ebay',
@@ -5,19 +9,33 @@ function generateListing(itemData, route, options = {}) {
       returnPolicy = '30-day',
       template = 'default'
     } = options;
+    // Template language, currency and marketplace (defaults to the locale the item was analyzed in)
+    const locale = resolveLocale(options.locale || itemData.locale);
+  
+    // Screened out in routing (see safety/) - refuse rather than list a recalled or prohibited item
+    const blocking = itemData.safety?.warnings?.find(w => w.blockedRoutes.includes(platform === 'ebay' ? 'ebay' : 'local_pickup'));
+    if (blocking) {
+      throw new Error(`Cannot list on ${platform}: ${blocking.title} - ${blocking.message}`);
+    }
   
+    const disclaimers = getDisclaimers(itemData, route);
+    // The routed price (see pricing/) when there is one; the analysis estimate otherwise
+    const priceRange = route.details?.priceRange || itemData.resale.priceRange;
     const baseListingData = {
-      title: generateTitle(itemData),
-      description: generateDescription(itemData, template),
+      title: generateTitle(itemData, locale),
+      description: [generateDescription(itemData, template, locale), ...disclaimers].join('\n\n'),
       category: mapToMarketplaceCategory(itemData.category, platform),
-      condition: mapCondition(itemData.condition.rating, platform),
+      condition: mapCondition(itemData, platform),
       images: [], // Will be populated by app
       pricing: {
-        startingPrice: route.estimatedReturn || itemData.resale.priceRange.low,
-        buyItNowPrice: itemData.resale.priceRange.high,
+        startingPrice: route.estimatedReturn || priceRange.low,
+        buyItNowPrice: route.details?.listingPrice || priceRange.high,
         acceptOffers: true,
-        minimumOffer: itemData.resale.priceRange.low * 0.8
-      }
+        minimumOffer: priceRange.low * 0.8,
+        currency: locale.currency
+      },
+      locale: locale.code,
+      ...(disclaimers.length && { disclaimers })
     };
   
     // Platform-specific formatting
@@ -25,8 +43,11 @@ function generateListing(itemData, route, options = {}) {
       case 'ebay':
         return {
           ...baseListingData,
+          marketplaceId: locale.marketplaceId,
+          conditionId: gradeCondition(itemData.condition, { category: itemData.category }).marketplaces.ebay.conditionId,
           itemSpecifics: extractItemSpecifics(itemData),
-          shippingOptions: includeShipping ? getShippingOptions() : [],
+          ...(itemData.safety?.shippingRestrictions?.length && { shippingRestrictions: itemData.safety.shippingRestrictions }),
+          shippingOptions: includeShipping ? getShippingOptions(locale) : [],
           returnPolicy: {
             returnsAccepted: returnPolicy !== 'no-returns',
             refundMethod: 'money back',
@@ -38,6 +59,7 @@ function generateListing(itemData, route, options = {}) {
         return {
           title: baseListingData.title,
           price: baseListingData.pricing.buyItNowPrice,
+          formattedPrice: formatCurrency(baseListingData.pricing.buyItNowPrice, locale),
           description: baseListingData.description,
           category: baseListingData.category,
           condition: baseListingData.condition
@@ -48,7 +70,17 @@ function generateListing(itemData, route, options = {}) {
     }
   }
   
-  function generateTitle(itemData) {
+  /**
+   * Disclaimers the route asked for, or an unverified-authenticity notice
+   */
+  function getDisclaimers(itemData, route) {
+    if (Array.isArray(route.disclaimers)) return route.disclaimers.filter(Boolean);
+    const authenticity = resolveAuthenticity(itemData);
+    return authenticity.disclaimer ? [authenticity.disclaimer] : [];
+  }
+  
+  function generateTitle(itemData, locale = resolveLocale()) {
+    const t = locale.strings;
     const parts = [];
     
     if (itemData.brand && itemData.brand !== 'Unknown') {
@@ -59,59 +91,61 @@ function generateListing(itemData, route, options = {}) {
       parts.push(itemData.model);
     }
     
-    parts.push(itemData.category);
+    parts.push(itemData.localizedCategory || itemData.category);
     
-    if (itemData.condition.rating === 'poor') {
-      parts.push('For Parts/Repair');
-    } else if (itemData.condition.rating === 'good') {
-      parts.push('Excellent Condition');
+    const grade = gradeCondition(itemData.condition, { category: itemData.category });
+    if (grade.forParts) {
+      parts.push(t.forParts);
+    } else if (grade.rating === 'excellent') {
+      parts.push(t.excellentCondition);
     }
     
     return parts.join(' - ').substring(0, 80); // eBay title limit
   }
   
-  function generateDescription(itemData, template) {
+  function generateDescription(itemData, template, locale = resolveLocale()) {
+    const t = locale.strings;
+    const category = itemData.localizedCategory || itemData.category;
     const templates = {
       default: `
   ${itemData.condition.description}
   
-  Category: ${itemData.category}
-  Brand: ${itemData.brand || 'Unbranded'}
-  Model: ${itemData.model || 'See photos'}
+  ${t.category}: ${category}
+  ${t.brand}: ${itemData.brand || t.unbranded}
+  ${t.model}: ${itemData.model || t.seePhotos}
   
-  Condition Notes:
+  ${t.conditionNotes}:
   ${itemData.condition.issues.map(issue => `• ${issue}`).join('\n')}
   
   ${itemData.salvageable && itemData.salvageable.length > 0 ? 
-    `\nSalvageable Parts:\n${itemData.salvageable.map(s => `• ${s.component}: ${s.value}`).join('\n')}` : ''}
+    `\n${t.salvageableParts}:\n${itemData.salvageable.map(s => `• ${s.component}: ${s.value}`).join('\n')}` : ''}
   
-  Found item - selling as-is. Please review all photos carefully before purchasing.
+  ${t.foundItemNotice}
   `,
-      minimal: `${itemData.condition.description}\n\nSelling as-is. See photos for condition.`,
+      minimal: `${itemData.condition.description}\n\n${t.minimalNotice}`,
       
       detailed: `
-  ITEM OVERVIEW
+  ${t.itemOverview}
   ============
-  ${generateTitle(itemData)}
+  ${generateTitle(itemData, locale)}
   
-  DETAILED CONDITION
+  ${t.detailedCondition}
   =================
   ${itemData.condition.description}
   
-  Known Issues:
-  ${itemData.condition.issues.length > 0 ? itemData.condition.issues.map(issue => `• ${issue}`).join('\n') : '• None noted'}
+  ${t.knownIssues}:
+  ${itemData.condition.issues.length > 0 ? itemData.condition.issues.map(issue => `• ${issue}`).join('\n') : `• ${t.noneNoted}`}
   
-  SPECIFICATIONS
+  ${t.specifications}
   =============
-  • Category: ${itemData.category}
-  • Brand: ${itemData.brand || 'Unbranded'}
-  • Model: ${itemData.model || 'Not specified'}
-  • Usable As-Is: ${itemData.condition.usableAsIs ? 'Yes' : 'No - needs repair'}
+  • ${t.category}: ${category}
+  • ${t.brand}: ${itemData.brand || t.unbranded}
+  • ${t.model}: ${itemData.model || t.notSpecified}
+  • ${t.usableAsIs}: ${itemData.condition.usableAsIs ? t.yes : t.noNeedsRepair}
   
   ${itemData.resale.justification}
   
-  IMPORTANT: This is a found/secondhand item being sold as-is with no warranty. 
-  All sales final. Please examine photos carefully and ask questions before bidding.
+  ${t.noWarrantyNotice.replace('\n', '\n  ')}
   `
     };
   
@@ -132,19 +166,11 @@ function generateListing(itemData, route, options = {}) {
   
     return categoryMappings[platform]?.[category.toLowerCase()] || '0';
   }
-  function mapCondition(rating, platform) {
-  if (platform !== 'ebay') return rating;
-
-  // Convert your internal rating → eBay Inventory ConditionEnum
-  const map = {
-    excellent: 'LIKE_NEW',                // or 'NEW_OTHER' if your UX intends that
-    good:      'USED',
-    fair:      'USED',
-    poor:      'FOR_PARTS_OR_NOT_WORKING'
-  };
-
-  const key = String(rating).toLowerCase();
-  return map[key] || 'USED';
+  // Marketplace condition value from the graded condition (see core/conditionGrade.js)
+  function mapCondition(itemData, platform) {
+  const grade = gradeCondition(itemData.condition, { category: itemData.category });
+  if (platform === 'ebay') return grade.marketplaces.ebay.conditionEnum;
+  return grade.marketplaces[platform] || grade.rating;
 }
   
   function extractItemSpecifics(itemData) {
@@ -157,9 +183,9 @@ function generateListing(itemData, route, options = {}) {
     return specifics;
   }
   
-  function getShippingOptions() {
+  function getShippingOptions(locale = resolveLocale()) {
     return [{
-      shippingService: 'USPS Priority Mail',
+      shippingService: locale.shippingService,
       shippingCost: 0, // Calculated based on location
       dispatchTime: 2
     }];
@@ -0,0 +1,197 @@
+// capture-sdk/core/impact.js
+// Environmental impact per disposition: the CO2e and landfill mass a route
+// avoids compared with throwing the item away. Keyed on the analyzed category,
+// materials and estimated weight (core/recycling.js). Factors are rough
+// averages from published LCA / EPA WARM ranges - good for "about 12 kg"
+// in the UI, not for carbon accounting.
+
+const { getCategoryRubric } = require('./conditionGrade.js');
+const { classifyMaterial, estimateWeightLbs, MATERIAL_SHARES } = require('./recycling.js');
+
+const KG_PER_LB = 0.4536;
+
+// kg CO2e to make 1 kg of the new product / material
+const MATERIAL_FOOTPRINTS = {
+  e_waste_device: 80,
+  circuit_board: 60,
+  hard_drive: 20,
+  battery: 15,
+  textile: 15,
+  aluminum: 10,
+  electric_motor: 5,
+  stainless_steel: 5,
+  copper: 4,
+  copper_wire: 4,
+  brass: 4,
+  plastic: 3,
+  steel: 2,
+  lead: 2,
+  paper: 1.3,
+  glass: 1.2,
+  wood: 1,
+  unknown: 3
+};
+
+// kg CO2e saved per kg recycled instead of made from virgin material
+const RECYCLING_CREDITS = {
+  aluminum: 9,
+  circuit_board: 5,
+  battery: 3,
+  copper: 3,
+  brass: 3,
+  stainless_steel: 3,
+  copper_wire: 2.5,
+  e_waste_device: 2,
+  hard_drive: 2,
+  electric_motor: 2,
+  textile: 2,
+  steel: 1.5,
+  lead: 1.5,
+  plastic: 1,
+  paper: 0.9,
+  glass: 0.3,
+  wood: 0.2
+};
+
+// kg CO2e released per kg landfilled (methane from materials that decompose)
+const LANDFILL_EMISSIONS = { paper: 0.6, textile: 0.4, wood: 0.2 };
+
+// displacement: share of a new purchase the reused item replaces
+// diversion: share of the item's mass kept out of landfill
+// transportKg: pickup / shipping / drop-off trip
+const ROUTE_FACTORS = {
+  ebay: { displacement: 0.6, diversion: 1, transportKg: 0.7 },
+  instant_offer: { displacement: 0.6, diversion: 1, transportKg: 0.7 },
+  local_pickup: { displacement: 0.6, diversion: 1, transportKg: 1.2 },
+  donation: { displacement: 0.4, diversion: 0.8, transportKg: 0.4 },
+  recycle: { displacement: 0, diversion: null, transportKg: 0.8 }
+};
+
+// EPA average passenger vehicle, kg CO2e per mile
+const KG_CO2E_PER_MILE = 0.4;
+
+// What an item is mostly made of when the analysis lists no materials
+const CATEGORY_MATERIALS = {
+  electronics: 'e_waste_device',
+  clothing: 'textile',
+  furniture: 'wood',
+  books: 'paper',
+  media: 'plastic',
+  toys: 'plastic'
+};
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Split the item's weight across its materials
+ * @returns {Array<{ material: string, weightKg: number }>}
+ */
+function estimateComposition(analysis = {}) {
+  const weightKg = estimateWeightLbs(analysis) * KG_PER_LB;
+  const rubric = getCategoryRubric(analysis.category).name;
+  if (rubric === 'electronics') return [{ material: 'e_waste_device', weightKg }];
+
+  const materials = (analysis.materials || [])
+    .slice(0, MATERIAL_SHARES.length)
+    .map(classifyMaterial)
+    .filter(m => m.material !== 'unknown');
+  if (!materials.length) {
+    const fromCategory = classifyMaterial(analysis.category);
+    const material = fromCategory.material !== 'unknown' ? fromCategory.material : (CATEGORY_MATERIALS[rubric] || 'unknown');
+    return [{ material, weightKg }];
+  }
+
+  const shares = materials.length === 1 ? [1] : MATERIAL_SHARES.slice(0, materials.length);
+  const total = shares.reduce((sum, share) => sum + share, 0);
+  return materials.map((m, index) => ({ material: m.material, weightKg: weightKg * shares[index] / total }));
+}
+
+/**
+ * CO2e and landfill mass a route avoids compared with the trash
+ * @param {Object} analysis - analyzeItem result
+ * @param {string} routeType - ebay | local_pickup | donation | instant_offer | recycle | ...
+ * @returns {Object} { co2eAvoidedKg, landfillAvoidedKg, weightKg, milesNotDriven, baseline: 'landfill' }
+ */
+function estimateImpact(analysis, routeType) {
+  const composition = estimateComposition(analysis);
+  const weightKg = composition.reduce((sum, c) => sum + c.weightKg, 0);
+  const factors = ROUTE_FACTORS[routeType];
+
+  if (!factors) {
+    return { co2eAvoidedKg: 0, landfillAvoidedKg: 0, weightKg: round1(weightKg), milesNotDriven: 0, baseline: 'landfill' };
+  }
+
+  let co2e = 0;
+  let landfillKg = 0;
+  composition.forEach(({ material, weightKg: kg }) => {
+    const recyclable = routeType !== 'recycle' || RECYCLING_CREDITS[material] !== undefined;
+    const diverted = kg * (factors.diversion ?? (recyclable ? 1 : 0));
+    co2e += kg * (MATERIAL_FOOTPRINTS[material] ?? MATERIAL_FOOTPRINTS.unknown) * factors.displacement;
+    if (routeType === 'recycle') co2e += diverted * (RECYCLING_CREDITS[material] || 0);
+    co2e += diverted * (LANDFILL_EMISSIONS[material] || 0);
+    landfillKg += diverted;
+  });
+  co2e -= factors.transportKg;
+
+  return {
+    co2eAvoidedKg: round1(co2e),
+    landfillAvoidedKg: round1(landfillKg),
+    weightKg: round1(weightKg),
+    milesNotDriven: Math.max(0, Math.round(co2e / KG_CO2E_PER_MILE)),
+    baseline: 'landfill'
+  };
+}
+
+/**
+ * Lifetime impact from a user's saved scans ({ analysis, routes, disposition? }).
+ * The route the user chose (`disposition.type`) counts when recorded, otherwise
+ * the recommended one; scans routed to the trash or safe disposal add nothing.
+ * @returns {Object} { scanCount, co2eAvoidedKg, landfillAvoidedKg, milesNotDriven, byRoute, basis }
+ */
+function summarizeImpact(scans = []) {
+  const summary = {
+    scanCount: 0,
+    co2eAvoidedKg: 0,
+    landfillAvoidedKg: 0,
+    milesNotDriven: 0,
+    byRoute: {},
+    basis: { chosen: 0, recommended: 0 }
+  };
+
+  scans.forEach(scan => {
+    if (!scan?.analysis || scan.analysis.error) return;
+    const chosen = scan.disposition?.type;
+    const routeType = chosen || scan.routes?.recommendedRoute?.type;
+    if (!routeType) return;
+
+    const route = [scan.routes?.recommendedRoute, ...(scan.routes?.alternativeRoutes || [])]
+      .find(r => r?.type === routeType);
+    const impact = route?.impact || estimateImpact(scan.analysis, routeType);
+
+    summary.scanCount++;
+    summary.basis[chosen ? 'chosen' : 'recommended']++;
+    summary.co2eAvoidedKg += impact.co2eAvoidedKg;
+    summary.landfillAvoidedKg += impact.landfillAvoidedKg;
+
+    const bucket = summary.byRoute[routeType] || (summary.byRoute[routeType] = { count: 0, co2eAvoidedKg: 0, landfillAvoidedKg: 0 });
+    bucket.count++;
+    bucket.co2eAvoidedKg = round1(bucket.co2eAvoidedKg + impact.co2eAvoidedKg);
+    bucket.landfillAvoidedKg = round1(bucket.landfillAvoidedKg + impact.landfillAvoidedKg);
+  });
+
+  summary.co2eAvoidedKg = round1(summary.co2eAvoidedKg);
+  summary.landfillAvoidedKg = round1(summary.landfillAvoidedKg);
+  summary.milesNotDriven = Math.max(0, Math.round(summary.co2eAvoidedKg / KG_CO2E_PER_MILE));
+  return summary;
+}
+
+module.exports = {
+  estimateImpact,
+  estimateComposition,
+  summarizeImpact,
+  MATERIAL_FOOTPRINTS,
+  RECYCLING_CREDITS,
+  ROUTE_FACTORS
+};
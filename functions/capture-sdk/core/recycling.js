@@ -0,0 +1,315 @@
+// capture-sdk/core/recycling.js
+// Material composition -> recycling streams, for items resale cannot place.
+// - Maps `materials` and salvageable components to streams (e-waste, batteries,
+//   scrap metal, textiles, #1-#7 plastics, paper, glass, wood)
+// - Estimates scrap value from a rough weight and per-pound scrap-yard payouts
+// - Drop-off guidance per stream for the `recycle` route (see routeDisposition.js)
+
+const { getCategoryRubric } = require('./conditionGrade.js');
+
+const RECYCLING_STREAMS = {
+  e_waste: {
+    label: 'E-waste',
+    dropOff: 'Take to a certified e-waste recycler (R2 or e-Stewards) or a retailer take-back program such as Best Buy or Staples; wipe personal data first'
+  },
+  batteries: {
+    label: 'Batteries',
+    dropOff: 'Drop off at a battery collection point (Call2Recycle, hardware stores); tape the terminals and never put batteries in curbside bins'
+  },
+  scrap_metal: {
+    label: 'Scrap metal',
+    dropOff: 'Sell to a local scrap yard - keep aluminum, copper and brass apart from steel for a better price'
+  },
+  textiles: {
+    label: 'Textiles',
+    dropOff: 'Textile recycling bin or a store take-back program; worn-out fabric is accepted if clean and dry'
+  },
+  plastics: {
+    label: 'Plastics',
+    dropOff: 'Check the resin code molded on the part - #1, #2 and #5 are widely accepted curbside'
+  },
+  paper: {
+    label: 'Paper & cardboard',
+    dropOff: 'Curbside recycling; flatten boxes and remove plastic windows and tape'
+  },
+  glass: {
+    label: 'Glass',
+    dropOff: 'Container glass goes curbside or to a glass drop-off; window, mirror and ceramic glass do not'
+  },
+  wood: {
+    label: 'Wood',
+    dropOff: 'Untreated solid wood: wood recycling or yard-waste drop-off; painted, treated or particleboard goes to bulk-item pickup'
+  },
+  landfill: {
+    label: 'No recycling stream',
+    dropOff: 'Search Earth911 for local options, or schedule a bulk-item pickup'
+  }
+};
+
+// Plastic resin identification codes. Abbreviations (PET, PP, PS) only count
+// next to "plastic" or a code - "pet bed" is not a bottle.
+const RESIN_CODES = {
+  1: { name: 'PET', abbreviations: ['pet', 'pete'], keywords: ['polyethylene terephthalate'], curbside: true },
+  2: { name: 'HDPE', abbreviations: ['hdpe'], keywords: ['high density polyethylene'], curbside: true },
+  3: { name: 'PVC', abbreviations: ['pvc'], keywords: ['vinyl', 'polyvinyl chloride'], curbside: false },
+  4: { name: 'LDPE', abbreviations: ['ldpe'], keywords: ['low density polyethylene', 'plastic film', 'plastic bag'], curbside: false, note: 'store drop-off for film and bags' },
+  5: { name: 'PP', abbreviations: ['pp'], keywords: ['polypropylene'], curbside: true },
+  6: { name: 'PS', abbreviations: ['ps'], keywords: ['polystyrene', 'styrofoam', 'foam packaging'], curbside: false, note: 'specialist foam drop-off only' },
+  7: { name: 'Other', abbreviations: ['abs', 'pc'], keywords: ['polycarbonate', 'fiberglass', 'bioplastic'], curbside: false }
+};
+
+// Rough US scrap-yard payouts in USD per pound ({ low, high }); override with options.scrapPrices
+const SCRAP_PRICES = {
+  copper: { low: 2.5, high: 3.5 },
+  copper_wire: { low: 0.8, high: 1.5 },
+  brass: { low: 1.5, high: 2.2 },
+  aluminum: { low: 0.45, high: 0.65 },
+  stainless_steel: { low: 0.3, high: 0.5 },
+  lead: { low: 0.3, high: 0.6 },
+  steel: { low: 0.03, high: 0.08 },
+  circuit_board: { low: 0.5, high: 2 },
+  electric_motor: { low: 0.15, high: 0.3 },
+  hard_drive: { low: 0.3, high: 0.6 },
+  e_waste_device: { low: 0, high: 0.25 },
+  textile: { low: 0, high: 0.05 }
+};
+
+// Checked in order: specific materials before the generic "metal" / "plastic"
+const MATERIAL_RULES = [
+  { material: 'circuit_board', stream: 'e_waste', keywords: ['circuit board', 'pcb', 'motherboard', 'logic board', 'mainboard', 'processor', 'cpu', 'ram'] },
+  { material: 'hard_drive', stream: 'e_waste', keywords: ['hard drive', 'hdd', 'ssd'] },
+  { material: 'electric_motor', stream: 'scrap_metal', keywords: ['motor', 'compressor'] },
+  { material: 'battery', stream: 'batteries', keywords: ['battery', 'batteries', 'lithium', 'li ion', 'lipo', 'nimh'] },
+  { material: 'e_waste_device', stream: 'e_waste', keywords: ['screen', 'display', 'lcd', 'led panel', 'power supply', 'charger', 'adapter'] },
+  { material: 'copper_wire', stream: 'scrap_metal', keywords: ['wire', 'wiring', 'cable', 'cord', 'power cord'] },
+  { material: 'copper', stream: 'scrap_metal', keywords: ['copper'] },
+  { material: 'brass', stream: 'scrap_metal', keywords: ['brass', 'bronze'] },
+  { material: 'aluminum', stream: 'scrap_metal', keywords: ['aluminum', 'aluminium'] },
+  { material: 'stainless_steel', stream: 'scrap_metal', keywords: ['stainless'] },
+  { material: 'lead', stream: 'scrap_metal', keywords: ['lead', 'pewter'] },
+  { material: 'steel', stream: 'scrap_metal', keywords: ['steel', 'iron', 'cast iron', 'chrome', 'metal', 'tin'] },
+  { material: 'textile', stream: 'textiles', keywords: ['cotton', 'wool', 'polyester', 'nylon', 'linen', 'silk', 'denim', 'fabric', 'fleece', 'rayon', 'spandex', 'cashmere', 'leather', 'canvas', 'upholstery', 'textile', 'acrylic'] },
+  { material: 'paper', stream: 'paper', keywords: ['paper', 'cardboard', 'paperboard', 'book', 'magazine'] },
+  { material: 'glass', stream: 'glass', keywords: ['glass'] },
+  { material: 'wood', stream: 'wood', keywords: ['wood', 'wooden', 'bamboo', 'oak', 'pine', 'teak', 'walnut', 'maple', 'mdf', 'particleboard', 'plywood'] },
+  { material: 'plastic', stream: 'plastics', keywords: ['plastic', 'polymer', 'silicone', 'rubber'] }
+];
+
+// Rough whole-item weights in pounds when the analysis has none
+const ITEM_WEIGHTS_LBS = [
+  { keywords: ['phone', 'smartwatch'], lbs: 0.4 },
+  { keywords: ['tablet'], lbs: 1.2 },
+  { keywords: ['laptop', 'notebook'], lbs: 5 },
+  { keywords: ['monitor'], lbs: 10 },
+  { keywords: ['television', 'tv'], lbs: 25 },
+  { keywords: ['desktop', 'computer tower', 'printer'], lbs: 18 },
+  { keywords: ['microwave', 'air conditioner'], lbs: 30 },
+  { keywords: ['vacuum', 'fan', 'heater'], lbs: 10 },
+  { keywords: ['bike', 'bicycle'], lbs: 28 },
+  { keywords: ['sofa', 'couch'], lbs: 90 },
+  { keywords: ['dresser', 'cabinet', 'bookcase'], lbs: 70 },
+  { keywords: ['table', 'desk'], lbs: 30 },
+  { keywords: ['chair', 'stool'], lbs: 15 },
+  { keywords: ['lamp'], lbs: 5 },
+  { keywords: ['pot', 'pan', 'skillet'], lbs: 3 },
+  { keywords: ['jacket', 'coat'], lbs: 2 },
+  { keywords: ['shoe', 'sneaker', 'boot'], lbs: 2 },
+  { keywords: ['shirt', 'dress', 'pants', 'jeans', 'sweater', 'clothing', 'apparel'], lbs: 1 },
+  { keywords: ['tool', 'drill', 'saw'], lbs: 4 },
+  { keywords: ['book'], lbs: 1 },
+  { keywords: ['toy'], lbs: 2 }
+];
+const DEFAULT_ITEM_WEIGHT_LBS = 5;
+
+// Typical weights of salvaged parts in pounds
+const COMPONENT_WEIGHTS_LBS = {
+  circuit_board: 0.5,
+  hard_drive: 1.2,
+  electric_motor: 3,
+  battery: 0.7,
+  e_waste_device: 2,
+  copper_wire: 0.5
+};
+
+// Share of the item's weight by position in `materials` (primary material first)
+const MATERIAL_SHARES = [0.7, 0.2, 0.1];
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+}
+
+function hasKeyword(text, keywords) {
+  const padded = ` ${text} `;
+  return keywords.some(keyword => padded.includes(` ${keyword} `) || padded.includes(` ${keyword}s `));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Resin code from "#5", "resin code 2", "PP plastic", "polypropylene"; null for generic plastic
+ */
+function resinCodeFor(text) {
+  const explicit = text.match(/(?:#|resin code |resin )([1-7])\b/);
+  if (explicit) return Number(explicit[1]);
+  const plasticContext = hasKeyword(text, ['plastic']);
+  const hit = Object.entries(RESIN_CODES).find(([, resin]) =>
+    hasKeyword(text, resin.keywords) || (plasticContext && hasKeyword(text, resin.abbreviations)));
+  return hit ? Number(hit[0]) : null;
+}
+
+/**
+ * Classify one material or component description
+ * @returns {{ material: string, stream: string, resinCode?: number }}
+ */
+function classifyMaterial(description) {
+  const text = normalizeText(description);
+  if (!text) return { material: 'unknown', stream: 'landfill' };
+
+  // A named resin is plastic even when the text also says "vinyl seat" or "foam"
+  const resinCode = resinCodeFor(text);
+  if (resinCode) return { material: 'plastic', stream: 'plastics', resinCode };
+
+  const rule = MATERIAL_RULES.find(r => hasKeyword(text, r.keywords));
+  if (!rule) return { material: 'unknown', stream: 'landfill' };
+  return { material: rule.material, stream: rule.stream };
+}
+
+/**
+ * Weight from specifications ("12 lbs", "5 kg") or the category table
+ */
+function estimateWeightLbs(analysis) {
+  const spec = String(analysis.specifications?.weight || '');
+  const match = spec.match(/(\d+(?:\.\d+)?)\s*(lb|lbs|pound|pounds|kg|kilogram|kilograms|oz|ounce|ounces|g|grams)\b/i);
+  if (match) {
+    const value = Number(match[1]);
+    const unit = match[2].toLowerCase();
+    if (unit.startsWith('kg') || unit.startsWith('kilo')) return round2(value * 2.2046);
+    if (unit.startsWith('oz') || unit.startsWith('ounce')) return round2(value / 16);
+    if (unit === 'g' || unit === 'grams') return round2(value / 453.6);
+    return value;
+  }
+  const text = normalizeText([analysis.category, analysis.functionalType].filter(Boolean).join(' '));
+  const hit = ITEM_WEIGHTS_LBS.find(entry => hasKeyword(text, entry.keywords));
+  return hit ? hit.lbs : DEFAULT_ITEM_WEIGHT_LBS;
+}
+
+function scrapValue(material, weightLbs, prices) {
+  const price = prices[material];
+  if (!price || !weightLbs) return { low: 0, high: 0 };
+  return { low: round2(price.low * weightLbs), high: round2(price.high * weightLbs) };
+}
+
+function componentWeight(component, classified) {
+  const explicit = Number(component.weightLbs ?? component.estimatedWeightLbs ?? component.weight);
+  if (Number.isFinite(explicit) && explicit > 0) return explicit;
+  return COMPONENT_WEIGHTS_LBS[classified.material] || 0;
+}
+
+/**
+ * Map an analysis to recycling streams with scrap values and drop-off guidance
+ * @param {Object} analysis - analyzeItem result (materials, salvageable, category, specifications)
+ * @param {Object} [options]
+ * @param {Object} [options.scrapPrices] - Per-material { low, high } USD/lb overrides
+ * @returns {Object} { primaryStream, streams, components, estimatedWeightLbs, estimatedScrapValue, dropOff }
+ */
+function classifyRecycling(analysis = {}, options = {}) {
+  const prices = { ...SCRAP_PRICES, ...(options.scrapPrices || {}) };
+  const weightLbs = estimateWeightLbs(analysis);
+  const isElectronics = getCategoryRubric(analysis.category).name === 'electronics';
+  const streams = new Map();
+
+  const addToStream = (stream, entry) => {
+    if (!streams.has(stream)) {
+      streams.set(stream, { stream, ...RECYCLING_STREAMS[stream], materials: [], scrapValue: { low: 0, high: 0 } });
+    }
+    const bucket = streams.get(stream);
+    bucket.materials.push(entry.name);
+    bucket.scrapValue.low = round2(bucket.scrapValue.low + entry.scrapValue.low);
+    bucket.scrapValue.high = round2(bucket.scrapValue.high + entry.scrapValue.high);
+    if (entry.resinCode) {
+      const resin = RESIN_CODES[entry.resinCode];
+      bucket.resinCodes = Array.from(new Set([...(bucket.resinCodes || []), entry.resinCode]));
+      if (!resin.curbside) bucket.dropOff = `#${entry.resinCode} ${resin.name} is rarely accepted curbside${resin.note ? ` - ${resin.note}` : ''}`;
+    }
+  };
+
+  // Salvageable parts someone can pull and sell or drop off separately
+  const components = (analysis.salvageable || []).map(part => {
+    const component = typeof part === 'string' ? { component: part } : part;
+    const name = component.component || component.part || 'Unknown part';
+    const classified = classifyMaterial(`${name} ${component.material || ''}`);
+    const weight = componentWeight(component, classified);
+    return {
+      component: name,
+      ...classified,
+      streamLabel: RECYCLING_STREAMS[classified.stream].label,
+      estimatedWeightLbs: weight || null,
+      scrapValue: scrapValue(classified.material, weight, prices)
+    };
+  });
+
+  if (isElectronics) {
+    // Whole devices go to e-waste; pulled boards, motors and wire are worth more on their own
+    const partsValue = components.reduce((sum, c) => sum + c.scrapValue.high, 0);
+    const device = scrapValue('e_waste_device', weightLbs, prices);
+    addToStream('e_waste', { name: analysis.category || 'device', scrapValue: partsValue > device.high ? { low: 0, high: 0 } : device });
+  } else {
+    (analysis.materials || []).slice(0, MATERIAL_SHARES.length).forEach((material, index) => {
+      const classified = classifyMaterial(material);
+      const share = (analysis.materials.length === 1 ? 1 : MATERIAL_SHARES[index]) * weightLbs;
+      addToStream(classified.stream, {
+        name: material,
+        resinCode: classified.resinCode,
+        scrapValue: scrapValue(classified.material, share, prices)
+      });
+    });
+  }
+
+  components.forEach(c => addToStream(c.stream, { name: c.component, resinCode: c.resinCode, scrapValue: c.scrapValue }));
+
+  if (isElectronics && !streams.has('batteries') &&
+      hasKeyword(normalizeText(analysis.category), ['laptop', 'phone', 'tablet', 'smartwatch', 'camera', 'drone'])) {
+    addToStream('batteries', { name: 'built-in battery', scrapValue: { low: 0, high: 0 } });
+  }
+
+  if (streams.size > 1) streams.delete('landfill');
+  if (!streams.size) addToStream('landfill', { name: analysis.category || 'item', scrapValue: { low: 0, high: 0 } });
+
+  const list = Array.from(streams.values())
+    .sort((a, b) => b.scrapValue.high - a.scrapValue.high || (a.stream === 'landfill') - (b.stream === 'landfill'));
+  const primary = isElectronics ? streams.get('e_waste') : list[0];
+
+  return {
+    primaryStream: primary.stream,
+    streams: list,
+    components,
+    estimatedWeightLbs: weightLbs,
+    estimatedScrapValue: {
+      low: round2(list.reduce((sum, s) => sum + s.scrapValue.low, 0)),
+      high: round2(list.reduce((sum, s) => sum + s.scrapValue.high, 0)),
+      currency: 'USD'
+    },
+    recyclable: list.some(s => s.stream !== 'landfill'),
+    dropOff: list.map(s => `${s.label}: ${s.dropOff}`)
+  };
+}
+
+/**
+ * The classification stored on the analysis, or a fresh one for older analyses
+ */
+function resolveRecycling(itemData = {}) {
+  return itemData.recycling?.primaryStream ? itemData.recycling : classifyRecycling(itemData);
+}
+
+module.exports = {
+  classifyRecycling,
+  resolveRecycling,
+  classifyMaterial,
+  estimateWeightLbs,
+  MATERIAL_SHARES,
+  RECYCLING_STREAMS,
+  RESIN_CODES,
+  SCRAP_PRICES
+};
@@ -1,9 +1,35 @@
 // capture-sdk/core/routeDisposition.js - FIXED CommonJS version
 
 // ✅ FIXED: Use CommonJS require instead of ES modules
-const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { computeFieldConfidence } = require('./confidence.js');
+const { createProgressEmitter } = require('../utils/progress.js');
+const { gradeCondition, conditionPriceMultiplier } = require('./conditionGrade.js');
+const { resolveAuthenticity } = require('./authenticity.js');
+const { resolveSafety } = require('../safety/index.js');
+const { resolveRecycling } = require('./recycling.js');
+const { estimateImpact } = require('./impact.js');
+const { resolveLocale, formatCurrency } = require('../utils/locale.js');
+const { createPricingEngine } = require('../pricing/index.js');
+const { getEbayAccessToken } = require('../pricing/ebayBrowseSource.js');
+const { estimateShippingCost } = require('../pricing/costs.js');
+const { routeProceeds, rankRoutes } = require('../pricing/proceeds.js');
+const { calculateOffer } = require('../integrations/instantOffer/offerCalculator.js');
+const { createRoutingPolicy, SALE_ROUTES } = require('../routing/index.js');
 
-async function routeDisposition(itemData, userPreferences = {}, ebayConfig = null) {
+/**
+ * @param {Object} [userPreferences] - The user's routing policy values (goal, minProfit, maxEffort, willShip,
+ *   hourlyRate, preferredCharities, alwaysDonateCategories...; see routing/); routes are ranked by
+ *   expected net value (see pricing/proceeds.js)
+ * @param {Object} [options]
+ * @param {RoutingPolicy} [options.routing] - Operator policy and rules (defaults to the built-in policy)
+ * @param {Object} [options.calibration] - Confidence calibration table (see core/confidence.js)
+ * @param {SafetyScreener|null} [options.safety] - Screener for analyses without `safety` (null skips screening)
+ * @param {Function} [options.onProgress] - Called with { phase: 'getRoutes', step, ... }: comparables, done
+ * @param {string} [options.locale] - Picks the eBay marketplace and currency (defaults to the analysis locale)
+ * @param {PricingEngine} [options.pricing] - Prices the item (defaults to eBay Browse comparables when
+ *   ebayConfig has credentials, then the category estimate; see pricing/)
+ */
+async function routeDisposition(itemData, userPreferences = {}, ebayConfig = null, options = {}) {
   console.log('🎯 routeDisposition called with:', {
     category: itemData.category,
     brand: itemData.brand,
@@ -11,9 +37,29 @@ async function routeDisposition(itemData, userPreferences = {}, ebayConfig = nul
     hasEbayConfig: !!ebayConfig
   });
 
+  const emit = createProgressEmitter(options.onProgress, { phase: 'getRoutes' });
+  const locale = resolveLocale(options.locale || itemData.locale);
+  // An explicit ebayConfig.marketplaceId wins over the locale's marketplace
+  const marketplaceConfig = ebayConfig && { marketplaceId: locale.marketplaceId, ...ebayConfig };
+  const marketplaceId = marketplaceConfig?.marketplaceId || locale.marketplaceId;
+  // Resolved up front; invalid stored preferences are dropped and reported in routing.decisions
+  const routing = options.routing || createRoutingPolicy();
+  const resolvedPolicy = routing.resolve(userPreferences);
+
   try {
-    // Get market pricing - this will now use REAL eBay API if available
-    const marketAnalysis = await getMarketPrice(itemData, ebayConfig);
+    // Same engine prices every route, listing and offer
+    const pricing = options.pricing || createPricingEngine({ ebay: marketplaceConfig });
+    const marketAnalysis = await pricing.price(itemData, { marketplaceId, locale: locale.code });
+    emit('comparables', {
+      source: marketAnalysis.source,
+      suggested: marketAnalysis.suggested,
+      priceRange: marketAnalysis.priceRange || null,
+      percentiles: marketAnalysis.percentiles || null,
+      sampleSize: marketAnalysis.sampleSize || 0,
+      searchQuery: marketAnalysis.searchQuery || null,
+      matchType: marketAnalysis.matchType || null,
+      comparableItems: marketAnalysis.comparableItems || []
+    });
     
     console.log('💰 Market analysis result:', {
       suggested: marketAnalysis.suggested,
@@ -21,14 +67,45 @@ async function routeDisposition(itemData, userPreferences = {}, ebayConfig = nul
       confidence: marketAnalysis.confidence
     });
 
+    // Re-score confidence now that comparables and their price spread are known
+    const fieldConfidence = computeFieldConfidence(itemData, {
+      marketAnalysis,
+      calibration: options.calibration
+    });
+
     // Calculate routes based on market analysis
-    const routes = calculateRoutes(itemData, marketAnalysis, userPreferences);
+    const authenticity = resolveAuthenticity(itemData);
+    const safety = await resolveSafety(itemData, options.safety);
+    // The offer the instant-offer integration would make, priced from the same market analysis
+    const offer = await calculateOffer({
+      ...itemData,
+      pricing: marketAnalysis,
+      authenticity,
+      ...(safety && { safety })
+    });
+    const routes = calculateRoutes(itemData, marketAnalysis, userPreferences, fieldConfidence, authenticity, safety, offer, {
+      routing,
+      resolved: resolvedPolicy,
+      locale: locale.code
+    });
+    // CO2e and landfill mass each route avoids vs. the trash
+    [routes.primary, ...routes.alternatives].forEach(route => {
+      route.impact = estimateImpact(itemData, route.type);
+    });
+    emit('done', { recommendedRoute: routes.primary });
     
     return {
       recommendedRoute: routes.primary,
       alternativeRoutes: routes.alternatives,
+      fieldConfidence,
+      authenticity,
+      safety,
+      instantOffer: routes.instantOffer,
+      routing: routes.routing,
       marketAnalysis: {
         estimatedValue: marketAnalysis,
+        marketplaceId,
+        currency: marketAnalysis.currency,
         dataSource: marketAnalysis.source,
         searchQuery: marketAnalysis.searchQuery,
         confidence: marketAnalysis.confidence
@@ -36,505 +113,309 @@ async function routeDisposition(itemData, userPreferences = {}, ebayConfig = nul
     };
   } catch (error) {
     console.error('❌ Route disposition failed:', error);
-    
-    // Fallback to basic routing
-    return {
-      recommendedRoute: {
-        type: "donation",
-        priority: 1,
-        estimatedReturn: 0,
-        timeToMoney: "immediate",
-        effort: "low",
-        reason: "Analysis failed, defaulting to donation"
-      },
-      marketAnalysis: {
-        estimatedValue: {
-          suggested: null,
-          confidence: 'low',
-          source: 'error_fallback',
-          reason: error.message
-        }
-      }
-    };
+    return fallbackDisposition(itemData, error, { resolved: resolvedPolicy, marketplaceId, locale });
   }
 }
 
-// Enhanced market pricing that uses REAL eBay API
-async function getMarketPrice(itemData, ebayConfig) {
-  console.log('🛒 Getting market price with eBay config:', !!ebayConfig);
-  
-  // If we have eBay config, try the real eBay API first
-  if (ebayConfig && ebayConfig.clientId && ebayConfig.clientSecret) {
-    try {
-      console.log('🛒 Attempting eBay API pricing...');
-      const ebayResult = await getEbayMarketPricing(itemData, ebayConfig);
-      
-      if (ebayResult.suggested && ebayResult.suggested > 0) {
-        console.log('✅ eBay API pricing successful:', ebayResult.source);
-        return ebayResult;
-      } else {
-        console.log('⚠️ eBay API returned no valid price, falling back to manual');
-      }
-    } catch (error) {
-      console.error('❌ eBay API failed, falling back to manual:', error.message);
-    }
-  } else {
-    console.log('⚠️ No eBay config available, using manual pricing');
-  }
-  
-  // Fallback to existing price estimation
-  const manualPrice = getEnhancedManualEstimate(itemData);
+/**
+ * Donation-only result in the same shape as a routed one, for when pricing or routing fails
+ */
+function fallbackDisposition(itemData, error, { resolved, marketplaceId, locale }) {
+  const estimatedValue = {
+    suggested: null,
+    currency: locale.currency,
+    confidence: 'low',
+    source: 'error_fallback',
+    reason: error.message
+  };
+  const proceeds = routeProceeds('donation', {
+    itemData,
+    marketAnalysis: estimatedValue,
+    preferences: { hourlyRate: resolved.values.hourlyRate, sellWithinDays: resolved.values.sellWithinDays }
+  });
+  const [donation] = rankRoutes([{
+    type: "donation",
+    timeToMoney: "immediate",
+    effort: "minimal",
+    estimatedReturn: proceeds.cashIfSold,
+    expectedNetValue: proceeds.expectedNetValue,
+    proceeds,
+    reason: "Analysis failed, defaulting to donation",
+    impact: estimateImpact(itemData, 'donation')
+  }]);
+
   return {
-    suggested: manualPrice,
-    confidence: 'medium',
-    source: 'enhanced_manual',
-    priceRange: {
-      low: Math.round(manualPrice * 0.7),
-      high: Math.round(manualPrice * 1.3),
-      median: manualPrice
+    recommendedRoute: donation,
+    alternativeRoutes: [],
+    fieldConfidence: null,
+    authenticity: null,
+    safety: null,
+    instantOffer: { eligible: false, reason: 'Analysis failed' },
+    routing: {
+      policy: resolved.values,
+      sources: resolved.sources,
+      decisions: [
+        ...invalidPolicyDecisions(resolved.invalid),
+        { rule: 'fallback', route: 'donation', outcome: 'fallback', reason: `Analysis failed - ${error.message}` }
+      ],
+      excluded: []
     },
-    shippingCost: calculateShippingCost(itemData),
-    ebayFees: Math.round((manualPrice * 0.1325) * 100) / 100,
-    netProfit: Math.round((manualPrice - calculateShippingCost(itemData) - (manualPrice * 0.1325)) * 100) / 100,
-    note: 'Based on enhanced category analysis and brand recognition'
+    marketAnalysis: {
+      estimatedValue,
+      marketplaceId,
+      currency: estimatedValue.currency,
+      dataSource: estimatedValue.source,
+      searchQuery: null,
+      confidence: 'low'
+    }
   };
 }
 
-// ✅ BRAND-AWARE manual pricing
-function getEnhancedManualEstimate(itemData) {
-  console.log('Using enhanced manual pricing for:', {
-    category: itemData.category,
-    brand: itemData.brand,
-    condition: itemData.condition?.rating
-  });
+/**
+ * Decisions for stored preferences the policy dropped as invalid
+ */
+function invalidPolicyDecisions(invalid = []) {
+  return invalid.map(({ field, reason }) => ({
+    rule: 'policy',
+    route: null,
+    field,
+    outcome: 'invalid',
+    reason: `Ignored ${field}: ${reason}`
+  }));
+}
 
-  // Base category pricing
-  const categoryPricing = {
-    'electronics': 45,
-    'furniture': 35,
-    'clothing': 15,
-    'footwear': 25,
-    'tools': 25,
-    'books': 8,
-    'toys': 12,
-    'jewelry': 35,
-    'automotive': 40,
-    'sporting goods': 20,
-    'home & garden': 18,
-    'collectibles': 25
-  };
+// Accepts a rating string or a graded condition object
+function getConditionMultiplier(condition) {
+  return conditionPriceMultiplier(condition);
+}
 
-  const category = itemData.category?.toLowerCase() || 'unknown';
-  let basePrice = categoryPricing[category] || 20;
+function calculateShippingCost(itemData) {
+  return estimateShippingCost(itemData);
+}
 
-  // ✅ IKEA-aware brand multipliers
-  let brandMultiplier = 1.0;
-  if (itemData.brand && itemData.brand !== 'Unknown') {
-    const brand = itemData.brand.toLowerCase();
-    
-    // IKEA gets realistic pricing
-    if (brand.includes('ikea')) {
-      brandMultiplier = 0.4; // IKEA furniture is typically 40% of generic furniture pricing
-      console.log('🏷️ IKEA detected - applying 0.4x multiplier');
-    }
-    // Premium brands
-    else if (['apple', 'samsung', 'sony', 'nike', 'adidas'].some(premium => brand.includes(premium))) {
-      brandMultiplier = 2.0;
-    }
-    // Good brands
-    else if (['hp', 'dell', 'canon', 'levi', 'gap'].some(good => brand.includes(good))) {
-      brandMultiplier = 1.3;
-    }
-    // Any other known brand
-    else {
-      brandMultiplier = 1.1;
-    }
-  }
+/**
+ * Candidate routes priced by their proceeds, filtered by the routing policy and ranked
+ * @param {Object} [policyOptions] - { routing: RoutingPolicy, resolved (routing.resolve result), locale }
+ * @returns {Object} { primary, alternatives, instantOffer, routing: { policy, sources, decisions, excluded } }
+ */
+function calculateRoutes(itemData, marketAnalysis, userPreferences, fieldConfidence = null, authenticity = null, safety = null, offer = null, policyOptions = {}) {
+  const routing = policyOptions.routing || createRoutingPolicy();
+  const { values: policy, sources, invalid } = policyOptions.resolved || routing.resolve(userPreferences);
+  const suggestedPrice = marketAnalysis.suggested || 0;
+  const recycleRoute = buildRecycleRoute(resolveRecycling(itemData));
+  const usable = isUsable(itemData);
+  const highAuthenticityRisk = authenticity?.risk === 'high';
 
-  // Condition multiplier
-  const conditionMultipliers = {
-    'excellent': 1.0,
-    'good': 0.85,
-    'fair': 0.65,
-    'poor': 0.35
+  // Every route carries its proceeds breakdown; estimatedReturn is the cash it brings in
+  const withProceeds = (route, amount = 0) => {
+    const proceeds = routeProceeds(route.type, {
+      itemData,
+      marketAnalysis,
+      amount,
+      preferences: { hourlyRate: policy.hourlyRate, sellWithinDays: policy.sellWithinDays }
+    });
+    return { ...route, estimatedReturn: proceeds.cashIfSold, expectedNetValue: proceeds.expectedNetValue, proceeds };
   };
-  
-  const condition = itemData.condition?.rating || 'good';
-  const conditionMultiplier = conditionMultipliers[condition] || 0.75;
-
-  const suggestedPrice = Math.round(basePrice * brandMultiplier * conditionMultiplier);
-  
-  console.log('💰 Enhanced pricing calculation:', {
-    basePrice,
-    brandMultiplier,
-    conditionMultiplier,
-    suggestedPrice
-  });
 
-  return suggestedPrice;
-}
-
-// REAL eBay API implementation with condition awareness
-async function getEbayMarketPricing(itemData, ebayConfig) {
-  console.log('🛒 Starting condition-aware eBay API market pricing...');
-  console.log('📋 Item condition:', itemData.condition?.rating || 'unknown');
-  
-  // Get eBay access token
-  const accessToken = await getEbayAccessToken(ebayConfig);
-  
-  // Build enhanced search query
-  const query = buildEnhancedSearchQuery(itemData);
-  console.log(`🔍 Enhanced eBay search query: "${query}"`);
-  
-  if (!query.trim()) {
-    throw new Error('No valid search terms could be generated');
+  const candidates = [
+    withProceeds({ type: "donation", timeToMoney: "immediate", effort: "minimal" }),
+    withProceeds({
+      type: "local_pickup",
+      timeToMoney: "1-3 days",
+      effort: "low",
+      ...(highAuthenticityRisk && { disclaimers: [authenticity.disclaimer] })
+    })
+  ];
+  if (suggestedPrice) {
+    const ebayRoute = withProceeds({
+      type: "ebay",
+      timeToMoney: "7-14 days",
+      effort: "medium",
+      // Possible counterfeit: anything listed says it is unverified
+      ...(highAuthenticityRisk && { authenticityRisk: 'high', disclaimers: [authenticity.disclaimer] })
+    });
+    // Costs from the same proceeds as estimatedReturn, so netProfit includes packaging too
+    const { proceeds } = ebayRoute;
+    candidates.push({
+      ...ebayRoute,
+      details: {
+        listingPrice: suggestedPrice,
+        estimatedFees: proceeds.fees.total,
+        shippingCost: proceeds.shipping.cost,
+        packaging: proceeds.packaging,
+        netProfit: proceeds.cashIfSold,
+        priceRange: marketAnalysis.range || null
+      }
+    });
   }
-  
-  // Search eBay with condition filtering
-  const items = await searchEbayItemsWithCondition(query, accessToken, ebayConfig, itemData.condition);
-  
-  if (items.length === 0) {
-    throw new Error(`No similar items found for "${query}"`);
+  if (offer?.isEligible) {
+    candidates.push(withProceeds({
+      type: "instant_offer",
+      timeToMoney: "3-5 days",
+      effort: "low",
+      details: { offerAmount: offer.amount, ...offer.breakdown }
+    }, offer.amount));
   }
-  
-  // Analyze prices with condition awareness
-  const priceAnalysis = analyzeConditionAwarePricing(items, itemData.condition, query);
-  
-  if (!priceAnalysis) {
-    throw new Error('No valid prices found in search results');
+  if (recycleRoute) {
+    candidates.push(withProceeds(recycleRoute, recycleRoute.estimatedReturn));
   }
-  
-  // Calculate additional costs
-  const shippingCost = calculateShippingCost(itemData);
-  const ebayFees = Math.round((priceAnalysis.suggestedPrice * 0.1325) * 100) / 100;
-  const netProfit = Math.round((priceAnalysis.suggestedPrice - shippingCost - ebayFees) * 100) / 100;
-  
-  const result = {
-    suggested: priceAnalysis.suggestedPrice,
-    confidence: priceAnalysis.sampleSize >= 5 ? 'high' : 'medium',
-    priceRange: {
-      low: priceAnalysis.min,
-      high: priceAnalysis.max,
-      median: priceAnalysis.median,
-      average: Math.round(priceAnalysis.average)
-    },
-    shippingCost: shippingCost,
-    ebayFees: ebayFees,
-    netProfit: netProfit,
-    sampleSize: priceAnalysis.sampleSize,
-    searchQuery: query,
-    source: 'ebay_api_condition_aware',
-    conditionMatched: true,
-    conditionDistribution: priceAnalysis.conditionDistribution,
-    note: `Based on ${priceAnalysis.sampleSize} condition-matched eBay listings`,
-    comparableItems: items.slice(0, 3).map(item => ({
-      title: item.title,
-      price: parseFloat(item.price?.value || 0),
-      url: item.itemWebUrl,
-      condition: item.condition || 'Not specified'
-    }))
-  };
-  
-  console.log('✅ Condition-aware eBay pricing complete:', {
-    suggested: result.suggested,
-    netProfit: result.netProfit,
-    source: result.source,
-    sampleSize: result.sampleSize,
-    conditionMatched: result.conditionMatched
-  });
-  
-  return result;
-}
 
-// ✅ BRAND-AWARE search query builder
-function buildEnhancedSearchQuery(itemData) {
-  console.log('🔍 Building enhanced search query for:', {
-    category: itemData.category,
-    brand: itemData.brand,
-    materials: itemData.materials,
-    keyFeatures: itemData.keyFeatures
-  });
-  
-  const queryParts = [];
-  const excludeGeneric = ['unknown', 'generic', 'see photos', 'item', 'object'];
-  
-  // 1. Use specific category (most important)
-  if (itemData.category && 
-      !excludeGeneric.some(term => itemData.category.toLowerCase().includes(term))) {
-    queryParts.push(itemData.category);
-  }
-  
-  // 2. Add brand if it's meaningful (INCLUDING IKEA!)
-  if (itemData.brand && 
-      !excludeGeneric.some(term => itemData.brand.toLowerCase().includes(term)) &&
-      itemData.brand.length > 2) {
-    queryParts.push(itemData.brand);
-    console.log('✅ Added brand to search:', itemData.brand);
-  }
-  
-  // 3. Add primary material if distinctive
-  if (itemData.materials && itemData.materials.length > 0) {
-    const primaryMaterial = itemData.materials[0];
-    if (primaryMaterial && 
-        !['unknown', 'generic'].includes(primaryMaterial.toLowerCase()) &&
-        !queryParts.some(part => part.toLowerCase().includes(primaryMaterial.toLowerCase()))) {
-      queryParts.push(primaryMaterial);
-    }
+  // Nobody can use a broken item - when nothing is worth selling, its materials go to the right stream
+  const fallbackType = !usable && recycleRoute ? 'recycle' : 'donation';
+  const context = { itemData, marketAnalysis, policy, locale: policyOptions.locale };
+  const { allowed, excluded, decisions } = routing.evaluate(candidates, context);
+  decisions.unshift(...invalidPolicyDecisions(invalid));
+  if (!allowed.length) {
+    // The item has to go somewhere: the give-away route stays whatever the rules say
+    const fallback = excluded.find(route => route.type === fallbackType) || excluded.find(route => route.type === 'donation');
+    excluded.splice(excluded.indexOf(fallback), 1);
+    const { excludedBy, ...route } = fallback;
+    allowed.push(route);
+    decisions.push({ rule: 'fallback', route: route.type, outcome: 'fallback', reason: 'Every route was excluded - kept as the fallback' });
   }
-  
-  const query = queryParts.join(' ').trim();
-  console.log('🎯 Enhanced query built:', `"${query}"`);
-  
-  return query;
-}
 
-// Helper functions (keeping the same as before)
-function mapConditionToEbayFilters(itemCondition) {
-  const condition = itemCondition?.rating?.toLowerCase() || 'good';
-  
-  const conditionMappings = {
-    'excellent': {
-      primary: ['1000', '1500', '2000'],
-      fallback: ['2500', '3000'],
-      description: 'excellent to new condition'
-    },
-    'good': {
-      primary: ['2500', '3000'],
-      fallback: ['2000', '4000'],
-      description: 'good to very good condition'
-    },
-    'fair': {
-      primary: ['3000', '4000'],
-      fallback: ['2500', '5000'],
-      description: 'fair to acceptable condition'
-    },
-    'poor': {
-      primary: ['4000', '5000', '7000'],
-      fallback: ['3000'],
-      description: 'poor to for parts condition'
-    }
-  };
-  
-  return conditionMappings[condition] || conditionMappings['good'];
-}
+  const [best, ...alternatives] = rankRoutes(allowed, fallbackType);
+  let primaryRoute = best;
+  const alwaysDonate = decisions.find(d => d.rule === 'always_donate');
 
-async function searchEbayItemsWithCondition(query, accessToken, ebayConfig, itemCondition) {
-  const apiUrl = ebayConfig.environment === 'sandbox'
-    ? 'https://api.sandbox.ebay.com'
-    : 'https://api.ebay.com';
-  
-  const conditionMapping = mapConditionToEbayFilters(itemCondition);
-  
-  console.log(`🔍 Searching eBay with condition filter for ${itemCondition?.rating || 'unknown'} condition`);
-  console.log(`📋 Using eBay condition IDs: ${conditionMapping.primary.join(', ')}`);
-  
-  let items = await performEbaySearch(query, accessToken, apiUrl, conditionMapping.primary);
-  
-  if (items.length < 5 && conditionMapping.fallback.length > 0) {
-    console.log(`⚠️ Only ${items.length} items found with primary conditions, expanding search...`);
-    const expandedConditions = [...conditionMapping.primary, ...conditionMapping.fallback];
-    items = await performEbaySearch(query, accessToken, apiUrl, expandedConditions);
-    console.log(`📈 Expanded search found ${items.length} items`);
+  if (primaryRoute.type === 'donation' && alwaysDonate) {
+    primaryRoute.reason = alwaysDonate.reason;
+  } else if (primaryRoute.expectedNetValue <= 0 && !SALE_ROUTES.includes(primaryRoute.type)) {
+    // Worth selling, but not on any terms the policy allows
+    const ruledOut = candidates.some(route => SALE_ROUTES.includes(route.type) && route.expectedNetValue > 0);
+    const lead = ruledOut ? 'No sale route fits the routing policy' : 'Low resale value';
+    primaryRoute.reason = primaryRoute.type === 'recycle'
+      ? `${lead}${ruledOut ? '' : ' and not usable as-is'} - recycle the materials`
+      : `${lead} - better suited for donation`;
+  } else if (['ebay', 'local_pickup'].includes(primaryRoute.type) && fieldConfidence &&
+    (fieldConfidence.level === 'low' || fieldConfidence.fields.price.level === 'low')) {
+    // Listing a misidentified or mispriced item costs a return - ask the user to confirm first
+    const weakFields = Object.entries(fieldConfidence.fields)
+      .filter(([field, f]) => f.level === 'low' && (!['brand', 'model'].includes(field) || f.score > 0))
+      .map(([field]) => field);
+    primaryRoute.requiresReview = true;
+    primaryRoute.reviewFields = weakFields;
+    primaryRoute.reason = `Confirm ${weakFields.join(', ') || 'item details'} before listing - low confidence`;
   }
-  
-  if (items.length < 3) {
-    console.log(`⚠️ Still only ${items.length} items found, searching without condition filter...`);
-    items = await performEbaySearch(query, accessToken, apiUrl, []);
-    console.log(`🔓 Unrestricted search found ${items.length} items`);
-  }
-  
-  return items;
-}
 
-async function performEbaySearch(query, accessToken, apiUrl, conditionIds = []) {
-  const searchUrl = `${apiUrl}/buy/browse/v1/item_summary/search`;
-  const params = new URLSearchParams({
-    q: query,
-    limit: '25'
-  });
-  
-  if (conditionIds.length > 0) {
-    const conditionFilter = `conditionIds:{${conditionIds.join('|')}}`;
-    params.append('filter', conditionFilter);
-    console.log(`🏷️ Applied condition filter: ${conditionFilter}`);
-  }
-  
-  console.log(`🔍 eBay API call: ${searchUrl}?${params}`);
-  
-  const response = await fetch(`${searchUrl}?${params}`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US',
-      'Accept': 'application/json'
-    }
+  decisions.push({
+    rule: 'rank',
+    route: primaryRoute.type,
+    outcome: 'selected',
+    reason: primaryRoute.reason ||
+      `Highest expected value: ${formatCurrency(primaryRoute.expectedNetValue, policyOptions.locale)} after fees, shipping and time`
   });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`eBay search failed: ${response.status} - ${errorText}`);
-  }
-  
-  const data = await response.json();
-  const items = data.itemSummaries || [];
-  
-  console.log(`✅ Found ${items.length} items${conditionIds.length ? ' with condition filter' : ' (no condition filter)'}`);
-  return items;
-}
+  const routingResult = {
+    policy,
+    sources,
+    decisions,
+    excluded: excluded.map(route => ({ type: route.type, expectedNetValue: route.expectedNetValue, reasons: route.excludedBy }))
+  };
 
-function analyzeConditionAwarePricing(items, itemCondition, query) {
-  const prices = items
-    .map(item => ({
-      price: parseFloat(item.price?.value || 0),
-      condition: item.condition,
-      title: item.title
-    }))
-    .filter(item => item.price > 0);
-  
-  if (prices.length === 0) {
-    return null;
+  let instantOffer = offer?.isEligible
+    ? { eligible: true, amount: offer.amount, breakdown: offer.breakdown }
+    : { eligible: false, reason: offer?.reason || 'No offer available', ...(offer?.reasons && { reasons: offer.reasons }) };
+
+  // Recalled, expired or prohibited: drop the routes the item cannot take (see safety/)
+  if (safety?.warnings?.length) {
+    const screened = applySafetyScreening(primaryRoute, alternatives, safety);
+    primaryRoute = screened.primary;
+    if (safety.blockedRoutes.includes('instant_offer')) {
+      const blocking = safety.warnings.find(w => w.blockedRoutes.includes('instant_offer'));
+      instantOffer = { eligible: false, reason: blocking.title, reasons: [blocking.message] };
+    }
+    return { primary: primaryRoute, alternatives: screened.alternatives, instantOffer, routing: routingResult };
   }
   
-  const conditionCounts = prices.reduce((acc, item) => {
-    const condition = item.condition || 'Unknown';
-    acc[condition] = (acc[condition] || 0) + 1;
-    return acc;
-  }, {});
-  
-  console.log('📊 Condition distribution in results:', conditionCounts);
-  
-  const sortedPrices = prices.map(p => p.price).sort((a, b) => a - b);
-  
-  const median = sortedPrices[Math.floor(sortedPrices.length / 2)];
-  const average = sortedPrices.reduce((a, b) => a + b, 0) / sortedPrices.length;
-  
-  const conditionMultiplier = getConditionMultiplier(itemCondition?.rating || 'good');
-  const suggestedPrice = Math.round(median * conditionMultiplier);
-  
-  console.log('💰 Condition-aware pricing:', {
-    medianFromEbay: median,
-    conditionMultiplier: conditionMultiplier,
-    finalSuggestedPrice: suggestedPrice,
-    sampleSize: prices.length
-  });
-  
   return {
-    median,
-    average,
-    min: sortedPrices[0],
-    max: sortedPrices[sortedPrices.length - 1],
-    suggestedPrice,
-    sampleSize: prices.length,
-    conditionDistribution: conditionCounts,
-    conditionAdjusted: true
+    primary: primaryRoute,
+    alternatives: alternatives,
+    instantOffer,
+    routing: routingResult
   };
 }
 
-async function getEbayAccessToken(ebayConfig) {
-  const basicAuth = Buffer.from(`${ebayConfig.clientId}:${ebayConfig.clientSecret}`).toString('base64');
-  
-  const tokenUrl = ebayConfig.environment === 'sandbox'
-    ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-    : 'https://api.ebay.com/identity/v1/oauth2/token';
-  
-  console.log('🔑 Getting eBay access token...');
-  
-  const response = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${basicAuth}`
-    },
-    body: new URLSearchParams({
-      grant_type: 'client_credentials',
-      scope: 'https://api.ebay.com/oauth/api_scope'
-    })
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`eBay token request failed: ${response.status} - ${errorText}`);
-  }
-  
-  const data = await response.json();
-  console.log('✅ eBay access token acquired');
-  return data.access_token;
+/**
+ * Usable as-is: not marked unusable, not graded for parts, not rated poor
+ */
+function isUsable(itemData) {
+  if (itemData.condition?.usableAsIs === false) return false;
+  const grade = gradeCondition(itemData.condition || 'good', { category: itemData.category });
+  return !grade.forParts && grade.rating !== 'poor';
 }
 
-function getConditionMultiplier(condition) {
-  const multipliers = {
-    'excellent': 1.0,
-    'good': 0.85,
-    'fair': 0.65,
-    'poor': 0.35
+/**
+ * Recycle route from the recycling classification (see core/recycling.js); null when
+ * no material has a stream
+ */
+function buildRecycleRoute(recycling) {
+  if (!recycling?.recyclable) return null;
+  const scrap = recycling.estimatedScrapValue;
+  return {
+    type: 'recycle',
+    estimatedReturn: Math.round(((scrap.low + scrap.high) / 2) * 100) / 100,
+    timeToMoney: scrap.high > 0 ? '1-3 days' : 'immediate',
+    effort: 'medium',
+    stream: recycling.primaryStream,
+    streams: recycling.streams
+      .filter(s => s.stream !== 'landfill')
+      .map(s => ({ stream: s.stream, label: s.label, materials: s.materials, scrapValue: s.scrapValue })),
+    scrapValue: scrap,
+    dropOff: recycling.dropOff
   };
-  return multipliers[condition] || 0.75;
 }
 
-function calculateShippingCost(itemData) {
-  const shippingRates = {
-    'electronics': 12,
-    'clothing': 6,
-    'furniture': 25,
-    'tools': 15,
-    'sporting goods': 18,
-    'books': 4,
-    'toys': 8,
-    'jewelry': 5,
-    'collectibles': 10
-  };
-  return shippingRates[itemData.category?.toLowerCase()] || 8;
-}
+/**
+ * Replace a blocked primary route with the screening's redirect, drop blocked
+ * alternatives, and carry each warning and shipping restriction onto the routes
+ * it applies to (all routes unless the warning lists appliesToRoutes)
+ */
+function applySafetyScreening(primaryRoute, alternatives, safety) {
+  const blocked = safety.blockedRoutes;
+  let primary = primaryRoute;
+  let remaining = alternatives;
 
-function calculateRoutes(itemData, marketAnalysis, userPreferences) {
-  const suggestedPrice = marketAnalysis.suggested || 0;
-  const netProfit = marketAnalysis.netProfit || 0;
-  
-  let primaryRoute = {
-    type: "ebay",
-    priority: 1,
-    estimatedReturn: netProfit,
-    timeToMoney: "7-14 days",
-    effort: "medium",
-    details: {
-      listingPrice: suggestedPrice,
-      estimatedFees: marketAnalysis.ebayFees,
-      shippingCost: marketAnalysis.shippingCost,
-      netProfit: netProfit
-    }
-  };
-  
-  if (!suggestedPrice || suggestedPrice < 10 || netProfit <= 2) {
-    primaryRoute = {
-      type: "donation",
+  if (blocked.includes(primary.type)) {
+    const blocking = safety.warnings.find(w => w.blockedRoutes.includes(primaryRoute.type));
+    const redirect = safety.redirectTo !== 'safe_disposal' &&
+      remaining.find(route => route.type === safety.redirectTo && !blocked.includes(route.type));
+    primary = {
+      ...(redirect || {
+        type: 'safe_disposal',
+        estimatedReturn: 0,
+        timeToMoney: 'n/a',
+        effort: 'low',
+        instructions: Array.from(new Set(safety.warnings.filter(w => w.instructions).map(w => w.instructions)))
+      }),
       priority: 1,
-      estimatedReturn: 0,
-      timeToMoney: "immediate",
-      effort: "low",
-      reason: "Low resale value - better suited for donation"
+      reason: `${blocking.title}: ${blocking.message}`,
+      blockedRoutes: blocked
+    };
+    remaining = remaining.filter(route => route !== redirect);
+  } else if (safety.requiresReview) {
+    primary = {
+      ...primary,
+      requiresReview: true,
+      reviewFields: [...(primary.reviewFields || []), 'safety'],
+      reason: primary.reason || safety.warnings.find(w => w.requiresReview).message
     };
   }
-  
-  const alternatives = [
-    {
-      type: "local_pickup",
-      priority: 2,
-      estimatedReturn: suggestedPrice ? Math.round(suggestedPrice * 0.9) : 0,
-      timeToMoney: "1-3 days",
-      effort: "low"
-    },
-    {
-      type: "donation",
-      priority: 3,
-      estimatedReturn: 0,
-      timeToMoney: "immediate",
-      effort: "minimal"
-    }
-  ];
-  
+
+  const annotate = route => {
+    const warnings = safety.warnings.filter(w => !w.appliesToRoutes || w.appliesToRoutes.includes(route.type));
+    const restrictions = Array.from(new Set(warnings.flatMap(w => w.shippingRestrictions || [])));
+    return {
+      ...route,
+      ...(warnings.length && { safetyWarnings: warnings.map(w => w.message) }),
+      ...(restrictions.length && { shippingRestrictions: restrictions })
+    };
+  };
+
   return {
-    primary: primaryRoute,
-    alternatives: alternatives
+    primary: annotate(primary),
+    alternatives: remaining
+      .filter(route => !blocked.includes(route.type))
+      .map((route, index) => annotate({ ...route, priority: index + 2 }))
   };
 }
 
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// functions/capture-sdk/eval/cli.js
+// Compare prompt versions on the labeled fixture set.
+//
+//   node capture-sdk/eval/cli.js                                   replay recordings for every version
+//   node capture-sdk/eval/cli.js --versions enhanced-v1,enhanced-v2
+//   node capture-sdk/eval/cli.js --provider mock                   harness smoke test, no recordings
+//   node capture-sdk/eval/cli.js --provider claude --record        call the live API and save recordings
+//   node capture-sdk/eval/cli.js --out report.json                 also write the full JSON report
+
+const fs = require('fs/promises');
+const path = require('path');
+const { loadFixtures, evaluatePrompts, formatReport } = require('./evaluatePrompts.js');
+const { createRecordedProvider, createRecordingProvider } = require('./recordedProvider.js');
+const { getProvider } = require('../providers/index.js');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const manifestPath = path.resolve(args.fixtures || path.join(__dirname, 'fixtures', 'manifest.json'));
+  const recordingsPath = path.resolve(args.recordings || path.join(path.dirname(manifestPath), 'recordings.json'));
+  const versions = typeof args.versions === 'string' ? args.versions.split(',').map(v => v.trim()) : null;
+  const providerName = typeof args.provider === 'string' ? args.provider : 'recorded';
+
+  const fixtures = await loadFixtures(manifestPath);
+  const recordings = await readJson(recordingsPath, {});
+
+  let provider;
+  if (providerName === 'recorded') {
+    provider = createRecordedProvider(recordings);
+  } else if (args.record) {
+    provider = createRecordingProvider(getProvider(providerName), recordings);
+  } else {
+    provider = getProvider(providerName);
+  }
+
+  console.log(`🧪 Evaluating ${fixtures.length} fixtures with ${provider.name}...`);
+  const report = await evaluatePrompts({
+    fixtures,
+    provider,
+    versions,
+    options: typeof args.model === 'string' ? { model: args.model } : {}
+  });
+
+  console.log('\n' + formatReport(report));
+
+  if (args.record && providerName !== 'recorded') {
+    await fs.writeFile(recordingsPath, JSON.stringify(recordings, null, 2) + '\n');
+    console.log(`\n💾 Recordings saved to ${recordingsPath}`);
+  }
+
+  if (typeof args.out === 'string') {
+    await fs.writeFile(path.resolve(args.out), JSON.stringify(report, null, 2) + '\n');
+    console.log(`📄 Report written to ${path.resolve(args.out)}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Prompt evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+// functions/capture-sdk/eval/evaluatePrompts.js
+// Offline A/B evaluation of prompt versions: replays a labeled fixture set
+// through analyzeItem and reports field-level accuracy per prompt version
+
+const fs = require('fs/promises');
+const path = require('path');
+const { analyzeItem } = require('../core/analyzeItem.js');
+const { listPrompts } = require('../prompts/index.js');
+
+// Fields scored when the fixture's expected analysis includes them
+const SCORED_FIELDS = [
+  'category',
+  'brand',
+  'model',
+  'materials',
+  'condition.rating',
+  'resale.recommendation',
+  'resale.priceRange'
+];
+
+function getField(obj, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Does the actual value satisfy the expected one?
+ */
+function fieldMatches(field, expected, actual) {
+  if (actual === undefined || actual === null) return false;
+
+  switch (field) {
+    case 'category': {
+      // Every expected keyword must appear ("denim jacket" matches "vintage blue denim jacket")
+      const actualText = ` ${normalizeText(actual)} `;
+      return normalizeText(expected).split(' ').every(word => actualText.includes(` ${word}`));
+    }
+    case 'model':
+      // Model numbers are compared without spaces/dashes ("SM-G991U" == "sm g991u")
+      return normalizeText(actual).replace(/ /g, '').includes(normalizeText(expected).replace(/ /g, ''));
+    case 'materials': {
+      const actualMaterials = (Array.isArray(actual) ? actual : [actual]).map(normalizeText);
+      return [].concat(expected).some(m => actualMaterials.some(a => a.includes(normalizeText(m))));
+    }
+    case 'resale.priceRange': {
+      // Expected is the acceptable { low, high } band; the estimate's midpoint must land inside it
+      const mid = (Number(actual.low) + Number(actual.high)) / 2;
+      return Number.isFinite(mid) && mid >= expected.low && mid <= expected.high;
+    }
+    default:
+      return normalizeText(expected) === normalizeText(actual);
+  }
+}
+
+/**
+ * Score one analysis against a fixture's expected values
+ * @returns {Array<{field: string, correct: boolean, expected: *, actual: *}>}
+ */
+function scoreAnalysis(actual, expected) {
+  return SCORED_FIELDS
+    .filter(field => getField(expected, field) !== undefined)
+    .map(field => {
+      const expectedValue = getField(expected, field);
+      const actualValue = getField(actual, field);
+      return {
+        field,
+        correct: fieldMatches(field, expectedValue, actualValue),
+        expected: expectedValue,
+        actual: actualValue
+      };
+    });
+}
+
+/**
+ * Load a fixture manifest and its images
+ * { "fixtures": [{ "id", "images": ["images/a.png"], "categoryHint"?, "expected": {...} }] }
+ */
+async function loadFixtures(manifestPath) {
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  const baseDir = path.dirname(manifestPath);
+
+  return Promise.all((manifest.fixtures || []).map(async fixture => ({
+    ...fixture,
+    imageBuffers: await Promise.all(fixture.images.map(file => fs.readFile(path.resolve(baseDir, file))))
+  })));
+}
+
+function summarizeVersion(version, results) {
+  const fields = {};
+  results.forEach(result => {
+    result.scores.forEach(score => {
+      fields[score.field] = fields[score.field] || { correct: 0, total: 0 };
+      fields[score.field].total++;
+      if (score.correct) fields[score.field].correct++;
+    });
+  });
+  Object.values(fields).forEach(f => { f.accuracy = f.total ? f.correct / f.total : 0; });
+
+  const correct = Object.values(fields).reduce((sum, f) => sum + f.correct, 0);
+  const total = Object.values(fields).reduce((sum, f) => sum + f.total, 0);
+  const count = results.length || 1;
+
+  return {
+    version,
+    fixtures: results.length,
+    accuracy: total ? correct / total : 0,
+    fields,
+    errors: results.filter(r => r.error).length,
+    schemaValidRate: results.filter(r => r.validation?.valid).length / count,
+    repairRate: results.filter(r => r.validation?.repairAttempts > 0).length / count,
+    totalCostUsd: Math.round(results.reduce((sum, r) => sum + (r.usage?.costUsd || 0), 0) * 1e6) / 1e6,
+    results
+  };
+}
+
+/**
+ * Run every fixture through each prompt version
+ * @param {Object} config
+ * @param {Array} config.fixtures - From loadFixtures()
+ * @param {string|Object} config.provider - Provider name or object (recorded, mock or live)
+ * @param {string[]} [config.versions] - Prompt versions to compare (default: all registered)
+ * @param {Object} [config.options] - Extra analyzeItem options (apiKey, model, ...)
+ * @returns {Promise<{provider: string, versions: Object[], generatedAt: string}>}
+ */
+async function evaluatePrompts({ fixtures, provider, versions, options = {} }) {
+  const promptVersions = versions?.length ? versions : listPrompts().map(p => p.version);
+  const report = [];
+
+  for (const version of promptVersions) {
+    const results = [];
+    // Sequential on purpose: live providers rate-limit and recordings are cheap anyway
+    for (const fixture of fixtures) {
+      const analysis = await analyzeItem(fixture.imageBuffers, {
+        ...options,
+        provider,
+        promptVersion: version,
+        categoryHint: fixture.categoryHint,
+        fixtureId: fixture.id,
+        mode: fixture.mode || 'standard',
+        cache: null
+      });
+
+      results.push({
+        fixtureId: fixture.id,
+        error: analysis.error || null,
+        scores: scoreAnalysis(analysis, fixture.expected || {}),
+        validation: analysis.validation,
+        usage: analysis.usage
+      });
+    }
+    report.push(summarizeVersion(version, results));
+  }
+
+  return {
+    provider: typeof provider === 'string' ? provider : provider.name,
+    generatedAt: new Date().toISOString(),
+    versions: report
+  };
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+/**
+ * Plain-text comparison table (one column per prompt version)
+ */
+function formatReport(report) {
+  const fields = SCORED_FIELDS.filter(field => report.versions.some(v => v.fields[field]));
+  const width = Math.max(...fields.map(f => f.length), 'schema valid'.length) + 2;
+  const header = ''.padEnd(width) + report.versions.map(v => v.version.padStart(14)).join('');
+
+  const row = (label, pick) => label.padEnd(width) + report.versions.map(v => pick(v).padStart(14)).join('');
+
+  const lines = [
+    `Prompt evaluation (${report.provider}, ${report.versions[0]?.fixtures || 0} fixtures)`,
+    header,
+    ...fields.map(field => row(field, v => (v.fields[field] ? formatPercent(v.fields[field].accuracy) : '-'))),
+    row('overall', v => formatPercent(v.accuracy)),
+    row('schema valid', v => formatPercent(v.schemaValidRate)),
+    row('repaired', v => formatPercent(v.repairRate)),
+    row('errors', v => String(v.errors)),
+    row('cost (USD)', v => v.totalCostUsd.toFixed(4))
+  ];
+
+  // List the misses so a regression can be traced to a fixture
+  report.versions.forEach(v => {
+    const misses = v.results.flatMap(r => r.scores.filter(s => !s.correct).map(s => ({ fixtureId: r.fixtureId, ...s })));
+    if (misses.length) {
+      lines.push('', `${v.version} misses:`);
+      misses.forEach(m => lines.push(`  ${m.fixtureId} ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`));
+    }
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  SCORED_FIELDS,
+  loadFixtures,
+  scoreAnalysis,
+  evaluatePrompts,
+  formatReport
+};
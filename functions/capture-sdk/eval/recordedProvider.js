@@ -0,0 +1,61 @@
+// functions/capture-sdk/eval/recordedProvider.js
+// Replay and capture raw provider responses for offline prompt evaluation.
+// Recordings are keyed by prompt version, then fixture id:
+//   { "enhanced-v1": { "iphone-12": { "text": "{...}", "model": "...", "usage": {...} } } }
+
+/**
+ * Provider that answers from recordings instead of the network
+ */
+function createRecordedProvider(recordings = {}, config = {}) {
+  const { name = 'recorded', model = 'recorded' } = config;
+
+  return {
+    name,
+    defaultModel: model,
+    envKey: null,
+    requiresApiKey: false,
+
+    async analyze(_images, _prompt, options = {}) {
+      const recording = recordings[options.promptVersion]?.[options.fixtureId];
+      if (!recording) {
+        throw new Error(`No recording for ${options.promptVersion}/${options.fixtureId} - run the evaluation with --record first`);
+      }
+
+      return {
+        text: typeof recording === 'string' ? recording : recording.text,
+        model: recording.model || model,
+        usage: recording.usage || null
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a real provider and store the first response per version/fixture into `recordings`
+ */
+function createRecordingProvider(provider, recordings = {}) {
+  const captured = new Set();
+
+  return {
+    ...provider,
+    async analyze(images, prompt, options = {}) {
+      const raw = await provider.analyze(images, prompt, options);
+      const key = `${options.promptVersion}/${options.fixtureId}`;
+
+      // Later calls for the same key are repair re-prompts - keep the original answer
+      if (options.fixtureId && !captured.has(key)) {
+        captured.add(key);
+        recordings[options.promptVersion] = recordings[options.promptVersion] || {};
+        recordings[options.promptVersion][options.fixtureId] = {
+          text: raw.text,
+          model: raw.model,
+          usage: raw.usage || null,
+          recordedAt: new Date().toISOString()
+        };
+      }
+      return raw;
+    }
+  };
+}
+
+module.exports = { createRecordedProvider, createRecordingProvider };
@@ -0,0 +1,106 @@
+// functions/capture-sdk/feedback/diff.js
+// Field-level diff between the AI analysis and the values a user kept or fixed
+
+const CORRECTION_FIELDS = ['category', 'brand', 'model', 'condition', 'price'];
+
+// scan-editor condition options -> the analysis rating scale
+const CONDITION_EQUIVALENTS = {
+  new: 'excellent',
+  like_new: 'excellent',
+  excellent: 'excellent',
+  very_good: 'good',
+  good: 'good',
+  acceptable: 'fair',
+  fair: 'fair',
+  for_parts: 'poor',
+  poor: 'poor'
+};
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9&]+/g, ' ').trim();
+}
+
+function normalizeCondition(value) {
+  const key = normalizeText(typeof value === 'object' ? value?.rating : value).replace(/ /g, '_');
+  return CONDITION_EQUIVALENTS[key] || (key || null);
+}
+
+/**
+ * Users pick a broad category ("electronics") for a specific AI category
+ * ("Apple iPhone 12 smartphone"); that is a confirmation, not a correction
+ */
+function sameCategory(aiValue, userValue, categoryKeywords = {}) {
+  const ai = normalizeText(aiValue);
+  const user = normalizeText(userValue);
+  if (!ai || !user) return false;
+  if (ai === user || ` ${ai} `.includes(` ${user} `)) return true;
+
+  const keywords = [user, ...(categoryKeywords[user] || [])];
+  return keywords.some(keyword => ` ${ai} `.includes(` ${normalizeText(keyword)}`));
+}
+
+function compareField(field, aiValue, userValue, options) {
+  switch (field) {
+    case 'category':
+      return sameCategory(aiValue, userValue, options.categoryKeywords);
+    case 'condition':
+      return normalizeCondition(aiValue) === normalizeCondition(userValue);
+    case 'price': {
+      // A price inside the suggested range confirms it
+      const price = Number(userValue);
+      return Number.isFinite(price) && price >= Number(aiValue?.low) && price <= Number(aiValue?.high);
+    }
+    default:
+      // Brand/model: ignore case and punctuation ("Levi's" == "levis", "SM-G991U" == "sm g991u")
+      return normalizeText(aiValue).replace(/ /g, '') === normalizeText(userValue).replace(/ /g, '');
+  }
+}
+
+/**
+ * Diff an analysis against the user's final values.
+ * Only fields the user actually submitted are compared.
+ * @param {Object} analysis - Analysis as returned by analyzeItem
+ * @param {Object} finalValues - { category, brand, model, condition, price }
+ * @param {Object} [options]
+ * @param {Object} [options.categoryKeywords] - { internalCategory: [keywords] } for broad category picks
+ * @returns {Array<{field: string, aiValue: *, userValue: *, status: string}>} status is one of
+ *   'confirmed' (kept), 'corrected' (changed), 'filled' (AI said Unknown), 'cleared' (user removed it)
+ */
+function diffAnalysis(analysis = {}, finalValues = {}, options = {}) {
+  const aiValues = {
+    category: analysis.category,
+    brand: analysis.brand,
+    model: analysis.model,
+    condition: analysis.condition?.rating || analysis.condition,
+    price: analysis.resale?.priceRange || null
+  };
+
+  return CORRECTION_FIELDS
+    .filter(field => finalValues[field] !== undefined && finalValues[field] !== null)
+    .map(field => {
+      const aiValue = aiValues[field];
+      const userValue = typeof finalValues[field] === 'string' ? finalValues[field].trim() : finalValues[field];
+      const aiKnown = field === 'price' ? !!aiValue : isKnown(aiValue);
+      const userKnown = field === 'price' ? Number(userValue) > 0 : isKnown(userValue);
+
+      let status;
+      if (!aiKnown && userKnown) status = 'filled';
+      else if (aiKnown && !userKnown) status = 'cleared';
+      else if (!aiKnown && !userKnown) status = 'confirmed';
+      else status = compareField(field, aiValue, userValue, options) ? 'confirmed' : 'corrected';
+
+      return { field, aiValue: aiValue ?? null, userValue, status };
+    });
+}
+
+module.exports = {
+  CORRECTION_FIELDS,
+  CONDITION_EQUIVALENTS,
+  diffAnalysis,
+  normalizeCondition,
+  isKnown
+};
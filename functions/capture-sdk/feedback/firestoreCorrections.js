@@ -0,0 +1,37 @@
+// functions/capture-sdk/feedback/firestoreCorrections.js
+// Firestore correction store: one document per scan in a top-level collection
+// so the whole dataset can be exported without walking every user
+
+class FirestoreCorrectionStore {
+  constructor(config = {}) {
+    if (!config.db) {
+      throw new Error('FirestoreCorrectionStore requires a Firestore db instance (config.db)');
+    }
+    this.db = config.db;
+    this.collection = config.collection || 'corrections';
+  }
+
+  async save(record) {
+    // Round-trip through JSON: Firestore rejects undefined values
+    await this.db.collection(this.collection).doc(record.id).set(JSON.parse(JSON.stringify(record)));
+  }
+
+  async get(id) {
+    const doc = await this.db.collection(this.collection).doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async list({ since = null, startAfter = null, limit = 500 } = {}) {
+    let query = this.db.collection(this.collection).orderBy('createdAt', 'asc');
+    if (since) query = query.where('createdAt', '>=', since);
+    if (startAfter) {
+      const cursor = await this.db.collection(this.collection).doc(startAfter).get();
+      if (cursor.exists) query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+}
+
+module.exports = { FirestoreCorrectionStore };
@@ -0,0 +1,192 @@
+// functions/capture-sdk/feedback/index.js
+// Human-in-the-loop corrections: what the AI said vs what the user kept,
+// stored with the image hashes and prompt version that produced the analysis,
+// and exported as a JSONL dataset for prompt evaluation and confidence calibration.
+//
+// Stores are pluggable; any object with these async methods works:
+//   save(record), get(id) -> record|null, list({ since, startAfter, limit }) -> record[] (oldest first)
+
+const crypto = require('crypto');
+const { MemoryCorrectionStore } = require('./memoryCorrections.js');
+const { FirestoreCorrectionStore } = require('./firestoreCorrections.js');
+const { CORRECTION_FIELDS, CONDITION_EQUIVALENTS, diffAnalysis, normalizeCondition, isKnown } = require('./diff.js');
+
+const DATASET_VERSION = 1;
+
+// Width of the exported price band (±20% of the user's final price)
+const PRICE_TOLERANCE = 0.2;
+
+class CorrectionLog {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.store] - Correction store (defaults to in-memory)
+   * @param {Object} [config.categoryKeywords] - { internalCategory: [keywords] } so a broad
+   *   category pick counts as confirming a specific AI category
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryCorrectionStore(config);
+    this.categoryKeywords = config.categoryKeywords || {};
+  }
+
+  /**
+   * Record the user's final values for a scan. Re-submitting the same scan
+   * replaces the earlier record, so the dataset holds the latest values.
+   * @param {Object} params
+   * @param {string} params.uid
+   * @param {string} params.scanId
+   * @param {Object} params.analysis - The AI analysis the user started from
+   * @param {Object} params.finalValues - { category, brand, model, condition, price }
+   * @param {Object} [params.routes] - Routes for the scan (their confidence includes eBay comparables)
+   * @param {string} [params.source='scan-editor']
+   * @returns {Promise<Object>} - The stored correction record
+   */
+  async record({ uid, scanId, analysis, finalValues, routes = null, source = 'scan-editor' }) {
+    if (!uid || !scanId) throw new Error('uid and scanId are required to record corrections');
+    if (!analysis) throw new Error('Scan has no AI analysis to compare against');
+
+    const fields = diffAnalysis(analysis, finalValues || {}, { categoryKeywords: this.categoryKeywords });
+    const fieldConfidence = routes?.fieldConfidence || analysis.fieldConfidence || null;
+
+    const record = {
+      id: `${uid}_${scanId}`,
+      datasetVersion: DATASET_VERSION,
+      uid,
+      scanId,
+      source,
+      createdAt: new Date().toISOString(),
+      analyzedAt: analysis.analyzedAt || null,
+      promptVersion: analysis.promptVersion || null,
+      provider: analysis.provider || null,
+      visionModel: analysis.visionModel || null,
+      imageHashes: analysis.imageHashes || [],
+      fields,
+      changedFields: fields.filter(f => f.status !== 'confirmed').map(f => f.field),
+      // Uncalibrated scores at analysis time - what a calibration table is fitted on
+      confidence: fieldConfidence
+        ? CORRECTION_FIELDS.reduce((acc, field) => {
+          if (fieldConfidence.fields?.[field]) acc[field] = fieldConfidence.fields[field].raw;
+          return acc;
+        }, {})
+        : null
+    };
+
+    await this.store.save(record);
+    console.log(`📝 Corrections recorded for scan ${scanId}:`, record.changedFields.length
+      ? record.changedFields.join(', ')
+      : 'all fields confirmed');
+    return record;
+  }
+
+  /**
+   * Iterate every stored record (oldest first) in pages
+   */
+  async *iterate({ since = null, pageSize = 500 } = {}) {
+    let startAfter = null;
+    while (true) {
+      const page = await this.store.list({ since, startAfter, limit: pageSize });
+      for (const record of page) yield record;
+      if (page.length < pageSize) return;
+      startAfter = page[page.length - 1].id;
+    }
+  }
+
+  /**
+   * Dataset rows as JSONL lines. User ids are replaced with a one-way hash.
+   * Each row's `expected` object uses the prompt-evaluation fixture format.
+   */
+  async *exportJsonl(options = {}) {
+    for await (const record of this.iterate(options)) {
+      yield JSON.stringify(toDatasetRow(record)) + '\n';
+    }
+  }
+
+  /**
+   * Calibration samples ({ field, score, correct }) for fitCalibration
+   */
+  async calibrationSamples(options = {}) {
+    const samples = [];
+    for await (const record of this.iterate(options)) {
+      record.fields.forEach(f => {
+        const score = record.confidence?.[f.field];
+        // An "Unknown" answer has no value whose confidence could be right or wrong
+        const aiAnswered = f.field === 'price' ? !!f.aiValue : isKnown(f.aiValue);
+        if (score === undefined || score === null || !aiAnswered) return;
+        samples.push({ field: f.field, score, correct: f.status === 'confirmed' });
+      });
+    }
+    return samples;
+  }
+}
+
+function toDatasetRow(record) {
+  const expected = {};
+  record.fields.forEach(f => {
+    if (f.field === 'condition') {
+      expected.condition = { rating: normalizeCondition(f.userValue) };
+    } else if (f.field === 'price') {
+      // The evaluator scores price against an acceptable band around the user's price
+      const price = Number(f.userValue);
+      if (price > 0) {
+        expected.resale = {
+          priceRange: {
+            low: Math.round(price * (1 - PRICE_TOLERANCE)),
+            high: Math.round(price * (1 + PRICE_TOLERANCE))
+          }
+        };
+      }
+    } else {
+      expected[f.field] = f.userValue;
+    }
+  });
+
+  return {
+    datasetVersion: record.datasetVersion,
+    id: record.id,
+    userKey: crypto.createHash('sha256').update(String(record.uid)).digest('hex').slice(0, 16),
+    scanId: record.scanId,
+    createdAt: record.createdAt,
+    promptVersion: record.promptVersion,
+    provider: record.provider,
+    visionModel: record.visionModel,
+    imageHashes: record.imageHashes,
+    fields: record.fields,
+    changedFields: record.changedFields,
+    confidence: record.confidence,
+    expected
+  };
+}
+
+/**
+ * Build a correction log from config: a CorrectionLog, a raw store, or
+ * { type: 'memory' | 'firestore', ...storeOptions }
+ */
+function createCorrectionLog(config) {
+  if (!config) return null;
+  if (config instanceof CorrectionLog) return config;
+
+  if (typeof config.save === 'function' && typeof config.list === 'function') {
+    return new CorrectionLog({ store: config });
+  }
+
+  const stores = {
+    memory: () => new MemoryCorrectionStore(config),
+    firestore: () => new FirestoreCorrectionStore(config)
+  };
+
+  const type = config.type || 'memory';
+  if (!stores[type]) {
+    throw new Error(`Unknown correction store type "${type}" (use memory or firestore)`);
+  }
+
+  return new CorrectionLog({ ...config, store: stores[type]() });
+}
+
+module.exports = {
+  CorrectionLog,
+  MemoryCorrectionStore,
+  FirestoreCorrectionStore,
+  createCorrectionLog,
+  diffAnalysis,
+  CORRECTION_FIELDS,
+  CONDITION_EQUIVALENTS
+};
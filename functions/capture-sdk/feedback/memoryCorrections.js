@@ -0,0 +1,30 @@
+// functions/capture-sdk/feedback/memoryCorrections.js
+// In-memory correction store (per process) - for tests and local development
+
+class MemoryCorrectionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async save(record) {
+    this.records.set(record.id, record);
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Records oldest first, optionally from a date and after a cursor id
+   */
+  async list({ since = null, startAfter = null, limit = 500 } = {}) {
+    const sorted = Array.from(this.records.values())
+      .filter(r => !since || r.createdAt >= since)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+
+    const start = startAfter ? sorted.findIndex(r => r.id === startAfter) + 1 : 0;
+    return sorted.slice(start, start + limit);
+  }
+}
+
+module.exports = { MemoryCorrectionStore };
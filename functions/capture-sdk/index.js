@@ -2,63 +2,403 @@
 const { analyzeItem } = require('./core/analyzeItem.js');
 const { routeDisposition } = require('./core/routeDisposition.js');
 const { generateListing } = require('./core/generateListing.js');
+const { analyzeBatch, summarizeBatch, MAX_BATCH_ITEMS } = require('./core/batchAnalyze.js');
+const { buildLot, normalizeBoundingBox } = require('./core/detectItems.js');
+const { gradeCondition, DEFECT_TYPES, CATEGORY_RUBRICS } = require('./core/conditionGrade.js');
+const { assessAuthenticity, HIGH_RISK_CATEGORIES } = require('./core/authenticity.js');
+const { classifyRecycling, RECYCLING_STREAMS } = require('./core/recycling.js');
+const { estimateImpact, summarizeImpact } = require('./core/impact.js');
+const {
+  registerProvider,
+  hasProvider,
+  createProviderRegistry,
+  resolveApiKey,
+  createMockProvider
+} = require('./providers/index.js');
+const { ITEM_ANALYSIS_SCHEMA, validateAnalysis } = require('./core/analysisSchema.js');
+const { AnalysisCache, createAnalysisCache } = require('./cache/index.js');
+const { DEFAULT_PROMPT_VERSION, registerPrompt, listPrompts } = require('./prompts/index.js');
+const { computeFieldConfidence, fitCalibration, CONFIDENCE_THRESHOLDS } = require('./core/confidence.js');
+const { CorrectionLog, createCorrectionLog, diffAnalysis } = require('./feedback/index.js');
+const { UsageLedger, createUsageLedger, MODEL_PRICING, calculateCost } = require('./usage/index.js');
+const { ProductLookup, MemoryProductAdapter, createProductLookup } = require('./lookup/index.js');
+const { normalizeGtin, normalizeIsbn } = require('./utils/gtin.js');
+const { SafetyScreener, MemorySafetyDataset, createSafetyScreener } = require('./safety/index.js');
+const { resolveLocale, formatCurrency, LOCALES } = require('./utils/locale.js');
+const { OfflineQueue, createOfflineQueue } = require('./offline/index.js');
+const { PricingEngine, createPricingEngine } = require('./pricing/index.js');
+const { routeProceeds, rankRoutes } = require('./pricing/proceeds.js');
+const { EbaySandboxServer, createEbaySandbox } = require('./integrations/ebay/sandbox/index.js');
+const { RoutingPolicy, createRoutingPolicy } = require('./routing/index.js');
 
 class CaptureSDK {
   constructor(config = {}) {
-    // Claude is now the default and only vision provider
-    this.visionProvider = 'claude';
     this.apiKeys = config.apiKeys || {};
+
+    // Custom providers from config ({ name: providerObject }) stay on this instance's own registry
+    this.providers = createProviderRegistry();
+    Object.entries(config.providers || {}).forEach(([name, provider]) => {
+      this.providers.register(name, provider);
+    });
+
+    // Claude stays the default; any registered provider can be selected per instance
+    this.visionProvider = this.providers.get(config.visionProvider || 'claude').name;
+
+    // Analysis prompt version from the prompt library (A/B a new version per instance)
+    this.promptVersion = config.promptVersion || DEFAULT_PROMPT_VERSION;
+
+    // Analysis language, listing templates, currency and eBay marketplace ('en-US', 'de-DE', 'EBAY_GB', ...)
+    this.locale = resolveLocale(config.locale);
     
     // Support both old (gpt4v) and new (claude) key formats for migration
-    if (config.apiKeys?.gpt4v && !config.apiKeys?.claude) {
+    if (this.visionProvider === 'claude' && config.apiKeys?.gpt4v && !config.apiKeys?.claude) {
       console.warn('⚠️ Warning: gpt4v API key provided but Claude is now the default. Please update to use claude API key.');
     }
     
-    // eBay configuration
+    // Optional analysis cache: { type: 'memory' | 'file' | 'firestore', ... } or a custom store
+    this.analysisCache = createAnalysisCache(config.cache);
+
+    // Confidence calibration table fitted from user corrections (see setCalibration)
+    this.calibration = config.calibration || null;
+
+    // Optional correction log: { type: 'memory' | 'firestore', categoryKeywords } or a custom store
+    this.correctionLog = createCorrectionLog(config.corrections);
+
+    // Optional usage ledger + monthly budget: { type: 'memory' | 'firestore', budget: { monthlyUsd, onExceeded } }
+    this.usageLedger = createUsageLedger(config.usage);
+    
+    // Optional GTIN product lookup: true (Open Library + UPCitemdb), { adapters: [...] } or an adapter
+    this.productLookup = createProductLookup(config.productLookup);
+
+    // Recall / prohibited-item screening, on by default: false, { entries, file, datasets, rules } or a dataset
+    this.safetyScreener = createSafetyScreener(config.safety);
+
+    // Optional offline queue for scans without signal: true, { type: 'file' | 'memory', directory, isOnline, writer }
+    this.offlineQueue = createOfflineQueue(config.offline);
+    
+    // eBay configuration: { clientId, clientSecret, environment, baseUrl } - baseUrl sends every eBay
+    // call to one host, e.g. the local sandbox server (CaptureSDK.createEbaySandbox)
     this.ebayConfig = config.ebay || config.integrations?.ebay || null;
+
+    // Prices every route, listing and offer: { sources: ['ebayBrowse', 'ebaySearch', custom], fallback }, a source
+    // or a PricingEngine; defaults to eBay Browse comparables when eBay is configured, then the category estimate
+    this.pricingEngine = createPricingEngine(config.pricing, { ebay: this.ebayConfig });
+
+    // Operator routing policy: { minProfit, maxEffort, goal, ... }, { policy, locked, rules } or a RoutingPolicy;
+    // users' own values (getRoutes preferences) apply on top except for locked fields (see setRoutingPolicy)
+    this.routingPolicy = createRoutingPolicy(config.routing);
     
     // Log initialization status
-    console.log('🚀 Capture SDK initialized with Claude:', {
-      hasClaudeKey: !!(this.apiKeys.claude || process.env.CLAUDE_API_KEY),
+    console.log('🚀 Capture SDK initialized:', {
+      visionProvider: this.visionProvider,
+      promptVersion: this.promptVersion,
+      locale: `${this.locale.code} (${this.locale.marketplaceId}, ${this.locale.currency})`,
+      hasProviderKey: !!this.getProviderApiKey(this.visionProvider),
       hasEbayConfig: !!(this.ebayConfig?.clientId && this.ebayConfig?.clientSecret),
-      ebayEnvironment: this.ebayConfig?.environment || 'none'
+      ebayEnvironment: this.ebayConfig?.environment || 'none',
+      pricingSources: this.pricingEngine.sources.map(s => s.name).join(', ') || 'category estimate only',
+      analysisCache: this.analysisCache ? this.analysisCache.store.constructor.name : 'disabled',
+      usageLedger: this.usageLedger ? this.usageLedger.store.constructor.name : 'disabled',
+      correctionLog: this.correctionLog ? this.correctionLog.store.constructor.name : 'disabled',
+      productLookup: this.productLookup ? this.productLookup.adapters.map(a => a.name).join(', ') : 'disabled',
+      safetyScreening: this.safetyScreener ? this.safetyScreener.datasets.map(d => d.name).join(', ') : 'disabled',
+      offlineQueue: this.offlineQueue ? this.offlineQueue.store.constructor.name : 'disabled',
+      monthlyBudgetUsd: this.usageLedger?.budget?.monthlyUsd ?? 'none',
+      routingGoal: this.routingPolicy.resolve().values.goal
     });
 
-    // Validate Claude API key
-    const claudeKey = this.apiKeys.claude || process.env.CLAUDE_API_KEY;
-    if (!claudeKey) {
-      console.warn('⚠️ Warning: No Claude API key found. Set CLAUDE_API_KEY environment variable or pass apiKeys.claude in config.');
+    // Validate the default provider's API key
+    const provider = this.providers.get(this.visionProvider);
+    if (provider.requiresApiKey && !this.getProviderApiKey(this.visionProvider)) {
+      console.warn(`⚠️ Warning: No ${provider.name} API key found. Set ${provider.envKey} environment variable or pass apiKeys.${provider.name} in config.`);
     }
   }
 
   /**
-   * Analyze item images using Claude
+   * Register a vision provider on this instance only
+   */
+  registerProvider(name, provider) {
+    return this.providers.register(name, provider);
+  }
+
+  listProviders() {
+    return this.providers.list();
+  }
+
+  /**
+   * Resolve the API key for a provider from config, legacy keys, then env
+   */
+  getProviderApiKey(providerName) {
+    const provider = this.providers.get(providerName);
+    const legacyKey = provider.name === 'openai' ? this.apiKeys.gpt4v : undefined;
+    return resolveApiKey(provider, this.apiKeys[provider.name] || legacyKey);
+  }
+
+  /**
+   * Analyze item images using the configured vision provider
    * @param {Array} images - Array of image data (Buffer, base64, or data URLs)
-   * @param {Object} options - Analysis options
-   * @returns {Promise<Object>} - Normalized item analysis
+   * @param {Object} options - Analysis options (options.provider overrides the instance default,
+   *   options.repair / options.maxRepairAttempts control schema repair re-prompts,
+   *   options.forceRefresh bypasses the analysis cache, options.cache = false disables it,
+   *   options.promptVersion / options.categoryHint pick and narrow the analysis prompt,
+   *   options.locale overrides the instance locale for the output language and price currency,
+   *   options.uid attributes usage to a user and enforces their monthly budget,
+   *   options.barcodes = false skips local barcode decoding, options.productLookup = false skips GTIN lookup,
+   *   options.safety = false skips recall / prohibited-item screening,
+   *   options.offline = true queues the scan (automatic when config.offline.isOnline reports no signal))
+   * @returns {Promise<Object>} - Normalized item analysis with `validation` and `usage` reports,
+   *   or a provisional analysis (`provisional: true`, `offlineJobId`) when the scan was queued
    */
   async analyzeItem(images, options = {}) {
+    if (this.offlineQueue && options.offline !== false && (options.offline === true || !(await this.offlineQueue.online()))) {
+      return (await this.queueScan(images, options)).provisional;
+    }
+
+    const provider = this.providers.get(options.provider || this.visionProvider);
+    const providerName = provider.name;
+    const budget = await this.checkBudget(options.uid, providerName);
     const analysisOptions = {
       ...options,
-      apiKey: this.apiKeys.claude || process.env.CLAUDE_API_KEY,
-      model: options.model || 'claude-sonnet-4-20250514',
+      provider,
+      apiKey: options.apiKey || this.getProviderApiKey(providerName),
+      model: budget?.degradedTo || options.model,
+      promptVersion: options.promptVersion || this.promptVersion,
+      locale: resolveLocale(options.locale || this.locale).code,
+      calibration: options.calibration || this.calibration,
       temperature: options.temperature || 0.1,
-      maxTokens: options.maxTokens || 1500
+      maxTokens: options.maxTokens || 1500,
+      cache: options.cache === false ? null : (createAnalysisCache(options.cache) || this.analysisCache),
+      productLookup: options.productLookup === false ? null : (createProductLookup(options.productLookup) || this.productLookup),
+      safety: options.safety === undefined ? this.safetyScreener : createSafetyScreener(options.safety)
     };
     
-    console.log('🔍 Starting item analysis with Claude:', {
+    console.log(`🔍 Starting item analysis with ${providerName}:`, {
       imageCount: images?.length,
-      model: analysisOptions.model,
+      model: analysisOptions.model || 'provider default',
       hasApiKey: !!analysisOptions.apiKey
     });
     
-    return await analyzeItem(images, analysisOptions);
+    const result = await analyzeItem(images, analysisOptions);
+
+    if (this.usageLedger && options.uid && result.usage) {
+      await this.usageLedger.record(options.uid, result.usage, { cached: !!result.cached });
+    }
+
+    return budget ? { ...result, budget } : result;
+  }
+
+  /**
+   * Look up a product by GTIN / UPC / EAN / ISBN
+   */
+  async lookupProduct(code) {
+    if (!this.productLookup) throw new Error('Product lookup is not configured (pass config.productLookup)');
+    return this.productLookup.lookup(code);
+  }
+
+  /**
+   * Detect every distinct item in a photo (box lots, curbside piles).
+   * The result has the most valuable item's fields at the top level, plus
+   * `items` (each with boundingBox and its own analysis) and `detection`.
+   */
+  async detectItems(images, options = {}) {
+    return this.analyzeItem(images, { ...options, mode: 'detect' });
+  }
+
+  /**
+   * Route the items from detectItems: fan out to one routeDisposition per item,
+   * or group them as a single lot listing (options.groupAs = 'lot')
+   * @param {Object} detection - detectItems() result
+   * @param {Object} [userPreferences]
+   * @param {Object} [ebayConfigOverride]
+   * @param {Object} [options] - groupAs: 'items' | 'lot', priceFactor for the lot price
+   * @returns {Promise<{groupAs: string, items: Array, summary: Object, lot?: Object, lotExcluded?: Array}>} -
+   *   lot.route is the eBay lot listing and lot.alternativeRoutes the lot's other routes (see buildLot);
+   *   items the lot leaves out (blocked from eBay, likely counterfeit) are in lot.excludedItems; when none
+   *   can go in a lot they are routed separately and listed in lotExcluded
+   */
+  async getRoutesForItems(detection, userPreferences = {}, ebayConfigOverride = null, options = {}) {
+    const { groupAs = 'items', priceFactor } = options;
+    const items = detection?.items?.length ? detection.items : [detection];
+
+    // Sequential: each item may hit the eBay API
+    const routed = [];
+    for (const item of items) {
+      routed.push({
+        itemIndex: item.itemIndex ?? 0,
+        label: item.label || item.category,
+        boundingBox: item.boundingBox || null,
+        routes: await this.getRoutes(item, userPreferences, ebayConfigOverride)
+      });
+    }
+
+    const summary = summarizeBatch(routed.map((r, i) => ({ status: 'completed', analysis: items[i], routes: r.routes })), {
+      currency: resolveLocale(detection?.locale || this.locale).currency
+    });
+    if (groupAs !== 'lot') {
+      return { groupAs: 'items', items: routed, summary };
+    }
+
+    let lot;
+    try {
+      const { values: policy } = this.routingPolicy.resolve(userPreferences);
+      lot = buildLot(items, routed.map(r => r.routes), {
+        priceFactor,
+        preferences: { hourlyRate: policy.hourlyRate, sellWithinDays: policy.sellWithinDays }
+      });
+    } catch (error) {
+      if (error.code !== 'LOT_EMPTY') throw error;
+      console.warn(`🧺 ${error.message} - routing the items separately`);
+      return { groupAs: 'items', items: routed, summary, lotExcluded: error.excludedItems };
+    }
+    if (lot.excludedItems.length) {
+      console.warn('🧺 Left out of the lot:', lot.excludedItems.map(e => `${e.label} (${e.reason})`).join(', '));
+    }
+    console.log(`🧺 Lot of ${lot.route.details.itemCount}: $${lot.route.details.listingPrice} (eBay ranked #${lot.route.priority}) vs $${summary.estimatedValue.suggested} listed separately`);
+    return { groupAs: 'lot', items: routed, summary, lot };
+  }
+
+  /**
+   * Analyze many items in one batch (estate/garage cleanouts) and roll them up into one inventory
+   * @param {Array<{id?: string, images: Array, options?: Object}>} items - One group of photos per item
+   * @param {Object} options - analyzeItem options for every item (uid, promptVersion, ...) plus
+   *   concurrency, maxRetries, baseDelayMs, maxDelayMs, onProgress(event),
+   *   routes (false skips routing), preferences / ebayConfig for getRoutes
+   * @returns {Promise<{batchId: string, items: Array, summary: Object}>}
+   */
+  async analyzeBatch(items, options = {}) {
+    const {
+      concurrency,
+      maxRetries,
+      baseDelayMs,
+      maxDelayMs,
+      onProgress,
+      routes = true,
+      preferences = {},
+      ebayConfig = null,
+      ...analysisOptions
+    } = options;
+
+    return analyzeBatch(items, {
+      concurrency,
+      maxRetries,
+      baseDelayMs,
+      maxDelayMs,
+      onProgress,
+      currency: resolveLocale(analysisOptions.locale || this.locale).currency,
+      analyze: (images, itemOptions) => this.analyzeItem(images, { ...analysisOptions, ...itemOptions }),
+      route: routes ? analysis => this.getRoutes(analysis, preferences, ebayConfig) : null
+    });
+  }
+
+  /**
+   * Enforce the user's monthly budget before a paid call: throws BUDGET_EXCEEDED
+   * when the policy is 'refuse', otherwise switches to the provider's cheaper model
+   * @returns {Promise<Object|null>} - Budget status for the result, or null when no budget applies
+   */
+  async checkBudget(uid, providerName) {
+    if (!this.usageLedger || !uid) return null;
+
+    const status = await this.usageLedger.getBudgetStatus(uid);
+    if (status.limitUsd === null) return null;
+
+    const { fallbackModels, ...budget } = status;
+    if (!status.exceeded) return budget;
+
+    if (status.onExceeded === 'refuse') {
+      const error = new Error(`Monthly analysis budget of $${status.limitUsd} reached ($${status.spentUsd} spent in ${status.month})`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.budget = budget;
+      throw error;
+    }
+
+    const degradedTo = fallbackModels?.[providerName] || null;
+    console.warn(`💸 Monthly budget reached for ${uid} ($${status.spentUsd}/$${status.limitUsd}) -`,
+      degradedTo ? `degrading to ${degradedTo}` : `no cheaper ${providerName} model, continuing`);
+    return { ...budget, degradedTo };
+  }
+
+  /**
+   * Record the user's final values for a scan as a field-level diff against the AI analysis
+   * @param {Object} params - { uid, scanId, analysis, finalValues, routes?, source? }
+   */
+  async recordCorrections(params) {
+    if (!this.correctionLog) throw new Error('Correction capture is not configured (pass config.corrections)');
+    return this.correctionLog.record(params);
   }
 
   /**
-   * Get disposition routes with eBay pricing integration
+   * Accumulated corrections as JSONL lines (async iterator), oldest first
    */
-  async getRoutes(itemData, userPreferences = {}, ebayConfigOverride = null) {
+  exportCorrections(options = {}) {
+    if (!this.correctionLog) throw new Error('Correction capture is not configured (pass config.corrections)');
+    return this.correctionLog.exportJsonl(options);
+  }
+
+  /**
+   * Fit a confidence calibration table from recorded corrections and start using it
+   */
+  async fitCalibrationFromCorrections(options = {}) {
+    if (!this.correctionLog) throw new Error('Correction capture is not configured (pass config.corrections)');
+    const samples = await this.correctionLog.calibrationSamples(options);
+    if (samples.length < (options.minSamples || 50)) {
+      throw new Error(`Not enough corrections to calibrate (${samples.length} samples, need ${options.minSamples || 50})`);
+    }
+
+    const calibration = fitCalibration(samples, options);
+    this.setCalibration(calibration);
+    return calibration;
+  }
+
+  /**
+   * Per-day token usage and spend for a user (defaults to the current month)
+   */
+  async getUsageSummary(uid, range = {}) {
+    if (!this.usageLedger) throw new Error('Usage tracking is not configured (pass config.usage)');
+    const summary = await this.usageLedger.getSummary(uid, range);
+    const { fallbackModels, ...budget } = await this.usageLedger.getBudgetStatus(uid);
+    return { ...summary, budget };
+  }
+
+  /**
+   * Lifetime CO2e and landfill mass a user avoided, from their saved scans
+   * @param {Array} scans - Saved scans ({ analysis, routes, disposition? })
+   */
+  getImpactSummary(scans = []) {
+    return summarizeImpact(scans);
+  }
+
+  /**
+   * Queue a scan for analysis once back online; the job carries a provisional estimate
+   * @param {Object} [options] - uid, scanId, categoryHint, brand, condition, locale, ...
+   */
+  async queueScan(images, options = {}) {
+    if (!this.offlineQueue) throw new Error('Offline mode is not configured (pass config.offline)');
+    return this.offlineQueue.enqueue(images, {
+      ...options,
+      locale: resolveLocale(options.locale || this.locale).code
+    });
+  }
+
+  /**
+   * Analyze, price and save every queued scan (call when connectivity returns)
+   * @param {Object} [options] - { writer, limit }
+   */
+  async syncOfflineQueue(options = {}) {
+    if (!this.offlineQueue) throw new Error('Offline mode is not configured (pass config.offline)');
+    return this.offlineQueue.sync(this, options);
+  }
+
+  /**
+   * Get disposition routes with eBay pricing integration, ranked by expected net value and filtered by
+   * the routing policy; `routing` in the result explains every exclusion and the choice
+   * @param {Object} [userPreferences] - The user's routing policy values: goal ('max_value' | 'balanced' |
+   *   'cash_now'), minProfit, minSalePrice, maxEffort, willShip, maxShipWeightLbs, hourlyRate (default 10),
+   *   sellWithinDays, preferredCharities, alwaysDonateCategories (see routing/)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Routing progress events (comparables found, routes computed)
+   * @param {string} [options.locale] - eBay marketplace / currency (defaults to the analysis locale, then the instance's)
+   */
+  async getRoutes(itemData, userPreferences = {}, ebayConfigOverride = null, options = {}) {
     const ebayConfig = ebayConfigOverride || this.ebayConfig;
     
     console.log('📊 Getting routes with eBay integration:', {
@@ -68,7 +408,55 @@ class CaptureSDK {
       brand: itemData.brand
     });
     
-    return await routeDisposition(itemData, userPreferences, ebayConfig);
+    return await routeDisposition(itemData, userPreferences, ebayConfig, {
+      calibration: this.calibration,
+      safety: this.safetyScreener,
+      routing: this.routingPolicy,
+      // An override is a different eBay account - price with its comparables
+      pricing: ebayConfigOverride ? createPricingEngine(null, { ebay: ebayConfigOverride }) : this.pricingEngine,
+      locale: options.locale || itemData.locale || this.locale.code,
+      onProgress: options.onProgress
+    });
+  }
+
+  /**
+   * Price an item without routing it - the same price getRoutes uses
+   * @param {Object} [options] - locale / marketplaceId for the comparables and currency, daysBack / outliers
+   * @returns {Promise<Object>} { suggested, currency, range, percentiles, comparables, rejected, confidence, source, sources, ... }
+   */
+  async getPrice(itemData, options = {}) {
+    const locale = resolveLocale(options.locale || itemData.locale || this.locale);
+    return this.pricingEngine.price(itemData, {
+      ...options,
+      locale: locale.code,
+      marketplaceId: options.marketplaceId || this.ebayConfig?.marketplaceId || locale.marketplaceId
+    });
+  }
+
+  /**
+   * Swap in a new confidence calibration table (from fitCalibration); applies to the next analysis
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || null;
+    console.log('🎯 Confidence calibration:', this.calibration ? this.calibration.version : 'none (uncalibrated)');
+  }
+
+  /**
+   * Swap in a new operator routing policy (same forms as config.routing); applies to the next getRoutes
+   */
+  setRoutingPolicy(routing) {
+    this.routingPolicy = createRoutingPolicy(routing);
+    const { values, sources } = this.routingPolicy.resolve();
+    const operatorFields = Object.keys(sources).filter(field => ['operator', 'locked'].includes(sources[field]));
+    console.log('🧭 Routing policy:', values.goal, operatorFields.length ? `(operator: ${operatorFields.join(', ')})` : '(defaults)');
+  }
+
+  /**
+   * Check a user's routing preferences against the operator policy before saving them
+   * @returns {{ valid: boolean, values: Object, errors: Array<{ field, message }> }}
+   */
+  validateRoutingPreferences(userPreferences) {
+    return this.routingPolicy.validate(userPreferences);
   }
 
   /**
@@ -81,14 +469,17 @@ class CaptureSDK {
       category: itemData.category
     });
     
-    return generateListing(itemData, route, options);
+    return generateListing(itemData, route, {
+      ...options,
+      locale: options.locale || itemData.locale || this.locale.code
+    });
   }
 
   /**
    * Test Claude API connection
    */
   async testClaudeConnection() {
-    const claudeKey = this.apiKeys.claude || process.env.CLAUDE_API_KEY;
+    const claudeKey = this.getProviderApiKey('claude');
     
     if (!claudeKey) {
       return {
@@ -103,6 +494,7 @@ class CaptureSDK {
       const testImage = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
       
       const result = await this.analyzeItem([testImage], {
+        provider: 'claude',
         maxTokens: 500,  // Increased for complete JSON response
         temperature: 0.1
       });
@@ -231,11 +623,11 @@ class CaptureSDK {
    */
   async getQuickPrice(itemData) {
     try {
-      const routes = await this.getRoutes(itemData);
+      const price = await this.getPrice(itemData);
       return {
-        suggested: routes.marketAnalysis?.estimatedValue?.suggested || 0,
-        confidence: routes.marketAnalysis?.estimatedValue?.confidence || 'low',
-        source: routes.marketAnalysis?.dataSource || 'manual'
+        suggested: price.suggested || 0,
+        confidence: price.confidence || 'low',
+        source: price.source
       };
     } catch (error) {
       console.error('Quick price failed:', error);
@@ -259,6 +651,60 @@ CaptureSDK.createConfig = function(claudeApiKey, ebayConfig = null) {
   };
 };
 
+CaptureSDK.registerProvider = registerProvider;
+CaptureSDK.hasProvider = hasProvider;
+CaptureSDK.createMockProvider = createMockProvider;
+CaptureSDK.summarizeBatch = summarizeBatch;
+CaptureSDK.buildLot = buildLot;
+CaptureSDK.normalizeBoundingBox = normalizeBoundingBox;
+CaptureSDK.gradeCondition = gradeCondition;
+CaptureSDK.DEFECT_TYPES = DEFECT_TYPES;
+CaptureSDK.CATEGORY_RUBRICS = CATEGORY_RUBRICS;
+CaptureSDK.assessAuthenticity = assessAuthenticity;
+CaptureSDK.HIGH_RISK_CATEGORIES = HIGH_RISK_CATEGORIES;
+CaptureSDK.classifyRecycling = classifyRecycling;
+CaptureSDK.RECYCLING_STREAMS = RECYCLING_STREAMS;
+CaptureSDK.estimateImpact = estimateImpact;
+CaptureSDK.resolveLocale = resolveLocale;
+CaptureSDK.formatCurrency = formatCurrency;
+CaptureSDK.LOCALES = LOCALES;
+CaptureSDK.summarizeImpact = summarizeImpact;
+CaptureSDK.MAX_BATCH_ITEMS = MAX_BATCH_ITEMS;
+CaptureSDK.AnalysisCache = AnalysisCache;
+CaptureSDK.createAnalysisCache = createAnalysisCache;
+CaptureSDK.registerPrompt = registerPrompt;
+CaptureSDK.listPrompts = listPrompts;
+CaptureSDK.computeFieldConfidence = computeFieldConfidence;
+CaptureSDK.fitCalibration = fitCalibration;
+CaptureSDK.CONFIDENCE_THRESHOLDS = CONFIDENCE_THRESHOLDS;
+CaptureSDK.CorrectionLog = CorrectionLog;
+CaptureSDK.createCorrectionLog = createCorrectionLog;
+CaptureSDK.diffAnalysis = diffAnalysis;
+CaptureSDK.ProductLookup = ProductLookup;
+CaptureSDK.MemoryProductAdapter = MemoryProductAdapter;
+CaptureSDK.createProductLookup = createProductLookup;
+CaptureSDK.normalizeGtin = normalizeGtin;
+CaptureSDK.normalizeIsbn = normalizeIsbn;
+CaptureSDK.PricingEngine = PricingEngine;
+CaptureSDK.createPricingEngine = createPricingEngine;
+CaptureSDK.routeProceeds = routeProceeds;
+CaptureSDK.rankRoutes = rankRoutes;
+CaptureSDK.RoutingPolicy = RoutingPolicy;
+CaptureSDK.createRoutingPolicy = createRoutingPolicy;
+CaptureSDK.EbaySandboxServer = EbaySandboxServer;
+CaptureSDK.createEbaySandbox = createEbaySandbox;
+CaptureSDK.OfflineQueue = OfflineQueue;
+CaptureSDK.createOfflineQueue = createOfflineQueue;
+CaptureSDK.SafetyScreener = SafetyScreener;
+CaptureSDK.MemorySafetyDataset = MemorySafetyDataset;
+CaptureSDK.createSafetyScreener = createSafetyScreener;
+CaptureSDK.UsageLedger = UsageLedger;
+CaptureSDK.createUsageLedger = createUsageLedger;
+CaptureSDK.MODEL_PRICING = MODEL_PRICING;
+CaptureSDK.calculateCost = calculateCost;
+CaptureSDK.ITEM_ANALYSIS_SCHEMA = ITEM_ANALYSIS_SCHEMA;
+CaptureSDK.validateAnalysis = validateAnalysis;
+
 CaptureSDK.validateImage = function(image) {
   if (!image) return { valid: false, error: 'No image provided' };
   
@@ -308,6 +754,122 @@ const sdk = new CaptureSDK({
   }
 });
 
+// Another registered provider, or a deterministic fake for offline tests
+const sdk = new CaptureSDK({ visionProvider: 'openai', apiKeys: { openai: process.env.OPENAI_API_KEY } });
+const offlineSdk = new CaptureSDK({
+  visionProvider: 'fake',
+  providers: { fake: CaptureSDK.createMockProvider({ response: { category: 'books', confidence: 9 } }) }
+});
+
+// Cache paid analyses (re-scans of the same photos return cached: true)
+const sdk = new CaptureSDK({ apiKeys: { claude: process.env.CLAUDE_API_KEY }, cache: { type: 'memory', maxEntries: 500 } });
+const fresh = await sdk.analyzeItem([imageBuffer], { forceRefresh: true });
+
+// Per-user cost accounting with a $5/month budget that falls back to a cheaper model
+const sdk = new CaptureSDK({ usage: { type: 'memory', budget: { monthlyUsd: 5, onExceeded: 'degrade' } } });
+const scan = await sdk.analyzeItem([imageBuffer], { uid: 'user-123' });
+console.log(scan.usage.costUsd, scan.budget.remainingUsd);
+const spend = await sdk.getUsageSummary('user-123', { from: '2025-01-01', to: '2025-01-31' });
+
+// Capture user corrections and export them for evaluation / calibration
+const sdk = new CaptureSDK({ corrections: { type: 'memory' } });
+await sdk.recordCorrections({ uid, scanId, analysis, finalValues: { brand: 'Levi\'s', condition: 'very_good' } });
+for await (const line of sdk.exportCorrections()) process.stdout.write(line);
+
+// Barcodes on books, media and boxed goods anchor identification (identifiers.gtin / isbn)
+const sdk = new CaptureSDK({ productLookup: { adapters: ['openLibrary', 'upcItemDb'] } });
+const book = await sdk.analyzeItem([coverPhoto, backCoverWithBarcode]);
+console.log(book.identifiers.isbn, book.product?.title);
+
+// Condition grade from itemized defects (enhanced-v3 prompt), with marketplace enums
+const scan = await sdk.analyzeItem([photo], { promptVersion: 'enhanced-v3' });
+console.log(scan.condition.grade, scan.condition.defects, scan.condition.marketplaces.ebay.conditionEnum);
+const graded = CaptureSDK.gradeCondition({ rating: 'good', issues: ['large stain on collar'] }, { category: 'denim shirt' });
+
+// Counterfeit risk for branded sneakers, handbags, watches and electronics (fusion mode checks every photo's label)
+const kicks = await sdk.analyzeItem([sidePhoto, tongueLabel, sizeTag], { mode: 'fusion' });
+console.log(kicks.authenticity.risk, kicks.authenticity.reasons);
+const kickRoutes = await sdk.getRoutes(kicks); // high risk: kickRoutes.instantOffer.eligible === false, route.disclaimers set
+
+// Recall / prohibited-item screening (on by default) with a local recall list
+const sdk = new CaptureSDK({ safety: { entries: [{ id: 'cpsc-24-123', type: 'recall', title: 'Stroller hinge recall', brand: 'Acme', models: ['Glide 2'], hazard: 'Hinge can pinch fingers' }] } });
+const seat = await sdk.analyzeItem([carSeatPhoto, dateSticker]);
+console.log(seat.safety.status, seat.safety.warnings.map(w => w.message)); // expired seats route to safe_disposal
+
+// Recycling streams and scrap value; unusable low-value items get a `recycle` route with drop-off guidance
+const toaster = await sdk.analyzeItem([photo]);
+console.log(toaster.recycling.primaryStream, toaster.recycling.estimatedScrapValue, toaster.recycling.dropOff);
+
+// UK seller: GBP prices, EBAY_GB comparables and en-GB listing templates
+const sdk = new CaptureSDK({ locale: 'en-GB', ebay: { clientId, clientSecret } });
+const scan = await sdk.analyzeItem([photo], { locale: 'de-DE' }); // per-scan override: German text, EUR, EBAY_DE
+const listing = await sdk.generateListing(scan, (await sdk.getRoutes(scan)).recommendedRoute);
+console.log(listing.marketplaceId, CaptureSDK.formatCurrency(listing.pricing.buyItNowPrice, scan.locale));
+
+// Offline / edge mode: queue scans without signal, sync into users/{uid}/scans when back online
+const sdk = new CaptureSDK({
+  offline: { type: 'file', directory: queueDir, isOnline: () => netInfo.isConnected, writer: { type: 'firestore', db } }
+});
+const provisional = await sdk.analyzeItem([photo], { uid, categoryHint: 'cordless drill', brand: 'DeWalt' });
+console.log(provisional.provisional, provisional.estimatedValue.suggested); // true, manual estimate
+const { synced, results } = await sdk.syncOfflineQueue(); // results[i].reconciliation: category / value changes
+
+// One price for an item everywhere: comparables from every pricing source, category estimate as the fallback
+const sdk = new CaptureSDK({ ebay: { clientId, clientSecret }, pricing: { sources: ['ebayBrowse', 'ebaySearch'] } });
+const price = await sdk.getPrice(scan);
+console.log(price.suggested, price.range, price.percentiles?.p75, price.sources); // routes and listings use the same numbers
+// Audit it: each comparable's weight (recency x title similarity x condition match), and what was set aside
+price.comparables.forEach(c => console.log(c.title, c.adjustedPrice, c.weight, c.weights));
+price.rejected.forEach(c => console.log(c.title, c.reason)); // lot, for_parts, stale, outlier, asking_price
+
+// Every route priced the same way - fees, shipping, packaging, your time, the chance it sells - and ranked
+const ranked = await sdk.getRoutes(scan, { hourlyRate: 25, sellWithinDays: 14 });
+[ranked.recommendedRoute, ...ranked.alternativeRoutes].forEach(route => console.log(route.type, route.expectedNetValue));
+const { fees, shipping, packaging, time, sellProbability } = ranked.recommendedRoute.proceeds;
+
+// Routing policy: the operator sets defaults and locks, each user adds their own, every decision is explained
+const policySdk = new CaptureSDK({ routing: { policy: { minProfit: 5 }, locked: ['minProfit'] } });
+const routed = await policySdk.getRoutes(scan, {
+  goal: 'cash_now', // max_value | balanced | cash_now
+  maxEffort: 'low',
+  willShip: false,
+  preferredCharities: [{ name: 'Habitat ReStore', categories: ['furniture', 'tools'] }],
+  alwaysDonateCategories: ['clothing']
+});
+routed.routing.decisions.forEach(d => console.log(d.route, d.rule, d.outcome, d.reason));
+routed.routing.excluded; // [{ type, expectedNetValue, reasons: [{ rule, reason }] }]
+routed.routing.sources; // { minProfit: 'locked', goal: 'user', hourlyRate: 'default', sellWithinDays: 'goal:cash_now', ... }
+// Check preferences before saving them; a bad stored value is dropped at routing time (outcome: 'invalid')
+const { valid, values, errors } = policySdk.validateRoutingPreferences({ goal: 'fast', minProfit: 10 }); // errors: goal (unknown), minProfit (locked)
+
+// List and price end-to-end with no network: a local eBay stand-in served from recorded fixtures
+const sandbox = CaptureSDK.createEbaySandbox({ accessTokens: ['seller-token'] });
+await sandbox.start(); // picks a free port; `npm run ebay:sandbox` runs it on 8787 for the emulator
+const offlineEbaySdk = new CaptureSDK({ ebay: sandbox.ebayConfig(), pricing: { sources: ['ebayBrowse', 'ebaySearch'] } });
+const sandboxPrice = await offlineEbaySdk.getPrice(drill);
+const ebay = new EbayIntegration(sandbox.ebayConfig({ accessToken: 'seller-token' }));
+const { listingId } = await ebay.createListing({ ...listing, pricing: { buyItNowPrice: sandboxPrice.suggested } });
+console.log(sandbox.requests.map(r => `${r.method} ${r.path}`));
+await sandbox.stop();
+
+// Environmental impact: every route carries CO2e / landfill avoided vs. the trash
+const { recommendedRoute } = await sdk.getRoutes(toaster);
+console.log(recommendedRoute.impact.co2eAvoidedKg, recommendedRoute.impact.landfillAvoidedKg);
+const lifetime = sdk.getImpactSummary(savedScans); // { co2eAvoidedKg, landfillAvoidedKg, milesNotDriven, byRoute }
+
+// A box lot in one photo: every item with a bounding box, listed separately or as one lot
+const pile = await sdk.detectItems([pilePhoto]);
+pile.items.forEach(item => console.log(item.label, item.boundingBox, item.resale.priceRange));
+const { lot } = await sdk.getRoutesForItems(pile, {}, null, { groupAs: 'lot' });
+const lotListing = await sdk.generateListing(lot.itemData, lot.route);
+
+// Batch a garage cleanout: one photo group per item, two at a time, 429s retried with backoff
+const batch = await sdk.analyzeBatch([
+  { id: 'lamp', images: [lampFront, lampLabel] },
+  { id: 'dresser', images: [dresserPhoto] }
+], { uid: 'user-123', concurrency: 2, onProgress: event => console.log(event.type, event.progress) });
+console.log(batch.summary.estimatedValue.suggested, batch.summary.countsByRoute);
+
 // Quick analysis
 const result = await sdk.analyzeItem([imageBuffer]);
 
@@ -1,13 +1,16 @@
 // functions/capture-sdk/integrations/ebay/enhanced-integration.js
 // Enhanced eBay Integration with OAuth token management
 
-const { EbayTokenManager } = require('../../../utils/ebay-token-manager.js');
+const { EbayTokenManager } = require('../../utils/ebay-token-manager.js');
 const { EbayCategoryHandler } = require('../../utils/ebayCategoryHandler.js');
+const { ebayHosts } = require('./hosts.js');
 
 class EnhancedEbayIntegration {
   constructor(config = {}) {
-    this.tokenManager = new EbayTokenManager();
     this.environment = config.environment || process.env.EBAY_ENVIRONMENT || 'production';
+    // Send every call to one host instead, e.g. the local sandbox server (see sandbox/)
+    this.baseUrl = config.baseUrl || null;
+    this.tokenManager = config.tokenManager || new EbayTokenManager({ environment: this.environment, baseUrl: this.baseUrl });
     this.categoryHandler = new EbayCategoryHandler(this);
     
     // Policy cache to avoid recreating policies
@@ -474,16 +477,11 @@ class EnhancedEbayIntegration {
 
   // Utility methods
   getApiUrl() {
-    return this.environment === 'sandbox' 
-      ? 'https://api.sandbox.ebay.com'
-      : 'https://api.ebay.com';
+    return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl }).api;
   }
 
   getListingUrl(listingId) {
-    const baseUrl = this.environment === 'sandbox' 
-      ? 'https://www.sandbox.ebay.com'
-      : 'https://www.ebay.com';
-    return `${baseUrl}/itm/${listingId}`;
+    return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl }).listingUrl(listingId);
   }
 
   // Disconnect user from eBay
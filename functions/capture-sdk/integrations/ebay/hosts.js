@@ -0,0 +1,48 @@
+// functions/capture-sdk/integrations/ebay/hosts.js
+// Where every eBay call goes. `baseUrl` (or EBAY_BASE_URL) sends all of them to one
+// host instead - the local sandbox server (see sandbox/) or a recording proxy.
+
+const EBAY_HOSTS = {
+  production: {
+    api: 'https://api.ebay.com',
+    identity: 'https://apiz.ebay.com',
+    auth: 'https://auth.ebay.com',
+    finding: 'https://svcs.ebay.com',
+    web: 'https://www.ebay.com'
+  },
+  sandbox: {
+    api: 'https://api.sandbox.ebay.com',
+    identity: 'https://apiz.sandbox.ebay.com',
+    auth: 'https://auth.sandbox.ebay.com',
+    finding: 'https://svcs.sandbox.ebay.com',
+    web: 'https://www.sandbox.ebay.com'
+  }
+};
+
+/**
+ * @param {Object} [config] - { environment: 'production' | 'sandbox', baseUrl }
+ * @returns {{ api: string, identityApi: string, tokenUrl: string, authorizeUrl: string, findingUrl: string,
+ *   tradingUrl: string, listingUrl: Function }}
+ */
+function ebayHosts(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.EBAY_BASE_URL || '').replace(/\/+$/, '');
+  const hosts = baseUrl
+    ? { api: baseUrl, identity: baseUrl, auth: baseUrl, finding: baseUrl, web: baseUrl }
+    : EBAY_HOSTS[config.environment] || EBAY_HOSTS.production;
+
+  return {
+    api: hosts.api,
+    // The Identity API (commerce/identity) lives on its own host
+    identityApi: hosts.identity,
+    tokenUrl: `${hosts.api}/identity/v1/oauth2/token`,
+    authorizeUrl: `${hosts.auth}/oauth2/authorize`,
+    findingUrl: `${hosts.finding}/services/search/FindingService/v1`,
+    tradingUrl: `${hosts.api}/ws/api.dll`,
+    listingUrl: listingId => `${hosts.web}/itm/${listingId}`
+  };
+}
+
+module.exports = {
+  EBAY_HOSTS,
+  ebayHosts
+};
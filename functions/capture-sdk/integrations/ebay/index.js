@@ -1,5 +1,6 @@
   // functions/capture-sdk/integrations/ebay/index.js
   const EbayCategoryHandler = require('../../utils/ebayCategoryHandler.js').EbayCategoryHandler;
+  const { ebayHosts } = require('./hosts.js');
 
 
 
@@ -8,6 +9,8 @@
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
         this.environment = config.environment || 'production'; // Default to production
+        // Send every call to one host instead, e.g. the local sandbox server (see sandbox/)
+        this.baseUrl = config.baseUrl || null;
         this.redirectUri = config.redirectUri;
         this.refreshToken = config.refreshToken;
         this.accessToken = config.accessToken || null; // Add this line
@@ -26,9 +29,7 @@
 
       // Single authorization URL method for production
       getAuthUrl(state = null) {
-        const baseUrl = this.environment === 'sandbox' 
-          ? 'https://auth.sandbox.ebay.com/oauth2/authorize'
-          : 'https://auth.ebay.com/oauth2/authorize';
+        const baseUrl = this.getHosts().authorizeUrl;
         
         // Essential scopes only
         const scopes = [
@@ -418,16 +419,16 @@
         }
       }
     
+      getHosts() {
+        return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl });
+      }
+    
       getApiUrl() {
-        return this.environment === 'sandbox' 
-          ? 'https://api.sandbox.ebay.com'
-          : 'https://api.ebay.com';
+        return this.getHosts().api;
       }
     
       getTokenUrl() {
-        return this.environment === 'sandbox'
-          ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-          : 'https://api.ebay.com/identity/v1/oauth2/token';
+        return this.getHosts().tokenUrl;
       }
     
       getBasicAuth() {
@@ -435,10 +436,7 @@
       }
     
       getListingUrl(listingId) {
-        const baseUrl = this.environment === 'sandbox' 
-          ? 'https://www.sandbox.ebay.com'
-          : 'https://www.ebay.com';
-        return `${baseUrl}/itm/${listingId}`;
+        return this.getHosts().listingUrl(listingId);
       }
     
       async refreshAccessToken() {
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// functions/capture-sdk/integrations/ebay/sandbox/cli.js
+// Run the eBay sandbox server on its own, for the emulator or a manual walk-through.
+//
+//   node capture-sdk/integrations/ebay/sandbox/cli.js                       fixtures/ on port 8787
+//   node capture-sdk/integrations/ebay/sandbox/cli.js --port 9000
+//   node capture-sdk/integrations/ebay/sandbox/cli.js --fixtures ./my-fixtures
+//   node capture-sdk/integrations/ebay/sandbox/cli.js --token dev-token    also accept this user token
+//   node capture-sdk/integrations/ebay/sandbox/cli.js --no-auth --debug    any bearer token, log requests
+//
+// Then start the functions with EBAY_BASE_URL=http://localhost:8787
+
+const path = require('path');
+const { createEbaySandbox } = require('./index.js');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sandbox = createEbaySandbox({
+    fixturesDir: typeof args.fixtures === 'string' ? path.resolve(args.fixtures) : undefined,
+    accessTokens: typeof args.token === 'string' ? [args.token] : [],
+    requireAuth: !args['no-auth'],
+    debug: !!args.debug
+  });
+
+  const { baseUrl } = await sandbox.start(Number(args.port) || 8787);
+  console.log(`🔗 EBAY_BASE_URL=${baseUrl}`);
+
+  const shutdown = async () => {
+    await sandbox.stop();
+    console.log('👋 eBay sandbox stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ eBay sandbox failed to start:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,785 @@
+// functions/capture-sdk/integrations/ebay/sandbox/index.js
+// Local stand-in for the eBay APIs the SDK and functions call, served from recorded
+// fixtures (see fixtures/) with no network:
+//   OAuth      POST /identity/v1/oauth2/token, GET /oauth2/authorize
+//   Browse     GET  /buy/browse/v1/item_summary/search, /buy/browse/v1/item/{id}
+//   Finding    POST /services/search/FindingService/v1 (findCompletedItems)
+//   Inventory  inventory_item, offer (+ publish / withdraw), location
+//   Account    fulfillment / payment / return policies, privilege
+//   Metadata   taxonomy tree, suggestions, aspects, item condition policies
+//   Trading    POST /ws/api.dll (AddItem, AddFixedPriceItem, VerifyAddItem, GetItem, EndItem)
+//   Identity   GET  /commerce/identity/v1/user/
+//
+// Point any eBay config at it with `baseUrl` (or EBAY_BASE_URL) - see ../hosts.js.
+// Inventory, offers and listings live in memory until reset(); every request is
+// kept in `requests` for assertions.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FIXTURE_FILES = ['browse', 'finding', 'account', 'inventory', 'taxonomy'];
+
+const TOKEN_TTL_SECONDS = 7200;
+const REFRESH_TOKEN_TTL_SECONDS = 47304000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY_TYPES = {
+  fulfillment_policy: { list: 'fulfillmentPolicies', id: 'fulfillmentPolicyId' },
+  payment_policy: { list: 'paymentPolicies', id: 'paymentPolicyId' },
+  return_policy: { list: 'returnPolicies', id: 'returnPolicyId' }
+};
+
+const TRADING_LISTING_CALLS = ['AddItem', 'AddFixedPriceItem', 'VerifyAddItem', 'VerifyAddFixedPriceItem'];
+
+/**
+ * Fixture set: each file in the directory, with `overrides` replacing whole files
+ * @param {string} [directory]
+ * @param {Object} [overrides] - { browse, finding, account, inventory, taxonomy }
+ */
+function loadSandboxFixtures(directory = FIXTURES_DIR, overrides = {}) {
+  const fixtures = {};
+  FIXTURE_FILES.forEach(name => {
+    const file = path.join(directory, `${name}.json`);
+    fixtures[name] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  });
+  return { ...fixtures, ...overrides };
+}
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const escapeXml = value => String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[c]);
+
+const xmlTag = (xml, tag) => xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`))?.[1]?.replace(/^<!\[CDATA\[|\]\]>$/g, '').trim();
+
+// Loose stemming so "tools" finds "Tool", as eBay's own search does
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1)
+  .map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+
+/**
+ * Listings ranked by how many query words their title and category names have; at least half must match
+ */
+function matchListings(listings, { q, gtin }) {
+  if (gtin) return listings.filter(listing => listing.gtin === gtin);
+  const words = tokenize(q).filter(word => word !== 'sold');
+  if (!words.length) return listings;
+  const needed = Math.ceil(words.length / 2);
+
+  return listings
+    .map(listing => {
+      const title = new Set(tokenize(`${listing.title} ${(listing.categories || []).map(c => c.categoryName).join(' ')}`));
+      return { listing, score: words.filter(word => title.has(word)).length };
+    })
+    .filter(match => match.score >= needed)
+    .sort((a, b) => b.score - a.score)
+    .map(match => match.listing);
+}
+
+function findCategoryNode(node, categoryId) {
+  if (!node) return null;
+  if (node.category.categoryId === categoryId) return node;
+  for (const child of node.childCategoryTreeNodes || []) {
+    const found = findCategoryNode(child, categoryId);
+    if (found) return found;
+  }
+  return null;
+}
+
+function categoryName(taxonomy, categoryId) {
+  return findCategoryNode(taxonomy.rootCategoryNode, categoryId)?.category.categoryName || null;
+}
+
+class EbaySandboxServer {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.fixturesDir] - Recorded responses (defaults to ./fixtures)
+   * @param {Object} [config.fixtures] - Whole fixture files to use instead: { browse, finding, ... }
+   * @param {Object} [config.clients] - { clientId: clientSecret } accepted by the token endpoint (default: any)
+   * @param {Array<string>} [config.accessTokens] - User tokens accepted without going through OAuth
+   * @param {boolean} [config.requireAuth=true] - false accepts any bearer token
+   * @param {number} [config.port=0] - 0 picks a free port
+   * @param {boolean} [config.debug=false] - Log every request
+   */
+  constructor(config = {}) {
+    this.fixtures = loadSandboxFixtures(config.fixturesDir, config.fixtures);
+    this.clients = config.clients || null;
+    this.presetTokens = config.accessTokens || [];
+    this.requireAuth = config.requireAuth !== false;
+    this.port = config.port || 0;
+    this.debug = config.debug || false;
+    this.server = null;
+    this.baseUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Forget tokens, inventory, offers, listings and the request log; policies and
+   * locations go back to the fixtures
+   */
+  reset() {
+    this.requests = [];
+    this.tokens = new Map(this.presetTokens.map(token => [token, { type: 'user', expiresAt: Infinity }]));
+    this.authCodes = new Map();
+    this.refreshTokens = new Set();
+    this.inventoryItems = new Map();
+    this.offers = new Map();
+    this.listings = new Map();
+    this.locations = new Map((this.fixtures.inventory.locations || []).map(l => [l.merchantLocationKey, clone(l)]));
+    this.policies = Object.fromEntries(
+      Object.values(POLICY_TYPES).map(({ list }) => [list, clone(this.fixtures.account[list] || [])])
+    );
+    this.nextId = 1;
+  }
+
+  /**
+   * @returns {Promise<{ baseUrl: string, port: number }>}
+   */
+  async start(port = this.port) {
+    if (this.server) return { baseUrl: this.baseUrl, port: this.server.address().port };
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('❌ eBay sandbox request failed:', error);
+        this.sendJson(res, 500, this.errorBody(10001, 'API_SANDBOX', error.message));
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+
+    const address = this.server.address();
+    this.baseUrl = `http://127.0.0.1:${address.port}`;
+    console.log(`🧪 eBay sandbox listening on ${this.baseUrl}`);
+    return { baseUrl: this.baseUrl, port: address.port };
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.baseUrl = null;
+    await new Promise(resolve => {
+      server.close(resolve);
+      // Keep-alive sockets from the clients would hold close() open
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * eBay config for the SDK and integrations pointed at this server
+   */
+  ebayConfig(overrides = {}) {
+    if (!this.baseUrl) throw new Error('eBay sandbox is not running - call start() first');
+    const [clientId, clientSecret] = Object.entries(this.clients || {})[0] || ['sandbox-client-id', 'sandbox-client-secret'];
+    return { clientId, clientSecret, environment: 'sandbox', baseUrl: this.baseUrl, ...overrides };
+  }
+
+  /**
+   * A user access token, as if the seller had completed the OAuth consent flow
+   */
+  issueUserToken() {
+    return this.issueToken('user').access_token;
+  }
+
+  // ---- plumbing ----
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://sandbox');
+    const body = await new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body,
+      json: null
+    };
+    if (body && /json/.test(req.headers['content-type'] || '')) {
+      try {
+        request.json = JSON.parse(body);
+      } catch (error) {
+        return this.sendJson(res, 400, this.errorBody(2004, 'ACCESS', 'Request body is not valid JSON'));
+      }
+    }
+    this.requests.push({ method: request.method, path: request.path, query: request.query, body: request.json || body || null });
+    if (this.debug) console.log(`🧪 ${request.method} ${request.path}`);
+
+    const route = this.route(request);
+    if (!route) {
+      return this.sendJson(res, 404, this.errorBody(2002, 'API_SANDBOX', `No sandbox route for ${request.method} ${request.path}`));
+    }
+    if (route.auth && !this.authorized(request, route.auth)) {
+      return this.sendJson(res, 401, this.errorBody(1001, 'OAuth', 'Invalid access token'));
+    }
+    return route.handler(request, res, route.params);
+  }
+
+  route(request) {
+    for (const [method, pattern, auth, handler] of this.routes()) {
+      if (method !== request.method) continue;
+      const match = request.path.match(pattern);
+      if (match) return { auth, handler: handler.bind(this), params: match.slice(1).map(decodeURIComponent) };
+    }
+    return null;
+  }
+
+  routes() {
+    return [
+      ['POST', /^\/identity\/v1\/oauth2\/token$/, null, this.token],
+      ['GET', /^\/oauth2\/authorize$/, null, this.authorize],
+      ['GET', /^\/buy\/browse\/v1\/item_summary\/search$/, 'bearer', this.browseSearch],
+      ['GET', /^\/buy\/browse\/v1\/item\/([^/]+)$/, 'bearer', this.browseItem],
+      ['POST', /^\/services\/search\/FindingService\/v1$/, 'appId', this.finding],
+      ['GET', /^\/sell\/inventory\/v1\/inventory_item$/, 'bearer', this.listInventoryItems],
+      ['GET', /^\/sell\/inventory\/v1\/inventory_item\/([^/]+)$/, 'bearer', this.getInventoryItem],
+      ['PUT', /^\/sell\/inventory\/v1\/inventory_item\/([^/]+)$/, 'bearer', this.putInventoryItem],
+      ['DELETE', /^\/sell\/inventory\/v1\/inventory_item\/([^/]+)$/, 'bearer', this.deleteInventoryItem],
+      ['GET', /^\/sell\/inventory\/v1\/offer$/, 'bearer', this.listOffers],
+      ['POST', /^\/sell\/inventory\/v1\/offer$/, 'bearer', this.createOffer],
+      ['GET', /^\/sell\/inventory\/v1\/offer\/([^/]+)$/, 'bearer', this.getOffer],
+      ['PUT', /^\/sell\/inventory\/v1\/offer\/([^/]+)$/, 'bearer', this.updateOffer],
+      ['DELETE', /^\/sell\/inventory\/v1\/offer\/([^/]+)$/, 'bearer', this.deleteOffer],
+      ['POST', /^\/sell\/inventory\/v1\/offer\/([^/]+)\/publish$/, 'bearer', this.publishOffer],
+      ['POST', /^\/sell\/inventory\/v1\/offer\/([^/]+)\/withdraw$/, 'bearer', this.withdrawOffer],
+      ['GET', /^\/sell\/inventory\/v1\/location$/, 'bearer', this.listLocations],
+      ['GET', /^\/sell\/inventory\/v1\/location\/([^/]+)$/, 'bearer', this.getLocation],
+      ['POST', /^\/sell\/inventory\/v1\/location\/([^/]+)$/, 'bearer', this.createLocation],
+      ['POST', /^\/sell\/inventory\/v1\/location\/([^/]+)\/update_location_details$/, 'bearer', this.updateLocation],
+      ['DELETE', /^\/sell\/inventory\/v1\/location\/([^/]+)$/, 'bearer', this.deleteLocation],
+      ['GET', /^\/sell\/account\/v1\/privilege$/, 'bearer', this.privilege],
+      ['GET', /^\/sell\/account\/v1\/(fulfillment_policy|payment_policy|return_policy)$/, 'bearer', this.listPolicies],
+      ['POST', /^\/sell\/account\/v1\/(fulfillment_policy|payment_policy|return_policy)$/, 'bearer', this.createPolicy],
+      ['GET', /^\/sell\/account\/v1\/(fulfillment_policy|payment_policy|return_policy)\/([^/]+)$/, 'bearer', this.getPolicy],
+      ['DELETE', /^\/sell\/account\/v1\/(fulfillment_policy|payment_policy|return_policy)\/([^/]+)$/, 'bearer', this.deletePolicy],
+      ['GET', /^\/commerce\/taxonomy\/v1\/get_default_category_tree_id$/, 'bearer', this.defaultCategoryTree],
+      ['GET', /^\/commerce\/taxonomy\/v1\/category_tree\/([^/]+)$/, 'bearer', this.categoryTree],
+      ['GET', /^\/commerce\/taxonomy\/v1\/category_tree\/([^/]+)\/get_category_suggestions$/, 'bearer', this.categorySuggestions],
+      ['GET', /^\/commerce\/taxonomy\/v1\/category_tree\/([^/]+)\/get_category_subtree$/, 'bearer', this.categorySubtree],
+      ['GET', /^\/commerce\/taxonomy\/v1\/category_tree\/([^/]+)\/get_item_aspects_for_category$/, 'bearer', this.itemAspects],
+      ['GET', /^\/sell\/metadata\/v1\/marketplace\/([^/]+)\/get_item_condition_policies$/, 'bearer', this.conditionPolicies],
+      ['GET', /^\/commerce\/identity\/v1\/user\/?$/, 'bearer', this.identityUser],
+      ['POST', /^\/ws\/api\.dll$/, 'trading', this.trading],
+      ['GET', /^\/itm\/([^/]+)$/, null, this.viewListing]
+    ];
+  }
+
+  authorized(request, kind) {
+    if (kind === 'appId') return !!request.headers['x-ebay-soa-security-appname'];
+    if (!this.requireAuth) return true;
+
+    const token = kind === 'trading'
+      ? request.headers['x-ebay-api-iaf-token'] || xmlTag(request.body, 'eBayAuthToken')
+      : (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const issued = token && this.tokens.get(token);
+    return !!issued && issued.expiresAt > Date.now();
+  }
+
+  issueToken(type) {
+    const accessToken = `v^1.1#sandbox#${type}#${crypto.randomBytes(12).toString('hex')}`;
+    this.tokens.set(accessToken, { type, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+    return {
+      access_token: accessToken,
+      expires_in: TOKEN_TTL_SECONDS,
+      token_type: type === 'application' ? 'Application Access Token' : 'User Access Token'
+    };
+  }
+
+  newId(prefix = '') {
+    return `${prefix}${String(this.nextId++).padStart(10, '0')}`;
+  }
+
+  errorBody(errorId, domain, message, parameters) {
+    return { errors: [{ errorId, domain, category: 'REQUEST', message, ...(parameters && { parameters }) }] };
+  }
+
+  sendJson(res, status, body) {
+    if (status === 204) {
+      res.writeHead(204);
+      return res.end();
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(body));
+  }
+
+  sendXml(res, status, xml) {
+    res.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+    return res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${xml}`);
+  }
+
+  // ---- OAuth ----
+
+  token(request, res) {
+    const [clientId, clientSecret] = Buffer.from((request.headers.authorization || '').replace(/^Basic\s+/i, ''), 'base64')
+      .toString('utf8')
+      .split(':');
+    const knownClient = this.clients ? this.clients[clientId] === clientSecret : !!(clientId && clientSecret);
+    if (!knownClient) {
+      return this.sendJson(res, 401, { error: 'invalid_client', error_description: 'client authentication failed' });
+    }
+
+    const form = new URLSearchParams(request.body);
+    const grantType = form.get('grant_type');
+
+    if (grantType === 'client_credentials') {
+      return this.sendJson(res, 200, this.issueToken('application'));
+    }
+    if (grantType === 'authorization_code') {
+      if (!this.authCodes.delete(form.get('code'))) {
+        return this.sendJson(res, 400, { error: 'invalid_grant', error_description: 'the provided authorization grant code is invalid or was issued to another client' });
+      }
+      const refreshToken = `v^1.1#sandbox#refresh#${crypto.randomBytes(12).toString('hex')}`;
+      this.refreshTokens.add(refreshToken);
+      return this.sendJson(res, 200, {
+        ...this.issueToken('user'),
+        refresh_token: refreshToken,
+        refresh_token_expires_in: REFRESH_TOKEN_TTL_SECONDS
+      });
+    }
+    if (grantType === 'refresh_token') {
+      if (!this.refreshTokens.has(form.get('refresh_token'))) {
+        return this.sendJson(res, 400, { error: 'invalid_grant', error_description: 'the provided authorization refresh token is invalid or was issued to another client' });
+      }
+      return this.sendJson(res, 200, this.issueToken('user'));
+    }
+    return this.sendJson(res, 400, { error: 'unsupported_grant_type', error_description: `grant type ${grantType} is not supported` });
+  }
+
+  // Consent is implied: straight back to the app with a code
+  authorize(request, res) {
+    const { redirect_uri: redirectUri, state } = request.query;
+    if (!redirectUri || !/^https?:\/\//.test(redirectUri)) {
+      return this.sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri must be an absolute URL in the sandbox' });
+    }
+    const code = `v^1.1#sandbox#code#${crypto.randomBytes(8).toString('hex')}`;
+    this.authCodes.set(code, true);
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.writeHead(302, { Location: target.toString() });
+    return res.end();
+  }
+
+  // ---- Browse ----
+
+  browseSearch(request, res) {
+    const { q, gtin, filter = '' } = request.query;
+    const limit = Math.min(Number(request.query.limit) || 50, 200);
+    const offset = Number(request.query.offset) || 0;
+    const conditionIds = filter.match(/conditionIds:\{([^}]*)\}/)?.[1].split('|').filter(Boolean) || [];
+
+    const matches = matchListings(this.fixtures.browse.itemSummaries || [], { q, gtin })
+      .filter(listing => !conditionIds.length || conditionIds.includes(listing.conditionId));
+
+    return this.sendJson(res, 200, {
+      href: `${this.baseUrl || ''}${request.path}?${new URLSearchParams(request.query)}`,
+      total: matches.length,
+      limit,
+      offset,
+      itemSummaries: matches.slice(offset, offset + limit)
+    });
+  }
+
+  browseItem(request, res, [itemId]) {
+    const item = (this.fixtures.browse.itemSummaries || []).find(listing => listing.itemId === itemId);
+    if (!item) return this.sendJson(res, 404, this.errorBody(11001, 'API_BROWSE', `The specified item ID ${itemId} was not found`));
+    return this.sendJson(res, 200, { ...item, description: item.title });
+  }
+
+  // ---- Finding (sold listings) ----
+
+  finding(request, res) {
+    const operation = request.headers['x-ebay-soa-operation-name'] || 'findCompletedItems';
+    const responseTag = `${operation}Response`;
+    if (operation !== 'findCompletedItems') {
+      return this.sendXml(res, 200, `<${responseTag} xmlns="http://www.ebay.com/marketplace/search/v1/services"><ack>Failure</ack><errorMessage><error><message>${escapeXml(operation)} is not supported by the sandbox</message></error></errorMessage></${responseTag}>`);
+    }
+
+    const keywords = xmlTag(request.body, 'keywords');
+    const productId = xmlTag(request.body, 'productId');
+    const perPage = Number(xmlTag(request.body, 'entriesPerPage')) || 100;
+    const endTimeFrom = request.body.match(/<name>EndTimeFrom<\/name>\s*<value>([^<]+)<\/value>/)?.[1];
+    const from = endTimeFrom ? Date.parse(endTimeFrom) : -Infinity;
+
+    const sold = matchListings(this.fixtures.finding.soldItems || [], { q: keywords, gtin: productId })
+      .map(item => ({ ...item, endTime: new Date(Date.now() - item.daysAgo * DAY_MS).toISOString() }))
+      .filter(item => Date.parse(item.endTime) >= from)
+      .slice(0, perPage);
+
+    const items = sold.map(item => `
+    <item>
+      <itemId>${item.itemId}</itemId>
+      <title><![CDATA[${item.title}]]></title>
+      <primaryCategory><categoryId>${item.categoryId}</categoryId></primaryCategory>
+      <viewItemURL><![CDATA[${item.viewItemURL}]]></viewItemURL>
+      <sellingStatus>
+        <currentPrice currencyId="${item.currency}">${item.price}</currentPrice>
+        <convertedCurrentPrice currencyId="${item.currency}">${item.price}</convertedCurrentPrice>
+        <sellingState>EndedWithSales</sellingState>
+      </sellingStatus>
+      <listingInfo><endTime>${item.endTime}</endTime><listingType>FixedPrice</listingType></listingInfo>
+      <condition><conditionId>${item.conditionId}</conditionId><conditionDisplayName>${escapeXml(item.condition)}</conditionDisplayName></condition>
+    </item>`).join('');
+
+    return this.sendXml(res, 200, `<${responseTag} xmlns="http://www.ebay.com/marketplace/search/v1/services">
+  <ack>Success</ack>
+  <version>1.13.0</version>
+  <timestamp>${new Date().toISOString()}</timestamp>
+  <searchResult count="${sold.length}">${items}
+  </searchResult>
+  <paginationOutput><pageNumber>1</pageNumber><entriesPerPage>${perPage}</entriesPerPage><totalEntries>${sold.length}</totalEntries></paginationOutput>
+</${responseTag}>`);
+  }
+
+  // ---- Inventory ----
+
+  listInventoryItems(request, res) {
+    const inventoryItems = Array.from(this.inventoryItems.values());
+    return this.sendJson(res, 200, { total: inventoryItems.length, inventoryItems });
+  }
+
+  getInventoryItem(request, res, [sku]) {
+    const item = this.inventoryItems.get(sku);
+    if (!item) return this.sendJson(res, 404, this.errorBody(25710, 'API_INVENTORY', `We didn't find the entity you are requesting. SKU ${sku}`));
+    return this.sendJson(res, 200, item);
+  }
+
+  putInventoryItem(request, res, [sku]) {
+    const item = request.json || {};
+    const missing = ['condition', 'product.title', 'availability.shipToLocationAvailability.quantity']
+      .filter(field => field.split('.').reduce((value, key) => value?.[key], item) === undefined);
+    if (missing.length) {
+      return this.sendJson(res, 400, this.errorBody(25709, 'API_INVENTORY', `Invalid value for ${missing.join(', ')}`));
+    }
+    const existed = this.inventoryItems.has(sku);
+    this.inventoryItems.set(sku, { sku, locale: request.headers['content-language'] || 'en-US', ...item });
+    return this.sendJson(res, existed ? 204 : 201, existed ? null : { sku });
+  }
+
+  deleteInventoryItem(request, res, [sku]) {
+    if (!this.inventoryItems.delete(sku)) return this.getInventoryItem(request, res, [sku]);
+    return this.sendJson(res, 204);
+  }
+
+  listOffers(request, res) {
+    const { sku } = request.query;
+    const limit = Number(request.query.limit) || 25;
+    const offset = Number(request.query.offset) || 0;
+    const offers = Array.from(this.offers.values()).filter(offer => !sku || offer.sku === sku);
+    return this.sendJson(res, 200, { total: offers.length, limit, offset, offers: offers.slice(offset, offset + limit) });
+  }
+
+  createOffer(request, res) {
+    const offer = request.json || {};
+    if (!offer.sku || !this.inventoryItems.has(offer.sku)) {
+      return this.sendJson(res, 400, this.errorBody(25702, 'API_INVENTORY', `The SKU ${offer.sku} is not available in the system`));
+    }
+    if (!offer.marketplaceId || !offer.format) {
+      return this.sendJson(res, 400, this.errorBody(25709, 'API_INVENTORY', 'Invalid value for marketplaceId or format'));
+    }
+    const offerId = this.newId('5');
+    this.offers.set(offerId, { offerId, status: 'UNPUBLISHED', availableQuantity: 1, ...offer });
+    return this.sendJson(res, 201, { offerId });
+  }
+
+  getOffer(request, res, [offerId]) {
+    const offer = this.offers.get(offerId);
+    if (!offer) return this.sendJson(res, 404, this.errorBody(25713, 'API_INVENTORY', `This Offer is not available : ${offerId}`));
+    return this.sendJson(res, 200, offer);
+  }
+
+  updateOffer(request, res, [offerId]) {
+    const offer = this.offers.get(offerId);
+    if (!offer) return this.getOffer(request, res, [offerId]);
+    this.offers.set(offerId, { ...offer, ...request.json, offerId, sku: offer.sku });
+    return this.sendJson(res, 204);
+  }
+
+  deleteOffer(request, res, [offerId]) {
+    if (!this.offers.delete(offerId)) return this.getOffer(request, res, [offerId]);
+    return this.sendJson(res, 204);
+  }
+
+  publishOffer(request, res, [offerId]) {
+    const offer = this.offers.get(offerId);
+    if (!offer) return this.getOffer(request, res, [offerId]);
+
+    const item = this.inventoryItems.get(offer.sku);
+    const policies = offer.listingPolicies || {};
+    const problems = [
+      !item?.product?.imageUrls?.length && 'product.imageUrls',
+      !offer.pricingSummary?.price?.value && 'pricingSummary.price',
+      !offer.categoryId && 'categoryId',
+      !this.locations.has(offer.merchantLocationKey) && 'merchantLocationKey',
+      ...Object.entries(POLICY_TYPES).map(([, { list, id }]) =>
+        !this.policies[list].some(policy => policy[id] === policies[id]) && `listingPolicies.${id}`)
+    ].filter(Boolean);
+    if (problems.length) {
+      return this.sendJson(res, 400, this.errorBody(25002, 'API_INVENTORY', `Offer cannot be published: missing or invalid ${problems.join(', ')}`));
+    }
+
+    const listingId = offer.listingId || this.newId('11');
+    this.offers.set(offerId, { ...offer, status: 'PUBLISHED', listingId });
+    this.listings.set(listingId, {
+      listingId,
+      source: 'inventory',
+      sku: offer.sku,
+      offerId,
+      title: item.product.title,
+      price: offer.pricingSummary.price,
+      categoryId: offer.categoryId,
+      condition: item.condition,
+      status: 'ACTIVE'
+    });
+    return this.sendJson(res, 200, { listingId, warnings: [] });
+  }
+
+  withdrawOffer(request, res, [offerId]) {
+    const offer = this.offers.get(offerId);
+    if (!offer) return this.getOffer(request, res, [offerId]);
+    if (offer.status !== 'PUBLISHED') {
+      return this.sendJson(res, 400, this.errorBody(25713, 'API_INVENTORY', `Offer ${offerId} is not published`));
+    }
+    this.offers.set(offerId, { ...offer, status: 'UNPUBLISHED' });
+    const listing = this.listings.get(offer.listingId);
+    if (listing) listing.status = 'ENDED';
+    return this.sendJson(res, 200, { listingId: offer.listingId, warnings: [] });
+  }
+
+  listLocations(request, res) {
+    const locations = Array.from(this.locations.values());
+    return this.sendJson(res, 200, { total: locations.length, locations });
+  }
+
+  getLocation(request, res, [key]) {
+    const location = this.locations.get(key);
+    if (!location) return this.sendJson(res, 404, this.errorBody(25805, 'API_INVENTORY', `Location ${key} not found`));
+    return this.sendJson(res, 200, location);
+  }
+
+  createLocation(request, res, [key]) {
+    if (this.locations.has(key)) {
+      return this.sendJson(res, 409, this.errorBody(25803, 'API_INVENTORY', `Location ${key} already exists`));
+    }
+    if (!request.json?.location?.address) {
+      return this.sendJson(res, 400, this.errorBody(25802, 'API_INVENTORY', 'Input error: location.address is required'));
+    }
+    this.locations.set(key, { merchantLocationKey: key, merchantLocationStatus: 'ENABLED', ...request.json });
+    return this.sendJson(res, 204);
+  }
+
+  updateLocation(request, res, [key]) {
+    const location = this.locations.get(key);
+    if (!location) return this.getLocation(request, res, [key]);
+    this.locations.set(key, { ...location, ...request.json });
+    return this.sendJson(res, 204);
+  }
+
+  deleteLocation(request, res, [key]) {
+    if (!this.locations.delete(key)) return this.getLocation(request, res, [key]);
+    return this.sendJson(res, 204);
+  }
+
+  // ---- Account ----
+
+  privilege(request, res) {
+    return this.sendJson(res, 200, this.fixtures.account.privilege || {});
+  }
+
+  listPolicies(request, res, [type]) {
+    const { list } = POLICY_TYPES[type];
+    const marketplaceId = request.query.marketplace_id;
+    const policies = this.policies[list].filter(policy => !marketplaceId || policy.marketplaceId === marketplaceId);
+    return this.sendJson(res, 200, { total: policies.length, [list]: policies });
+  }
+
+  createPolicy(request, res, [type]) {
+    const { list, id } = POLICY_TYPES[type];
+    const policy = request.json || {};
+    if (!policy.name || !policy.marketplaceId) {
+      return this.sendJson(res, 400, this.errorBody(20403, 'API_ACCOUNT', 'Invalid name or marketplaceId'));
+    }
+    if (this.policies[list].some(existing => existing.name === policy.name && existing.marketplaceId === policy.marketplaceId)) {
+      return this.sendJson(res, 400, this.errorBody(20400, 'API_ACCOUNT', `A policy named "${policy.name}" already exists`));
+    }
+    const created = { ...policy, [id]: this.newId('62') };
+    this.policies[list].push(created);
+    return this.sendJson(res, 201, created);
+  }
+
+  getPolicy(request, res, [type, policyId]) {
+    const { list, id } = POLICY_TYPES[type];
+    const policy = this.policies[list].find(existing => existing[id] === policyId);
+    if (!policy) return this.sendJson(res, 404, this.errorBody(20404, 'API_ACCOUNT', `${policyId} not found`));
+    return this.sendJson(res, 200, policy);
+  }
+
+  deletePolicy(request, res, [type, policyId]) {
+    const { list, id } = POLICY_TYPES[type];
+    const before = this.policies[list].length;
+    this.policies[list] = this.policies[list].filter(existing => existing[id] !== policyId);
+    if (this.policies[list].length === before) return this.getPolicy(request, res, [type, policyId]);
+    return this.sendJson(res, 204);
+  }
+
+  // ---- Taxonomy / Metadata ----
+
+  defaultCategoryTree(request, res) {
+    const { categoryTreeId, categoryTreeVersion } = this.fixtures.taxonomy;
+    return this.sendJson(res, 200, { categoryTreeId, categoryTreeVersion });
+  }
+
+  categoryTree(request, res, [treeId]) {
+    const { categoryTreeId, categoryTreeVersion, rootCategoryNode } = this.fixtures.taxonomy;
+    if (treeId !== categoryTreeId) return this.sendJson(res, 404, this.errorBody(62004, 'API_TAXONOMY', `Category tree ${treeId} not found`));
+    return this.sendJson(res, 200, { categoryTreeId, categoryTreeVersion, rootCategoryNode });
+  }
+
+  categorySuggestions(request, res) {
+    const taxonomy = this.fixtures.taxonomy;
+    const words = new Set(tokenize(request.query.q));
+    const categorySuggestions = Object.entries(taxonomy.suggestionKeywords || {})
+      .map(([categoryId, keywords]) => ({ categoryId, hits: keywords.filter(keyword => words.has(keyword)).length }))
+      .filter(suggestion => suggestion.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map(({ categoryId, hits }) => ({
+        category: { categoryId, categoryName: categoryName(taxonomy, categoryId) },
+        categoryTreeNodeLevel: 4,
+        relevancy: hits > 1 ? 'HIGH' : 'MEDIUM'
+      }));
+    return this.sendJson(res, 200, { categoryTreeId: taxonomy.categoryTreeId, categorySuggestions });
+  }
+
+  categorySubtree(request, res) {
+    const node = findCategoryNode(this.fixtures.taxonomy.rootCategoryNode, request.query.category_id);
+    if (!node) return this.sendJson(res, 404, this.errorBody(62005, 'API_TAXONOMY', `Category ${request.query.category_id} not found`));
+    return this.sendJson(res, 200, { categoryTreeId: this.fixtures.taxonomy.categoryTreeId, categorySubtreeNode: node, childCategoryTreeNodes: node.childCategoryTreeNodes || [] });
+  }
+
+  itemAspects(request, res) {
+    return this.sendJson(res, 200, { aspects: this.fixtures.taxonomy.aspects?.[request.query.category_id] || [] });
+  }
+
+  conditionPolicies(request, res) {
+    const policies = this.fixtures.taxonomy.conditionPolicies || {};
+    const categoryIds = (request.query.filter || '').match(/categoryIds:\{([^}]*)\}/)?.[1].split('|').filter(Boolean) || [];
+    const itemConditionPolicies = categoryIds.map(categoryId => ({
+      categoryId,
+      categoryTreeId: this.fixtures.taxonomy.categoryTreeId,
+      itemConditionRequired: true,
+      itemConditions: policies[categoryId] || policies.default || []
+    }));
+    return this.sendJson(res, 200, { itemConditionPolicies });
+  }
+
+  identityUser(request, res) {
+    return this.sendJson(res, 200, this.fixtures.account.user || {});
+  }
+
+  // ---- Trading (XML) ----
+
+  trading(request, res) {
+    const callName = request.headers['x-ebay-api-call-name'];
+    const responseTag = `${callName}Response`;
+    const envelope = (ack, inner) => this.sendXml(res, 200, `<${responseTag} xmlns="urn:ebay:apis:eBLBaseComponents">
+  <Timestamp>${new Date().toISOString()}</Timestamp>
+  <Ack>${ack}</Ack>
+  <Version>${request.headers['x-ebay-api-compatibility-level'] || '1183'}</Version>
+  <Build>E1183_SANDBOX</Build>${inner}
+</${responseTag}>`);
+    const failure = (code, message) => envelope('Failure', `
+  <Errors>
+    <ShortMessage>${escapeXml(message)}</ShortMessage>
+    <LongMessage>${escapeXml(message)}</LongMessage>
+    <ErrorCode>${code}</ErrorCode>
+    <SeverityCode>Error</SeverityCode>
+    <ErrorClassification>RequestError</ErrorClassification>
+  </Errors>`);
+
+    if (TRADING_LISTING_CALLS.includes(callName)) {
+      const title = xmlTag(request.body, 'Title');
+      const price = Number(xmlTag(request.body, 'StartPrice'));
+      const categoryId = xmlTag(request.body, 'CategoryID');
+      if (!title) return failure(10019, 'The item title is missing.');
+      if (!(price > 0)) return failure(10019, 'The StartPrice is missing or invalid.');
+      if (!categoryId || !findCategoryNode(this.fixtures.taxonomy.rootCategoryNode, categoryId)) {
+        return failure(87, `The category ${categoryId || ''} is not valid, select another category.`);
+      }
+
+      const fees = `
+  <Fees>
+    <Fee><Name>ListingFee</Name><Fee currencyID="USD">0.0</Fee></Fee>
+    <Fee><Name>InsertionFee</Name><Fee currencyID="USD">0.35</Fee></Fee>
+  </Fees>`;
+      if (callName.startsWith('Verify')) return envelope('Success', `\n  <ItemID>0</ItemID>${fees}\n  <CategoryID>${categoryId}</CategoryID>`);
+
+      const listingId = this.newId('11');
+      const startTime = new Date();
+      this.listings.set(listingId, {
+        listingId,
+        source: 'trading',
+        title,
+        price: { value: String(price), currency: 'USD' },
+        categoryId,
+        conditionId: xmlTag(request.body, 'ConditionID') || null,
+        status: 'ACTIVE',
+        startTime: startTime.toISOString()
+      });
+      return envelope('Success', `
+  <ItemID>${listingId}</ItemID>
+  <StartTime>${startTime.toISOString()}</StartTime>
+  <EndTime>${new Date(startTime.getTime() + 30 * DAY_MS).toISOString()}</EndTime>${fees}
+  <CategoryID>${categoryId}</CategoryID>`);
+    }
+
+    if (callName === 'GetItem' || callName === 'EndItem') {
+      const itemId = xmlTag(request.body, 'ItemID');
+      const listing = this.listings.get(itemId);
+      if (!listing) return failure(17, `This item cannot be accessed because the listing has been deleted or you are not the seller.`);
+      if (callName === 'EndItem') {
+        listing.status = 'ENDED';
+        return envelope('Success', `\n  <EndTime>${new Date().toISOString()}</EndTime>`);
+      }
+      return envelope('Success', `
+  <Item>
+    <ItemID>${listing.listingId}</ItemID>
+    <Title>${escapeXml(listing.title)}</Title>
+    <PrimaryCategory><CategoryID>${listing.categoryId}</CategoryID></PrimaryCategory>
+    <SellingStatus><CurrentPrice currencyID="${listing.price.currency}">${listing.price.value}</CurrentPrice><ListingStatus>${listing.status === 'ACTIVE' ? 'Active' : 'Completed'}</ListingStatus></SellingStatus>
+  </Item>`);
+    }
+
+    return failure(2, `Unsupported API call ${callName} in the eBay sandbox.`);
+  }
+
+  viewListing(request, res, [listingId]) {
+    const listing = this.listings.get(listingId);
+    if (!listing) return this.sendJson(res, 404, this.errorBody(11001, 'API_SANDBOX', `Listing ${listingId} not found`));
+    return this.sendJson(res, 200, listing);
+  }
+}
+
+/**
+ * @param {EbaySandboxServer|Object} [config] - A server, or EbaySandboxServer options
+ */
+function createEbaySandbox(config = {}) {
+  if (config instanceof EbaySandboxServer) return config;
+  return new EbaySandboxServer(config);
+}
+
+module.exports = {
+  EbaySandboxServer,
+  createEbaySandbox,
+  loadSandboxFixtures
+};
@@ -2,14 +2,29 @@
 // Enhanced eBay Browse API implementation with real sold listings and expanded search
 
 const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { normalizeGtin, normalizeIsbn, gtinType } = require('../../utils/gtin.js');
+const { resolveLocale } = require('../../utils/locale.js');
+const { summarizeComparables } = require('../../pricing/comparables.js');
+const { ebayHosts } = require('./hosts.js');
+const { toEbayConditionId } = require('../../core/conditionGrade.js');
+
+// An exact GTIN search with at least this many hits replaces the keyword queries
+const MIN_GTIN_RESULTS = 3;
 
 class EbaySearchAPI {
   constructor(config) {
+    // Pricing source name (see pricing/index.js)
+    this.name = 'ebay_search';
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
     this.environment = config.environment || 'production';
+    // Send every call to one host instead, e.g. the local sandbox server
+    this.baseUrl = config.baseUrl || null;
     this.accessToken = null;
     this.debugMode = config.debug || false;
+    // config.locale ('fr-CA') and/or config.marketplaceId ('EBAY_DE'); prices come back in its currency
+    this.locale = resolveLocale(config.locale || config.marketplaceId);
+    this.marketplaceId = config.marketplaceId || this.locale.marketplaceId;
   }
 
   log(message, data = null) {
@@ -29,7 +44,7 @@ class EbaySearchAPI {
       conditionFilter = null,
       priceRange = null,
       sortBy = 'price',
-      daysBack = 90 // New: how far back to look for sold items
+      daysBack = 90 // How far back to look for sold items - older sales are not searched or priced
     } = options;
 
     try {
@@ -42,15 +57,19 @@ class EbaySearchAPI {
       let allActiveListings = [];
       let allSoldListings = [];
 
+      let matchType = 'keyword';
+
       // Execute searches with multiple queries
-      for (const query of searchQueries.slice(0, 3)) { // Use top 3 queries
+      for (const { query, gtin, type } of searchQueries.slice(0, 3)) { // Use top 3 queries
         try {
           // Search active listings
           const activeListings = await this.searchActiveListings(query, {
             maxResults: Math.ceil(maxResults / searchQueries.length),
             conditionFilter,
+            category: itemData.category,
             priceRange,
-            sortBy
+            sortBy,
+            gtin
           });
 
           // Search sold listings
@@ -59,7 +78,9 @@ class EbaySearchAPI {
             soldListings = await this.searchSoldListings(query, {
               maxResults: Math.ceil(maxSoldResults / searchQueries.length),
               conditionFilter,
-              daysBack
+              category: itemData.category,
+              daysBack,
+              gtin
             });
           }
 
@@ -71,6 +92,12 @@ class EbaySearchAPI {
             sold: soldListings.length
           });
 
+          // Exact product matches beat any keyword query - stop here when there are enough
+          if (type === 'gtin' && activeListings.length + soldListings.length >= MIN_GTIN_RESULTS) {
+            matchType = 'gtin';
+            break;
+          }
+
         } catch (queryError) {
           this.log(`Query "${query}" failed:`, queryError.message);
           continue; // Try next query
@@ -82,10 +109,7 @@ class EbaySearchAPI {
       allSoldListings = this.removeDuplicateItems(allSoldListings);
 
       // Enhanced price analysis
-      const priceAnalysis = this.enhancedPriceAnalysis(allActiveListings, allSoldListings, {
-        preferSold: true,
-        daysBack
-      });
+      const priceAnalysis = this.enhancedPriceAnalysis(allActiveListings, allSoldListings, { itemData, daysBack });
 
       return {
         searchQueries: searchQueries.map(q => q.query),
@@ -93,6 +117,8 @@ class EbaySearchAPI {
         soldListings: allSoldListings.slice(0, maxSoldResults),
         priceAnalysis,
         searchMetadata: {
+          matchType,
+          gtin: searchQueries.find(q => q.type === 'gtin')?.gtin || null,
           totalActive: allActiveListings.length,
           totalSold: allSoldListings.length,
           queriesUsed: searchQueries.length,
@@ -113,6 +139,17 @@ class EbaySearchAPI {
   buildMultipleSearchQueries(itemData) {
     const queries = [];
 
+    // Query 0: Exact product by GTIN (UPC / EAN / ISBN) when a barcode was read
+    const gtin = normalizeGtin(itemData.identifiers?.gtin) || normalizeIsbn(itemData.identifiers?.isbn);
+    if (gtin) {
+      queries.push({
+        query: gtin,
+        gtin,
+        priority: 0,
+        type: 'gtin'
+      });
+    }
+
     // Query 1: Most specific (brand + model + category)
     if (itemData.brand && itemData.brand !== 'Unknown' && 
         itemData.model && itemData.model !== 'Unknown') {
@@ -203,20 +240,23 @@ class EbaySearchAPI {
     const {
       maxResults = 25,
       conditionFilter,
+      category = null,
       priceRange,
-      sortBy = 'price'
+      sortBy = 'price',
+      gtin = null
     } = options;
 
     const url = `${this.getBrowseApiUrl()}/buy/browse/v1/item_summary/search`;
     
     const params = new URLSearchParams({
-      q: query,
+      // The Browse API matches `gtin` against the listing's product identifiers exactly
+      ...(gtin ? { gtin } : { q: query }),
       limit: Math.min(maxResults, 100).toString(), // eBay max is 200, but 100 is more practical
       sort: sortBy
     });
 
     // Add filters
-    const filters = this.buildFilters(conditionFilter, priceRange);
+    const filters = this.buildFilters(conditionFilter, priceRange, category);
     if (filters) {
       params.append('filter', filters);
     }
@@ -225,7 +265,8 @@ class EbaySearchAPI {
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${this.accessToken}`,
-        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US',
+        'X-EBAY-C-MARKETPLACE-ID': this.marketplaceId,
+        'Accept-Language': this.locale.code,
         'Accept': 'application/json'
       }
     });
@@ -293,13 +334,13 @@ class EbaySearchAPI {
    * Search sold listings using Browse API filters
    */
   async searchSoldViaFilter(query, options) {
-    const { maxResults = 25, conditionFilter } = options;
+    const { maxResults = 25, conditionFilter, category = null, gtin = null } = options;
 
     // Try searching with specific sold/completed filters
     const url = `${this.getBrowseApiUrl()}/buy/browse/v1/item_summary/search`;
     
     const params = new URLSearchParams({
-      q: query + ' sold',
+      ...(gtin ? { gtin } : { q: query + ' sold' }),
       limit: maxResults.toString(),
       sort: 'endingSoonest'
     });
@@ -307,20 +348,7 @@ class EbaySearchAPI {
     // Add condition filter if specified
     let filters = [];
     if (conditionFilter) {
-      const conditionMap = {
-        'new': '1000',
-        'like_new': '1500',
-        'excellent': '2000',
-        'very_good': '2500',
-        'good': '3000',
-        'acceptable': '4000',
-        'for_parts': '7000'
-      };
-      
-      const conditionId = conditionMap[conditionFilter.toLowerCase()];
-      if (conditionId) {
-        filters.push(`conditionIds:{${conditionId}}`);
-      }
+      filters.push(`conditionIds:{${this.conditionFilterId(conditionFilter, category)}}`);
     }
 
     // Try to filter for completed/sold items
@@ -335,7 +363,8 @@ class EbaySearchAPI {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${this.accessToken}`,
-          'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US',
+          'X-EBAY-C-MARKETPLACE-ID': this.marketplaceId,
+          'Accept-Language': this.locale.code,
           'Accept': 'application/json'
         }
       });
@@ -352,7 +381,7 @@ class EbaySearchAPI {
         title: item.title,
         price: this.parsePrice(item.price),
         condition: item.condition,
-        soldDate: new Date().toISOString(), // Estimate
+        soldDate: null, // Browse results carry no sale date - priced as an undated sale
         imageUrl: item.image?.imageUrl,
         itemWebUrl: item.itemWebUrl,
         seller: item.seller?.username,
@@ -369,15 +398,18 @@ class EbaySearchAPI {
    * Search sold listings using eBay Finding API
    */
   async searchSoldViaFinding(query, options) {
-    const { maxResults = 25 } = options;
+    const { maxResults = 25, gtin = null, daysBack = 90 } = options;
+    const endTimeFrom = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString();
     
     try {
       // eBay Finding API endpoint for completed items
-      const findingUrl = `${this.getBrowseApiUrl().replace('/buy/browse', '')}/services/search/FindingService/v1`;
+      const findingUrl = this.getHosts().findingUrl;
       
       const xmlRequest = `<?xml version="1.0" encoding="UTF-8"?>
         <findCompletedItemsRequest xmlns="http://www.ebay.com/marketplace/search/v1/services">
-          <keywords>${this.escapeXml(query)}</keywords>
+          ${gtin
+            ? `<productId type="${gtinType(gtin)}">${gtin}</productId>`
+            : `<keywords>${this.escapeXml(query)}</keywords>`}
           <paginationInput>
             <entriesPerPage>${maxResults}</entriesPerPage>
             <pageNumber>1</pageNumber>
@@ -386,6 +418,10 @@ class EbaySearchAPI {
             <name>SoldItemsOnly</name>
             <value>true</value>
           </itemFilter>
+          <itemFilter>
+            <name>EndTimeFrom</name>
+            <value>${endTimeFrom}</value>
+          </itemFilter>
           <sortOrder>EndTimeSoonest</sortOrder>
         </findCompletedItemsRequest>`;
 
@@ -396,6 +432,7 @@ class EbaySearchAPI {
           'X-EBAY-SOA-OPERATION-NAME': 'findCompletedItems',
           'X-EBAY-SOA-SERVICE-VERSION': '1.0.0',
           'X-EBAY-SOA-SECURITY-APPNAME': this.clientId,
+          'X-EBAY-SOA-GLOBAL-ID': this.locale.globalId,
           'Accept': 'application/xml'
         },
         body: xmlRequest
@@ -421,7 +458,8 @@ class EbaySearchAPI {
     try {
       const activeItems = await this.searchActiveListings(query, {
         maxResults: options.maxResults * 2, // Get more to simulate sold variance
-        sortBy: 'price'
+        sortBy: 'price',
+        gtin: options.gtin
       });
 
       // Convert active listings to "estimated sold" with price adjustments
@@ -452,141 +490,70 @@ class EbaySearchAPI {
   }
 
   /**
-   * Enhanced price analysis with sold listings preference
+   * Pricing source interface (see pricing/index.js): active and sold listings as comparables.
+   * Searches this instance's marketplace.
    */
-  enhancedPriceAnalysis(activeListings, soldListings, options = {}) {
-    const { preferSold = true, daysBack = 90 } = options;
-
-    if (activeListings.length === 0 && soldListings.length === 0) {
-      return {
-        suggested: null,
-        confidence: 'low',
-        reason: 'No comparable items found'
-      };
-    }
-
-    // Separate and weight prices
-    const activePrices = activeListings.map(item => item.price).filter(p => p > 0);
-    const soldPrices = soldListings.map(item => item.price).filter(p => p > 0);
-
-    this.log('Price analysis input:', {
-      activePrices: activePrices.length,
-      soldPrices: soldPrices.length,
-      preferSold
-    });
-
-    let finalPrice;
-    let confidence;
-    let priceSource;
-
-    if (soldPrices.length >= 3 && preferSold) {
-      // Use sold listings as primary source
-      finalPrice = this.calculateWeightedPrice(soldPrices, 'sold');
-      confidence = soldPrices.length >= 10 ? 'high' : 'medium';
-      priceSource = 'sold_listings';
-    } else if (activePrices.length >= 3) {
-      // Use active listings with sold adjustment
-      const activePrice = this.calculateWeightedPrice(activePrices, 'active');
-      finalPrice = Math.round(activePrice * 0.92); // Assume sold items go for 8% less
-      confidence = activePrices.length >= 10 ? 'medium' : 'low';
-      priceSource = 'active_adjusted';
-    } else if (soldPrices.length > 0 && activePrices.length > 0) {
-      // Combine both sources
-      const combinedPrices = [...soldPrices, ...activePrices.map(p => p * 0.92)];
-      finalPrice = this.calculateWeightedPrice(combinedPrices, 'combined');
-      confidence = 'medium';
-      priceSource = 'combined';
-    } else {
-      // Insufficient data
-      const allPrices = [...activePrices, ...soldPrices];
-      if (allPrices.length > 0) {
-        finalPrice = Math.round(allPrices.reduce((a, b) => a + b, 0) / allPrices.length);
-        confidence = 'low';
-        priceSource = 'limited_data';
-      } else {
-        return {
-          suggested: null,
-          confidence: 'low',
-          reason: 'No valid prices found'
-        };
-      }
-    }
-
-    // Calculate price statistics
-    const allPrices = [...activePrices, ...soldPrices].sort((a, b) => a - b);
-    const stats = this.calculatePriceStatistics(allPrices);
-
+  async comparables(itemData, context = {}) {
+    const search = await this.searchSimilarItems(itemData, { ...(context.daysBack && { daysBack: context.daysBack }) });
+    const exactMatch = search.searchMetadata.matchType === 'gtin';
     return {
-      suggested: finalPrice,
-      confidence,
-      priceSource,
-      priceRange: {
-        min: Math.round(stats.min),
-        max: Math.round(stats.max),
-        median: Math.round(stats.median),
-        average: Math.round(stats.average)
-      },
-      sampleSize: {
-        total: allPrices.length,
-        sold: soldPrices.length,
-        active: activePrices.length
-      },
-      variance: Math.round(stats.stdDev),
-      reason: `Based on ${soldPrices.length} sold + ${activePrices.length} active listings`
+      comparables: this.toComparables(search.activeListings, search.soldListings)
+        .map(comparable => (exactMatch ? { ...comparable, exactMatch } : comparable)),
+      searchQuery: search.searchQueries[0] || null,
+      matchType: search.searchMetadata.matchType,
+      ...(search.searchMetadata.matchType === 'gtin' && { gtin: search.searchMetadata.gtin })
     };
   }
 
   /**
-   * Calculate weighted price with outlier removal
+   * Listings in the pricing engine's comparable shape. Sold prices estimated from
+   * active listings are left out - the engine discounts asking prices itself.
    */
-  calculateWeightedPrice(prices, source) {
-    if (prices.length === 0) return 0;
-
-    const sorted = [...prices].sort((a, b) => a - b);
-    
-    // Remove extreme outliers (beyond 2 standard deviations)
-    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
-    const variance = sorted.reduce((a, p) => a + Math.pow(p - mean, 2), 0) / sorted.length;
-    const stdDev = Math.sqrt(variance);
-    
-    const filtered = sorted.filter(p => Math.abs(p - mean) <= 2 * stdDev);
-    
-    if (filtered.length === 0) return Math.round(mean);
-
-    // Use median of filtered prices for stability
-    const median = filtered[Math.floor(filtered.length / 2)];
-    
-    // Apply source-specific adjustments
-    switch (source) {
-      case 'sold':
-        return Math.round(median); // Use sold prices as-is
-      case 'active':
-        return Math.round(median * 0.92); // Active prices tend to be higher
-      case 'combined':
-        return Math.round(median * 0.96); // Slight adjustment for mixed data
-      default:
-        return Math.round(median);
-    }
+  toComparables(activeListings, soldListings) {
+    return [
+      ...activeListings.map(item => ({ price: item.price, sold: false, title: item.title, url: item.itemWebUrl, condition: item.condition })),
+      ...soldListings
+        .filter(item => item.listingType === 'sold')
+        .map(item => ({ price: item.price, sold: true, soldAt: item.soldDate, title: item.title, url: item.itemWebUrl, condition: item.condition }))
+    ];
   }
 
   /**
-   * Calculate comprehensive price statistics
+   * Price summary for the listings, computed the way the pricing engine does: weighted by
+   * sale age and (with itemData) title and condition match, lots and outliers set aside
+   * @param {Object} [options] - { itemData, daysBack, outliers }
    */
-  calculatePriceStatistics(prices) {
-    if (prices.length === 0) {
-      return { min: 0, max: 0, median: 0, average: 0, stdDev: 0 };
+  enhancedPriceAnalysis(activeListings, soldListings, options = {}) {
+    const summary = summarizeComparables(this.toComparables(activeListings, soldListings), options);
+
+    if (!summary) {
+      return {
+        suggested: null,
+        confidence: 'low',
+        reason: activeListings.length || soldListings.length ? 'No valid prices found' : 'No comparable items found'
+      };
     }
 
-    const sorted = [...prices].sort((a, b) => a - b);
-    const min = sorted[0];
-    const max = sorted[sorted.length - 1];
-    const median = sorted[Math.floor(sorted.length / 2)];
-    const average = sorted.reduce((a, b) => a + b, 0) / sorted.length;
-    
-    const variance = sorted.reduce((a, p) => a + Math.pow(p - average, 2), 0) / sorted.length;
-    const stdDev = Math.sqrt(variance);
+    this.log('Price analysis:', { basis: summary.basis, sold: summary.soldCount, active: summary.activeCount });
 
-    return { min, max, median, average, stdDev };
+    return {
+      suggested: summary.suggested,
+      currency: this.locale.currency,
+      confidence: summary.confidence,
+      priceSource: summary.basis,
+      range: summary.range,
+      percentiles: summary.percentiles,
+      sampleSize: {
+        total: summary.sampleSize,
+        sold: summary.soldCount,
+        active: summary.activeCount,
+        effective: summary.effectiveSampleSize
+      },
+      comparables: summary.comparables,
+      rejected: summary.rejected,
+      reason: `Based on ${summary.soldCount} sold + ${summary.activeCount} active listings` +
+        (summary.rejected.length ? ` (${summary.rejected.length} set aside)` : '')
+    };
   }
 
   /**
@@ -649,8 +616,9 @@ class EbaySearchAPI {
       
       itemMatches.forEach((itemXml, index) => {
         const titleMatch = itemXml.match(/<title><!\[CDATA\[(.*?)\]\]><\/title>/);
-        const priceMatch = itemXml.match(/<convertedCurrentPrice currencyId="USD">([\d.]+)<\/convertedCurrentPrice>/);
+        const priceMatch = itemXml.match(new RegExp(`<convertedCurrentPrice currencyId="${this.locale.currency}">([\\d.]+)<\\/convertedCurrentPrice>`));
         const endTimeMatch = itemXml.match(/<endTime>(.*?)<\/endTime>/);
+        const conditionMatch = itemXml.match(/<conditionDisplayName>(.*?)<\/conditionDisplayName>/);
         const urlMatch = itemXml.match(/<viewItemURL><!\[CDATA\[(.*?)\]\]><\/viewItemURL>/);
         
         if (titleMatch && priceMatch) {
@@ -658,7 +626,8 @@ class EbaySearchAPI {
             itemId: `finding_${index}_${Date.now()}`,
             title: titleMatch[1],
             price: parseFloat(priceMatch[1]),
-            soldDate: endTimeMatch ? endTimeMatch[1] : new Date().toISOString(),
+            soldDate: endTimeMatch ? endTimeMatch[1] : null,
+            ...(conditionMatch && { condition: conditionMatch[1] }),
             itemWebUrl: urlMatch ? urlMatch[1] : '',
             listingType: 'sold',
             source: 'finding_api'
@@ -675,24 +644,20 @@ class EbaySearchAPI {
 
   // ... (keep existing utility methods: buildFilters, parsePrice, getApplicationToken, etc.)
   
-  buildFilters(conditionFilter, priceRange) {
+  /**
+   * Condition ID for a conditionFilter - a rating ('excellent'), an eBay condition name ('like_new',
+   * 'USED_GOOD') or a condition object - graded by conditionGrade.js like every other price path
+   */
+  conditionFilterId(conditionFilter, category = null) {
+    // toEbayConditionEnum + ebayConditionIdForEnum with the category's rubric
+    return toEbayConditionId(conditionFilter, { category });
+  }
+
+  buildFilters(conditionFilter, priceRange, category = null) {
     const filters = [];
     
     if (conditionFilter) {
-      const conditionMap = {
-        'new': '1000',
-        'like_new': '1500',
-        'excellent': '2000',
-        'very_good': '2500',
-        'good': '3000',
-        'acceptable': '4000',
-        'for_parts': '7000'
-      };
-      
-      const conditionId = conditionMap[conditionFilter.toLowerCase()];
-      if (conditionId) {
-        filters.push(`conditionIds:{${conditionId}}`);
-      }
+      filters.push(`conditionIds:{${this.conditionFilterId(conditionFilter, category)}}`);
     }
 
     if (priceRange) {
@@ -734,23 +699,24 @@ class EbaySearchAPI {
     const data = await response.json();
     this.accessToken = data.access_token;
     
+    // unref: a pending expiry must not keep a script or test process alive
     setTimeout(() => {
       this.accessToken = null;
-    }, (data.expires_in - 60) * 1000);
+    }, (data.expires_in - 60) * 1000).unref();
 
     return this.accessToken;
   }
 
+  getHosts() {
+    return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl });
+  }
+
   getBrowseApiUrl() {
-    return this.environment === 'sandbox' 
-      ? 'https://api.sandbox.ebay.com'
-      : 'https://api.ebay.com';
+    return this.getHosts().api;
   }
 
   getTokenUrl() {
-    return this.environment === 'sandbox'
-      ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-      : 'https://api.ebay.com/identity/v1/oauth2/token';
+    return this.getHosts().tokenUrl;
   }
 
   getBasicAuth() {
@@ -3,17 +3,21 @@
 
 // Add fetch import for Node.js environments
 const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { PricingEngine, EbayBrowseSource } = require('../../pricing/index.js');
+const { ebayHosts } = require('./hosts.js');
 
 class SimpleEbayAPI {
   constructor(config) {
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
     this.environment = config.environment || 'production';
+    this.baseUrl = config.baseUrl || null;
     this.accessToken = null;
     this.debugMode = config.debug || false;
     
     this.log('SimpleEbayAPI initialized', {
       environment: this.environment,
+      baseUrl: this.getApiUrl(),
       hasClientId: !!this.clientId,
       hasClientSecret: !!this.clientSecret
     });
@@ -65,11 +69,11 @@ class SimpleEbayAPI {
       const data = JSON.parse(responseText);
       this.accessToken = data.access_token;
       
-      // Auto-expire token
+      // Auto-expire token (unref'd so it never holds the process open)
       setTimeout(() => {
         this.log('Access token expired, will request new one');
         this.accessToken = null;
-      }, (data.expires_in - 60) * 1000);
+      }, (data.expires_in - 60) * 1000).unref();
 
       this.log('✅ Token acquired successfully');
       return this.accessToken;
@@ -133,7 +137,11 @@ class SimpleEbayAPI {
     }
   }
 
-  async getPricing(itemData) {
+  /**
+   * Price from eBay comparables via the shared pricing engine (same query and math as routing).
+   * No category fallback: `suggested` is null with a `reason` when eBay has nothing.
+   */
+  async getPricing(itemData, options = {}) {
     this.log('Getting pricing for item:', {
       category: itemData.category,
       brand: itemData.brand,
@@ -141,212 +149,31 @@ class SimpleEbayAPI {
       condition: itemData.condition?.rating
     });
 
-    try {
-      // Build search query - prioritize model and descriptive terms over "Unknown" brand
-      const searchTerms = [];
-      
-      // Only add brand if it's not "Unknown" or generic
-      if (itemData.brand && 
-          itemData.brand !== 'Unknown' && 
-          itemData.brand !== 'Generic' && 
-          itemData.brand.length > 2) {
-        searchTerms.push(itemData.brand);
-        this.log('Added brand to search:', itemData.brand);
-      } else {
-        this.log('Skipping brand (Unknown/Generic):', itemData.brand);
-      }
-      
-      // Add model/description - this is often the most descriptive
-      if (itemData.model && itemData.model !== 'Unknown') {
-        // Avoid duplicating terms already in the query
-        const modelTerms = itemData.model.toLowerCase().split(' ');
-        const newTerms = modelTerms.filter(term => 
-          !searchTerms.some(existing => existing.toLowerCase().includes(term))
-        );
-        if (newTerms.length > 0) {
-          searchTerms.push(newTerms.join(' '));
-          this.log('Added model terms:', newTerms);
-        }
-      } else {
-        this.log('Skipping model (Unknown):', itemData.model);
-      }
-      
-      // Add category for context, but make it more specific
-      if (itemData.category) {
-        // Don't add generic "furniture" - be more specific if possible
-        if (itemData.category !== 'furniture' || searchTerms.length === 0) {
-          searchTerms.push(itemData.category);
-          this.log('Added category:', itemData.category);
-        }
-      }
-      
-      // If we only have category, try to extract keywords from description
-      if (searchTerms.length === 1 && itemData.description) {
-        const keywords = this.extractKeywords(itemData.description);
-        if (keywords.length > 0) {
-          searchTerms.push(...keywords.slice(0, 2));
-          this.log('Added keywords from description:', keywords.slice(0, 2));
-        }
-      }
-      
-      const query = searchTerms.join(' ');
-      this.log(`Final search query: "${query}"`);
-
-      // Validate query
-      if (!query.trim()) {
-        this.log('❌ No valid search terms generated');
-        return { 
-          suggested: null, 
-          confidence: 'low', 
-          reason: 'No valid search terms could be generated from item data',
-          source: 'ebay_no_query',
-          searchAttempted: true,
-          itemData: {
-            category: itemData.category,
-            brand: itemData.brand,
-            model: itemData.model
-          }
-        };
-      }
-
-      // Search for similar items
-      const items = await this.searchItems(query, { limit: 20 });
-      
-      if (items.length === 0) {
-        this.log('❌ No items found on eBay');
-        return { 
-          suggested: null, 
-          confidence: 'low', 
-          reason: `No similar items found for "${query}"`,
-          source: 'ebay_no_results',
-          searchQuery: query,
-          searchAttempted: true
-        };
-      }
-
-      // Extract prices
-      const prices = items
-        .map(item => {
-          const price = parseFloat(item.price?.value || 0);
-          this.log('Item price extracted:', {
-            title: item.title?.substring(0, 30) + '...',
-            price: price,
-            currency: item.price?.currency
-          });
-          return price;
-        })
-        .filter(price => price > 0)
-        .sort((a, b) => a - b);
-
-      this.log('Valid prices found:', prices);
-
-      if (prices.length === 0) {
-        this.log('❌ No valid prices found');
-        return { 
-          suggested: null, 
-          confidence: 'low', 
-          reason: 'No valid prices found in search results',
-          source: 'ebay_no_prices',
-          searchQuery: query,
-          itemsFound: items.length,
-          searchAttempted: true
-        };
-      }
-
-      // Calculate statistics
-      const median = prices[Math.floor(prices.length / 2)];
-      const average = prices.reduce((a, b) => a + b, 0) / prices.length;
-      const min = prices[0];
-      const max = prices[prices.length - 1];
-
-      this.log('Price statistics:', { min, max, median, average, count: prices.length });
-
-      // Adjust for condition
-      const conditionMultiplier = this.getConditionMultiplier(itemData.condition?.rating || 'good');
-      const suggestedPrice = Math.round(median * conditionMultiplier);
-
-      this.log('Price calculation:', {
-        median: median,
-        conditionMultiplier: conditionMultiplier,
-        suggestedPrice: suggestedPrice
+    if (!this.pricingEngine) {
+      this.pricingEngine = new PricingEngine({
+        sources: [new EbayBrowseSource({ clientId: this.clientId, clientSecret: this.clientSecret, environment: this.environment, baseUrl: this.baseUrl })],
+        fallback: false
       });
-
-      const result = {
-        suggested: suggestedPrice,
-        confidence: prices.length >= 5 ? 'high' : 'medium',
-        priceRange: { min, max, median, average },
-        sampleSize: prices.length,
-        searchQuery: query,
-        comparableItems: items.slice(0, 5).map(item => ({
-          title: item.title,
-          price: parseFloat(item.price?.value || 0),
-          url: item.itemWebUrl,
-          condition: item.condition
-        })),
-        source: 'ebay_api',
-        searchAttempted: true,
-        conditionAdjustment: conditionMultiplier
-      };
-
-      this.log('✅ Pricing complete:', {
-        suggested: result.suggested,
-        confidence: result.confidence,
-        sampleSize: result.sampleSize,
-        source: result.source
-      });
-
-      return result;
-
-    } catch (error) {
-      this.log('❌ Pricing error:', error.message);
-      return { 
-        suggested: null, 
-        confidence: 'low', 
-        reason: `eBay API error: ${error.message}`,
-        source: 'ebay_error',
-        searchAttempted: true,
-        error: error.message
-      };
     }
-  }
 
-  extractKeywords(description) {
-    // Extract meaningful keywords from description
-    const stopWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'has', 'have', 'shows', 'some', 'signs'];
-    
-    const keywords = description
-      .toLowerCase()
-      .split(/[\s,.-]+/)
-      .filter(word => word.length > 3 && !stopWords.includes(word))
-      .slice(0, 3);
-    
-    this.log('Extracted keywords:', keywords);
-    return keywords;
-  }
+    const result = await this.pricingEngine.price(itemData, options);
 
-  getConditionMultiplier(condition) {
-    const multipliers = {
-      'excellent': 1.0,
-      'good': 0.85,
-      'fair': 0.65,
-      'poor': 0.35
-    };
-    
-    const multiplier = multipliers[condition] || 0.75;
-    this.log('Condition multiplier:', { condition, multiplier });
-    return multiplier;
+    this.log(result.suggested ? '✅ Pricing complete:' : '❌ No eBay price:', {
+      suggested: result.suggested,
+      confidence: result.confidence,
+      sampleSize: result.sampleSize,
+      reason: result.reason
+    });
+
+    return result;
   }
 
   getApiUrl() {
-    return this.environment === 'sandbox' 
-      ? 'https://api.sandbox.ebay.com'
-      : 'https://api.ebay.com';
+    return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl }).api;
   }
 
   getTokenUrl() {
-    return this.environment === 'sandbox'
-      ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-      : 'https://api.ebay.com/identity/v1/oauth2/token';
+    return ebayHosts({ environment: this.environment, baseUrl: this.baseUrl }).tokenUrl;
   }
 
   // Test function to verify API connectivity
@@ -378,7 +205,7 @@ class SimpleEbayAPI {
         tests: {
           token: true,
           search: items.length > 0,
-          pricing: pricing.source === 'ebay_api'
+          pricing: pricing.sampleSize > 0
         }
       };
       
@@ -1,6 +1,7 @@
 // functions/capture-sdk/integrations/instantOffer/index.js - COMMONJS VERSION
 const { generateShippingLabel } = require('./shippingLabel.js');
 const { calculateOffer } = require('./offerCalculator.js');
+const { estimateWeightLbs } = require('../../core/recycling.js');
 
 class InstantOfferIntegration {
   constructor(config) {
@@ -8,10 +9,12 @@ class InstantOfferIntegration {
     this.payoutProvider = config.payoutProvider || 'stripe';
     this.labelProvider = config.labelProvider || 'easypost';
     this.warehouseAddress = config.warehouseAddress;
+    // Pricing engine for offer amounts (see pricing/); defaults to the category estimate
+    this.pricing = config.pricing || null;
   }
 
   async createInstantOffer(itemData, userInfo) {
-    const offer = await calculateOffer(itemData);
+    const offer = await calculateOffer(itemData, { pricing: this.pricing });
     
     if (!offer.isEligible) {
       return {
@@ -136,16 +139,8 @@ class InstantOfferIntegration {
   }
 
   estimateWeight(itemData) {
-    // Category-based weight estimation
-    const weightMap = {
-      'electronics': 2.0,
-      'furniture': 25.0,
-      'tools': 5.0,
-      'sporting goods': 8.0,
-      'clothing': 1.0
-    };
-    
-    return weightMap[itemData.category.toLowerCase()] || 3.0;
+    // Stated weight, else category-based estimate (shared with recycling / impact)
+    return estimateWeightLbs(itemData);
   }
 
   estimateDimensions(itemData) {
@@ -1,27 +1,66 @@
 
 // functions/capture-sdk/integrations/instantOffer/offerCalculator.js
-async function calculateOffer(itemData) {
-    const marketPrice = itemData.resale.priceRange.high;
-    const baseOfferRate = 0.65; // 65% of market value
-    
-    // Adjust based on condition
-    let conditionMultiplier = 1.0;
-    switch (itemData.condition.rating) {
-      case 'good':
-        conditionMultiplier = 1.0;
-        break;
-      case 'fair':
-        conditionMultiplier = 0.85;
-        break;
-      case 'poor':
-        conditionMultiplier = 0.5;
-        break;
+const { gradeCondition } = require('../../core/conditionGrade.js');
+const { resolveAuthenticity } = require('../../core/authenticity.js');
+const { resolveSafety } = require('../../safety/index.js');
+const { resolvePricing } = require('../../pricing/index.js');
+const { routeProceeds } = require('../../pricing/proceeds.js');
+
+// We resell what we buy on the same market and pay the same fees and shipping, so
+// the offer starts from the median sale and stays well under the seller's own eBay take
+const BASE_OFFER_RATE = 0.45;
+const MAX_SHARE_OF_EBAY_PROCEEDS = 0.6;
+
+/**
+ * @param {Object} itemData - analyzeItem result
+ * @param {Object} [options]
+ * @param {PricingEngine} [options.pricing] - Prices the item (see pricing/); the offer is a share of its
+ *   suggested (median) price, capped at a share of what the seller would net selling on eBay
+ */
+async function calculateOffer(itemData, options = {}) {
+    // Paying up front for a possible counterfeit is a loss we cannot resell out of
+    const authenticity = resolveAuthenticity(itemData);
+    if (!authenticity.instantOfferEligible) {
+      return {
+        isEligible: false,
+        reason: 'Authenticity could not be verified',
+        reasons: authenticity.reasons,
+        suggestedAlternative: 'ebay'
+      };
+    }
+
+    // Never buy what we cannot legally or safely resell
+    const safety = await resolveSafety(itemData);
+    if (safety?.blockedRoutes.includes('instant_offer')) {
+      const blocking = safety.warnings.find(w => w.blockedRoutes.includes('instant_offer'));
+      return {
+        isEligible: false,
+        reason: blocking.title,
+        reasons: [blocking.message],
+        suggestedAlternative: safety.redirectTo || 'ebay'
+      };
     }
+
+    // Same market price routing and listings use
+    const pricing = await resolvePricing(itemData, options.pricing);
+    const marketPrice = pricing.suggested || 0;
+    
+    // Adjust based on the graded condition (same grade pricing and listings use)
+    const grade = gradeCondition(itemData.condition || 'good', { category: itemData.category });
+    const conditionMultiplier = grade.offerMultiplier;
   
     // Category demand multiplier
     const demandMultiplier = getCategoryDemandMultiplier(itemData.category);
     
-    const offerAmount = Math.round(marketPrice * baseOfferRate * conditionMultiplier * demandMultiplier);
+    // Maximum offer cap
+    const maximumOffer = 500;
+    const ebayCashIfSold = routeProceeds('ebay', { itemData, marketAnalysis: pricing }).cashIfSold;
+    const offerCap = Math.floor(Math.min(ebayCashIfSold * MAX_SHARE_OF_EBAY_PROCEEDS, maximumOffer));
+
+    const offerAmount = Math.min(
+      Math.round(marketPrice * BASE_OFFER_RATE * conditionMultiplier * demandMultiplier),
+      offerCap
+    );
     
     // Minimum offer threshold
     const minimumOffer = 5;
@@ -33,17 +72,18 @@ async function calculateOffer(itemData) {
         suggestedAlternative: 'donation'
       };
     }
-  
-    // Maximum offer cap
-    const maximumOffer = 500;
-    
+
     return {
       isEligible: true,
-      amount: Math.min(offerAmount, maximumOffer),
+      amount: offerAmount,
       breakdown: {
         marketPrice,
-        baseRate: baseOfferRate,
+        priceSource: pricing.source,
+        baseRate: BASE_OFFER_RATE,
+        ebayCashIfSold,
+        offerCap,
         conditionMultiplier,
+        conditionGrade: grade.grade,
         demandMultiplier
       }
     };
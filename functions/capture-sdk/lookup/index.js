@@ -0,0 +1,92 @@
+// functions/capture-sdk/lookup/index.js
+// Product lookup keyed on GTIN (UPC / EAN / ISBN)
+//
+// Adapters are pluggable; any object with these methods works:
+//   name, lookup(gtin) -> product|null, supports(gtin) -> boolean (optional)
+// A product is { title, brand, model, category, ... }; the first adapter with a hit wins.
+
+const { MemoryProductAdapter } = require('./memoryLookup.js');
+const { OpenLibraryAdapter } = require('./openLibrary.js');
+const { UpcItemDbAdapter } = require('./upcItemDb.js');
+const { normalizeGtin, normalizeIsbn } = require('../utils/gtin.js');
+
+const BUILT_IN_ADAPTERS = {
+  memory: config => new MemoryProductAdapter(config),
+  openLibrary: config => new OpenLibraryAdapter(config),
+  upcItemDb: config => new UpcItemDbAdapter(config)
+};
+
+const DEFAULT_ADAPTERS = ['openLibrary', 'upcItemDb'];
+
+class ProductLookup {
+  /**
+   * @param {Object} config
+   * @param {Array} [config.adapters] - Adapter objects, tried in order
+   * @param {number} [config.ttlMs=7 days] - How long hits and misses are remembered
+   */
+  constructor(config = {}) {
+    this.adapters = config.adapters || [];
+    this.ttlMs = config.ttlMs || 7 * 24 * 60 * 60 * 1000;
+    this.results = new Map();
+  }
+
+  /**
+   * @param {string} code - GTIN or ISBN, any common formatting
+   * @returns {Promise<Object|null>} - Product with `gtin` and `source`, or null
+   */
+  async lookup(code) {
+    const gtin = normalizeGtin(code) || normalizeIsbn(code);
+    if (!gtin) return null;
+
+    const remembered = this.results.get(gtin);
+    if (remembered && Date.now() - remembered.at < this.ttlMs) return remembered.product;
+
+    let product = null;
+    for (const adapter of this.adapters) {
+      if (typeof adapter.supports === 'function' && !adapter.supports(gtin)) continue;
+      try {
+        const hit = await adapter.lookup(gtin);
+        if (hit) {
+          product = { ...hit, gtin, source: adapter.name };
+          break;
+        }
+      } catch (error) {
+        // A failing lookup service must never fail the scan
+        console.warn(`⚠️ ${adapter.name} product lookup failed for ${gtin}:`, error.message);
+      }
+    }
+
+    this.results.set(gtin, { product, at: Date.now() });
+    console.log(`🏷️ Product lookup ${gtin}:`, product ? `${product.title} (${product.source})` : 'no match');
+    return product;
+  }
+}
+
+/**
+ * Build a product lookup from config: a ProductLookup, a single adapter,
+ * true (default adapters), or { adapters: ['openLibrary', 'upcItemDb', customAdapter], ...adapterOptions }
+ */
+function createProductLookup(config) {
+  if (!config) return null;
+  if (config instanceof ProductLookup) return config;
+  if (typeof config.lookup === 'function') return new ProductLookup({ adapters: [config] });
+
+  const options = config === true ? {} : config;
+  const adapters = (options.adapters || DEFAULT_ADAPTERS).map(adapter => {
+    if (typeof adapter !== 'string') return adapter;
+    if (!BUILT_IN_ADAPTERS[adapter]) {
+      throw new Error(`Unknown product lookup adapter "${adapter}" (use ${Object.keys(BUILT_IN_ADAPTERS).join(', ')})`);
+    }
+    return BUILT_IN_ADAPTERS[adapter](options[adapter] || options);
+  });
+
+  return new ProductLookup({ ...options, adapters });
+}
+
+module.exports = {
+  ProductLookup,
+  MemoryProductAdapter,
+  OpenLibraryAdapter,
+  UpcItemDbAdapter,
+  createProductLookup
+};
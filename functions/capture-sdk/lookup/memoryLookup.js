@@ -0,0 +1,28 @@
+// functions/capture-sdk/lookup/memoryLookup.js
+// Static GTIN catalog (tests, fixtures, or a small in-house product list)
+
+const { normalizeGtin } = require('../utils/gtin.js');
+
+class MemoryProductAdapter {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.products] - { gtin: { title, brand, model, category, ... } }
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'memory';
+    this.products = new Map();
+    Object.entries(config.products || {}).forEach(([gtin, product]) => this.add(gtin, product));
+  }
+
+  add(gtin, product) {
+    const key = normalizeGtin(gtin);
+    if (!key) throw new Error(`Invalid GTIN "${gtin}"`);
+    this.products.set(key, { ...product, gtin: key });
+  }
+
+  async lookup(gtin) {
+    return this.products.get(gtin) || null;
+  }
+}
+
+module.exports = { MemoryProductAdapter };
@@ -0,0 +1,41 @@
+// functions/capture-sdk/lookup/openLibrary.js
+// Open Library ISBN lookup (free, no key) - books only
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { gtinToIsbn } = require('../utils/gtin.js');
+
+class OpenLibraryAdapter {
+  constructor(config = {}) {
+    this.name = 'openLibrary';
+    this.baseUrl = config.baseUrl || 'https://openlibrary.org';
+  }
+
+  supports(gtin) {
+    return !!gtinToIsbn(gtin);
+  }
+
+  async lookup(gtin) {
+    const response = await fetch(`${this.baseUrl}/api/books?bibkeys=ISBN:${gtin}&format=json&jscmd=data`, {
+      headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Open Library lookup failed: ${response.status}`);
+    }
+
+    const book = (await response.json())[`ISBN:${gtin}`];
+    if (!book) return null;
+
+    return {
+      title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+      brand: book.publishers?.[0]?.name || 'Unknown',
+      model: 'Unknown',
+      category: 'book',
+      authors: (book.authors || []).map(a => a.name),
+      publishDate: book.publish_date || null,
+      imageUrl: book.cover?.medium || null,
+      url: book.url || null
+    };
+  }
+}
+
+module.exports = { OpenLibraryAdapter };
@@ -0,0 +1,46 @@
+// functions/capture-sdk/lookup/upcItemDb.js
+// UPCitemdb lookup - trial endpoint without a key (rate-limited), paid endpoint with one
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { createRateLimitError } = require('../utils/rateLimit.js');
+
+class UpcItemDbAdapter {
+  constructor(config = {}) {
+    this.name = 'upcItemDb';
+    this.apiKey = config.apiKey || process.env.UPCITEMDB_API_KEY || null;
+    this.baseUrl = config.baseUrl || (this.apiKey
+      ? 'https://api.upcitemdb.com/prod/v1'
+      : 'https://api.upcitemdb.com/prod/trial');
+  }
+
+  async lookup(gtin) {
+    const headers = { 'Accept': 'application/json' };
+    if (this.apiKey) {
+      headers.user_key = this.apiKey;
+      headers.key_type = '3scale';
+    }
+
+    const response = await fetch(`${this.baseUrl}/lookup?upc=${gtin}`, { headers });
+    if (response.status === 429) {
+      throw createRateLimitError('UPCitemdb rate limit exceeded - please try again later', response);
+    }
+    if (!response.ok) {
+      throw new Error(`UPCitemdb lookup failed: ${response.status}`);
+    }
+
+    const item = (await response.json()).items?.[0];
+    if (!item) return null;
+
+    return {
+      title: item.title,
+      brand: item.brand || 'Unknown',
+      model: item.model || 'Unknown',
+      category: item.category ? item.category.split('>').pop().trim() : 'Unknown',
+      description: item.description || '',
+      imageUrl: item.images?.[0] || null,
+      highestRecordedPrice: Number(item.highest_recorded_price) || null
+    };
+  }
+}
+
+module.exports = { UpcItemDbAdapter };
@@ -33,7 +33,10 @@ async function dropPin(pinData) {
         description: item.description || '',
         imageUrls: item.imageUrls || [],
         condition: item.condition || {},
-        confidence: item.confidence || 0
+        // Calibrated 0-1 score; the model's raw 1-10 self-score is kept for reference
+        confidence: item.fieldConfidence?.overall ?? 0,
+        confidenceLevel: item.fieldConfidence?.level || 'low',
+        rawConfidence: item.confidence || 0
       },
       userId,
       dispositionType,
@@ -0,0 +1,72 @@
+// functions/capture-sdk/offline/fileQueue.js
+// Filesystem offline queue store - one JSON file per job (images included as
+// base64) so queued scans survive process restarts and app updates
+
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+class FileQueueStore {
+  constructor(config = {}) {
+    this.directory = config.directory || path.join(os.tmpdir(), 'capture-sdk-offline-queue');
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async save(job) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written job
+    const target = this.filePath(job.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job));
+    await fs.rename(temp, target);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Offline queue read failed:', error.message);
+      }
+      return null;
+    }
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Jobs oldest first, optionally only those in the given statuses
+   */
+  async list({ statuses = null } = {}) {
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(f => f.endsWith('.json'));
+    } catch (error) {
+      return [];
+    }
+
+    const jobs = [];
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        if (!statuses || statuses.includes(job.status)) jobs.push(job);
+      } catch (error) {
+        // Skip unreadable jobs (and leftover temp files from a crash)
+      }
+    }
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+}
+
+module.exports = { FileQueueStore };
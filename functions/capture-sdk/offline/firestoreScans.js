@@ -0,0 +1,49 @@
+// functions/capture-sdk/offline/firestoreScans.js
+// Writes synced offline scans into users/{uid}/scans, reconciling with a
+// scan document the app may already have created for the provisional result
+
+// Statuses a sync may overwrite; anything later (listed, sold, ...) is the user's
+const REPLACEABLE_STATUSES = ['provisional', 'analyzed'];
+
+class FirestoreScanWriter {
+  constructor(config = {}) {
+    if (!config.db) {
+      throw new Error('FirestoreScanWriter requires a Firestore db instance (config.db)');
+    }
+    this.db = config.db;
+  }
+
+  /**
+   * @returns {Promise<string>} - The scan document id
+   */
+  async reconcile(job, { analysis, routes, reconciliation }) {
+    const scans = this.db.collection('users').doc(job.uid).collection('scans');
+    const ref = job.scanId ? scans.doc(job.scanId) : scans.doc();
+    const existing = job.scanId ? await ref.get() : null;
+    const existingStatus = existing?.exists ? existing.data().status : null;
+
+    // Round-trip through JSON: Firestore rejects undefined values
+    const data = JSON.parse(JSON.stringify({
+      analysis,
+      routes,
+      imageCount: job.images.length,
+      usage: analysis.usage || null,
+      status: existingStatus && !REPLACEABLE_STATUSES.includes(existingStatus) ? existingStatus : 'analyzed',
+      offline: {
+        jobId: job.id,
+        queuedAt: job.createdAt,
+        syncedAt: new Date().toISOString(),
+        attempts: job.attempts,
+        reconciliation
+      }
+    }));
+    // When the photos were taken, not when signal came back
+    if (!existing?.exists) data.createdAt = new Date(job.createdAt);
+
+    // Merge keeps anything the user added to the scan in the meantime
+    await ref.set(data, { merge: true });
+    return ref.id;
+  }
+}
+
+module.exports = { FirestoreScanWriter };
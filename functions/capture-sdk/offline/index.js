@@ -0,0 +1,308 @@
+// functions/capture-sdk/offline/index.js
+// Offline / edge mode: scans taken without signal are queued with their photos
+// and a provisional estimate, then analyzed, priced and written to the user's
+// scans when connectivity returns.
+//
+// Stores are pluggable; any object with these async methods works:
+//   save(job), get(id) -> job|null, delete(id), list({ statuses }) -> job[] (oldest first)
+// Writers take a synced job: reconcile(job, { analysis, routes, reconciliation }) -> scanId
+
+const crypto = require('crypto');
+const { MemoryQueueStore } = require('./memoryQueue.js');
+const { FileQueueStore } = require('./fileQueue.js');
+const { FirestoreScanWriter } = require('./firestoreScans.js');
+const { buildProvisionalAnalysis } = require('./provisional.js');
+const { backoffDelay } = require('../utils/rateLimit.js');
+const { toImageBuffer, determineImageMediaType } = require('../utils/imageEncoding.js');
+
+const JOB_STATUSES = ['pending', 'processing', 'failed'];
+
+// Analysis options worth replaying at sync time
+const REPLAYED_OPTIONS = ['categoryHint', 'locale', 'mode', 'promptVersion', 'provider'];
+
+/**
+ * Photos as JSON-safe entries: base64 bytes, or the URL for remote images
+ */
+function encodeImages(images) {
+  return images.map(image => {
+    const buffer = toImageBuffer(image);
+    if (buffer) return { base64: buffer.toString('base64'), mediaType: determineImageMediaType(image) };
+    if (typeof image === 'string') return { url: image };
+    if (image?.url) return { url: image.url };
+    throw new Error('Unsupported image for the offline queue (use a Buffer, base64, data URL or URL)');
+  });
+}
+
+function decodeImages(encoded) {
+  return encoded.map(image => (image.url ? image.url : { buffer: Buffer.from(image.base64, 'base64'), mediaType: image.mediaType }));
+}
+
+/**
+ * What changed between the provisional result and the full analysis
+ */
+function reconcileProvisional(provisional, analysis, routes) {
+  const provisionalValue = provisional?.estimatedValue?.suggested ?? null;
+  const value = routes?.marketAnalysis?.estimatedValue?.suggested ?? null;
+  const provisionalCategory = provisional?.category || 'Unknown';
+
+  return {
+    provisionalCategory,
+    category: analysis.category,
+    categoryChanged: provisionalCategory !== 'Unknown' && provisionalCategory.toLowerCase() !== String(analysis.category).toLowerCase(),
+    provisionalValue,
+    value,
+    valueDelta: provisionalValue !== null && value !== null ? Math.round((value - provisionalValue) * 100) / 100 : null,
+    recommendedRoute: routes?.recommendedRoute?.type || null
+  };
+}
+
+class OfflineQueue {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.store] - Queue store (defaults to in-memory)
+   * @param {Object} [config.writer] - Where synced scans go (see firestoreScans.js)
+   * @param {Function} [config.isOnline] - async () => boolean; without it the SDK assumes it is online
+   * @param {number} [config.maxAttempts=5] - Sync attempts before a job is marked failed
+   * @param {number} [config.leaseMs] - How long a sync owns a job; a job left `processing`
+   *   by a crashed or killed process is picked up again once its lease runs out
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryQueueStore();
+    this.writer = config.writer || null;
+    this.isOnline = config.isOnline || null;
+    this.maxAttempts = config.maxAttempts || 5;
+    this.leaseMs = config.leaseMs || 10 * 60 * 1000;
+    this.baseDelayMs = config.baseDelayMs || 30 * 1000;
+    this.maxDelayMs = config.maxDelayMs || 30 * 60 * 1000;
+    this.activeSync = null;
+  }
+
+  async online() {
+    if (!this.isOnline) return true;
+    try {
+      return !!(await this.isOnline());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Queue a scan and return its provisional analysis
+   * @param {Array} images
+   * @param {Object} [options] - uid, scanId (an existing scan doc to reconcile into),
+   *   categoryHint / brand / model / condition for the provisional estimate,
+   *   plus analysis options replayed at sync time (locale, mode, promptVersion, provider)
+   */
+  async enqueue(images, options = {}) {
+    if (!Array.isArray(images) || images.length === 0) {
+      throw new Error('At least one image is required to queue a scan');
+    }
+
+    const id = options.jobId || `offline_${crypto.randomUUID()}`;
+    const createdAt = new Date().toISOString();
+    const provisional = buildProvisionalAnalysis(options, {
+      jobId: id,
+      queuedAt: createdAt,
+      imageCount: images.length,
+      locale: options.locale
+    });
+
+    const job = {
+      id,
+      status: 'pending',
+      createdAt,
+      uid: options.uid || null,
+      scanId: options.scanId || null,
+      images: encodeImages(images),
+      options: REPLAYED_OPTIONS.reduce((acc, key) => {
+        if (typeof options[key] === 'string') acc[key] = options[key];
+        return acc;
+      }, {}),
+      userPreferences: options.userPreferences || {},
+      provisional,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null
+    };
+
+    await this.store.save(job);
+    console.log(`📥 Queued offline scan ${id}:`, {
+      images: images.length,
+      category: provisional.category,
+      provisionalValue: provisional.estimatedValue.suggested
+    });
+    return job;
+  }
+
+  /**
+   * Jobs a sync may take now: pending ones that are due, and processing ones whose lease expired
+   */
+  async claimable(now = Date.now()) {
+    const jobs = await this.store.list({ statuses: ['pending', 'processing'] });
+    return jobs.filter(job => (job.status === 'pending'
+      ? !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= now
+      : !job.leaseExpiresAt || Date.parse(job.leaseExpiresAt) <= now));
+  }
+
+  /**
+   * Counts by status and the oldest waiting scan
+   */
+  async status() {
+    const jobs = await this.store.list();
+    const counts = JOB_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+    return {
+      ...counts,
+      total: jobs.length,
+      oldestQueuedAt: jobs.find(job => job.status !== 'failed')?.createdAt || null
+    };
+  }
+
+  /**
+   * Analyze and price queued scans, reconcile them into the user's scans and
+   * drop them from the queue. One sync runs at a time; a second call gets the
+   * running sync's result.
+   * @param {CaptureSDK} sdk
+   * @param {Object} [options]
+   * @param {Object} [options.writer] - Overrides the queue's writer
+   * @param {number} [options.limit] - Max jobs this run
+   * @returns {Promise<Object>} { online, synced, failed, retrying, remaining, results }
+   */
+  sync(sdk, options = {}) {
+    if (!this.activeSync) {
+      this.activeSync = this.runSync(sdk, options).finally(() => { this.activeSync = null; });
+    }
+    return this.activeSync;
+  }
+
+  async runSync(sdk, { writer = this.writer, limit = Infinity } = {}) {
+    const summary = { online: true, synced: 0, failed: 0, retrying: 0, remaining: 0, results: [] };
+
+    if (!(await this.online())) {
+      summary.online = false;
+      summary.remaining = (await this.claimable()).length;
+      return summary;
+    }
+
+    const jobs = (await this.claimable()).slice(0, limit);
+    if (jobs.length) console.log(`🔄 Syncing ${jobs.length} offline scan(s)`);
+
+    for (const job of jobs) {
+      job.status = 'processing';
+      job.attempts++;
+      job.leaseExpiresAt = new Date(Date.now() + this.leaseMs).toISOString();
+      await this.store.save(job);
+
+      try {
+        const analysis = await sdk.analyzeItem(decodeImages(job.images), {
+          ...job.options,
+          ...(job.uid && { uid: job.uid }),
+          offline: false
+        });
+        if (analysis.error) {
+          const error = new Error(analysis.error);
+          error.code = analysis.errorCode;
+          error.retryAfterMs = analysis.retryAfterMs;
+          throw error;
+        }
+
+        const routes = await sdk.getRoutes(analysis, job.userPreferences, null, { locale: analysis.locale });
+        const reconciliation = reconcileProvisional(job.provisional, analysis, routes);
+        const scanId = writer && job.uid ? await writer.reconcile(job, { analysis, routes, reconciliation }) : job.scanId;
+
+        await this.store.delete(job.id);
+        summary.synced++;
+        summary.results.push({ jobId: job.id, status: 'synced', uid: job.uid, scanId, analysis, routes, reconciliation });
+      } catch (error) {
+        const lostConnection = !(await this.online());
+        job.lastError = error.message;
+        job.leaseExpiresAt = null;
+
+        if (lostConnection) {
+          // Signal dropped mid-sync - not the job's fault, try it again next time
+          job.attempts--;
+          job.status = 'pending';
+        } else if (job.attempts >= this.maxAttempts) {
+          job.status = 'failed';
+        } else {
+          job.status = 'pending';
+          job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts, {
+            baseDelayMs: this.baseDelayMs,
+            maxDelayMs: this.maxDelayMs,
+            retryAfterMs: error.retryAfterMs
+          })).toISOString();
+        }
+        await this.store.save(job);
+
+        console.warn(`⚠️ Offline scan ${job.id} sync failed (attempt ${job.attempts}):`, error.message);
+        summary[job.status === 'failed' ? 'failed' : 'retrying']++;
+        summary.results.push({ jobId: job.id, status: job.status, error: error.message });
+        if (lostConnection) {
+          summary.online = false;
+          break;
+        }
+      }
+    }
+
+    summary.remaining = (await this.store.list({ statuses: ['pending', 'processing'] })).length;
+    if (jobs.length) console.log('✅ Offline sync finished:', { synced: summary.synced, failed: summary.failed, remaining: summary.remaining });
+    return summary;
+  }
+
+  /**
+   * Put failed jobs back in line (e.g. after the user fixes their budget)
+   */
+  async retryFailed() {
+    const failed = await this.store.list({ statuses: ['failed'] });
+    for (const job of failed) {
+      await this.store.save({ ...job, status: 'pending', attempts: 0, nextAttemptAt: null });
+    }
+    return failed.length;
+  }
+}
+
+function createScanWriter(config) {
+  if (!config) return null;
+  if (typeof config.reconcile === 'function') return config;
+  if ((config.type || 'firestore') !== 'firestore') {
+    throw new Error(`Unknown offline scan writer type "${config.type}" (use firestore)`);
+  }
+  return new FirestoreScanWriter(config);
+}
+
+/**
+ * Build a queue from config: an OfflineQueue, a raw store, true (file queue in the
+ * temp directory) or { type: 'file' | 'memory', directory, writer, isOnline, maxAttempts }
+ */
+function createOfflineQueue(config) {
+  if (!config) return null;
+  if (config instanceof OfflineQueue) return config;
+
+  if (typeof config.save === 'function' && typeof config.list === 'function') {
+    return new OfflineQueue({ store: config });
+  }
+
+  const options = config === true ? {} : config;
+  const stores = {
+    memory: () => new MemoryQueueStore(options),
+    file: () => new FileQueueStore(options)
+  };
+
+  // Queued photos must survive a restart, so files unless told otherwise
+  const type = options.type || 'file';
+  if (!stores[type]) {
+    throw new Error(`Unknown offline queue type "${type}" (use file or memory)`);
+  }
+
+  return new OfflineQueue({ ...options, store: stores[type](), writer: createScanWriter(options.writer) });
+}
+
+module.exports = {
+  OfflineQueue,
+  MemoryQueueStore,
+  FileQueueStore,
+  FirestoreScanWriter,
+  createOfflineQueue,
+  buildProvisionalAnalysis,
+  reconcileProvisional
+};
@@ -0,0 +1,32 @@
+// functions/capture-sdk/offline/memoryQueue.js
+// In-memory offline queue store (per process) - for tests and local development.
+// Does not survive a restart; use FileQueueStore on devices.
+
+class MemoryQueueStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  /**
+   * Jobs oldest first, optionally only those in the given statuses
+   */
+  async list({ statuses = null } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !statuses || statuses.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+}
+
+module.exports = { MemoryQueueStore };
@@ -0,0 +1,88 @@
+// functions/capture-sdk/offline/provisional.js
+// Provisional result for a scan taken without signal: no vision call, just
+// what the user told us (category hint, brand, condition) priced with the
+// manual estimator. Replaced by the full analysis when the queue syncs.
+
+const { estimateManualPrice } = require('../pricing/manual.js');
+const { getCategoryRubric } = require('../core/conditionGrade.js');
+const { resolveLocale } = require('../utils/locale.js');
+
+// Hint keywords -> the manual estimator's category table, checked in order
+// (footwear before the clothing rubric, which also lists shoes)
+const PRICING_CATEGORY_KEYWORDS = [
+  ['footwear', ['shoe', 'boot', 'sneaker', 'sandal', 'heels']],
+  ['jewelry', ['jewelry', 'jewellery', 'ring', 'necklace', 'bracelet', 'earring', 'watch']],
+  ['tools', ['tool', 'drill', 'saw', 'wrench', 'sander', 'grinder']],
+  ['sporting goods', ['bike', 'bicycle', 'golf', 'tennis', 'ski', 'fitness', 'dumbbell', 'kayak']],
+  ['automotive', ['automotive', 'car part', 'tire', 'tyre', 'motorcycle']],
+  ['collectibles', ['vintage', 'antique', 'collectible', 'coin', 'stamp', 'memorabilia']],
+  ['home & garden', ['kitchen', 'lamp', 'garden', 'decor', 'vase', 'cookware', 'rug']]
+];
+
+// Condition rubric -> the manual estimator's category table
+const RUBRIC_PRICING_CATEGORIES = {
+  electronics: 'electronics',
+  clothing: 'clothing',
+  furniture: 'furniture',
+  books: 'books',
+  media: 'books',
+  toys: 'toys'
+};
+
+const CONDITION_RATINGS = ['excellent', 'good', 'fair', 'poor'];
+
+/**
+ * Best guess at the manual estimator's category for a free-text hint
+ */
+function pricingCategory(hint) {
+  const text = String(hint || '').toLowerCase();
+  if (!text) return null;
+  const match = PRICING_CATEGORY_KEYWORDS.find(([, keywords]) => keywords.some(keyword => text.includes(keyword)));
+  if (match) return match[0];
+  return RUBRIC_PRICING_CATEGORIES[getCategoryRubric(text).name] || null;
+}
+
+/**
+ * Analysis-shaped provisional result
+ * @param {Object} metadata - { categoryHint | category, brand, model, condition }
+ * @param {Object} context - { jobId, queuedAt, imageCount, locale }
+ */
+function buildProvisionalAnalysis(metadata = {}, { jobId, queuedAt, imageCount = 0, locale } = {}) {
+  const hint = metadata.categoryHint || metadata.category || null;
+  const rating = CONDITION_RATINGS.includes(metadata.condition) ? metadata.condition : 'good';
+  const category = pricingCategory(hint);
+  const brand = metadata.brand || 'Unknown';
+  const { code, currency } = resolveLocale(locale);
+
+  const { suggested } = estimateManualPrice({
+    category: category || hint || 'unknown',
+    brand,
+    condition: { rating, issues: [] }
+  });
+
+  return {
+    category: hint || 'Unknown',
+    brand,
+    model: metadata.model || 'Unknown',
+    condition: { rating, description: '', usableAsIs: rating !== 'poor', issues: [] },
+    resale: {
+      recommendation: 'evaluate',
+      priceRange: { low: Math.round(suggested * 0.7), high: Math.round(suggested * 1.3), currency },
+      justification: 'Provisional estimate from the category while offline - full analysis runs when back online'
+    },
+    salvageable: [],
+    confidence: 1,
+    materials: [],
+    keyFeatures: [],
+    identifiers: {},
+    specifications: {},
+    estimatedValue: { suggested, currency, source: 'offline_manual', pricingCategory: category },
+    provisional: true,
+    offlineJobId: jobId,
+    queuedAt,
+    imageCount,
+    locale: code
+  };
+}
+
+module.exports = { buildProvisionalAnalysis, pricingCategory };
@@ -0,0 +1,129 @@
+// functions/capture-sdk/pricing/comparables.js
+// Statistics over comparable listings: one definition of median, spread and
+// sample confidence for every source. Each listing counts by its weight from
+// scoring.js, and the ones that were left out come back with the reason.
+
+const { scoreComparables, rejectOutliers } = require('./scoring.js');
+
+// Asking prices run above what items sell for
+const ACTIVE_PRICE_FACTOR = 0.92;
+
+// Enough sold listings to price from sales alone
+const MIN_SOLD_COMPARABLES = 3;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Linear-interpolated percentile of an ascending array
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Percentile of weighted prices: each price sits at the middle of its share of the
+ * total weight. Equal weights give the usual percentile.
+ * @param {Array} entries - { value, weight } in ascending value order
+ */
+function weightedPercentile(entries, p) {
+  if (!entries.length) return null;
+  if (entries.length === 1) return entries[0].value;
+
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  let cumulative = 0;
+  const positions = entries.map(e => {
+    const position = (cumulative + e.weight / 2) / total;
+    cumulative += e.weight;
+    return position;
+  });
+
+  if (p <= positions[0]) return entries[0].value;
+  if (p >= positions[positions.length - 1]) return entries[entries.length - 1].value;
+  const upper = positions.findIndex(position => position >= p);
+  const lower = upper - 1;
+  const span = positions[upper] - positions[lower];
+  return entries[lower].value + (entries[upper].value - entries[lower].value) * (span ? (p - positions[lower]) / span : 0);
+}
+
+function sampleConfidence(sampleSize) {
+  if (sampleSize >= 5) return 'high';
+  if (sampleSize >= 3) return 'medium';
+  return 'low';
+}
+
+/**
+ * @param {Array} comparables - { price, sold, soldAt?, title?, condition?, exactMatch? } listings
+ * @param {Object} [options]
+ * @param {Object} [options.itemData] - Weighs listings by title and condition similarity to this item
+ *   and rejects lots / for-parts listings it is not. Condition only weighs: listings in the item's
+ *   condition already sell at its price, so the percentiles are not discounted for it again
+ * @param {number} [options.daysBack=90] - Sales older than this are rejected
+ * @param {string|false} [options.outliers='iqr'] - Outlier rejection: 'iqr', 'mad' or false
+ * @param {Date|number} [options.now] - Reference time for sale ages
+ * @returns {Object|null} { suggested, range, percentiles, average, sampleSize, effectiveSampleSize, soldCount,
+ *   activeCount, basis, confidence, comparables, rejected, fences }; null without a usable price.
+ *   `comparables` are the listings the price came from, each with `adjustedPrice`, `weight` and
+ *   `weights: { recency, similarity, condition }`; `rejected` carry a `reason`.
+ */
+function summarizeComparables(comparables, options = {}) {
+  const { itemData = null, outliers = 'iqr' } = options;
+  const priced = comparables.filter(c => Number(c.price) > 0).map(c => ({ ...c, price: Number(c.price) }));
+  if (!priced.length) return null;
+
+  const { scored, rejected } = scoreComparables(priced, itemData, {
+    daysBack: options.daysBack,
+    now: options.now,
+    priceFactor: c => (c.sold ? 1 : ACTIVE_PRICE_FACTOR)
+  });
+
+  // Sales when there are enough of them, otherwise asking prices discounted to sale prices
+  const sold = scored.filter(c => c.sold);
+  const soldOnly = sold.length >= MIN_SOLD_COMPARABLES;
+  if (soldOnly) {
+    scored.filter(c => !c.sold).forEach(({ weight, weights, ...c }) => rejected.push({ ...c, reason: 'asking_price' }));
+  }
+
+  const { kept, outliers: outlying, fences } = rejectOutliers(soldOnly ? sold : scored, outliers);
+  rejected.push(...outlying);
+  if (!kept.length) return null;
+
+  // A listing every factor ruled out still counts a little rather than dividing by zero
+  const entries = kept
+    .map(c => ({ value: c.adjustedPrice, weight: Math.max(c.weight, 0.01) }))
+    .sort((a, b) => a.value - b.value);
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  // Many barely-relevant listings are worth fewer well-matched ones
+  const effectiveSampleSize = totalWeight ** 2 / entries.reduce((sum, e) => sum + e.weight ** 2, 0);
+
+  const at = p => round2(weightedPercentile(entries, p));
+  const percentiles = { p10: at(0.1), p25: at(0.25), p50: at(0.5), p75: at(0.75), p90: at(0.9) };
+  const keptSold = kept.filter(c => c.sold).length;
+
+  return {
+    suggested: Math.round(percentiles.p50),
+    range: { low: Math.round(percentiles.p25), high: Math.round(percentiles.p75) },
+    percentiles,
+    average: round2(entries.reduce((sum, e) => sum + e.value * e.weight, 0) / totalWeight),
+    sampleSize: kept.length,
+    effectiveSampleSize: round2(effectiveSampleSize),
+    soldCount: keptSold,
+    activeCount: kept.length - keptSold,
+    basis: soldOnly ? 'sold' : keptSold ? 'combined' : 'active',
+    confidence: sampleConfidence(Math.floor(effectiveSampleSize + 1e-9)),
+    comparables: [...kept].sort((a, b) => b.weight - a.weight),
+    rejected,
+    fences
+  };
+}
+
+module.exports = {
+  ACTIVE_PRICE_FACTOR,
+  MIN_SOLD_COMPARABLES,
+  percentile,
+  weightedPercentile,
+  summarizeComparables
+};
@@ -0,0 +1,252 @@
+// functions/capture-sdk/pricing/costs.js
+// Selling costs: shipping by category and size (or by parcel weight and dimensions when
+// the analysis states them), eBay fees, packaging. proceeds.js adds them up per route
+
+const { estimateWeightLbs } = require('../core/recycling.js');
+
+// eBay final value fee for most categories
+const EBAY_FEE_RATE = 0.1325;
+
+// Categories eBay charges a different final value fee
+const EBAY_CATEGORY_FEE_RATES = {
+  books: 0.1495,
+  book: 0.1495,
+  music: 0.1495,
+  cds: 0.1495,
+  vinyl: 0.1495,
+  movies: 0.1495,
+  jewelry: 0.15,
+  watches: 0.15,
+  'musical instruments': 0.0635
+};
+
+// Per-order fee on top of the final value fee - eBay's payment processing charge
+const EBAY_PER_ORDER_FEE = { upTo10: 0.3, over10: 0.4 };
+
+// Carriers bill the larger of actual weight and L x W x H / 139 (inches) once a parcel
+// is over a cubic foot
+const DIM_WEIGHT_DIVISOR = 139;
+const DIM_WEIGHT_MIN_VOLUME = 1728;
+
+// Ground rate by billable pounds
+const PARCEL_RATES = [
+  { maxLbs: 1, cost: 5 },
+  { maxLbs: 3, cost: 9 },
+  { maxLbs: 5, cost: 12 },
+  { maxLbs: 10, cost: 18 },
+  { maxLbs: 20, cost: 28 },
+  { maxLbs: 35, cost: 45 },
+  { maxLbs: 50, cost: 60 },
+  { maxLbs: 70, cost: 85 }
+];
+// Past the last rate the parcel goes freight
+const FREIGHT_COST_PER_LB = 1.5;
+
+// Box and materials by item weight, used when the analysis gives no dimensions (inches)
+const PACKAGE_SIZES = [
+  { maxLbs: 1, name: 'poly mailer', dimensions: { length: 10, width: 8, height: 2 }, packagingCost: 0.75 },
+  { maxLbs: 5, name: 'small box', dimensions: { length: 12, width: 10, height: 6 }, packagingCost: 1.5 },
+  { maxLbs: 15, name: 'medium box', dimensions: { length: 18, width: 14, height: 10 }, packagingCost: 3 },
+  { maxLbs: 40, name: 'large box', dimensions: { length: 24, width: 18, height: 16 }, packagingCost: 6 },
+  { maxLbs: Infinity, name: 'oversize box', dimensions: { length: 36, width: 24, height: 24 }, packagingCost: 12 }
+];
+
+// Padding around stated item dimensions, per side
+const PACKAGE_PADDING_INCHES = 1;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const includesAny = (text, terms) => terms.some(term => text.includes(term));
+
+// Category -> shipping cost, or a function of the item for categories where size varies
+const SHIPPING_ESTIMATES = {
+  electronics: item => {
+    const { brand, model } = item;
+    if (includesAny(model, ['phone', 'iphone', 'galaxy'])) return 8;
+    if (includesAny(model, ['macbook', 'laptop'])) return 15;
+    if (includesAny(brand, ['nintendo', 'playstation', 'xbox'])) return 18;
+    return 12;
+  },
+
+  books: 5,
+  book: 5,
+
+  clothing: 8,
+  apparel: 8,
+  clothes: 8,
+
+  footwear: 12,
+  shoes: 12,
+  sneakers: 12,
+  boots: 15,
+
+  // Power tools are heavier than hand tools
+  tools: item => (includesAny(item.model, ['drill', 'saw']) || item.description.includes('power') ? 20 : 15),
+  tool: 15,
+
+  furniture: item => {
+    const { description } = item;
+    if (includesAny(description, ['side table', 'end table', 'nightstand', 'small'])) return 25;
+    if (includesAny(description, ['chair', 'coffee table'])) return 35;
+    if (includesAny(description, ['sofa', 'couch', 'dining', 'dresser'])) return 75;
+    return 35;
+  },
+
+  'sporting goods': 18,
+  sports: 18,
+  fitness: 20,
+
+  toys: 10,
+  toy: 10,
+  games: 10,
+
+  jewelry: 5,
+  watches: 6,
+  accessories: 6,
+
+  automotive: item => {
+    const { description } = item;
+    if (includesAny(description, ['filter', 'bulb', 'sensor'])) return 10;
+    if (includesAny(description, ['alternator', 'starter', 'radiator'])) return 35;
+    if (includesAny(description, ['bumper', 'hood', 'door'])) return 85;
+    if (includesAny(description, ['wheel', 'tire'])) return 45;
+    return 25;
+  },
+  'auto parts': 25,
+  'car parts': 25,
+
+  // Vehicles sell for local pickup
+  automobile: 0,
+  car: 0,
+  vehicle: 0,
+  motorcycle: 0,
+  boat: 0,
+
+  'home & garden': 15,
+  home: 15,
+  garden: 18,
+  kitchen: 12,
+
+  art: 15,
+  collectibles: 10,
+  antiques: 20,
+
+  'musical instruments': item => {
+    if (includesAny(item.model, ['piano', 'keyboard', 'drum'])) return 45;
+    if (includesAny(item.model, ['guitar', 'bass'])) return 25;
+    return 15;
+  },
+  music: 8,
+  cds: 5,
+  vinyl: 8
+};
+
+const DEFAULT_SHIPPING = 12;
+
+/**
+ * "12 x 10 x 8 in" / "30x20x15 cm" -> inches, largest side first; null for anything else ("M", "10.5")
+ */
+function parseDimensions(text) {
+  const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)\s*(in|inch|inches|"|cm|mm)?/i);
+  if (!match) return null;
+  const unit = (match[4] || 'in').toLowerCase();
+  const toInches = unit === 'cm' ? 1 / 2.54 : unit === 'mm' ? 1 / 25.4 : 1;
+  const [length, width, height] = match.slice(1, 4).map(v => round2(Number(v) * toInches)).sort((a, b) => b - a);
+  return { length, width, height };
+}
+
+function statedDimensions(itemData) {
+  const specs = itemData.specifications || {};
+  return parseDimensions(itemData.dimensions || specs.dimensions || specs.size);
+}
+
+function statedWeight(itemData) {
+  return Number(itemData.weightLbs) > 0 || /\d/.test(String(itemData.specifications?.weight || ''));
+}
+
+/**
+ * The parcel an item ships in: stated dimensions plus padding, or a box sized by weight
+ * @returns {{ weightLbs, dimensions, billableLbs, packagingCost, packageName, basis: 'stated' | 'estimated' }}
+ */
+function estimatePackage(itemData = {}) {
+  const weightLbs = Number(itemData.weightLbs) > 0 ? Number(itemData.weightLbs) : estimateWeightLbs(itemData);
+  const stated = statedDimensions(itemData);
+  const size = PACKAGE_SIZES.find(s => weightLbs <= s.maxLbs);
+  const pad = PACKAGE_PADDING_INCHES * 2;
+  const dimensions = stated
+    ? { length: stated.length + pad, width: stated.width + pad, height: stated.height + pad }
+    : size.dimensions;
+  const volume = dimensions.length * dimensions.width * dimensions.height;
+  // Stated dimensions pick the box by volume; the weight-based box already fits
+  const packagingCost = stated
+    ? (PACKAGE_SIZES.find(s => volume <= s.dimensions.length * s.dimensions.width * s.dimensions.height) || PACKAGE_SIZES[PACKAGE_SIZES.length - 1]).packagingCost
+    : size.packagingCost;
+
+  return {
+    weightLbs: round2(weightLbs),
+    dimensions,
+    billableLbs: Math.ceil(volume > DIM_WEIGHT_MIN_VOLUME ? Math.max(weightLbs, volume / DIM_WEIGHT_DIVISOR) : weightLbs),
+    packagingCost,
+    packageName: stated ? 'custom' : size.name,
+    basis: stated || statedWeight(itemData) ? 'stated' : 'estimated'
+  };
+}
+
+/**
+ * Ground shipping for a parcel by billable weight
+ */
+function parcelShippingCost(parcel) {
+  const rate = PARCEL_RATES.find(r => parcel.billableLbs <= r.maxLbs);
+  return rate ? rate.cost : round2(parcel.billableLbs * FREIGHT_COST_PER_LB);
+}
+
+/**
+ * Shipping cost for an item: by parcel weight and dimensions when the analysis states them,
+ * otherwise from its category, sized by brand / model / description where it matters
+ */
+function estimateShippingCost(itemData = {}) {
+  const estimate = SHIPPING_ESTIMATES[String(itemData.category || '').toLowerCase()];
+  // Vehicles and the like are collected, whatever they weigh
+  if (estimate === 0) return 0;
+  if (statedDimensions(itemData) || statedWeight(itemData)) return parcelShippingCost(estimatePackage(itemData));
+  if (estimate === undefined) return DEFAULT_SHIPPING;
+  if (typeof estimate !== 'function') return estimate;
+
+  return estimate({
+    brand: String(itemData.brand || '').toLowerCase(),
+    model: String(itemData.model || '').toLowerCase(),
+    description: String(itemData.description || '').toLowerCase()
+  });
+}
+
+/**
+ * eBay final value fee at the category's rate
+ */
+function ebayFinalValueFee(salePrice, category) {
+  const rate = EBAY_CATEGORY_FEE_RATES[String(category || '').toLowerCase()] || EBAY_FEE_RATE;
+  return salePrice ? round2(salePrice * rate) : 0;
+}
+
+function ebayPerOrderFee(salePrice) {
+  if (!salePrice) return 0;
+  return salePrice > 10 ? EBAY_PER_ORDER_FEE.over10 : EBAY_PER_ORDER_FEE.upTo10;
+}
+
+/**
+ * Everything eBay takes from a sale: final value fee plus the per-order fee
+ */
+function calculateEbayFees(salePrice, category) {
+  return round2(ebayFinalValueFee(salePrice, category) + ebayPerOrderFee(salePrice));
+}
+
+module.exports = {
+  EBAY_FEE_RATE,
+  EBAY_CATEGORY_FEE_RATES,
+  estimateShippingCost,
+  estimatePackage,
+  parcelShippingCost,
+  parseDimensions,
+  ebayFinalValueFee,
+  ebayPerOrderFee,
+  calculateEbayFees
+};
@@ -0,0 +1,216 @@
+// functions/capture-sdk/pricing/ebayBrowseSource.js
+// Active eBay listings from the Browse API as comparables: exact GTIN match when
+// a barcode was read, otherwise a keyword search narrowed to the item's condition
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { normalizeGtin, normalizeIsbn } = require('../utils/gtin.js');
+const { ebayBrowseConditionIds } = require('../core/conditionGrade.js');
+const { contentLanguage } = require('../utils/locale.js');
+const { ebayHosts } = require('../integrations/ebay/hosts.js');
+
+// A GTIN search needs a few hits before its prices beat a keyword search
+const MIN_GTIN_RESULTS = 3;
+
+async function getEbayAccessToken(ebayConfig) {
+  const basicAuth = Buffer.from(`${ebayConfig.clientId}:${ebayConfig.clientSecret}`).toString('base64');
+
+  const { tokenUrl } = ebayHosts(ebayConfig);
+
+  console.log('🔑 Getting eBay access token...');
+
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${basicAuth}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      scope: 'https://api.ebay.com/oauth/api_scope'
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`eBay token request failed: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  console.log('✅ eBay access token acquired');
+  return data.access_token;
+}
+
+// ✅ BRAND-AWARE search query builder
+function buildEnhancedSearchQuery(itemData) {
+  const queryParts = [];
+  const excludeGeneric = ['unknown', 'generic', 'see photos', 'item', 'object'];
+
+  // 1. Use specific category (most important)
+  if (itemData.category &&
+      !excludeGeneric.some(term => itemData.category.toLowerCase().includes(term))) {
+    queryParts.push(itemData.category);
+  }
+
+  // 2. Add brand if it's meaningful (INCLUDING IKEA!)
+  if (itemData.brand &&
+      !excludeGeneric.some(term => itemData.brand.toLowerCase().includes(term)) &&
+      itemData.brand.length > 2) {
+    queryParts.push(itemData.brand);
+  }
+
+  // 3. Add primary material if distinctive
+  if (itemData.materials && itemData.materials.length > 0) {
+    const primaryMaterial = itemData.materials[0];
+    if (primaryMaterial &&
+        !['unknown', 'generic'].includes(primaryMaterial.toLowerCase()) &&
+        !queryParts.some(part => part.toLowerCase().includes(primaryMaterial.toLowerCase()))) {
+      queryParts.push(primaryMaterial);
+    }
+  }
+
+  const query = queryParts.join(' ').trim();
+  console.log('🎯 Enhanced query built:', `"${query}"`);
+
+  return query;
+}
+
+class EbayBrowseSource {
+  /**
+   * @param {Object} config - clientId, clientSecret, environment, marketplaceId
+   */
+  constructor(config = {}) {
+    this.name = 'ebay_browse';
+    this.config = config;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  async getToken() {
+    if (!this.token || Date.now() >= this.tokenExpiresAt) {
+      this.token = await getEbayAccessToken(this.config);
+      // Client credential tokens live two hours; renew well before that
+      this.tokenExpiresAt = Date.now() + 90 * 60 * 1000;
+    }
+    return this.token;
+  }
+
+  /**
+   * @param {Object} itemData - analyzeItem result
+   * @param {Object} [context] - { marketplaceId } (defaults to the config's, then EBAY_US)
+   * @returns {Promise<Object>} { comparables, searchQuery, matchType, gtin?, conditionDistribution }
+   */
+  async comparables(itemData, context = {}) {
+    const marketplaceId = context.marketplaceId || this.config.marketplaceId || 'EBAY_US';
+    const accessToken = await this.getToken();
+
+    // A decoded barcode pins the exact product; keyword guesses are the fallback
+    const gtin = normalizeGtin(itemData.identifiers?.gtin) || normalizeIsbn(itemData.identifiers?.isbn);
+    let items = [];
+    let query = '';
+    let matchType = 'keyword';
+
+    if (gtin) {
+      console.log(`🏷️ Searching eBay by GTIN ${gtin}`);
+      items = await this.searchWithCondition(gtin, accessToken, marketplaceId, itemData.condition, { gtin });
+      if (items.length >= MIN_GTIN_RESULTS) {
+        query = gtin;
+        matchType = 'gtin';
+      } else {
+        console.log(`⚠️ Only ${items.length} GTIN matches, falling back to keyword search`);
+      }
+    }
+
+    if (matchType === 'keyword') {
+      query = buildEnhancedSearchQuery(itemData);
+      if (!query.trim()) {
+        throw new Error('No valid search terms could be generated');
+      }
+      items = await this.searchWithCondition(query, accessToken, marketplaceId, itemData.condition);
+    }
+
+    const conditionDistribution = items.reduce((acc, item) => {
+      const condition = item.condition || 'Unknown';
+      acc[condition] = (acc[condition] || 0) + 1;
+      return acc;
+    }, {});
+
+    return {
+      comparables: items.map(item => ({
+        price: parseFloat(item.price?.value || 0),
+        sold: false,
+        title: item.title,
+        url: item.itemWebUrl,
+        condition: item.condition || 'Not specified',
+        // Same product code: the title says nothing more about the match
+        ...(matchType === 'gtin' && { exactMatch: true })
+      })),
+      searchQuery: query,
+      matchType,
+      ...(matchType === 'gtin' && { gtin }),
+      conditionDistribution
+    };
+  }
+
+  /**
+   * Search the item's condition first, widening to nearby conditions and then any
+   * condition until there are enough listings
+   */
+  async searchWithCondition(query, accessToken, marketplaceId, itemCondition, { gtin = null } = {}) {
+    const conditionMapping = ebayBrowseConditionIds(itemCondition);
+
+    console.log(`🔍 Searching ${marketplaceId} with condition filter for ${itemCondition?.rating || 'unknown'} condition`);
+
+    let items = await this.search(query, accessToken, marketplaceId, conditionMapping.primary, gtin);
+
+    if (items.length < 5 && conditionMapping.fallback.length > 0) {
+      console.log(`⚠️ Only ${items.length} items found with primary conditions, expanding search...`);
+      items = await this.search(query, accessToken, marketplaceId, [...conditionMapping.primary, ...conditionMapping.fallback], gtin);
+    }
+
+    if (items.length < 3) {
+      console.log(`⚠️ Still only ${items.length} items found, searching without condition filter...`);
+      items = await this.search(query, accessToken, marketplaceId, [], gtin);
+    }
+
+    return items;
+  }
+
+  async search(query, accessToken, marketplaceId, conditionIds = [], gtin = null) {
+    const apiUrl = ebayHosts(this.config).api;
+    const params = new URLSearchParams({
+      ...(gtin ? { gtin } : { q: query }),
+      limit: '25'
+    });
+
+    if (conditionIds.length > 0) {
+      params.append('filter', `conditionIds:{${conditionIds.join('|')}}`);
+    }
+
+    const response = await fetch(`${apiUrl}/buy/browse/v1/item_summary/search?${params}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
+        'Accept-Language': contentLanguage(marketplaceId),
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`eBay search failed: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    const items = data.itemSummaries || [];
+
+    console.log(`✅ Found ${items.length} items${conditionIds.length ? ' with condition filter' : ' (no condition filter)'}`);
+    return items;
+  }
+}
+
+module.exports = {
+  EbayBrowseSource,
+  getEbayAccessToken,
+  buildEnhancedSearchQuery
+};
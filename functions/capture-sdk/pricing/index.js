@@ -0,0 +1,256 @@
+// functions/capture-sdk/pricing/index.js
+// One pricing engine for routes, listings, instant offers and the eBay helpers:
+// comparables from every configured source, summarized the same way, with the
+// category estimate (manual.js) when none of them found anything.
+//
+// Sources are pluggable; any object with these works:
+//   name, comparables(itemData, { marketplaceId, currency, daysBack }) -> Promise<{ comparables, searchQuery?, matchType?, gtin? }>
+// A comparable is { price, sold, soldAt?, title?, url?, condition?, exactMatch? } (see ebayBrowseSource.js).
+// Each one is weighted by sale age, title and condition match, and lots, for-parts
+// listings, stale sales and outliers are set aside (see scoring.js).
+//
+// Every price comes back in one shape:
+//   { suggested, currency, range: { low, high }, percentiles, comparables, rejected, sampleSize,
+//     confidence, source, sources: [{ name, status, count, median }], shippingCost, ebayFees, packaging, netProfit }
+// where `comparables` are the listings used, each with its `weight` and `weights`.
+
+const { EbayBrowseSource } = require('./ebayBrowseSource.js');
+const { EbaySearchAPI } = require('../integrations/ebay/searchAPI.js');
+const { summarizeComparables } = require('./comparables.js');
+const { DEFAULT_DAYS_BACK, scoreComparables } = require('./scoring.js');
+const { estimateManualPrice } = require('./manual.js');
+const { sellingCosts } = require('./proceeds.js');
+const { resolveLocale, convertFromUsd } = require('../utils/locale.js');
+
+const MANUAL_SOURCE = 'enhanced_manual';
+
+// Legacy result fields kept the first few comparables
+const LEGACY_COMPARABLE_COUNT = 3;
+
+const hasEbayCredentials = ebay => !!(ebay?.clientId && ebay?.clientSecret);
+
+const BUILT_IN_SOURCES = {
+  ebayBrowse: ebay => new EbayBrowseSource(ebay),
+  // Active plus sold listings (Finding API)
+  ebaySearch: ebay => new EbaySearchAPI(ebay)
+};
+
+const DEFAULT_SOURCES = ['ebayBrowse'];
+
+function pricingContext(itemData, options = {}) {
+  const locale = resolveLocale(options.locale || itemData.locale);
+  const marketplaceId = options.marketplaceId || locale.marketplaceId;
+  return { marketplaceId, currency: options.currency || resolveLocale(marketplaceId).currency };
+}
+
+/**
+ * Price from the category estimate alone, in the normalized shape. The category tables
+ * are in US dollars: other currencies are converted at an approximate rate (`conversion`),
+ * and one without a rate stays in USD with `currencyConverted: false`
+ * @param {Object} [options] - locale / marketplaceId / currency
+ */
+function manualPricing(itemData, options = {}) {
+  const { currency: localCurrency } = pricingContext(itemData, options);
+  const estimate = estimateManualPrice(itemData);
+  const { amount: suggested, rate } = convertFromUsd(estimate.suggested, localCurrency);
+  const currency = rate ? localCurrency : 'USD';
+  const factors = rate === 1 ? estimate.factors : { ...estimate.factors, usdEstimate: estimate.suggested };
+
+  return {
+    suggested,
+    currency,
+    currencyConverted: !!rate && rate !== 1,
+    conversion: rate && rate !== 1 ? { from: 'USD', to: currency, rate, approximate: true } : null,
+    range: { low: Math.round(suggested * 0.7), high: Math.round(suggested * 1.3) },
+    percentiles: null,
+    comparables: [],
+    sampleSize: 0,
+    rejected: [],
+    confidence: 'medium',
+    source: MANUAL_SOURCE,
+    sources: [{ name: MANUAL_SOURCE, status: 'ok', count: 0, median: suggested }],
+    conditionMultiplier: factors.conditionMultiplier,
+    factors,
+    ...sellingCosts(suggested, itemData),
+    priceRange: { low: Math.round(suggested * 0.7), high: Math.round(suggested * 1.3), median: suggested },
+    comparableItems: [],
+    note: 'Based on enhanced category analysis and brand recognition',
+    pricedAt: new Date().toISOString()
+  };
+}
+
+// Why listings were dropped when none survived: lots, parts, stale sales
+function summarizeRejected(comparables, { itemData, daysBack }) {
+  return scoreComparables(comparables, itemData, { daysBack }).rejected;
+}
+
+class PricingEngine {
+  /**
+   * @param {Object} config
+   * @param {Array} [config.sources] - Comparable sources, all consulted in order
+   * @param {boolean} [config.fallback=true] - Use the category estimate when no source has comparables;
+   *   false returns `suggested: null` with a reason instead
+   * @param {number} [config.daysBack=90] - Ignore sales older than this
+   * @param {string|false} [config.outliers='iqr'] - Outlier rejection: 'iqr', 'mad' or false
+   */
+  constructor(config = {}) {
+    this.sources = config.sources || [];
+    this.fallback = config.fallback !== false;
+    this.daysBack = config.daysBack || DEFAULT_DAYS_BACK;
+    this.outliers = config.outliers === undefined ? 'iqr' : config.outliers;
+  }
+
+  /**
+   * @param {Object} itemData - analyzeItem result
+   * @param {Object} [options] - locale / marketplaceId / currency for the comparables, daysBack / outliers
+   *   to override the engine's
+   * @returns {Promise<Object>} Normalized price (see the module header)
+   */
+  async price(itemData, options = {}) {
+    const context = { ...pricingContext(itemData, options), daysBack: options.daysBack || this.daysBack };
+    const scoring = {
+      itemData,
+      daysBack: context.daysBack,
+      outliers: options.outliers === undefined ? this.outliers : options.outliers
+    };
+    const breakdown = [];
+    const found = [];
+
+    // One at a time: each source may be a rate-limited marketplace API
+    for (const source of this.sources) {
+      try {
+        const result = await source.comparables(itemData, context);
+        const comparables = (result?.comparables || [])
+          .filter(c => Number(c.price) > 0)
+          .map(c => ({ ...c, price: Number(c.price), source: source.name }));
+        const summary = summarizeComparables(comparables, scoring);
+
+        breakdown.push({
+          name: source.name,
+          status: comparables.length ? 'ok' : 'empty',
+          count: comparables.length,
+          median: summary ? summary.percentiles.p50 : null,
+          ...(result?.searchQuery && { searchQuery: result.searchQuery })
+        });
+        if (comparables.length) found.push({ source, result, comparables });
+      } catch (error) {
+        // A failing source costs its comparables, not the price
+        console.warn(`⚠️ Pricing source ${source.name} failed:`, error.message);
+        breakdown.push({ name: source.name, status: 'error', count: 0, median: null, error: error.message });
+      }
+    }
+
+    const comparables = found.flatMap(f => f.comparables);
+    const summary = summarizeComparables(comparables, scoring);
+
+    if (!summary) {
+      // Everything found was rejected: say so alongside the estimate
+      const rejected = comparables.length ? summarizeRejected(comparables, scoring) : [];
+      if (this.fallback) {
+        const manual = manualPricing(itemData, context);
+        return { ...manual, rejected, sources: [...breakdown, ...manual.sources] };
+      }
+      return {
+        suggested: null,
+        currency: context.currency,
+        confidence: 'low',
+        source: 'none',
+        sources: breakdown,
+        sampleSize: 0,
+        comparables: [],
+        rejected,
+        reason: breakdown.some(s => s.status === 'error')
+          ? `No comparables (${breakdown.filter(s => s.error).map(s => `${s.name}: ${s.error}`).join('; ')})`
+          : rejected.length ? `All ${rejected.length} comparable listings were rejected` : 'No comparable listings found'
+      };
+    }
+
+    // Search details come from the source that contributed the most
+    const primary = found.reduce((best, f) => (f.comparables.length > best.comparables.length ? f : best));
+
+    const result = {
+      suggested: summary.suggested,
+      currency: context.currency,
+      range: summary.range,
+      percentiles: summary.percentiles,
+      comparables: summary.comparables,
+      rejected: summary.rejected,
+      sampleSize: summary.sampleSize,
+      effectiveSampleSize: summary.effectiveSampleSize,
+      soldCount: summary.soldCount,
+      activeCount: summary.activeCount,
+      basis: summary.basis,
+      confidence: summary.confidence,
+      source: primary.source.name,
+      sources: breakdown,
+      searchQuery: primary.result.searchQuery || null,
+      matchType: primary.result.matchType || null,
+      ...(primary.result.gtin && { gtin: primary.result.gtin }),
+      ...(primary.result.conditionDistribution && { conditionDistribution: primary.result.conditionDistribution }),
+      ...sellingCosts(summary.suggested, itemData),
+      priceRange: { ...summary.range, median: summary.suggested, average: Math.round(summary.average) },
+      comparableItems: summary.comparables.slice(0, LEGACY_COMPARABLE_COUNT).map(({ title, price, url, condition }) => ({ title, price, url, condition })),
+      daysBack: context.daysBack,
+      note: `Based on ${summary.sampleSize} comparable listings (${summary.basis})` +
+        (summary.rejected.length ? `, ${summary.rejected.length} set aside` : ''),
+      pricedAt: new Date().toISOString()
+    };
+
+    console.log('💰 Price from comparables:', {
+      suggested: result.suggested,
+      source: result.source,
+      sampleSize: result.sampleSize,
+      rejected: result.rejected.length,
+      confidence: result.confidence
+    });
+    return result;
+  }
+}
+
+/**
+ * Build an engine from config: a PricingEngine, a single source, or
+ * { sources: ['ebayBrowse', 'ebaySearch', customSource], ebay, fallback, daysBack, outliers }.
+ * Without `sources`, the eBay Browse API is used whenever eBay credentials are present.
+ * @param {Object} [defaults] - { ebay } credentials for config that does not carry its own
+ */
+function createPricingEngine(config, defaults = {}) {
+  if (config instanceof PricingEngine) return config;
+  if (typeof config?.comparables === 'function') return new PricingEngine({ sources: [config] });
+
+  const options = config || {};
+  const ebay = options.ebay || defaults.ebay || null;
+  const names = options.sources || (hasEbayCredentials(ebay) ? DEFAULT_SOURCES : []);
+
+  const sources = names.map(source => {
+    if (typeof source !== 'string') return source;
+    if (!BUILT_IN_SOURCES[source]) {
+      throw new Error(`Unknown pricing source "${source}" (use ${Object.keys(BUILT_IN_SOURCES).join(', ')})`);
+    }
+    if (!hasEbayCredentials(ebay)) {
+      throw new Error(`Pricing source "${source}" needs eBay credentials (ebay.clientId / ebay.clientSecret)`);
+    }
+    return BUILT_IN_SOURCES[source](ebay);
+  });
+
+  return new PricingEngine({ sources, fallback: options.fallback, daysBack: options.daysBack, outliers: options.outliers });
+}
+
+let defaultEngine = null;
+
+/**
+ * The price stored on the item, or a fresh one (category estimate unless an engine is given)
+ */
+async function resolvePricing(itemData = {}, engine) {
+  if (itemData.pricing && itemData.pricing.suggested !== undefined) return itemData.pricing;
+  if (!engine) engine = defaultEngine || (defaultEngine = createPricingEngine());
+  return engine.price(itemData);
+}
+
+module.exports = {
+  PricingEngine,
+  EbayBrowseSource,
+  createPricingEngine,
+  resolvePricing,
+  manualPricing,
+  summarizeComparables
+};
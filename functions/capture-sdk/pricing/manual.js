@@ -0,0 +1,99 @@
+// functions/capture-sdk/pricing/manual.js
+// Category + brand + condition estimate, used when no source found comparables
+
+const { conditionPriceMultiplier } = require('../core/conditionGrade.js');
+const { resolveAuthenticity } = require('../core/authenticity.js');
+
+const DEFAULT_BASE_PRICE = 20;
+
+// Category base price and brand multipliers (lowercase brand substrings)
+const CATEGORY_PRICING = {
+  electronics: { base: 45, brands: { apple: 2.5, samsung: 1.8, sony: 1.6, microsoft: 1.7, nintendo: 1.9, hp: 1.2, dell: 1.1 } },
+  tools: { base: 25, brands: { dewalt: 1.8, milwaukee: 1.7, makita: 1.6, craftsman: 1.3, ryobi: 1.1 } },
+  // IKEA resells at a fraction of generic furniture
+  furniture: { base: 35, brands: { ikea: 0.4, 'restoration hardware': 2.0, 'pottery barn': 1.6, 'west elm': 1.5, cb2: 1.4 } },
+  clothing: { base: 15, brands: { gucci: 3.0, coach: 2.2, nike: 1.8, adidas: 1.7, levi: 1.4, gap: 1.3 } },
+  footwear: { base: 25, brands: { jordan: 2.5, nike: 2.0, adidas: 1.8, converse: 1.3, vans: 1.2 } },
+  automotive: { base: 40, brands: { oem: 1.5, bosch: 1.4, 'ac delco': 1.3, motorcraft: 1.3 } },
+  automobile: { base: 5000, brands: { tesla: 2.0, mercedes: 1.9, bmw: 1.8, lexus: 1.7, toyota: 1.3, honda: 1.2, ford: 1.0, chevrolet: 1.0, dodge: 0.9 } },
+  car: { base: 5000, brands: {} },
+  vehicle: { base: 5000, brands: {} },
+  books: { base: 8, brands: {} },
+  'sporting goods': { base: 20, brands: {} },
+  toys: { base: 12, brands: {} },
+  jewelry: { base: 35, brands: {} },
+  'home & garden': { base: 18, brands: {} },
+  collectibles: { base: 25, brands: {} },
+  art: { base: 50, brands: {} },
+  'musical instruments': { base: 75, brands: {} }
+};
+
+// Brands priced up in any category without its own entry
+const PREMIUM_BRANDS = ['apple', 'samsung', 'sony', 'nike', 'adidas'];
+const GOOD_BRANDS = ['hp', 'dell', 'canon', 'levi', 'gap'];
+
+const VEHICLE_CATEGORIES = ['automobile', 'car', 'vehicle'];
+
+function brandMultiplierFor(itemData, categoryBrands) {
+  if (!itemData.brand || ['unknown', 'generic'].includes(itemData.brand.toLowerCase())) return 1.0;
+  const brand = itemData.brand.toLowerCase();
+
+  const listed = Object.keys(categoryBrands).find(name => brand.includes(name));
+  let multiplier = listed ? categoryBrands[listed]
+    : PREMIUM_BRANDS.some(name => brand.includes(name)) ? 2.0
+      : GOOD_BRANDS.some(name => brand.includes(name)) ? 1.3
+        : 1.1;
+
+  // A premium is only earned once labels back the brand (see core/authenticity.js)
+  if (multiplier > 1) {
+    const authenticity = resolveAuthenticity(itemData);
+    if (authenticity.risk === 'high') {
+      console.log('🕵️ Brand not verified - skipping brand multiplier:', authenticity.reasons);
+      multiplier = 1.0;
+    }
+  }
+  return multiplier;
+}
+
+/**
+ * Depreciation from a model year in the description; classics in excellent shape earn it back
+ */
+function vehicleAgeMultiplier(itemData, conditionRating) {
+  const yearMatch = String(itemData.description || '').match(/\b(19|20)\d{2}\b/);
+  if (!yearMatch) return 1.0;
+
+  const age = new Date().getFullYear() - parseInt(yearMatch[0], 10);
+  const depreciation = age <= 1 ? 0.85
+    : age <= 3 ? 0.7
+      : age <= 5 ? 0.55
+        : age <= 10 ? 0.35
+          : age <= 20 ? 0.2
+            : 0.15;
+  return age >= 25 && conditionRating === 'excellent' ? depreciation * 1.5 : depreciation;
+}
+
+/**
+ * @returns {Object} { suggested, factors: { category, basePrice, brandMultiplier, conditionMultiplier, ageMultiplier } }
+ */
+function estimateManualPrice(itemData = {}) {
+  const category = itemData.category?.toLowerCase() || 'unknown';
+  const pricing = CATEGORY_PRICING[category] || { base: DEFAULT_BASE_PRICE, brands: {} };
+
+  const brandMultiplier = brandMultiplierFor(itemData, pricing.brands);
+  // Condition multiplier from the graded condition (see core/conditionGrade.js)
+  const conditionMultiplier = conditionPriceMultiplier(itemData.condition || 'good', { category: itemData.category });
+  const ageMultiplier = VEHICLE_CATEGORIES.includes(category)
+    ? vehicleAgeMultiplier(itemData, itemData.condition?.rating)
+    : 1.0;
+
+  const suggested = Math.round(pricing.base * brandMultiplier * conditionMultiplier * ageMultiplier);
+  const factors = { category, basePrice: pricing.base, brandMultiplier, conditionMultiplier, ageMultiplier };
+
+  console.log('💰 Manual price estimate:', { ...factors, suggested });
+  return { suggested, factors };
+}
+
+module.exports = {
+  CATEGORY_PRICING,
+  estimateManualPrice
+};
@@ -0,0 +1,220 @@
+// functions/capture-sdk/pricing/proceeds.js
+// What each disposition route is worth to the user: the sale price less marketplace and
+// payment fees, shipping, packaging and their time, weighed by the chance it sells within
+// the window they care about. Routes are ranked by that expected net value.
+//
+//   expectedNetValue = P(sold within N days) x (price - fees - shipping - packaging - time after the sale)
+//                      - time spent before it sells (photos, listing, messages)
+//
+// An instant offer is not a sale at the market price: it pays the (lower) offer, and only
+// if the item passes inspection.
+
+const { ebayFinalValueFee, ebayPerOrderFee, estimateShippingCost, estimatePackage } = require('./costs.js');
+const { DEFAULT_DAYS_BACK } = require('./scoring.js');
+
+const DEFAULT_HOURLY_RATE = 10;
+const DEFAULT_SELL_WITHIN_DAYS = 30;
+
+// Local buyers haggle
+const LOCAL_PRICE_FACTOR = 0.9;
+
+// Instant offers are conditional: the item is inspected on arrival and re-quoted or
+// sent back when it does not match the photos
+const INSTANT_OFFER_ACCEPTANCE = 0.85;
+
+// Hours the user spends: `upfront` whether or not it sells, `onSale` once it does
+const ROUTE_HOURS = {
+  ebay: { upfront: 0.5, onSale: 0.5 }, // photos and listing; pack and drop off
+  local_pickup: { upfront: 0.25, onSale: 1 }, // listing; messages, meetup, no-shows
+  instant_offer: { upfront: 0, onSale: 0.25 }, // pack and drop off with the prepaid label
+  donation: { upfront: 0, onSale: 0.5 }, // drop-off trip
+  recycle: { upfront: 0, onSale: 0.5 }
+};
+
+// Share of listings that sell within 30 days when there are no comparables to measure it
+const CATEGORY_SELL_THROUGH = {
+  electronics: 0.6,
+  tools: 0.55,
+  'sporting goods': 0.45,
+  toys: 0.45,
+  collectibles: 0.4,
+  footwear: 0.4,
+  clothing: 0.35,
+  jewelry: 0.35,
+  books: 0.3,
+  furniture: 0.3,
+  'home & garden': 0.35
+};
+const DEFAULT_SELL_THROUGH = 0.4;
+const CATEGORY_SELL_THROUGH_DAYS = 30;
+
+// Fewer buyers nearby than on eBay - except for what nobody wants to ship
+const LOCAL_DEMAND_FACTOR = 0.6;
+const LOCAL_FIRST_CATEGORIES = ['furniture', 'automobile', 'car', 'vehicle', 'motorcycle', 'boat', 'appliances'];
+const LOCAL_FIRST_DEMAND_FACTOR = 1.2;
+
+// Comparables needed before their sold / active split says more than the category default
+const MIN_SELL_THROUGH_SAMPLE = 5;
+
+// Rejections that are not evidence either way about demand for this item
+const NON_DEMAND_REJECTIONS = ['lot', 'for_parts', 'stale'];
+
+const round2 = value => Math.round(value * 100) / 100;
+const clamp = (value, low, high) => Math.min(high, Math.max(low, value));
+
+/**
+ * Chance an eBay listing at the suggested price sells within `withinDays`: the sold / active
+ * split of the comparables over their search window, else the category's typical sell-through.
+ * Sales are treated as a constant daily rate, so the chance grows with the window.
+ * @returns {{ probability: number, sellThrough: number, windowDays: number, basis: 'comparables' | 'category' }}
+ */
+function sellProbability(itemData, marketAnalysis = {}, withinDays = DEFAULT_SELL_WITHIN_DAYS) {
+  const listings = [
+    ...(marketAnalysis.comparables || []),
+    ...(marketAnalysis.rejected || []).filter(c => !NON_DEMAND_REJECTIONS.includes(c.reason))
+  ];
+  const sold = listings.filter(c => c.sold).length;
+
+  let sellThrough;
+  let windowDays;
+  let basis;
+  if (sold && listings.length >= MIN_SELL_THROUGH_SAMPLE) {
+    sellThrough = sold / listings.length;
+    windowDays = marketAnalysis.daysBack || DEFAULT_DAYS_BACK;
+    basis = 'comparables';
+  } else {
+    sellThrough = CATEGORY_SELL_THROUGH[String(itemData.category || '').toLowerCase()] || DEFAULT_SELL_THROUGH;
+    windowDays = CATEGORY_SELL_THROUGH_DAYS;
+    basis = 'category';
+  }
+
+  const dailyRate = -Math.log(1 - clamp(sellThrough, 0.02, 0.98)) / windowDays;
+  return {
+    probability: round2(1 - Math.exp(-dailyRate * withinDays)),
+    sellThrough: round2(sellThrough),
+    windowDays,
+    basis
+  };
+}
+
+function localDemandFactor(itemData) {
+  return LOCAL_FIRST_CATEGORIES.includes(String(itemData.category || '').toLowerCase())
+    ? LOCAL_FIRST_DEMAND_FACTOR
+    : LOCAL_DEMAND_FACTOR;
+}
+
+/**
+ * Net proceeds of one route with the full breakdown
+ * @param {string} routeType - ebay | local_pickup | instant_offer | donation | recycle
+ * @param {Object} context
+ * @param {Object} context.itemData - analyzeItem result
+ * @param {Object} [context.marketAnalysis] - Pricing engine result (see pricing/)
+ * @param {number} [context.amount] - What the route pays when it is not a sale at the market price:
+ *   the instant offer, the scrap value
+ * @param {Object} [context.preferences] - { hourlyRate, sellWithinDays }
+ * @returns {Object} { route, salePrice, fees, shipping, packaging, time, cashIfSold, sellProbability,
+ *   withinDays, expectedNetValue }
+ */
+function routeProceeds(routeType, { itemData = {}, marketAnalysis = {}, amount = 0, preferences = {} } = {}) {
+  const hourlyRate = Number.isFinite(Number(preferences.hourlyRate)) ? Number(preferences.hourlyRate) : DEFAULT_HOURLY_RATE;
+  const withinDays = Number(preferences.sellWithinDays) > 0 ? Number(preferences.sellWithinDays) : DEFAULT_SELL_WITHIN_DAYS;
+  const hours = ROUTE_HOURS[routeType] || { upfront: 0, onSale: 0 };
+  const suggested = marketAnalysis.suggested || 0;
+
+  let salePrice = 0;
+  let fees = { marketplace: 0, payment: 0 };
+  let shipping = { cost: 0, paidBy: 'none' };
+  let packaging = 0;
+  let probability = { probability: 1, basis: 'guaranteed' };
+
+  if (routeType === 'ebay') {
+    const parcel = estimatePackage(itemData);
+    salePrice = suggested;
+    fees = { marketplace: ebayFinalValueFee(salePrice, itemData.category), payment: ebayPerOrderFee(salePrice) };
+    // Same shipping estimate as the price result's shippingCost
+    const shippingCost = estimateShippingCost(itemData);
+    // Nothing to ship for what the buyer collects (vehicles)
+    shipping = { cost: shippingCost, paidBy: shippingCost ? 'seller' : 'none', parcel };
+    packaging = shippingCost ? parcel.packagingCost : 0;
+    probability = sellProbability(itemData, marketAnalysis, withinDays);
+  } else if (routeType === 'local_pickup') {
+    salePrice = Math.round(suggested * LOCAL_PRICE_FACTOR);
+    // Cash at the door: no fees, nothing to ship or pack
+    const ebay = sellProbability(itemData, marketAnalysis, withinDays);
+    probability = { ...ebay, probability: round2(clamp(ebay.probability * localDemandFactor(itemData), 0, 0.98)) };
+  } else if (routeType === 'instant_offer') {
+    const parcel = estimatePackage(itemData);
+    salePrice = amount;
+    shipping = { cost: 0, paidBy: 'prepaid label', parcel };
+    packaging = parcel.packagingCost;
+    probability = { probability: INSTANT_OFFER_ACCEPTANCE, basis: 'inspection' };
+  } else if (routeType === 'recycle') {
+    salePrice = amount;
+  }
+
+  const feeTotal = round2(fees.marketplace + fees.payment);
+  const cashIfSold = round2(salePrice - feeTotal - shipping.cost - packaging);
+  const time = {
+    hours: hours.upfront + hours.onSale,
+    hourlyRate,
+    cost: round2((hours.upfront + hours.onSale) * hourlyRate)
+  };
+  const expectedNetValue = round2(probability.probability * (cashIfSold - hours.onSale * hourlyRate) - hours.upfront * hourlyRate);
+
+  return {
+    route: routeType,
+    salePrice,
+    currency: marketAnalysis.currency || 'USD',
+    fees: { ...fees, total: feeTotal },
+    shipping,
+    packaging,
+    time,
+    cashIfSold,
+    netIfSold: round2(cashIfSold - time.cost),
+    sellProbability: probability.probability,
+    probabilityBasis: probability.basis,
+    ...(probability.sellThrough !== undefined && { sellThrough: probability.sellThrough }),
+    withinDays,
+    expectedNetValue
+  };
+}
+
+/**
+ * Routes best first: any route worth doing (expected net value above zero) by value, then
+ * the give-away fallback, then the rest by value
+ * @param {Array} routes - Each with `expectedNetValue`
+ * @param {string} [fallbackType='donation']
+ */
+function rankRoutes(routes, fallbackType = 'donation') {
+  const tier = route => {
+    if (route.expectedNetValue > 0) return 0;
+    return route.type === fallbackType ? 1 : 2;
+  };
+  return [...routes]
+    .sort((a, b) => tier(a) - tier(b) || b.expectedNetValue - a.expectedNetValue)
+    .map((route, index) => ({ ...route, priority: index + 1 }));
+}
+
+/**
+ * The eBay costs every price result carries, from the same proceeds as the eBay route
+ * so netProfit includes packaging
+ */
+function sellingCosts(salePrice, itemData = {}) {
+  const proceeds = routeProceeds('ebay', { itemData, marketAnalysis: { suggested: salePrice } });
+  return {
+    shippingCost: proceeds.shipping.cost,
+    ebayFees: proceeds.fees.total,
+    packaging: proceeds.packaging,
+    netProfit: salePrice ? proceeds.cashIfSold : 0
+  };
+}
+
+module.exports = {
+  DEFAULT_HOURLY_RATE,
+  DEFAULT_SELL_WITHIN_DAYS,
+  INSTANT_OFFER_ACCEPTANCE,
+  routeProceeds,
+  rankRoutes,
+  sellProbability,
+  sellingCosts
+};
@@ -0,0 +1,229 @@
+// functions/capture-sdk/pricing/scoring.js
+// How much each comparable says about this item: recent sales over old ones,
+// listings that name the same product, listings in the same condition.
+// Lots, for-parts listings, stale sales and price outliers are rejected with a reason.
+
+const { gradeCondition, CONDITION_RATINGS } = require('../core/conditionGrade.js');
+
+const DEFAULT_DAYS_BACK = 90;
+
+// A sale loses half its weight every this many days
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// An asking price is weaker evidence than a sale; a sale without a date is half-trusted
+const ACTIVE_LISTING_WEIGHT = 0.5;
+const UNDATED_SALE_WEIGHT = 0.5;
+
+// Similarity only scales a weight down to this floor - titles are noisy
+const MIN_SIMILARITY_WEIGHT = 0.3;
+
+// Weight by how many rating steps apart the listing and the item are (excellent/good/fair/poor)
+const CONDITION_DISTANCE_WEIGHTS = [1, 0.7, 0.4, 0.2];
+const UNKNOWN_CONDITION_WEIGHT = 0.8;
+
+const LOT_PATTERNS = [
+  /\blot\s+of\b/i,
+  /\bjob\s+lot\b/i,
+  /\bbundle\b/i,
+  /\bwholesale\b/i,
+  /\bset\s+of\s+\d+/i,
+  /\bqty\s*:?\s*\d+/i,
+  /\b[2-9]\d*\s*(?:pcs|pieces|pack|pk|count)\b/i,
+  /\bx\s?[2-9]\b/i
+];
+
+const FOR_PARTS_PATTERNS = [
+  /\bfor\s+parts\b/i,
+  /\bnot\s+working\b/i,
+  /\bfor\s+repair\b/i,
+  /\bspares\b/i,
+  /\bdefective\b/i,
+  /\bbroken\b/i
+];
+
+// Words that say nothing about which product a title is
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'used', 'new', 'unknown', 'generic', 'item', 'see', 'photos']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * eBay condition text ("Used - Very Good", "Pre-owned", "For parts or not working") as a rating
+ */
+function listingConditionRating(condition) {
+  const text = String(condition || '').toLowerCase();
+  if (!text || text === 'not specified') return null;
+  if (/parts|not working/.test(text)) return 'poor';
+  if (/excellent|like new|open box|mint/.test(text)) return 'excellent';
+  if (/acceptable|fair/.test(text)) return 'fair';
+  // "New with defects" is still new; "Used with defects" is not
+  if (/\bnew\b/.test(text)) return 'excellent';
+  if (/with defects/.test(text)) return 'good';
+  if (/good|used|pre-owned|refurbished/.test(text)) return 'good';
+  return null;
+}
+
+/**
+ * The analyzed item is itself a lot - lot listings are then its comparables
+ */
+function isLotItem(itemData) {
+  return Number(itemData.quantity) > 1 || LOT_PATTERNS.some(pattern => pattern.test(`${itemData.category || ''} ${itemData.model || ''}`));
+}
+
+/**
+ * Share of the item's brand / model / category words the listing title contains
+ */
+function titleSimilarity(itemTokens, comparable) {
+  if (comparable.exactMatch) return 1;
+  if (!itemTokens.length || !comparable.title) return null;
+  const titleTokens = new Set(tokenize(comparable.title));
+  return itemTokens.filter(token => titleTokens.has(token)).length / itemTokens.length;
+}
+
+function recencyWeight(comparable, now, daysBack) {
+  if (!comparable.sold) return { weight: ACTIVE_LISTING_WEIGHT, ageDays: null };
+
+  const soldAt = Date.parse(comparable.soldAt);
+  if (!Number.isFinite(soldAt)) return { weight: UNDATED_SALE_WEIGHT, ageDays: null };
+
+  const ageDays = Math.max(0, (now - soldAt) / DAY_MS);
+  if (ageDays > daysBack) return { weight: 0, ageDays, stale: true };
+  return { weight: Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS), ageDays };
+}
+
+function conditionWeight(itemRating, comparable) {
+  const rating = listingConditionRating(comparable.condition);
+  if (!rating) return UNKNOWN_CONDITION_WEIGHT;
+  const distance = Math.abs(CONDITION_RATINGS.indexOf(itemRating) - CONDITION_RATINGS.indexOf(rating));
+  return CONDITION_DISTANCE_WEIGHTS[distance];
+}
+
+/**
+ * Prices outside the fences: Tukey's 1.5 x IQR, or a modified z-score above 3.5 from the
+ * median absolute deviation. Needs at least four prices to say anything.
+ */
+function outlierFences(prices, method) {
+  const sorted = [...prices].sort((a, b) => a - b);
+  if (!method || sorted.length < 4) return null;
+
+  const quantile = p => {
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    return sorted[lower] + (sorted[Math.ceil(index)] - sorted[lower]) * (index - lower);
+  };
+
+  if (method === 'mad') {
+    const median = quantile(0.5);
+    const deviations = sorted.map(p => Math.abs(p - median)).sort((a, b) => a - b);
+    const mad = deviations[Math.floor(deviations.length / 2)];
+    // Most prices identical: nothing to measure spread against
+    if (!mad) return null;
+    const spread = (3.5 * mad) / 0.6745;
+    return { low: median - spread, high: median + spread, method };
+  }
+
+  const q1 = quantile(0.25);
+  const q3 = quantile(0.75);
+  const iqr = q3 - q1;
+  return { low: q1 - 1.5 * iqr, high: q3 + 1.5 * iqr, method: 'iqr' };
+}
+
+/**
+ * Weigh every comparable for the item and reject lots, for-parts listings and stale sales
+ * @param {Array} comparables - { price, sold, soldAt?, title?, condition?, exactMatch? }
+ * @param {Object} [itemData] - analyzeItem result; without it only recency applies
+ * @param {Object} [options]
+ * @param {number} [options.daysBack=90] - Sales older than this are rejected
+ * @param {Function} [options.priceFactor] - fn(comparable) -> multiplier turning its price into a sale price
+ * @param {Date|number} [options.now]
+ * @returns {{ scored: Array, rejected: Array }} scored entries carry `adjustedPrice`, `weight` and `weights`
+ */
+function scoreComparables(comparables, itemData = null, options = {}) {
+  const {
+    daysBack = DEFAULT_DAYS_BACK,
+    priceFactor = () => 1,
+    now = Date.now()
+  } = options;
+  const nowMs = typeof now === 'number' ? now : now.getTime();
+
+  const grade = itemData ? gradeCondition(itemData.condition || 'good', { category: itemData.category }) : null;
+  const itemTokens = itemData ? Array.from(new Set(tokenize(`${itemData.brand || ''} ${itemData.model || ''} ${itemData.category || ''}`))) : [];
+  const lotItem = itemData ? isLotItem(itemData) : false;
+
+  const rejected = [];
+  const scored = [];
+
+  comparables.forEach(comparable => {
+    const title = comparable.title || '';
+    if (!lotItem && LOT_PATTERNS.some(pattern => pattern.test(title))) {
+      rejected.push({ ...comparable, reason: 'lot' });
+      return;
+    }
+    // A working item is not worth what a broken one sold for
+    const partsListing = listingConditionRating(comparable.condition) === 'poor' || FOR_PARTS_PATTERNS.some(pattern => pattern.test(title));
+    if (grade && !grade.forParts && partsListing) {
+      rejected.push({ ...comparable, reason: 'for_parts' });
+      return;
+    }
+
+    const recency = recencyWeight(comparable, nowMs, daysBack);
+    if (recency.stale) {
+      rejected.push({ ...comparable, reason: 'stale', ageDays: Math.round(recency.ageDays) });
+      return;
+    }
+
+    const similarity = titleSimilarity(itemTokens, comparable);
+    const weights = {
+      recency: round2(recency.weight),
+      similarity: similarity === null ? 1 : round2(MIN_SIMILARITY_WEIGHT + (1 - MIN_SIMILARITY_WEIGHT) * similarity),
+      condition: grade ? conditionWeight(grade.rating, comparable) : 1
+    };
+
+    scored.push({
+      ...comparable,
+      adjustedPrice: round2(comparable.price * priceFactor(comparable)),
+      weight: round2(weights.recency * weights.similarity * weights.condition),
+      weights,
+      ...(recency.ageDays !== null && { ageDays: Math.round(recency.ageDays) })
+    });
+  });
+
+  return { scored, rejected };
+}
+
+/**
+ * Split scored comparables into the ones inside the outlier fences and the ones outside
+ * @param {string|false} [method='iqr'] - 'iqr', 'mad' or false to keep everything
+ * @returns {{ kept: Array, outliers: Array, fences: Object|null }}
+ */
+function rejectOutliers(scored, method = 'iqr') {
+  const fences = outlierFences(scored.map(c => c.adjustedPrice), method);
+  if (!fences) return { kept: scored, outliers: [], fences: null };
+
+  const kept = [];
+  const outliers = [];
+  scored.forEach(c => {
+    if (c.adjustedPrice >= fences.low && c.adjustedPrice <= fences.high) {
+      kept.push(c);
+    } else {
+      const { weight, weights, ...comparable } = c;
+      outliers.push({ ...comparable, reason: 'outlier' });
+    }
+  });
+  return { kept, outliers, fences: { low: round2(fences.low), high: round2(fences.high), method: fences.method } };
+}
+
+module.exports = {
+  DEFAULT_DAYS_BACK,
+  scoreComparables,
+  rejectOutliers,
+  listingConditionRating
+};
@@ -0,0 +1,39 @@
+// functions/capture-sdk/prompts/enhanced-v3.js
+// enhanced-v2 plus itemized condition defects in the grading taxonomy
+// (core/conditionGrade.js), so the grade comes from what the model saw rather
+// than from a single adjective.
+
+const enhancedV2 = require('./enhanced-v2.js');
+const { DEFECT_PROMPT_GUIDE } = require('../core/conditionGrade.js');
+
+function replaceOnce(text, search, replacement) {
+  if (!text.includes(search)) {
+    throw new Error(`enhanced-v3: "${search.slice(0, 40)}..." not found in enhanced-v2`);
+  }
+  return text.replace(search, replacement);
+}
+
+let template = replaceOnce(
+  enhancedV2.template,
+  '3. **CONDITION ASSESSMENT** - Note ALL visible wear, damage, defects and missing parts',
+  `3. **CONDITION ASSESSMENT** - Note ALL visible wear, damage, defects and missing parts.
+  ${DEFECT_PROMPT_GUIDE}
+    - Judge the rating from the defects: several moderate defects are not "excellent"`
+);
+
+template = replaceOnce(
+  template,
+  '    "issues": ["specific issue 1", "specific issue 2"]\n  },',
+  `    "issues": ["specific issue 1", "specific issue 2"],
+    "defects": [
+      { "type": "scratch", "severity": "minor", "description": "light scuffs on the left corner" }
+    ]
+  },`
+);
+
+module.exports = {
+  version: 'enhanced-v3',
+  description: 'enhanced-v2 with condition.defects (type + severity) for rubric-based condition grading',
+  sections: enhancedV2.sections,
+  template
+};
@@ -0,0 +1,124 @@
+// functions/capture-sdk/prompts/index.js
+// Versioned analysis prompt library
+//
+// A prompt template looks like:
+//   {
+//     version: 'enhanced-v2',
+//     description: 'what changed',
+//     template: '... {{categoryGuidance}} ...',
+//     sections: { clothing: { keywords: ['shirt', ...], text: '...' } }
+//   }
+// Never edit a registered version in place - add a new one, so results and
+// cache entries tagged with a version always mean the same prompt.
+
+const enhancedV1 = require('./enhanced-v1.js');
+const enhancedV2 = require('./enhanced-v2.js');
+const enhancedV3 = require('./enhanced-v3.js');
+const { resolveLocale, DEFAULT_LOCALE } = require('../utils/locale.js');
+
+// enhanced-v1 stays the default until evaluation shows a newer version ahead
+const DEFAULT_PROMPT_VERSION = 'enhanced-v1';
+
+const prompts = new Map();
+
+function registerPrompt(prompt) {
+  if (!prompt || typeof prompt.version !== 'string' || typeof prompt.template !== 'string') {
+    throw new Error('Prompt must have a string version and template');
+  }
+  if (prompts.has(prompt.version)) {
+    throw new Error(`Prompt version "${prompt.version}" is already registered - versions are immutable, add a new one`);
+  }
+
+  prompts.set(prompt.version, { sections: {}, ...prompt });
+  return prompts.get(prompt.version);
+}
+
+function getPrompt(version = DEFAULT_PROMPT_VERSION) {
+  const prompt = prompts.get(version);
+  if (!prompt) {
+    throw new Error(`Unknown prompt version "${version}". Available: ${listPrompts().map(p => p.version).join(', ')}`);
+  }
+  return prompt;
+}
+
+function hasPrompt(version) {
+  return prompts.has(version);
+}
+
+function listPrompts() {
+  return Array.from(prompts.values()).map(p => ({
+    version: p.version,
+    description: p.description || '',
+    sections: Object.keys(p.sections),
+    isDefault: p.version === DEFAULT_PROMPT_VERSION
+  }));
+}
+
+/**
+ * Sections whose keywords appear in the hint; every section when there is no hint or no match
+ */
+function selectSections(prompt, categoryHint) {
+  const names = Object.keys(prompt.sections);
+  if (!categoryHint) return names;
+
+  const hint = String(categoryHint).toLowerCase();
+  // Whole words only, so "tablet" never pulls in the furniture "table" section
+  const mentions = word => new RegExp(`\\b${word}s?\\b`).test(hint);
+  const matched = names.filter(name =>
+    mentions(name) || (prompt.sections[name].keywords || []).some(mentions)
+  );
+  return matched.length ? matched : names;
+}
+
+/**
+ * Output language and currency for a non-default locale. Field names, enums,
+ * category, brand, model and materials stay English - grading, recycling and
+ * eBay search match on them.
+ */
+function buildLocaleInstructions(locale) {
+  return `
+
+OUTPUT LOCALE (${locale.code}):
+- Write condition.description, condition.issues, resale.justification and keyFeatures in ${locale.languageName}
+- Add "localizedCategory": the category name in ${locale.languageName}, as a buyer on ${locale.marketplaceId} would search for it
+- Keep JSON keys, enum values (rating, recommendation, defect type/severity), category, brand, model and materials in English
+- resale.priceRange is the used price on ${locale.marketplaceId} in ${locale.currency}`;
+}
+
+/**
+ * Render a prompt version to the text sent to the provider
+ * @param {string} [version]
+ * @param {Object} [options]
+ * @param {string} [options.categoryHint] - Known item type; limits the category sections
+ * @param {string} [options.locale] - Output language / currency (see utils/locale.js)
+ * @returns {{version: string, text: string, sections: string[], cacheKey: string, locale: string}}
+ */
+function renderPrompt(version = DEFAULT_PROMPT_VERSION, { categoryHint, locale } = {}) {
+  const prompt = getPrompt(version);
+  const sections = selectSections(prompt, categoryHint);
+  const guidance = sections.map(name => prompt.sections[name].text).join('\n\n');
+  const allSections = sections.length === Object.keys(prompt.sections).length;
+  const localeConfig = resolveLocale(locale);
+  const localized = localeConfig.code !== DEFAULT_LOCALE;
+  // A narrowed prompt is a different prompt as far as the cache is concerned
+  const cacheKey = allSections ? prompt.version : `${prompt.version}#${sections.join('+')}`;
+
+  return {
+    version: prompt.version,
+    text: prompt.template.replace('{{categoryGuidance}}', guidance) + (localized ? buildLocaleInstructions(localeConfig) : ''),
+    sections,
+    locale: localeConfig.code,
+    cacheKey: localized ? `${cacheKey}@${localeConfig.code}` : cacheKey
+  };
+}
+
+[enhancedV1, enhancedV2, enhancedV3].forEach(registerPrompt);
+
+module.exports = {
+  DEFAULT_PROMPT_VERSION,
+  registerPrompt,
+  getPrompt,
+  hasPrompt,
+  listPrompts,
+  renderPrompt
+};
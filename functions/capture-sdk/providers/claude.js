@@ -0,0 +1,117 @@
+// functions/capture-sdk/providers/claude.js
+// Anthropic Claude vision provider (default)
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { determineImageMediaType, convertToBase64 } = require('../utils/imageEncoding.js');
+const { createRateLimitError } = require('../utils/rateLimit.js');
+
+const claudeProvider = {
+  name: 'claude',
+  defaultModel: 'claude-sonnet-4-20250514',
+  envKey: 'CLAUDE_API_KEY',
+  requiresApiKey: true,
+  // ~5MB once base64 encoded; larger long edges are downscaled server-side anyway
+  imageLimits: {
+    maxBytes: 3.75 * 1024 * 1024,
+    maxDimension: 1568,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  },
+
+  /**
+   * Send the prompt and images to the Claude Messages API
+   * @returns {Promise<{text: string, model: string, usage: Object|null}>}
+   */
+  async analyze(images, prompt, options = {}) {
+    const {
+      apiKey,
+      model = this.defaultModel,
+      temperature = 0.1,
+      maxTokens = 1500
+    } = options;
+
+    console.log('🔵 Calling Claude API with:', {
+      model,
+      imageCount: images.length,
+      maxTokens
+    });
+
+    // Convert images to Claude format
+    const imageContent = images.map((img, index) => {
+      console.log(`📸 Processing image ${index + 1}:`, typeof img);
+      return {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: determineImageMediaType(img),
+          data: convertToBase64(img)
+        }
+      };
+    });
+
+    const requestBody = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...imageContent
+        ]
+      }]
+    };
+
+    console.log('🚀 Sending request to Claude API...');
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error('❌ Claude API Error:', errorText);
+
+      // Handle specific error cases
+      if (response.status === 401) {
+        throw new Error('Invalid Claude API key - check your CLAUDE_API_KEY environment variable');
+      }
+      if (response.status === 429) {
+        throw createRateLimitError('Claude API rate limit exceeded - please try again later', response);
+      }
+      if (response.status === 400) {
+        throw new Error('Invalid request to Claude API - check image format and size');
+      }
+
+      throw new Error(`Claude API error ${response.status}: ${errorText || response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Claude API response received');
+
+    // Log usage for debugging
+    if (data.usage) {
+      console.log('💰 Token usage:', {
+        input: data.usage.input_tokens,
+        output: data.usage.output_tokens,
+        total: data.usage.input_tokens + data.usage.output_tokens
+      });
+    }
+
+    return {
+      text: data.content?.[0]?.text || '',
+      model: data.model || model,
+      usage: data.usage ? {
+        inputTokens: data.usage.input_tokens || 0,
+        outputTokens: data.usage.output_tokens || 0
+      } : null
+    };
+  }
+};
+
+module.exports = { claudeProvider };
@@ -0,0 +1,96 @@
+// functions/capture-sdk/providers/gemini.js
+// Google Gemini vision provider (generateContent API)
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { determineImageMediaType, convertToBase64 } = require('../utils/imageEncoding.js');
+const { createRateLimitError } = require('../utils/rateLimit.js');
+
+const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-1.5-pro',
+  envKey: 'GEMINI_API_KEY',
+  requiresApiKey: true,
+  // Inline request data is capped at 20MB total, so keep each image small
+  imageLimits: {
+    maxBytes: 4 * 1024 * 1024,
+    maxDimension: 3072,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/webp']
+  },
+
+  /**
+   * Send the prompt and images to the Gemini generateContent API
+   * @returns {Promise<{text: string, model: string, usage: Object|null}>}
+   */
+  async analyze(images, prompt, options = {}) {
+    const {
+      apiKey,
+      model = this.defaultModel,
+      temperature = 0.1,
+      maxTokens = 1500,
+      baseUrl = 'https://generativelanguage.googleapis.com/v1beta'
+    } = options;
+
+    console.log('🔷 Calling Gemini API with:', {
+      model,
+      imageCount: images.length,
+      maxTokens
+    });
+
+    const requestBody = {
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          ...images.map(img => ({
+            inline_data: {
+              mime_type: determineImageMediaType(img),
+              data: convertToBase64(img)
+            }
+          }))
+        ]
+      }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens,
+        responseMimeType: 'application/json'
+      }
+    };
+
+    const url = `${baseUrl}/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error('❌ Gemini API Error:', errorText);
+
+      if (response.status === 401 || response.status === 403) {
+        throw new Error('Invalid Gemini API key - check your GEMINI_API_KEY environment variable');
+      }
+      if (response.status === 429) {
+        throw createRateLimitError('Gemini API rate limit exceeded - please try again later', response);
+      }
+
+      throw new Error(`Gemini API error ${response.status}: ${errorText || response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Gemini API response received');
+
+    const parts = data.candidates?.[0]?.content?.parts || [];
+
+    return {
+      text: parts.map(p => p.text || '').join(''),
+      model,
+      usage: data.usageMetadata ? {
+        inputTokens: data.usageMetadata.promptTokenCount || 0,
+        outputTokens: data.usageMetadata.candidatesTokenCount || 0
+      } : null
+    };
+  }
+};
+
+module.exports = { geminiProvider };
@@ -0,0 +1,135 @@
+// functions/capture-sdk/providers/index.js
+// Vision provider registry
+//
+// A provider is a plain object:
+//   {
+//     name: 'claude',
+//     defaultModel: 'claude-sonnet-4-20250514',
+//     envKey: 'CLAUDE_API_KEY',      // env var used when no apiKey is passed
+//     requiresApiKey: true,
+//     imageLimits: { maxBytes, maxDimension, mediaTypes },  // optional, used by preprocessing
+//     async analyze(images, prompt, options) -> { text, model, usage }
+//   }
+// analyzeItem owns parsing/normalization, so providers only return raw text.
+
+const { claudeProvider } = require('./claude.js');
+const { openaiProvider } = require('./openai.js');
+const { geminiProvider } = require('./gemini.js');
+const { ollamaProvider } = require('./ollama.js');
+const { mockProvider, createMockProvider } = require('./mock.js');
+
+// Legacy names that older configs still pass
+const ALIASES = {
+  'gpt4v': 'openai',
+  'gpt-4o': 'openai',
+  'anthropic': 'claude',
+  'llava': 'ollama'
+};
+
+/**
+ * A set of named vision providers. The module keeps one shared registry;
+ * each SDK instance works on its own copy so its custom providers stay local.
+ */
+class ProviderRegistry {
+  constructor(entries = []) {
+    this.providers = new Map(entries);
+  }
+
+  /**
+   * Register (or replace) a vision provider
+   */
+  register(name, provider) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name must be a non-empty string');
+    }
+    if (!provider || typeof provider.analyze !== 'function') {
+      throw new Error(`Provider "${name}" must implement analyze(images, prompt, options)`);
+    }
+
+    this.providers.set(name.toLowerCase(), { ...provider, name, analyze: provider.analyze.bind(provider) });
+    return this.providers.get(name.toLowerCase());
+  }
+
+  unregister(name) {
+    return this.providers.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Look up a provider by name, alias, or pass a provider object straight through
+   */
+  get(nameOrProvider = 'claude') {
+    if (nameOrProvider && typeof nameOrProvider === 'object') {
+      if (typeof nameOrProvider.analyze !== 'function') {
+        throw new Error('Provider object must implement analyze(images, prompt, options)');
+      }
+      return nameOrProvider;
+    }
+
+    const key = String(nameOrProvider).toLowerCase();
+    const provider = this.providers.get(key) || this.providers.get(ALIASES[key]);
+
+    if (!provider) {
+      throw new Error(`Unknown vision provider "${nameOrProvider}". Registered: ${this.list().join(', ')}`);
+    }
+
+    return provider;
+  }
+
+  has(name) {
+    const key = String(name).toLowerCase();
+    return this.providers.has(key) || this.providers.has(ALIASES[key]);
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(p => p.name);
+  }
+
+  /**
+   * A new registry starting from this one's providers
+   */
+  clone() {
+    return new ProviderRegistry(this.providers);
+  }
+}
+
+const registry = new ProviderRegistry();
+
+const registerProvider = (name, provider) => registry.register(name, provider);
+const unregisterProvider = name => registry.unregister(name);
+const getProvider = nameOrProvider => registry.get(nameOrProvider);
+const hasProvider = name => registry.has(name);
+const listProviders = () => registry.list();
+
+/**
+ * A private registry seeded with every provider registered so far
+ */
+function createProviderRegistry() {
+  return registry.clone();
+}
+
+/**
+ * Resolve the API key for a provider: explicit key, then its env var
+ */
+function resolveApiKey(provider, apiKey) {
+  if (apiKey) return apiKey;
+  return provider.envKey ? process.env[provider.envKey] : undefined;
+}
+
+// Built-in providers
+registerProvider('claude', claudeProvider);
+registerProvider('openai', openaiProvider);
+registerProvider('gemini', geminiProvider);
+registerProvider('ollama', ollamaProvider);
+registerProvider('mock', mockProvider);
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  hasProvider,
+  listProviders,
+  createProviderRegistry,
+  ProviderRegistry,
+  resolveApiKey,
+  createMockProvider
+};
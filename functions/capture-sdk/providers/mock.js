@@ -0,0 +1,101 @@
+// functions/capture-sdk/providers/mock.js
+// Deterministic fake provider for offline tests - never touches the network
+
+const DEFAULT_MOCK_RESPONSE = {
+  category: 'electronics',
+  brand: 'Apple',
+  model: 'iPhone 12',
+  materials: ['aluminum', 'glass'],
+  style: 'modern',
+  keyFeatures: ['dual camera', 'face id'],
+  functionalType: 'smartphone',
+  condition: {
+    rating: 'good',
+    description: 'Light scratches on the back glass, screen intact',
+    usableAsIs: true,
+    issues: ['light scratches on back']
+  },
+  identifiers: {
+    visible_text: 'iPhone Apple',
+    logos_seen: 'Apple logo on back',
+    size_info: '6.1 inch',
+    color: 'black',
+    distinctive_features: ['dual camera bump']
+  },
+  resale: {
+    recommendation: 'resell',
+    priceRange: '180-240',
+    justification: 'Popular model with steady resale demand'
+  },
+  specifications: {
+    size: '6.1 inch',
+    material: 'aluminum',
+    style: 'modern',
+    era: '2020',
+    construction: 'unibody'
+  },
+  salvageable: [],
+  confidence: 8
+};
+
+/**
+ * Create a mock provider.
+ * `response` may be an object, a raw text string, or a function
+ * `(images, prompt, options, callIndex) => object|string`. Pass `responses`
+ * to return a fixed sequence (the last entry repeats).
+ */
+function createMockProvider(config = {}) {
+  const {
+    name = 'mock',
+    response = DEFAULT_MOCK_RESPONSE,
+    responses = null,
+    model = 'mock-vision-1',
+    usage = { inputTokens: 0, outputTokens: 0 },
+    error = null
+  } = config;
+
+  const provider = {
+    name,
+    defaultModel: model,
+    envKey: null,
+    requiresApiKey: false,
+    calls: [],
+
+    async analyze(images, prompt, options = {}) {
+      const callIndex = provider.calls.length;
+      provider.calls.push({ imageCount: images.length, prompt, options });
+
+      if (error) {
+        throw (error instanceof Error ? error : new Error(String(error)));
+      }
+
+      let result = responses && responses.length > 0
+        ? responses[Math.min(callIndex, responses.length - 1)]
+        : response;
+
+      if (typeof result === 'function') {
+        result = await result(images, prompt, options, callIndex);
+      }
+
+      return {
+        text: typeof result === 'string' ? result : JSON.stringify(result),
+        model: options.model || model,
+        usage: { ...usage }
+      };
+    },
+
+    reset() {
+      provider.calls.length = 0;
+    }
+  };
+
+  return provider;
+}
+
+const mockProvider = createMockProvider();
+
+module.exports = {
+  mockProvider,
+  createMockProvider,
+  DEFAULT_MOCK_RESPONSE
+};
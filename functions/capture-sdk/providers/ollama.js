@@ -0,0 +1,76 @@
+// functions/capture-sdk/providers/ollama.js
+// Local Ollama provider for llava-style vision models (no API key needed)
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { convertToBase64 } = require('../utils/imageEncoding.js');
+
+const ollamaProvider = {
+  name: 'ollama',
+  defaultModel: 'llava',
+  envKey: null,
+  requiresApiKey: false,
+  // llava works on small tiles; bigger images only slow local inference down
+  imageLimits: {
+    maxBytes: 5 * 1024 * 1024,
+    maxDimension: 1344,
+    mediaTypes: ['image/jpeg', 'image/png']
+  },
+
+  /**
+   * Send the prompt and images to a local Ollama /api/chat endpoint
+   * @returns {Promise<{text: string, model: string, usage: Object|null}>}
+   */
+  async analyze(images, prompt, options = {}) {
+    const {
+      model = this.defaultModel,
+      temperature = 0.1,
+      maxTokens = 1500,
+      baseUrl = process.env.OLLAMA_HOST || 'http://localhost:11434'
+    } = options;
+
+    console.log('🦙 Calling Ollama with:', {
+      baseUrl,
+      model,
+      imageCount: images.length
+    });
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        stream: false,
+        format: 'json',
+        options: {
+          temperature,
+          num_predict: maxTokens
+        },
+        messages: [{
+          role: 'user',
+          content: prompt,
+          images: images.map(convertToBase64)
+        }]
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error('❌ Ollama Error:', errorText);
+      throw new Error(`Ollama error ${response.status}: ${errorText || response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Ollama response received');
+
+    return {
+      text: data.message?.content || '',
+      model: data.model || model,
+      usage: {
+        inputTokens: data.prompt_eval_count || 0,
+        outputTokens: data.eval_count || 0
+      }
+    };
+  }
+};
+
+module.exports = { ollamaProvider };
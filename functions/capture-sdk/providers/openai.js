@@ -0,0 +1,92 @@
+// functions/capture-sdk/providers/openai.js
+// OpenAI GPT-4o vision provider (Chat Completions API)
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+const { convertToDataUrl } = require('../utils/imageEncoding.js');
+const { createRateLimitError } = require('../utils/rateLimit.js');
+
+const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-4o',
+  envKey: 'OPENAI_API_KEY',
+  requiresApiKey: true,
+  imageLimits: {
+    maxBytes: 20 * 1024 * 1024,
+    maxDimension: 2048,
+    mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  },
+
+  /**
+   * Send the prompt and images to the OpenAI Chat Completions API
+   * @returns {Promise<{text: string, model: string, usage: Object|null}>}
+   */
+  async analyze(images, prompt, options = {}) {
+    const {
+      apiKey,
+      model = this.defaultModel,
+      temperature = 0.1,
+      maxTokens = 1500,
+      baseUrl = 'https://api.openai.com/v1'
+    } = options;
+
+    console.log('🟢 Calling OpenAI API with:', {
+      model,
+      imageCount: images.length,
+      maxTokens
+    });
+
+    const requestBody = {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      response_format: { type: 'json_object' },
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(img => ({
+            type: 'image_url',
+            image_url: { url: convertToDataUrl(img) }
+          }))
+        ]
+      }]
+    };
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      console.error('❌ OpenAI API Error:', errorText);
+
+      if (response.status === 401) {
+        throw new Error('Invalid OpenAI API key - check your OPENAI_API_KEY environment variable');
+      }
+      if (response.status === 429) {
+        throw createRateLimitError('OpenAI API rate limit exceeded - please try again later', response);
+      }
+
+      throw new Error(`OpenAI API error ${response.status}: ${errorText || response.statusText}`);
+    }
+
+    const data = await response.json();
+    console.log('✅ OpenAI API response received');
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || model,
+      usage: data.usage ? {
+        inputTokens: data.usage.prompt_tokens || 0,
+        outputTokens: data.usage.completion_tokens || 0
+      } : null
+    };
+  }
+};
+
+module.exports = { openaiProvider };
@@ -0,0 +1,224 @@
+// functions/capture-sdk/routing/index.js
+// Routing policy: which disposition routes an item may take and how they are ranked,
+// declared per operator and per user and explained decision by decision.
+//
+// A policy is plain data (stored on the user's profile or in operator config):
+//   goal                    'max_value' | 'balanced' | 'cash_now' - how long a sale may take (sets sellWithinDays)
+//   minSalePrice            Don't list for less than this
+//   minProfit               Cash a sale must bring in after fees, shipping and packaging
+//   requirePositiveValue    Drop sales whose expected value is not worth the user's time
+//   hourlyRate              What the user's time is worth (see pricing/proceeds.js)
+//   sellWithinDays          Window the chance of selling is measured over
+//   maxEffort               'minimal' | 'low' | 'medium' | 'high'
+//   willShip                false keeps everything local
+//   maxShipWeightLbs        Heaviest parcel the user will ship
+//   preferredCharities      [{ name, url?, categories? }] - donations go to the first that takes the category
+//   alwaysDonateCategories  Categories that are donated whatever they are worth
+//
+// Operator values override the defaults and user values override those, except for
+// fields the operator locks. Operator values are checked when the policy is built; user
+// values are checked when they are saved (validate) and invalid stored ones are dropped
+// at resolve time, so one bad preference never stops routing. Rules (rules.js) turn the
+// policy into decisions on each route; custom rules have the same shape.
+
+const { DEFAULT_RULES, SALE_ROUTES, EFFORT_LEVELS } = require('./rules.js');
+const { DEFAULT_HOURLY_RATE } = require('../pricing/proceeds.js');
+
+const GOALS = {
+  // Wait for the buyer who pays the most
+  max_value: { sellWithinDays: 90 },
+  balanced: { sellWithinDays: 30 },
+  // Money this week: fast and certain routes win
+  cash_now: { sellWithinDays: 7 }
+};
+
+const DEFAULT_POLICY = {
+  goal: 'balanced',
+  minSalePrice: 10,
+  minProfit: 3,
+  requirePositiveValue: true,
+  hourlyRate: DEFAULT_HOURLY_RATE,
+  sellWithinDays: null,
+  maxEffort: 'high',
+  willShip: true,
+  maxShipWeightLbs: null,
+  preferredCharities: [],
+  alwaysDonateCategories: []
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+const NUMBER_FIELDS = ['minSalePrice', 'minProfit', 'hourlyRate', 'sellWithinDays', 'maxShipWeightLbs'];
+const BOOLEAN_FIELDS = ['requirePositiveValue', 'willShip'];
+const LIST_FIELDS = ['preferredCharities', 'alwaysDonateCategories'];
+
+/**
+ * Why the rules cannot use a policy value, or null when they can
+ */
+function policyValueError(field, value) {
+  if (field === 'goal' && !GOALS[value]) {
+    return `Unknown routing goal "${value}" (use ${Object.keys(GOALS).join(', ')})`;
+  }
+  if (field === 'maxEffort' && !EFFORT_LEVELS.includes(value)) {
+    return `Unknown effort level "${value}" (use ${EFFORT_LEVELS.join(', ')})`;
+  }
+  if (NUMBER_FIELDS.includes(field) && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+    return `Routing policy ${field} must be a number of at least 0`;
+  }
+  if (BOOLEAN_FIELDS.includes(field) && typeof value !== 'boolean') {
+    return `Routing policy ${field} must be true or false`;
+  }
+  if (LIST_FIELDS.includes(field) && !Array.isArray(value)) {
+    return `Routing policy ${field} must be an array`;
+  }
+  return null;
+}
+
+class RoutingPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.policy] - Operator policy values (see the module header)
+   * @param {Array<string>} [config.locked] - Policy fields users cannot change
+   * @param {Array} [config.rules] - Routing rules (see rules.js)
+   */
+  constructor(config = {}) {
+    this.policy = {};
+    this.locked = config.locked || [];
+    this.rules = config.rules || [];
+    Object.entries(config.policy || {}).forEach(([field, value]) => {
+      if (!POLICY_FIELDS.includes(field) || value === undefined || value === null) return;
+      // A typo in operator config should fail loudly, not silently route
+      const error = policyValueError(field, value);
+      if (error) throw new Error(error);
+      this.policy[field] = value;
+    });
+  }
+
+  /**
+   * Check a user's preferences before they are saved
+   * @param {Object} userPreferences - Policy values (null clears a field)
+   * @returns {{ valid: boolean, values: Object, errors: Array }} values are the fields that can be saved;
+   *   errors are { field, message } for unknown, locked and invalid fields
+   */
+  validate(userPreferences) {
+    if (!userPreferences || typeof userPreferences !== 'object' || Array.isArray(userPreferences)) {
+      return { valid: false, values: {}, errors: [{ field: null, message: 'Routing preferences must be an object' }] };
+    }
+
+    const values = {};
+    const errors = [];
+    Object.entries(userPreferences).forEach(([field, value]) => {
+      const error = !POLICY_FIELDS.includes(field) ? `Unknown routing preference "${field}"`
+        : this.locked.includes(field) ? `Routing preference ${field} is set by the operator`
+          : value === null ? null
+            : policyValueError(field, value);
+      if (error) {
+        errors.push({ field, message: error });
+      } else {
+        values[field] = value;
+      }
+    });
+    return { valid: errors.length === 0, values, errors };
+  }
+
+  /**
+   * The policy for one user: defaults, then the operator's values, then the user's
+   * (locked fields keep the operator's)
+   * @param {Object} [userPreferences] - Policy values; other keys are ignored
+   * @returns {{ values: Object, sources: Object, invalid: Array }} sources maps each field to
+   *   default | operator | user | locked; invalid lists the user values that were dropped ({ field, value, reason })
+   */
+  resolve(userPreferences = {}) {
+    const values = { ...DEFAULT_POLICY };
+    const sources = Object.fromEntries(POLICY_FIELDS.map(field => [field, 'default']));
+    const invalid = [];
+
+    Object.entries(this.policy).forEach(([field, value]) => {
+      values[field] = value;
+      sources[field] = this.locked.includes(field) ? 'locked' : 'operator';
+    });
+    Object.entries(userPreferences || {}).forEach(([field, value]) => {
+      if (!POLICY_FIELDS.includes(field) || value === undefined || value === null || this.locked.includes(field)) return;
+      const error = policyValueError(field, value);
+      if (error) {
+        console.warn(`⚠️ Ignoring routing preference ${field}:`, error);
+        invalid.push({ field, value, reason: error });
+        return;
+      }
+      values[field] = value;
+      sources[field] = 'user';
+    });
+
+    // The goal decides the sale window unless a window was given
+    if (values.sellWithinDays === null) {
+      values.sellWithinDays = GOALS[values.goal].sellWithinDays;
+      sources.sellWithinDays = `goal:${values.goal}`;
+    }
+    return { values, sources, invalid };
+  }
+
+  /**
+   * Run every rule on every route
+   * @param {Array} routes - Candidate routes with their proceeds (see pricing/proceeds.js)
+   * @param {Object} context - { itemData, marketAnalysis, policy (resolved values), locale }
+   * @returns {{ allowed: Array, excluded: Array, decisions: Array }} excluded routes carry `excludedBy`;
+   *   decisions are { rule, route, outcome: 'excluded' | 'annotated', reason }
+   */
+  evaluate(routes, context) {
+    const allowed = [];
+    const excluded = [];
+    const decisions = [];
+
+    routes.forEach(candidate => {
+      let route = candidate;
+      const reasons = [];
+
+      this.rules.forEach(rule => {
+        try {
+          const outcome = rule.evaluate(route, context);
+          if (!outcome) return;
+          decisions.push({ rule: rule.id, route: route.type, outcome: outcome.exclude ? 'excluded' : 'annotated', reason: outcome.reason });
+          if (outcome.exclude) reasons.push({ rule: rule.id, reason: outcome.reason });
+          if (outcome.annotate) route = { ...route, ...outcome.annotate };
+        } catch (error) {
+          // A broken custom rule must not fail routing, but say so
+          console.warn(`⚠️ Routing rule ${rule.id} failed:`, error.message);
+        }
+      });
+
+      if (reasons.length) {
+        excluded.push({ ...route, excludedBy: reasons });
+      } else {
+        allowed.push(route);
+      }
+    });
+
+    return { allowed, excluded, decisions };
+  }
+}
+
+/**
+ * Build a routing policy. Accepts a RoutingPolicy, or { policy, locked, rules, builtInRules }
+ * where rules are added to the built-in ones (builtInRules: false drops those); a bare
+ * object of policy values is the operator policy.
+ */
+function createRoutingPolicy(config = {}) {
+  if (config instanceof RoutingPolicy) return config;
+  const options = config || {};
+  const isOptions = ['policy', 'locked', 'rules', 'builtInRules'].some(key => key in options);
+
+  return new RoutingPolicy({
+    policy: isOptions ? options.policy : options,
+    locked: isOptions ? options.locked : [],
+    rules: [...(options.builtInRules === false ? [] : DEFAULT_RULES), ...((isOptions && options.rules) || [])]
+  });
+}
+
+module.exports = {
+  RoutingPolicy,
+  createRoutingPolicy,
+  DEFAULT_POLICY,
+  GOALS,
+  SALE_ROUTES,
+  EFFORT_LEVELS
+};
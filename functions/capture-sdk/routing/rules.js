@@ -0,0 +1,105 @@
+// functions/capture-sdk/routing/rules.js
+// Built-in routing rules: the policy fields (see index.js) as checks on each candidate route.
+//
+// A rule is { id, evaluate(route, context) -> null | { exclude: true, reason } | { annotate, reason } }
+// where context is { itemData, marketAnalysis, policy, locale }. Routes carry their proceeds
+// breakdown (see pricing/proceeds.js), so rules can read cash, expected value and parcel weight.
+
+const { formatCurrency } = require('../utils/locale.js');
+
+// Routes that sell the item; donation and recycle are how it leaves when none of them fits
+const SALE_ROUTES = ['ebay', 'local_pickup', 'instant_offer'];
+// Routes where the user packs and drops off a parcel
+const SHIPPED_ROUTES = ['ebay', 'instant_offer'];
+// Routes listed at the market price, where a minimum listing price makes sense
+const LISTED_ROUTES = ['ebay', 'local_pickup'];
+
+const EFFORT_LEVELS = ['minimal', 'low', 'medium', 'high'];
+
+const categoryOf = itemData => String(itemData.category || '').trim().toLowerCase();
+
+const money = (amount, context) => formatCurrency(amount, context.locale);
+
+const DEFAULT_RULES = [
+  {
+    id: 'always_donate',
+    evaluate(route, { itemData, policy }) {
+      const category = categoryOf(itemData);
+      if (route.type === 'donation' || !policy.alwaysDonateCategories.some(c => c.toLowerCase() === category)) return null;
+      return { exclude: true, reason: `${itemData.category} is always donated` };
+    }
+  },
+  {
+    id: 'min_sale_price',
+    evaluate(route, context) {
+      const { policy } = context;
+      if (!LISTED_ROUTES.includes(route.type) || route.proceeds.salePrice >= policy.minSalePrice) return null;
+      return {
+        exclude: true,
+        reason: `Sells for about ${money(route.proceeds.salePrice, context)}, under the ${money(policy.minSalePrice, context)} minimum`
+      };
+    }
+  },
+  {
+    id: 'min_profit',
+    evaluate(route, context) {
+      const { policy } = context;
+      if (!SALE_ROUTES.includes(route.type) || route.proceeds.cashIfSold >= policy.minProfit) return null;
+      return {
+        exclude: true,
+        reason: `Brings in ${money(route.proceeds.cashIfSold, context)} after fees, shipping and packaging, under the ${money(policy.minProfit, context)} minimum`
+      };
+    }
+  },
+  {
+    id: 'positive_value',
+    evaluate(route, context) {
+      const { policy } = context;
+      if (!policy.requirePositiveValue || !SALE_ROUTES.includes(route.type) || route.expectedNetValue > 0) return null;
+      return {
+        exclude: true,
+        reason: `Not worth the time at ${money(policy.hourlyRate, context)}/h ` +
+          `(expected ${money(route.expectedNetValue, context)}, ${Math.round(route.proceeds.sellProbability * 100)}% chance of selling in ${route.proceeds.withinDays} days)`
+      };
+    }
+  },
+  {
+    id: 'max_effort',
+    evaluate(route, { policy }) {
+      if (EFFORT_LEVELS.indexOf(route.effort) <= EFFORT_LEVELS.indexOf(policy.maxEffort)) return null;
+      return { exclude: true, reason: `Takes ${route.effort} effort, more than the ${policy.maxEffort} allowed` };
+    }
+  },
+  {
+    id: 'shipping',
+    evaluate(route, { policy }) {
+      // Collected by the buyer (vehicles): nothing to ship
+      if (!SHIPPED_ROUTES.includes(route.type) || route.proceeds.shipping.paidBy === 'none') return null;
+      if (!policy.willShip) return { exclude: true, reason: 'Needs a parcel packed and shipped' };
+
+      const weightLbs = route.proceeds.shipping.parcel?.weightLbs;
+      if (policy.maxShipWeightLbs && weightLbs > policy.maxShipWeightLbs) {
+        return { exclude: true, reason: `Ships at about ${weightLbs} lbs, over the ${policy.maxShipWeightLbs} lbs limit` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'preferred_charity',
+    evaluate(route, { itemData, policy }) {
+      if (route.type !== 'donation' || !policy.preferredCharities.length) return null;
+      const category = categoryOf(itemData);
+      const charity = policy.preferredCharities.find(c => (c.categories || []).some(k => k.toLowerCase() === category)) ||
+        policy.preferredCharities.find(c => !c.categories?.length);
+      if (!charity) return null;
+      return { annotate: { charity }, reason: `Donate to ${charity.name}, a preferred charity` };
+    }
+  }
+];
+
+module.exports = {
+  DEFAULT_RULES,
+  SALE_ROUTES,
+  SHIPPED_ROUTES,
+  EFFORT_LEVELS
+};
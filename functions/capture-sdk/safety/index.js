@@ -0,0 +1,167 @@
+// functions/capture-sdk/safety/index.js
+// Hazard, recall and prohibited-item screening before routing
+//
+// Datasets are pluggable; any object with these methods works:
+//   name, match(analysis) -> Promise<entry[]>
+// An entry is { id, type: 'recall'|'prohibited', title, hazard, blockedRoutes?, redirectTo?, appliesToRoutes?, ... }
+// (see memoryDataset.js). Category rules (rules.js) cover what a list cannot:
+// car seat / helmet expiry and lithium battery shipping.
+
+const { MemorySafetyDataset } = require('./memoryDataset.js');
+const { PROHIBITED_ITEMS, SALE_ROUTES } = require('./prohibited.js');
+const { DEFAULT_RULES } = require('./rules.js');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const BUILT_IN_DATASETS = {
+  prohibited: () => new MemorySafetyDataset({ name: 'prohibited', entries: PROHIBITED_ITEMS })
+};
+
+const DEFAULT_DATASETS = ['prohibited'];
+
+/**
+ * A dataset entry as a screening warning. Recalled products cannot legally be
+ * resold, so recalls block every sale route unless the entry says otherwise.
+ */
+function entryToWarning(entry, datasetName) {
+  const isRecall = entry.type === 'recall';
+  return {
+    id: entry.id,
+    type: entry.type,
+    severity: SEVERITIES.includes(entry.severity) ? entry.severity : (isRecall ? 'critical' : 'warning'),
+    title: entry.title || entry.id,
+    message: entry.hazard || entry.title || (isRecall ? 'Recalled product' : 'Prohibited item'),
+    source: entry.source || datasetName,
+    dataset: datasetName,
+    blockedRoutes: entry.blockedRoutes || (isRecall ? SALE_ROUTES : ['ebay', 'instant_offer']),
+    redirectTo: entry.redirectTo || 'safe_disposal',
+    instructions: entry.instructions || (isRecall ? 'Contact the manufacturer for the recall remedy (repair, replacement or refund)' : null),
+    ...(entry.appliesToRoutes && { appliesToRoutes: entry.appliesToRoutes }),
+    ...(entry.url && { url: entry.url })
+  };
+}
+
+/**
+ * Roll warnings up into what routing needs
+ */
+function summarizeSafety(warnings, datasets) {
+  const bySeverity = [...warnings].sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  const blocking = bySeverity.find(w => w.blockedRoutes.length && w.redirectTo);
+  const status = bySeverity.some(w => w.severity === 'critical') ? 'blocked'
+    : bySeverity.some(w => w.severity === 'warning') ? 'warning'
+      : 'clear';
+
+  return {
+    status,
+    warnings: bySeverity,
+    blockedRoutes: Array.from(new Set(warnings.flatMap(w => w.blockedRoutes))),
+    redirectTo: blocking ? blocking.redirectTo : null,
+    shippingRestrictions: Array.from(new Set(warnings.flatMap(w => w.shippingRestrictions || []))),
+    requiresReview: warnings.some(w => w.requiresReview),
+    datasets,
+    screenedAt: new Date().toISOString()
+  };
+}
+
+class SafetyScreener {
+  /**
+   * @param {Object} config
+   * @param {Array} [config.datasets] - Recall / prohibited-item datasets, all consulted
+   * @param {Array} [config.rules] - Category rules (see rules.js)
+   */
+  constructor(config = {}) {
+    this.datasets = config.datasets || [];
+    this.rules = config.rules || [];
+  }
+
+  /**
+   * @param {Object} analysis - analyzeItem result
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference date for expiry rules
+   * @returns {Promise<Object>} { status: 'clear'|'warning'|'blocked', warnings, blockedRoutes, redirectTo, shippingRestrictions, requiresReview }
+   */
+  async screen(analysis, { now = new Date() } = {}) {
+    const warnings = [];
+
+    for (const dataset of this.datasets) {
+      try {
+        const entries = await dataset.match(analysis);
+        warnings.push(...(entries || []).map(entry => entryToWarning(entry, dataset.name)));
+      } catch (error) {
+        // A broken dataset must not fail the scan, but say so
+        console.warn(`⚠️ Safety dataset ${dataset.name} failed:`, error.message);
+      }
+    }
+
+    this.rules.forEach(rule => {
+      try {
+        if (rule.appliesTo(analysis)) warnings.push(...rule.check(analysis, { now }));
+      } catch (error) {
+        console.warn(`⚠️ Safety rule ${rule.id} failed:`, error.message);
+      }
+    });
+
+    const result = summarizeSafety(warnings, this.datasets.map(d => d.name));
+    if (warnings.length) {
+      console.log(`🚸 Safety screening: ${result.status}`, warnings.map(w => `${w.id} (${w.severity})`));
+    }
+    return result;
+  }
+}
+
+/**
+ * Build a screener from config. Screening is on by default (built-in prohibited
+ * items and category rules); false disables it. Accepts a SafetyScreener, a
+ * single dataset, or { datasets: ['prohibited', customDataset], entries, file, rules, builtInRules }
+ * where entries / file add a local recall list (see memoryDataset.js).
+ */
+function createSafetyScreener(config = true) {
+  if (config === false || config === null) return null;
+  if (config instanceof SafetyScreener) return config;
+
+  const options = config === true ? {} : config;
+  if (typeof options.match === 'function') {
+    return new SafetyScreener({
+      datasets: [...DEFAULT_DATASETS.map(name => BUILT_IN_DATASETS[name]()), options],
+      rules: DEFAULT_RULES
+    });
+  }
+
+  const datasets = (options.datasets || DEFAULT_DATASETS).map(dataset => {
+    if (typeof dataset !== 'string') return dataset;
+    if (!BUILT_IN_DATASETS[dataset]) {
+      throw new Error(`Unknown safety dataset "${dataset}" (use ${Object.keys(BUILT_IN_DATASETS).join(', ')})`);
+    }
+    return BUILT_IN_DATASETS[dataset]();
+  });
+  if (options.entries || options.file) {
+    datasets.push(new MemorySafetyDataset({ name: options.name || 'local', entries: options.entries, file: options.file }));
+  }
+
+  return new SafetyScreener({
+    datasets,
+    rules: [...(options.builtInRules === false ? [] : DEFAULT_RULES), ...(options.rules || [])]
+  });
+}
+
+let defaultScreener = null;
+
+/**
+ * The screening stored on the analysis, or a fresh one (built-in screener unless one is given)
+ */
+async function resolveSafety(itemData = {}, screener) {
+  if (itemData.safety?.status) return itemData.safety;
+  if (screener === null) return null;
+  if (!screener) screener = defaultScreener || (defaultScreener = createSafetyScreener());
+  return screener.screen(itemData);
+}
+
+module.exports = {
+  SafetyScreener,
+  MemorySafetyDataset,
+  createSafetyScreener,
+  resolveSafety,
+  summarizeSafety,
+  PROHIBITED_ITEMS,
+  SALE_ROUTES
+};
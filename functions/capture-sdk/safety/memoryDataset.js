@@ -0,0 +1,91 @@
+// functions/capture-sdk/safety/memoryDataset.js
+// Local recall / prohibited-item list, from code or a JSON file (e.g. an export
+// of CPSC recalls filtered to the categories we see)
+
+const fs = require('fs');
+const { normalizeGtin } = require('../utils/gtin.js');
+
+const ENTRY_TYPES = ['recall', 'prohibited'];
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function compact(value) {
+  return normalizeText(value).replace(/ /g, '');
+}
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+/**
+ * Text the dataset is matched against - what the item is and what is printed
+ * on it, not the free-form condition notes
+ */
+function identityText(analysis) {
+  return normalizeText([
+    analysis.category,
+    analysis.functionalType,
+    analysis.brand,
+    analysis.model,
+    analysis.product?.title,
+    analysis.identifiers?.visible_text,
+    analysis.identifiers?.model_number
+  ].filter(isKnown).join(' '));
+}
+
+class MemorySafetyDataset {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.name='memory']
+   * @param {Array} [config.entries] - [{ id, type: 'recall'|'prohibited', title, hazard, gtins?, brand?, models?,
+   *   keywords?, severity?, blockedRoutes?, redirectTo?, instructions?, url? }]
+   * @param {string} [config.file] - JSON file holding an array of entries (or { entries: [...] })
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'memory';
+    this.entries = [];
+    (config.entries || []).forEach(entry => this.add(entry));
+    if (config.file) {
+      const data = JSON.parse(fs.readFileSync(config.file, 'utf8'));
+      (Array.isArray(data) ? data : data.entries || []).forEach(entry => this.add(entry));
+    }
+  }
+
+  add(entry) {
+    if (!entry || !entry.id) throw new Error('Safety dataset entries need an id');
+    if (!ENTRY_TYPES.includes(entry.type)) {
+      throw new Error(`Safety entry "${entry.id}" has type "${entry.type}" (use ${ENTRY_TYPES.join(', ')})`);
+    }
+    this.entries.push({
+      ...entry,
+      gtins: (entry.gtins || []).map(normalizeGtin).filter(Boolean),
+      models: (entry.models || []).map(compact).filter(Boolean),
+      keywords: (entry.keywords || []).map(normalizeText).filter(Boolean)
+    });
+  }
+
+  /**
+   * Entries that apply to the analysis: an exact GTIN, a brand + model match,
+   * or (for entries without a brand) any keyword in the item's identity text
+   */
+  async match(analysis) {
+    const gtin = normalizeGtin(analysis.identifiers?.gtin);
+    const text = ` ${identityText(analysis)} `;
+    const brand = compact(analysis.brand);
+    const models = [analysis.model, analysis.identifiers?.model_number].filter(isKnown).map(compact);
+
+    return this.entries.filter(entry => {
+      if (gtin && entry.gtins.includes(gtin)) return true;
+      if (entry.brand) {
+        if (!brand || !brand.includes(compact(entry.brand))) return false;
+        if (!entry.models.length) return entry.keywords.some(keyword => text.includes(` ${keyword} `));
+        return entry.models.some(model => models.some(m => m.includes(model)));
+      }
+      return entry.keywords.some(keyword => text.includes(` ${keyword} `));
+    });
+  }
+}
+
+module.exports = { MemorySafetyDataset, ENTRY_TYPES, identityText };
@@ -0,0 +1,105 @@
+// functions/capture-sdk/safety/prohibited.js
+// Built-in prohibited items: products US law bans from resale and items eBay
+// does not allow. Recalls are model-specific and come from a dataset
+// (see memoryDataset.js); these are whole product types.
+
+const SALE_ROUTES = ['ebay', 'local_pickup', 'donation', 'instant_offer'];
+// Routes where the item goes out by carrier
+const SHIPPED_ROUTES = ['ebay', 'instant_offer'];
+
+const PROHIBITED_ITEMS = [
+  {
+    id: 'cpsc-drop-side-crib',
+    type: 'prohibited',
+    title: 'Drop-side crib',
+    hazard: 'Sale of drop-side cribs is banned under the 2011 CPSC crib standard (entrapment and suffocation)',
+    keywords: ['drop side crib', 'dropside crib', 'drop side cot'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    instructions: 'Take the crib apart before disposal so it cannot be reused',
+    source: 'CPSC crib standard (16 CFR 1219/1220)'
+  },
+  {
+    id: 'sbba-inclined-sleeper',
+    type: 'prohibited',
+    title: 'Inclined infant sleeper',
+    hazard: 'Banned by the Safe Sleep for Babies Act of 2022 (infant deaths)',
+    keywords: ['inclined sleeper', 'incline sleeper', 'rock n play', 'rock and play', 'sleep positioner'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    source: 'Safe Sleep for Babies Act of 2022'
+  },
+  {
+    id: 'sbba-crib-bumper',
+    type: 'prohibited',
+    title: 'Padded crib bumper',
+    hazard: 'Banned by the Safe Sleep for Babies Act of 2022 (suffocation)',
+    keywords: ['crib bumper', 'crib bumpers', 'bumper pad', 'bumper pads'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    source: 'Safe Sleep for Babies Act of 2022'
+  },
+  {
+    id: 'ebay-firearms',
+    type: 'prohibited',
+    title: 'Firearms and ammunition',
+    hazard: 'eBay prohibits firearms, ammunition and most gun parts; private sales are regulated',
+    keywords: ['firearm', 'firearms', 'handgun', 'handguns', 'shotgun', 'ammunition', 'ammo'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    instructions: 'Contact a licensed firearms dealer or your local police department',
+    source: 'eBay prohibited and restricted items policy'
+  },
+  {
+    id: 'ebay-fireworks',
+    type: 'prohibited',
+    title: 'Fireworks and explosives',
+    hazard: 'Explosives cannot be shipped or listed on eBay',
+    keywords: ['firework', 'fireworks', 'explosive', 'explosives', 'black powder'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    instructions: 'Call your local fire department for disposal',
+    source: 'eBay prohibited and restricted items policy'
+  },
+  {
+    id: 'ebay-airbags',
+    type: 'prohibited',
+    title: 'Vehicle airbags',
+    hazard: 'eBay does not allow airbags or airbag modules (explosive inflators)',
+    keywords: ['airbag', 'airbags', 'airbag module'],
+    severity: 'warning',
+    blockedRoutes: ['ebay', 'instant_offer'],
+    redirectTo: 'local_pickup',
+    source: 'eBay prohibited and restricted items policy'
+  },
+  {
+    id: 'ebay-prescription-drugs',
+    type: 'prohibited',
+    title: 'Prescription drugs',
+    hazard: 'Prescription drugs cannot be sold or donated',
+    keywords: ['prescription drug', 'prescription drugs', 'prescription medication', 'rx only'],
+    severity: 'critical',
+    blockedRoutes: SALE_ROUTES,
+    redirectTo: 'safe_disposal',
+    instructions: 'Use a pharmacy or DEA drug take-back location',
+    source: 'eBay prohibited and restricted items policy'
+  },
+  {
+    id: 'ebay-hazardous-fluids',
+    type: 'prohibited',
+    title: 'Flammable and hazardous fluids',
+    hazard: 'Fuels and pesticides are hazardous materials that cannot be shipped',
+    keywords: ['gasoline', 'lighter fluid', 'kerosene', 'pesticide', 'herbicide'],
+    severity: 'warning',
+    blockedRoutes: ['ebay', 'instant_offer'],
+    redirectTo: 'local_pickup',
+    source: 'eBay prohibited and restricted items policy'
+  }
+];
+
+module.exports = { PROHIBITED_ITEMS, SALE_ROUTES, SHIPPED_ROUTES };
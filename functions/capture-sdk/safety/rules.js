@@ -0,0 +1,307 @@
+// functions/capture-sdk/safety/rules.js
+// Category safety rules that need more than a list lookup: car seat and helmet
+// expiry read from the printed date stickers, and lithium batteries, which
+// change how (or whether) an item can ship.
+//
+// A rule is { id, appliesTo(analysis) -> boolean, check(analysis, { now }) -> warnings[] }
+// A warning with appliesToRoutes is only shown on those route types.
+
+const { identityText } = require('./memoryDataset.js');
+const { SALE_ROUTES, SHIPPED_ROUTES } = require('./prohibited.js');
+
+// Manufacturers expire car seats 6-10 years after manufacture
+const CAR_SEAT_TYPICAL_LIFESPAN_YEARS = 6;
+const CAR_SEAT_MAX_LIFESPAN_YEARS = 10;
+// Helmet makers and Snell recommend replacement five years after manufacture
+const HELMET_LIFESPAN_YEARS = 5;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const EXPIRY_LABEL = /\b(expir(?:es|ation|y)(?: date)?|exp\b\.?|do not use (?:this [a-z ]{0,30})?after|use by)/gi;
+const MANUFACTURE_LABEL = /\b(date of manufacture|manufactured(?: on| in)?|mfg\b\.?(?: date)?|mfd\b\.?|d\.?o\.?m\b\.?|made on|production date)/gi;
+
+const CRASH_PATTERN = /\b(crash|accident|collision)/;
+const HELMET_DAMAGE_PATTERN = /\b(crash|impact|crack|dent)/;
+const DAMAGED_BATTERY_PATTERN = /((swollen|bulging|puff(y|ed)|expanded) battery|battery (is )?(swollen|bulging|puff(y|ed)|leaking|damaged)|scorch|burn(t|ed) (mark|smell)|melted)/;
+
+const LITHIUM_DEVICE_KEYWORDS = [
+  'laptop', 'notebook computer', 'macbook', 'chromebook', 'phone', 'iphone', 'smartphone', 'tablet', 'ipad',
+  'smartwatch', 'drone', 'cordless', 'e bike', 'ebike', 'electric bike', 'electric scooter', 'hoverboard',
+  'lithium', 'li ion', 'lipo', 'power bank', 'battery pack'
+];
+// Batteries shipped on their own (not inside a device) and vehicle batteries over 100Wh
+const STANDALONE_BATTERY_KEYWORDS = ['power bank', 'battery pack', 'spare battery', 'e bike', 'ebike', 'electric bike', 'electric scooter', 'hoverboard'];
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toLowerCase() !== 'unknown';
+}
+
+function hasKeyword(text, keywords) {
+  return keywords.some(keyword => ` ${text} `.includes(` ${keyword} `));
+}
+
+/**
+ * Condition notes and defects, where crash damage and swollen batteries are described
+ */
+function conditionText(analysis) {
+  return [
+    analysis.condition?.description,
+    ...(analysis.condition?.issues || []),
+    ...(analysis.condition?.defects || []).map(d => d.description)
+  ].filter(isKnown).join(' ').toLowerCase();
+}
+
+/**
+ * Printed text from the combined analysis and any label photos
+ */
+function labelText(analysis) {
+  return [
+    analysis.identifiers?.visible_text,
+    ...(analysis.imageObservations || []).map(o => o.extraction?.text)
+  ].filter(isKnown).join(' | ');
+}
+
+/**
+ * Parse a date as printed on safety stickers: 2019-05, 05/2019, 05/14/2019, May 2019, 2019
+ * @returns {{ year: number, month: number|null }|null}
+ */
+function parseLabelDate(text) {
+  const value = String(text || '').toLowerCase();
+  const valid = (year, month) => year >= 1980 && year <= 2100 && (month === null || (month >= 1 && month <= 12));
+  let m;
+
+  if ((m = value.match(/\b((?:19|20)\d{2})[-/.](\d{1,2})(?:[-/.]\d{1,2})?\b/)) && valid(+m[1], +m[2])) {
+    return { year: +m[1], month: +m[2] };
+  }
+  if ((m = value.match(/\b(\d{1,2})[-/.]\d{1,2}[-/.]((?:19|20)\d{2})\b/)) && valid(+m[2], +m[1])) {
+    return { year: +m[2], month: +m[1] };
+  }
+  if ((m = value.match(/\b(\d{1,2})[-/.]((?:19|20)\d{2})\b/)) && valid(+m[2], +m[1])) {
+    return { year: +m[2], month: +m[1] };
+  }
+  if ((m = value.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+((?:19|20)\d{2})\b/))) {
+    return { year: +m[2], month: MONTHS.indexOf(m[1]) + 1 };
+  }
+  if ((m = value.match(/\b((?:19|20)\d{2})\b/)) && valid(+m[1], null)) {
+    return { year: +m[1], month: null };
+  }
+  return null;
+}
+
+/**
+ * First date printed after one of the label phrases ("EXP: 05/2026")
+ */
+function findLabelDate(text, labelPattern) {
+  const pattern = new RegExp(labelPattern.source, labelPattern.flags);
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const date = parseLabelDate(text.slice(match.index + match[0].length, match.index + match[0].length + 30));
+    if (date) return date;
+  }
+  return null;
+}
+
+// Expiry stickers run to the end of the printed month/year; manufacture dates from the start
+function endOf(date) {
+  return new Date(date.year, date.month || 12, 0);
+}
+
+function startOf(date) {
+  return new Date(date.year, (date.month || 1) - 1, 1);
+}
+
+function yearsBetween(from, to) {
+  return (to - from) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+function formatDate(date) {
+  return date.month ? `${MONTHS[date.month - 1].replace(/^./, c => c.toUpperCase())} ${date.year}` : String(date.year);
+}
+
+/**
+ * Expiry and manufacture dates from the stickers
+ */
+function readDates(analysis) {
+  const text = labelText(analysis);
+  const extracted = (analysis.imageObservations || [])
+    .map(o => o.extraction?.manufacture_date)
+    .find(isKnown);
+  return {
+    expires: findLabelDate(text, EXPIRY_LABEL),
+    manufactured: findLabelDate(text, MANUFACTURE_LABEL) || (extracted ? parseLabelDate(extracted) : null)
+  };
+}
+
+function warning(rule, fields) {
+  return {
+    id: rule,
+    source: 'rule',
+    blockedRoutes: [],
+    ...fields
+  };
+}
+
+const carSeatExpiry = {
+  id: 'car_seat_expiry',
+  appliesTo: analysis => hasKeyword(identityText(analysis), ['car seat', 'booster seat', 'child restraint', 'infant seat']),
+  check(analysis, { now }) {
+    const disposal = {
+      blockedRoutes: SALE_ROUTES,
+      redirectTo: 'safe_disposal',
+      instructions: 'Check for a retailer car seat trade-in event; otherwise cut the harness straps and mark the shell "EXPIRED" before disposal'
+    };
+
+    if (CRASH_PATTERN.test(conditionText(analysis))) {
+      return [warning('car_seat_expiry', {
+        type: 'hazard',
+        severity: 'critical',
+        title: 'Car seat involved in a crash',
+        message: 'Car seats must be replaced after a crash and cannot be resold or donated',
+        ...disposal
+      })];
+    }
+
+    const { expires, manufactured } = readDates(analysis);
+    if (expires) {
+      if (endOf(expires) < now) {
+        return [warning('car_seat_expiry', {
+          type: 'expired',
+          severity: 'critical',
+          title: 'Expired car seat',
+          message: `Expiration date ${formatDate(expires)} has passed - expired car seats cannot be resold or donated`,
+          ...disposal
+        })];
+      }
+      return [];
+    }
+
+    if (manufactured) {
+      const age = yearsBetween(startOf(manufactured), now);
+      if (age > CAR_SEAT_MAX_LIFESPAN_YEARS) {
+        return [warning('car_seat_expiry', {
+          type: 'expired',
+          severity: 'critical',
+          title: 'Expired car seat',
+          message: `Manufactured ${formatDate(manufactured)} - past every manufacturer's ${CAR_SEAT_MAX_LIFESPAN_YEARS}-year limit`,
+          ...disposal
+        })];
+      }
+      if (age > CAR_SEAT_TYPICAL_LIFESPAN_YEARS) {
+        return [warning('car_seat_expiry', {
+          type: 'expired',
+          severity: 'warning',
+          title: 'Car seat may be expired',
+          message: `Manufactured ${formatDate(manufactured)} - most car seats expire ${CAR_SEAT_TYPICAL_LIFESPAN_YEARS}-${CAR_SEAT_MAX_LIFESPAN_YEARS} years after manufacture; confirm the expiration sticker`,
+          blockedRoutes: ['instant_offer'],
+          requiresReview: true
+        })];
+      }
+      return [];
+    }
+
+    return [warning('car_seat_expiry', {
+      type: 'expired',
+      severity: 'warning',
+      title: 'Car seat date unknown',
+      message: 'No manufacture or expiration date visible - photograph the date sticker before selling',
+      blockedRoutes: ['instant_offer'],
+      requiresReview: true
+    })];
+  }
+};
+
+const helmetExpiry = {
+  id: 'helmet_expiry',
+  appliesTo: analysis => hasKeyword(identityText(analysis), ['helmet', 'helmets']),
+  check(analysis, { now }) {
+    const disposal = {
+      blockedRoutes: SALE_ROUTES,
+      redirectTo: 'safe_disposal',
+      instructions: 'Cut the straps before disposal so the helmet cannot be reused'
+    };
+
+    if (HELMET_DAMAGE_PATTERN.test(conditionText(analysis))) {
+      return [warning('helmet_expiry', {
+        type: 'hazard',
+        severity: 'critical',
+        title: 'Damaged helmet',
+        message: 'A helmet with crash or impact damage no longer protects and cannot be resold or donated',
+        ...disposal
+      })];
+    }
+
+    const { expires, manufactured } = readDates(analysis);
+    const expired = expires
+      ? endOf(expires) < now
+      : manufactured && yearsBetween(startOf(manufactured), now) > HELMET_LIFESPAN_YEARS;
+    if (expired) {
+      return [warning('helmet_expiry', {
+        type: 'expired',
+        severity: 'critical',
+        title: 'Expired helmet',
+        message: expires
+          ? `Expiration date ${formatDate(expires)} has passed`
+          : `Manufactured ${formatDate(manufactured)} - past the ${HELMET_LIFESPAN_YEARS}-year replacement guidance`,
+        ...disposal
+      })];
+    }
+    if (!expires && !manufactured) {
+      return [warning('helmet_expiry', {
+        type: 'expired',
+        severity: 'info',
+        title: 'Helmet date unknown',
+        message: `Helmets should be replaced ${HELMET_LIFESPAN_YEARS} years after manufacture - include the date sticker in the photos`
+      })];
+    }
+    return [];
+  }
+};
+
+const lithiumBattery = {
+  id: 'lithium_battery',
+  appliesTo: analysis => hasKeyword(identityText(analysis), LITHIUM_DEVICE_KEYWORDS),
+  check(analysis) {
+    if (DAMAGED_BATTERY_PATTERN.test(conditionText(analysis))) {
+      return [warning('lithium_battery', {
+        type: 'hazard',
+        severity: 'critical',
+        title: 'Damaged lithium battery',
+        message: 'Swollen or damaged lithium batteries are a fire hazard and cannot be shipped, sold or donated',
+        blockedRoutes: SALE_ROUTES,
+        redirectTo: 'safe_disposal',
+        instructions: 'Take it to a battery drop-off (e.g. Call2Recycle); never put lithium batteries in the trash or recycling bin'
+      })];
+    }
+
+    if (hasKeyword(identityText(analysis), STANDALONE_BATTERY_KEYWORDS)) {
+      return [warning('lithium_battery', {
+        type: 'shipping',
+        severity: 'warning',
+        title: 'Lithium battery shipping',
+        message: 'Standalone and vehicle lithium batteries ship ground only with lithium battery (UN3480) markings',
+        appliesToRoutes: SHIPPED_ROUTES,
+        shippingRestrictions: ['ground_only', 'lithium_battery_label', 'terminals_protected']
+      })];
+    }
+
+    return [warning('lithium_battery', {
+      type: 'shipping',
+      severity: 'info',
+      title: 'Lithium battery shipping',
+      message: 'Ship with the battery installed and the device switched off',
+      appliesToRoutes: SHIPPED_ROUTES,
+      shippingRestrictions: ['battery_installed']
+    })];
+  }
+};
+
+const DEFAULT_RULES = [carSeatExpiry, helmetExpiry, lithiumBattery];
+
+module.exports = {
+  DEFAULT_RULES,
+  parseLabelDate,
+  findLabelDate,
+  CAR_SEAT_TYPICAL_LIFESPAN_YEARS,
+  CAR_SEAT_MAX_LIFESPAN_YEARS,
+  HELMET_LIFESPAN_YEARS
+};
@@ -0,0 +1,151 @@
+// functions/capture-sdk/test/analysisCache.test.js
+// dHash perceptual hashing and the analysis cache (exact, near-duplicate and degenerate hashes)
+
+const { expect } = require('chai');
+const sharp = require('sharp');
+const {
+  computePerceptualHash,
+  hammingDistance,
+  isDegenerateHash
+} = require('../utils/imagePreprocess.js');
+const { AnalysisCache, createAnalysisCache, imageCacheKey } = require('../cache/index.js');
+const { createMockProvider, DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const { createSafetyScreener } = require('../safety/index.js');
+const { analyzeItem } = require('../core/analyzeItem.js');
+
+const CONTEXT = { provider: 'mock', model: 'mock-vision-1', promptVersion: 'v1' };
+
+// Deterministic 64x64 texture; `shift` brightens it slightly (a re-shot of the same thing)
+async function texturedPng(seed = 1, shift = 0) {
+  const pixels = Buffer.alloc(64 * 64 * 3);
+  for (let i = 0; i < 64 * 64; i++) {
+    const x = i % 64;
+    const y = Math.floor(i / 64);
+    const value = Math.min(255, ((x * 7 + y * 13 + seed * 31) % 97) * 2 + ((x * y * seed) % 17) + shift);
+    pixels.fill(value, i * 3, i * 3 + 3);
+  }
+  return sharp(pixels, { raw: { width: 64, height: 64, channels: 3 } }).png().toBuffer();
+}
+
+const flatPng = value => sharp({
+  create: { width: 64, height: 64, channels: 3, background: { r: value, g: value, b: value } }
+}).png().toBuffer();
+
+describe('perceptual hash', () => {
+  it('is a 64-bit hex hash that survives small changes', async () => {
+    const hash = await computePerceptualHash(await texturedPng());
+    const rephotographed = await computePerceptualHash(await texturedPng(1, 6));
+    const other = await computePerceptualHash(await texturedPng(5));
+
+    expect(hash).to.match(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(hash, rephotographed)).to.be.at.most(6);
+    expect(hammingDistance(hash, other)).to.be.above(6);
+  });
+
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '000000000000000f')).to.equal(4);
+    expect(hammingDistance('00', '0000')).to.equal(Infinity);
+    expect(hammingDistance(null, '00')).to.equal(Infinity);
+  });
+
+  it('flags flat images as degenerate', async () => {
+    expect(await computePerceptualHash(await flatPng(255))).to.equal('0000000000000000');
+    expect(isDegenerateHash('0000000000000000')).to.equal(true);
+    expect(isDegenerateHash('ffffffffffffff7f')).to.equal(true);
+    expect(isDegenerateHash(await computePerceptualHash(await texturedPng()))).to.equal(false);
+  });
+
+  it('keys degenerate hashes on the content digest', () => {
+    expect(imageCacheKey({ phash: '0123456789abcdef', digest: 'd1' })).to.equal('0123456789abcdef');
+    expect(imageCacheKey({ phash: '0000000000000000', digest: 'd1' })).to.equal('0000000000000000:d1');
+    expect(imageCacheKey({ phash: null, digest: 'd1' })).to.equal(null);
+  });
+});
+
+describe('AnalysisCache', () => {
+  const result = { category: 'tools', analyzedAt: new Date().toISOString() };
+
+  it('returns exact and near-duplicate hits within the same namespace', async () => {
+    const cache = createAnalysisCache({ type: 'memory' });
+    await cache.save(['0123456789abcdef'], CONTEXT, result);
+
+    expect((await cache.lookup(['0123456789abcdef'], CONTEXT)).match).to.deep.equal({ type: 'exact', distance: 0 });
+    expect((await cache.lookup(['0123456789abcdee'], CONTEXT)).match).to.deep.equal({ type: 'near_duplicate', distance: 1 });
+    expect(await cache.lookup(['0123456789abcdef'], { ...CONTEXT, model: 'other' })).to.equal(null);
+    expect(await cache.lookup(['fedcba9876543210'], CONTEXT)).to.equal(null);
+    expect(cache.stats).to.include({ hits: 1, nearHits: 1, misses: 2, writes: 1 });
+  });
+
+  it('needs every photo to match', async () => {
+    const cache = new AnalysisCache();
+    await cache.save(['0123456789abcdef', 'fedcba9876543210'], CONTEXT, result);
+
+    expect(await cache.lookup(['fedcba9876543210', '0123456789abcdef'], CONTEXT)).not.to.equal(null);
+    expect(await cache.lookup(['0123456789abcdef'], CONTEXT)).to.equal(null);
+    expect(await cache.lookup(['0123456789abcdef', null], CONTEXT)).to.equal(null);
+  });
+
+  it('expires entries after the TTL', async () => {
+    const cache = new AnalysisCache({ ttlMs: 1000 });
+    await cache.save(['0123456789abcdef'], CONTEXT, { ...result, analyzedAt: new Date(Date.now() - 5000).toISOString() });
+    expect(await cache.lookup(['0123456789abcdef'], CONTEXT)).to.equal(null);
+  });
+
+  it('never near-matches degenerate hashes', async () => {
+    const cache = new AnalysisCache();
+    await cache.save(['0000000000000000:aaaa'], CONTEXT, result);
+    await cache.save(['0000000000000001'], CONTEXT, result);
+
+    expect(await cache.lookup(['0000000000000000:bbbb'], CONTEXT)).to.equal(null);
+    expect(await cache.lookup(['0000000000000000'], CONTEXT)).to.equal(null);
+    expect((await cache.lookup(['0000000000000000:aaaa'], CONTEXT)).match.type).to.equal('exact');
+  });
+});
+
+describe('analyzeItem with a cache', () => {
+  it('reuses the analysis for a near-duplicate photo', async () => {
+    const cache = createAnalysisCache({ type: 'memory' });
+    const mock = createMockProvider();
+
+    await analyzeItem([await texturedPng()], { provider: mock, cache, barcodes: false });
+    const second = await analyzeItem([await texturedPng(1, 6)], { provider: mock, cache, barcodes: false });
+
+    expect(mock.calls).to.have.length(1);
+    expect(second.cached).to.equal(true);
+  });
+
+  it('does not share an analysis between different flat photos', async () => {
+    const cache = createAnalysisCache({ type: 'memory' });
+    const mock = createMockProvider({
+      responses: [DEFAULT_MOCK_RESPONSE, { ...DEFAULT_MOCK_RESPONSE, category: 'furniture', brand: 'IKEA', model: 'Lack' }]
+    });
+
+    const white = await analyzeItem([await flatPng(255)], { provider: mock, cache, barcodes: false });
+    const grey = await analyzeItem([await flatPng(128)], { provider: mock, cache, barcodes: false });
+    const whiteAgain = await analyzeItem([await flatPng(255)], { provider: mock, cache, barcodes: false });
+
+    expect(white.imageHashes).to.deep.equal(grey.imageHashes);
+    expect(grey.cached).to.equal(false);
+    expect(grey.brand).to.equal('IKEA');
+    expect(whiteAgain).to.include({ cached: true, brand: 'Apple' });
+  });
+
+  it('re-screens safety and reports done on a cache hit', async () => {
+    const cache = createAnalysisCache({ type: 'memory' });
+    const image = await texturedPng();
+    await analyzeItem([image], { provider: 'mock', cache, barcodes: false, safety: createSafetyScreener() });
+
+    // A recall published after the item was first analyzed
+    const safety = createSafetyScreener({
+      entries: [{ id: 'recall-1', type: 'recall', title: 'iPhone 12 recall', brand: 'Apple', models: ['iPhone 12'] }]
+    });
+    const events = [];
+    const hit = await analyzeItem([image], { provider: 'mock', cache, barcodes: false, safety, onProgress: e => events.push(e) });
+
+    expect(hit.cached).to.equal(true);
+    expect(hit.safety.status).to.equal('blocked');
+    expect(hit.safety.warnings.map(w => w.id)).to.include('recall-1');
+    expect(events.map(e => e.step)).to.include.members(['cache_hit', 'safety', 'done']);
+    expect(events.find(e => e.step === 'done')).to.include({ cached: true });
+  });
+});
@@ -0,0 +1,78 @@
+// functions/capture-sdk/test/authenticity.test.js
+// Counterfeit risk for branded goods, and what a high risk does to the routes
+
+const { expect } = require('chai');
+const { assessAuthenticity, resolveAuthenticity, getRiskCategory } = require('../core/authenticity.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+
+const sneaker = (overrides = {}) => ({
+  category: 'sneakers',
+  brand: 'Adidas',
+  model: 'Ultraboost 22',
+  condition: { rating: 'good', description: 'Light creasing', issues: [] },
+  identifiers: { visible_text: 'ADIDAS ULTRABOOST GX5460', logos_seen: 'Adidas three stripes', model_number: 'GX5460' },
+  ...overrides
+});
+
+const types = result => result.indicators.map(i => i.type);
+
+describe('assessAuthenticity', () => {
+  it('only applies to branded items in counterfeit-heavy categories', () => {
+    expect(assessAuthenticity({ category: 'cast iron skillet', brand: 'Lodge' })).to.include({ applicable: false, risk: 'low' });
+    expect(assessAuthenticity(sneaker({ brand: 'Unknown' }))).to.include({ applicable: false, note: 'No brand claimed' });
+    expect(getRiskCategory('Apple smartwatch')).to.equal('watches');
+    expect(getRiskCategory('running shoes')).to.equal('sneakers');
+  });
+
+  it('rates a brand backed by its labels and style code as low risk', () => {
+    const result = assessAuthenticity(sneaker());
+    expect(result).to.include({ applicable: true, category: 'sneakers', risk: 'low', score: 0, instantOfferEligible: true, disclaimer: null });
+  });
+
+  it('flags a brand nobody can read and a missing identifier', () => {
+    const result = assessAuthenticity(sneaker({ identifiers: { visible_text: '', logos_seen: '' } }));
+    expect(types(result)).to.deep.equal(['brand_not_visible', 'missing_identifier']);
+    expect(result).to.include({ risk: 'medium', score: 0.35 });
+  });
+
+  it('rates replica wording, misspellings and sloppy construction as high risk', () => {
+    const result = assessAuthenticity(sneaker({
+      identifiers: { visible_text: 'ADDIDAS ULTRABOOST 1:1 mirror quality', logos_seen: 'Adidas', model_number: 'GX5460' },
+      condition: { rating: 'good', issues: ['uneven stitching on the heel'] }
+    }));
+
+    expect(types(result)).to.include.members(['misspelled_brand', 'suspicious_terms', 'construction_flags']);
+    expect(result).to.include({ risk: 'high', score: 1, instantOfferEligible: false });
+    expect(result.disclaimer).to.match(/Authenticity of this Adidas item has not been verified/);
+  });
+
+  it('notices when the photos or the barcode name another brand', () => {
+    const result = assessAuthenticity(sneaker({
+      imageObservations: [{ index: 1, role: 'label', extraction: { brand: 'Nike' } }],
+      product: { brand: 'Adidas AG' }
+    }));
+    expect(types(result)).to.deep.equal(['brand_mismatch']);
+    expect(result.indicators[0].sources.map(s => s.value)).to.deep.equal(['Nike']);
+  });
+
+  it('reuses the assessment stored on the analysis', () => {
+    const stored = { risk: 'high', score: 0.9 };
+    expect(resolveAuthenticity(sneaker({ authenticity: stored }))).to.equal(stored);
+  });
+});
+
+describe('routing a likely counterfeit', () => {
+  it('withholds the instant offer and puts a disclaimer on the listing', async () => {
+    const fake = sneaker({ identifiers: { visible_text: 'replica ultraboost', logos_seen: 'Adidas', model_number: 'GX5460' } });
+    const pricing = { price: async () => ({ suggested: 120, range: { low: 90, high: 150 }, currency: 'USD', source: 'test' }) };
+    const result = await routeDisposition(fake, {}, null, { pricing, safety: false });
+    const routes = [result.recommendedRoute, ...result.alternativeRoutes];
+
+    expect(result.authenticity.risk).to.equal('high');
+    expect(result.instantOffer.eligible).to.equal(false);
+    expect(routes.map(r => r.type)).not.to.include('instant_offer');
+    const ebay = routes.find(r => r.type === 'ebay');
+    expect(ebay).to.include({ authenticityRisk: 'high' });
+    expect(ebay.disclaimers[0]).to.match(/has not been verified/);
+  });
+});
@@ -0,0 +1,53 @@
+// functions/capture-sdk/test/batchAnalyze.test.js
+// Batch summary totals and the currency they are reported in
+
+const { expect } = require('chai');
+const { analyzeBatch, summarizeBatch } = require('../core/batchAnalyze.js');
+const CaptureSDK = require('../index.js');
+
+const priced = (suggested, currency) => ({
+  status: 'completed',
+  analysis: { category: 'tools', resale: { priceRange: { low: 10, high: 20, currency } } },
+  routes: {
+    recommendedRoute: { type: 'ebay', estimatedReturn: suggested - 5 },
+    marketAnalysis: { currency, estimatedValue: { suggested, priceRange: { low: 10, high: 20 } } }
+  }
+});
+
+describe('summarizeBatch', () => {
+  it('reports totals in the currency the items were priced in', () => {
+    const summary = summarizeBatch([priced(15, 'EUR'), priced(25, 'EUR')]);
+    expect(summary.estimatedValue).to.deep.equal({ low: 20, high: 40, suggested: 40, currency: 'EUR' });
+    expect(summary.estimatedReturn).to.equal(30);
+    expect(summary).not.to.have.property('currencies');
+  });
+
+  it('falls back to the given currency when nothing was priced', () => {
+    const unpriced = { status: 'completed', analysis: { category: 'tools' } };
+    expect(summarizeBatch([unpriced], { currency: 'GBP' }).estimatedValue.currency).to.equal('GBP');
+    expect(summarizeBatch([unpriced]).estimatedValue.currency).to.equal('USD');
+  });
+
+  it('lists every currency when the items disagree', () => {
+    const summary = summarizeBatch([priced(15, 'EUR'), priced(25, 'GBP')]);
+    expect(summary.currencies).to.deep.equal(['EUR', 'GBP']);
+  });
+});
+
+describe('analyzeBatch', () => {
+  it('uses the batch currency and counts failures', async () => {
+    const result = await analyzeBatch([{ images: ['a'] }, { id: 'broken', images: ['b'] }], {
+      currency: 'EUR',
+      analyze: async images => (images[0] === 'b' ? { error: 'unreadable' } : { category: 'books' })
+    });
+    expect(result.summary).to.include({ completed: 1, failed: 1 });
+    expect(result.summary.estimatedValue.currency).to.equal('EUR');
+    expect(result.items[1]).to.include({ id: 'broken', status: 'failed', error: 'unreadable' });
+  });
+
+  it('takes the currency from the SDK locale', async () => {
+    const sdk = new CaptureSDK({ visionProvider: 'mock', locale: 'de-DE', safety: false });
+    const result = await sdk.analyzeBatch([{ images: ['photo'] }], { routes: false, preprocess: false, barcodes: false });
+    expect(result.summary.estimatedValue.currency).to.equal('EUR');
+  });
+});
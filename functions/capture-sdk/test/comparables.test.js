@@ -0,0 +1,83 @@
+// functions/capture-sdk/test/comparables.test.js
+// Comparable statistics: weighted percentiles, sold vs asking prices, confidence, and the
+// pricing engine keeping the price of listings in the item's own condition
+
+const { expect } = require('chai');
+const { summarizeComparables, weightedPercentile, percentile, ACTIVE_PRICE_FACTOR } = require('../pricing/comparables.js');
+const { PricingEngine } = require('../pricing/index.js');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const today = new Date(NOW).toISOString();
+
+const fairHeadphones = { category: 'electronics', brand: 'Sony', model: 'XM4', condition: { rating: 'fair', issues: [] } };
+
+const listings = (prices, fields = {}) => prices.map(price => ({
+  price,
+  sold: true,
+  soldAt: today,
+  title: 'Sony XM4 electronics',
+  condition: 'Used - Acceptable',
+  ...fields
+}));
+
+describe('weightedPercentile', () => {
+  it('matches the plain percentile for equal weights', () => {
+    const values = [10, 20, 30, 40, 50];
+    const entries = values.map(value => ({ value, weight: 1 }));
+    expect(weightedPercentile(entries, 0.5)).to.equal(percentile(values, 0.5));
+  });
+
+  it('moves toward the heavier prices', () => {
+    const entries = [{ value: 10, weight: 1 }, { value: 20, weight: 1 }, { value: 30, weight: 4 }];
+    expect(weightedPercentile(entries, 0.5)).to.be.above(20);
+  });
+});
+
+describe('summarizeComparables', () => {
+  it('prices from sales and sets asking prices aside once there are enough sales', () => {
+    const summary = summarizeComparables([...listings([90, 100, 110]), ...listings([200], { sold: false })], { now: NOW });
+
+    expect(summary).to.include({ suggested: 100, basis: 'sold', soldCount: 3, activeCount: 0 });
+    expect(summary.rejected.map(r => r.reason)).to.deep.equal(['asking_price']);
+  });
+
+  it('discounts asking prices to sale prices when there are no sales', () => {
+    const summary = summarizeComparables(listings([100, 100], { sold: false }), { now: NOW });
+    expect(summary.basis).to.equal('active');
+    expect(summary.suggested).to.equal(Math.round(100 * ACTIVE_PRICE_FACTOR));
+  });
+
+  it('rates confidence on the effective sample size', () => {
+    expect(summarizeComparables(listings([90, 95, 100, 105, 110]), { now: NOW }).confidence).to.equal('high');
+    expect(summarizeComparables(listings([95, 100, 105]), { now: NOW }).confidence).to.equal('medium');
+    // Two barely-relevant sales and one good match count as fewer than three
+    const weak = [...listings([95, 105], { title: 'Bose QC45', soldAt: undefined }), ...listings([100])];
+    const summary = summarizeComparables(weak, { itemData: fairHeadphones, now: NOW });
+    expect(summary.effectiveSampleSize).to.be.below(3);
+    expect(summary.confidence).to.equal('low');
+  });
+
+  it('reports outliers and returns null when nothing is usable', () => {
+    const summary = summarizeComparables(listings([100, 102, 104, 106, 108, 300]), { now: NOW });
+    expect(summary.rejected.map(r => r.reason)).to.deep.equal(['outlier']);
+    expect(summary.fences.method).to.equal('iqr');
+    expect(summarizeComparables(listings([0]))).to.equal(null);
+  });
+
+  it('does not discount the price for the item condition again', () => {
+    const summary = summarizeComparables(listings([90, 95, 100, 105, 110]), { itemData: fairHeadphones, now: NOW });
+    expect(summary.suggested).to.equal(100);
+    expect(summary.average).to.equal(100);
+  });
+});
+
+describe('PricingEngine with comparables', () => {
+  it('keeps the median of listings in the same condition as the item', async () => {
+    const source = { name: 'test', comparables: async () => ({ comparables: listings([90, 95, 100, 105, 110], { soldAt: new Date().toISOString() }) }) };
+    const priced = await new PricingEngine({ sources: [source] }).price(fairHeadphones);
+
+    expect(priced).to.include({ suggested: 100, source: 'test', basis: 'sold' });
+    expect(priced.percentiles.p50).to.equal(100);
+    expect(priced).not.to.have.property('conditionMultiplier');
+  });
+});
@@ -0,0 +1,82 @@
+// functions/capture-sdk/test/confidence.test.js
+// Per-field confidence from checkable evidence, and calibration fitted from corrections
+
+const { expect } = require('chai');
+const {
+  CONFIDENCE_FIELDS,
+  confidenceLevel,
+  computeFieldConfidence,
+  fitCalibration,
+  applyCalibration
+} = require('../core/confidence.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+
+const phone = (overrides = {}) => ({ ...DEFAULT_MOCK_RESPONSE, ...overrides });
+
+describe('computeFieldConfidence', () => {
+  it('scores every field and rolls them up', () => {
+    const confidence = computeFieldConfidence(phone());
+    expect(Object.keys(confidence.fields)).to.deep.equal(CONFIDENCE_FIELDS);
+    expect(confidence.overall).to.be.within(0, 1);
+    expect(confidence.level).to.equal(confidenceLevel(confidence.overall));
+    expect(confidence).to.include({ calibrated: false, calibrationVersion: null });
+  });
+
+  it('trusts a brand printed on the item more than a guessed one', () => {
+    const printed = computeFieldConfidence(phone());
+    const guessed = computeFieldConfidence(phone({ identifiers: { visible_text: '' } }));
+    expect(printed.signals.brandInText).to.equal(true);
+    expect(printed.fields.brand.score).to.be.above(guessed.fields.brand.score);
+  });
+
+  it('has nothing to be confident in for an unknown brand, and leaves it out of the overall', () => {
+    const unbranded = computeFieldConfidence(phone({ brand: 'Unknown', model: 'Unknown' }));
+    expect(unbranded.fields.brand.score).to.equal(0);
+    expect(unbranded.overall).to.be.above(0.3);
+  });
+
+  it('raises price confidence with comparables and lowers it for a wide spread', () => {
+    const llmOnly = computeFieldConfidence(phone());
+    const comparables = computeFieldConfidence(phone(), { marketAnalysis: { estimatedValue: { sampleSize: 15, priceRange: { low: 180, high: 220 } } } });
+    const spread = computeFieldConfidence(phone(), { marketAnalysis: { estimatedValue: { sampleSize: 15, priceRange: { low: 50, high: 400 } } } });
+
+    expect(comparables.fields.price.score).to.be.above(llmOnly.fields.price.score);
+    expect(spread.fields.price.score).to.be.below(comparables.fields.price.score);
+  });
+
+  it('counts how many photos agree with the final category', () => {
+    const imageObservations = ['smartphone', 'smartphone', 'laptop'].map(category => ({ extraction: { category } }));
+    const { signals } = computeFieldConfidence(phone({ category: 'smartphone', imageObservations }));
+    expect(signals.categoryAgreement).to.be.closeTo(2 / 3, 0.001);
+  });
+});
+
+describe('calibration', () => {
+  // The model says ~0.8 for brands, but users only keep half of them
+  const samples = Array.from({ length: 40 }, (_, i) => ({ field: 'brand', score: 0.82, correct: i % 2 === 0 }));
+
+  it('maps raw scores to the accuracy users observed', () => {
+    const calibration = fitCalibration(samples);
+    expect(calibration.sampleCount).to.equal(40);
+    expect(calibration.fields.brand).to.have.lengthOf(1);
+    expect(calibration.fields.brand[0]).to.include({ accuracy: 0.5, count: 40 });
+    expect(applyCalibration('brand', 0.82, calibration)).to.be.closeTo(0.53, 0.01);
+    expect(applyCalibration('price', 0.82, calibration)).to.equal(0.82);
+  });
+
+  it('never lets a higher raw score mean lower accuracy', () => {
+    const inverted = [
+      ...Array.from({ length: 10 }, () => ({ field: 'model', score: 0.3, correct: true })),
+      ...Array.from({ length: 10 }, () => ({ field: 'model', score: 0.9, correct: false }))
+    ];
+    const bins = fitCalibration(inverted).fields.model;
+    bins.slice(1).forEach((bin, i) => expect(bin.accuracy).to.be.at.least(bins[i].accuracy));
+  });
+
+  it('is reported on the confidence result', () => {
+    const calibration = fitCalibration(samples);
+    const confidence = computeFieldConfidence(phone(), { calibration });
+    expect(confidence).to.include({ calibrated: true, calibrationVersion: calibration.version });
+    expect(confidence.fields.brand.score).to.be.below(confidence.fields.brand.raw);
+  });
+});
@@ -0,0 +1,171 @@
+// functions/capture-sdk/test/detectItems.test.js
+// Multi-item detection: bounding boxes, duplicate boxes and per-item analyses
+
+const { expect } = require('chai');
+const { normalizeBoundingBox, buildLot } = require('../core/detectItems.js');
+const { routeProceeds } = require('../pricing/proceeds.js');
+const { createMockProvider, DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const IMAGE = Buffer.from('box lot photo').toString('base64');
+
+const mixer = {
+  ...DEFAULT_MOCK_RESPONSE,
+  label: 'red stand mixer',
+  category: 'kitchen appliances',
+  brand: 'KitchenAid',
+  model: 'KSM150',
+  resale: { recommendation: 'resell', priceRange: '150-220', justification: 'Steady demand' },
+  boundingBox: { x: 10, y: 20, width: 30, height: 40 },
+  quantity: 1
+};
+const plates = {
+  ...DEFAULT_MOCK_RESPONSE,
+  label: 'dinner plates',
+  category: 'dinnerware',
+  brand: 'Corelle',
+  model: 'Unknown',
+  resale: { recommendation: 'resell', priceRange: '10-20', justification: 'Common' },
+  boundingBox: { x: 0.5, y: 0.5, width: 0.4, height: 0.4 },
+  quantity: '6'
+};
+
+// Detected items as getRoutesForItems receives them
+const lotItem = (itemIndex, fields) => ({
+  ...DEFAULT_MOCK_RESPONSE,
+  itemIndex,
+  quantity: 1,
+  identifiers: { visible_text: 'Unknown' },
+  ...fields
+});
+const pile = () => [
+  lotItem(0, { label: 'stand mixer', category: 'kitchen appliances', brand: 'KitchenAid', resale: { priceRange: { low: 150, high: 220 } } }),
+  lotItem(1, {
+    label: 'car seat',
+    category: 'baby',
+    brand: 'Unknown',
+    model: 'Infant car seat',
+    identifiers: { visible_text: 'DO NOT USE AFTER 03/2024' },
+    resale: { priceRange: { low: 40, high: 60 } }
+  }),
+  lotItem(2, {
+    label: 'sneakers',
+    category: 'sneakers',
+    brand: 'Adidas',
+    identifiers: { visible_text: 'replica ultraboost', logos_seen: 'Adidas' },
+    resale: { priceRange: { low: 80, high: 120 } }
+  })
+];
+
+const detectSdk = (items, name) => new CaptureSDK({
+  visionProvider: name,
+  providers: { [name]: createMockProvider({ name, response: { items } }) },
+  safety: false
+});
+
+const detect = (sdk, options = {}) => sdk.detectItems([IMAGE], { preprocess: false, barcodes: false, productLookup: false, cache: false, ...options });
+
+describe('normalizeBoundingBox', () => {
+  it('rescales percent and 0-1000 coordinates to the unit square', () => {
+    expect(normalizeBoundingBox({ x: 10, y: 20, width: 30, height: 40 })).to.deep.equal({ x: 0.1, y: 0.2, width: 0.3, height: 0.4 });
+    expect(normalizeBoundingBox({ left: 100, top: 200, w: 300, h: 400 })).to.deep.equal({ x: 0.1, y: 0.2, width: 0.3, height: 0.4 });
+  });
+
+  it('clips boxes to the photo and drops empty or malformed ones', () => {
+    expect(normalizeBoundingBox({ x: 0.8, y: 0, width: 0.5, height: 1 })).to.deep.equal({ x: 0.8, y: 0, width: 0.2, height: 1 });
+    expect(normalizeBoundingBox({ x: 0.2, y: 0.2, width: 0, height: 0.5 })).to.equal(null);
+    expect(normalizeBoundingBox({ x: 'left' })).to.equal(null);
+    expect(normalizeBoundingBox(null)).to.equal(null);
+  });
+});
+
+describe('detectItems', () => {
+  it('analyzes every item and puts the most valuable one at the top level', async () => {
+    const result = await detect(detectSdk([plates, mixer], 'detect-two'));
+
+    expect(result.items.map(item => item.label)).to.deep.equal(['dinner plates', 'red stand mixer']);
+    expect(result.items.map(item => item.quantity)).to.deep.equal([6, 1]);
+    expect(result.items[1].boundingBox).to.deep.equal({ x: 0.1, y: 0.2, width: 0.3, height: 0.4 });
+    expect(result).to.include({ brand: 'KitchenAid', category: 'kitchen appliances' });
+    expect(result.detection).to.include({ mode: 'detect', itemCount: 2, primaryItemIndex: 1, duplicatesRemoved: 0 });
+    expect(result.items[0].resale.priceRange).to.include({ low: 10, high: 20 });
+  });
+
+  it('drops a second box over the same item and caps the item count', async () => {
+    const duplicate = { ...mixer, boundingBox: { x: 11, y: 21, width: 30, height: 40 } };
+    const sdk = detectSdk([mixer, duplicate, plates], 'detect-duplicates');
+
+    const result = await detect(sdk);
+    expect(result.detection).to.include({ itemCount: 2, duplicatesRemoved: 1 });
+    expect(result.items.map(item => item.itemIndex)).to.deep.equal([0, 1]);
+
+    const capped = await detect(sdk, { maxItems: 1 });
+    expect(capped.detection).to.include({ itemCount: 1, droppedItems: 2 });
+  });
+
+  it('still describes one item when the model ignores the detection format', async () => {
+    const name = 'detect-single';
+    const sdk = new CaptureSDK({ visionProvider: name, providers: { [name]: createMockProvider({ name }) }, safety: false });
+    const result = await detect(sdk);
+    expect(result.items).to.have.lengthOf(1);
+    expect(result.items[0].label).to.equal(DEFAULT_MOCK_RESPONSE.category);
+  });
+});
+
+describe('lots', () => {
+  it('leaves out items blocked from eBay and likely counterfeits', async () => {
+    const sdk = new CaptureSDK({});
+    const { groupAs, lot, items } = await sdk.getRoutesForItems({ items: pile() }, {}, null, { groupAs: 'lot' });
+
+    expect(groupAs).to.equal('lot');
+    expect(items).to.have.lengthOf(3);
+    expect(lot.excludedItems.map(e => [e.itemIndex, e.label])).to.deep.equal([[1, 'car seat'], [2, 'sneakers']]);
+    expect(lot.excludedItems[0].reason).to.match(/^Not allowed on eBay/);
+    expect(lot.excludedItems[1].reason).to.equal('High counterfeit risk');
+    expect(lot.itemData.lotItems.map(i => i.label)).to.deep.equal(['stand mixer']);
+    expect(lot.route.details.itemCount).to.equal(1);
+  });
+
+  it('prices and ranks the lot like any other route', () => {
+    const kitchen = lotItem(1, { label: 'mixing bowls', category: 'kitchen', brand: 'Pyrex', quantity: 3, resale: { priceRange: { low: 10, high: 20 } } });
+    const { itemData, route, alternativeRoutes } = buildLot([pile()[0], kitchen], [], { preferences: { hourlyRate: 20 } });
+    const routes = [route, ...alternativeRoutes];
+    const expected = routeProceeds('ebay', {
+      itemData,
+      marketAnalysis: { suggested: route.details.listingPrice, currency: 'USD' },
+      preferences: { hourlyRate: 20 }
+    });
+
+    expect(route).to.include({ type: 'ebay', listingFormat: 'lot', expectedNetValue: expected.expectedNetValue });
+    expect(route.proceeds).to.deep.equal(expected);
+    expect(route.details).to.include({ netProfit: route.estimatedReturn, packaging: expected.packaging, itemCount: 4 });
+    expect(route.details.packaging).to.be.above(0);
+    expect(route.proceeds.time.hourlyRate).to.equal(20);
+    expect(itemData.weightLbs).to.be.above(0);
+    expect(routes.map(r => r.type)).to.have.members(['ebay', 'local_pickup', 'donation']);
+    expect(routes.map(r => r.priority).sort()).to.deep.equal([1, 2, 3]);
+    const best = routes.find(r => r.priority === 1);
+    expect(best.expectedNetValue).to.equal(Math.max(...routes.map(r => r.expectedNetValue)));
+  });
+
+  it('routes the items separately when none can go in a lot', async () => {
+    const sdk = new CaptureSDK({});
+    const result = await sdk.getRoutesForItems({ items: pile().slice(1) }, {}, null, { groupAs: 'lot' });
+
+    expect(result.groupAs).to.equal('items');
+    expect(result).not.to.have.property('lot');
+    expect(result.lotExcluded.map(e => e.label)).to.deep.equal(['car seat', 'sneakers']);
+  });
+
+  it('reads the screening from each item when no routes are passed', () => {
+    const blocked = lotItem(0, { label: 'recalled crib', safety: { blockedRoutes: ['ebay'], warnings: [{ title: 'Crib recall', blockedRoutes: ['ebay'] }] } });
+    let error;
+    try {
+      buildLot([blocked]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal('LOT_EMPTY');
+    expect(error.excludedItems[0].reason).to.equal('Not allowed on eBay: Crib recall');
+  });
+});
@@ -0,0 +1,38 @@
+// functions/capture-sdk/test/ebayConditionFilter.test.js
+// eBay search condition filters come from the same grading as listings and pricing
+
+const { expect } = require('chai');
+const { EbaySearchAPI } = require('../integrations/ebay/searchAPI.js');
+const { toEbayConditionId } = require('../core/conditionGrade.js');
+
+describe('EbaySearchAPI condition filters', () => {
+  const api = new EbaySearchAPI({});
+
+  it('never maps a used rating to a refurbished condition', () => {
+    expect(api.conditionFilterId('excellent')).to.equal(3000);
+    expect(api.conditionFilterId('good')).to.equal(3000);
+    expect(api.conditionFilterId('excellent')).not.to.equal(2000); // Certified Refurbished
+  });
+
+  it('passes eBay condition names through', () => {
+    expect(api.conditionFilterId('new')).to.equal(1000);
+    expect(api.conditionFilterId('like_new')).to.equal(2750);
+    expect(api.conditionFilterId('for_parts')).to.equal(7000);
+  });
+
+  it('uses graded used conditions where the category has them', () => {
+    expect(api.conditionFilterId('very_good', 'books')).to.equal(4000);
+    expect(api.conditionFilterId('acceptable', 'books')).to.equal(6000);
+    expect(api.conditionFilterId('very_good', 'tools')).to.equal(3000);
+  });
+
+  it('agrees with conditionGrade for condition objects', () => {
+    const condition = { rating: 'fair', issues: ['deep scratch on the lid'], usableAsIs: true };
+    expect(api.conditionFilterId(condition, 'electronics')).to.equal(toEbayConditionId(condition, { category: 'electronics' }));
+  });
+
+  it('builds the Browse API filter string', () => {
+    expect(api.buildFilters('excellent', { min: 10, max: 50 })).to.equal('conditionIds:{3000},price:[10..],price:[..50]');
+    expect(api.buildFilters(null, null)).to.equal('');
+  });
+});
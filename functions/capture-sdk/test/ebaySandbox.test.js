@@ -0,0 +1,67 @@
+// functions/capture-sdk/test/ebaySandbox.test.js
+// Pricing and listing end-to-end against the local eBay sandbox - no network
+
+const { expect } = require('chai');
+const CaptureSDK = require('../index.js');
+const { createEbaySandbox } = require('../integrations/ebay/sandbox/index.js');
+const { EbayIntegration } = require('../integrations/ebay/index.js');
+
+const drill = {
+  category: 'tools',
+  brand: 'DeWalt',
+  model: 'DCD771',
+  condition: { rating: 'good', description: 'Light wear, works', usableAsIs: true, issues: [] },
+  identifiers: { visible_text: 'DEWALT DCD771 20V MAX' }
+};
+
+describe('eBay sandbox flow', () => {
+  const sandbox = createEbaySandbox({ accessTokens: ['seller-token'], port: 0 });
+
+  before(() => sandbox.start());
+  after(() => sandbox.stop());
+  beforeEach(() => sandbox.reset());
+
+  it('listens on a free port', () => {
+    expect(sandbox.baseUrl).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(sandbox.ebayConfig().baseUrl).to.equal(sandbox.baseUrl);
+  });
+
+  it('prices from the recorded comparables', async () => {
+    const sdk = new CaptureSDK({ ebay: sandbox.ebayConfig(), pricing: { sources: ['ebayBrowse', 'ebaySearch'] }, safety: false });
+    const price = await sdk.getPrice(drill);
+
+    expect(price.suggested).to.be.above(0);
+    expect(price.sampleSize).to.be.above(0);
+    expect(price.source).not.to.match(/manual/);
+    expect(sandbox.requests.map(r => r.path)).to.include('/buy/browse/v1/item_summary/search');
+  });
+
+  it('lists a priced item through the Inventory API', async () => {
+    const ebay = new EbayIntegration(sandbox.ebayConfig({ accessToken: 'seller-token' }));
+    const result = await ebay.createListing({
+      title: 'DeWalt DCD771 20V Max Cordless Drill Driver',
+      description: 'Tested and working.',
+      images: ['https://example.com/drill.jpg'],
+      condition: 'good',
+      pricing: { buyItNowPrice: 55 }
+    });
+
+    expect(result).to.include({ success: true, status: 'active' });
+    expect(result.listingId).to.be.a('string');
+    const paths = sandbox.requests.map(r => `${r.method} ${r.path}`);
+    expect(paths).to.include(`PUT /sell/inventory/v1/inventory_item/${result.sku}`);
+    expect(paths).to.include(`POST /sell/inventory/v1/offer/${result.offerId}/publish`);
+  });
+
+  it('rejects a listing without a seller token', async () => {
+    const ebay = new EbayIntegration({ ...sandbox.ebayConfig(), accessToken: 'not-issued' });
+    const result = await ebay.createListing({
+      title: 'DeWalt DCD771',
+      description: 'Tested and working.',
+      images: ['https://example.com/drill.jpg'],
+      condition: 'good',
+      pricing: { buyItNowPrice: 55 }
+    });
+    expect(result.success).to.equal(false);
+  });
+});
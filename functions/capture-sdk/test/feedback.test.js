@@ -0,0 +1,136 @@
+// functions/capture-sdk/test/feedback.test.js
+// Field-level correction diffs, the correction log and its JSONL dataset export
+
+const { expect } = require('chai');
+const { diffAnalysis, CorrectionLog, MemoryCorrectionStore, createCorrectionLog } = require('../feedback/index.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const analysis = {
+  ...DEFAULT_MOCK_RESPONSE,
+  category: 'Apple iPhone 12 smartphone',
+  model: 'Unknown',
+  resale: { priceRange: { low: 180, high: 240 } },
+  promptVersion: 'enhanced-v2',
+  imageHashes: ['15550aaad555aaab'],
+  fieldConfidence: { fields: { brand: { raw: 0.9 }, condition: { raw: 0.6 }, price: { raw: 0.4 } } }
+};
+
+const statuses = fields => Object.fromEntries(fields.map(f => [f.field, f.status]));
+
+const collect = async iterator => {
+  const lines = [];
+  for await (const line of iterator) lines.push(line);
+  return lines;
+};
+
+describe('diffAnalysis', () => {
+  it('tells confirmed, corrected, filled and cleared values apart', () => {
+    const fields = diffAnalysis(analysis, {
+      category: 'smartphone',
+      brand: 'APPLE',
+      model: 'A2172',
+      condition: 'acceptable',
+      price: 300
+    });
+    expect(statuses(fields)).to.deep.equal({
+      category: 'confirmed',
+      brand: 'confirmed',
+      model: 'filled',
+      condition: 'corrected',
+      price: 'corrected'
+    });
+
+    expect(statuses(diffAnalysis(analysis, { brand: '', condition: 'very_good', price: 200 }))).to.deep.equal({
+      brand: 'cleared',
+      condition: 'confirmed',
+      price: 'confirmed'
+    });
+  });
+
+  it('counts a broad category pick with known keywords as confirming', () => {
+    const fields = diffAnalysis(analysis, { category: 'electronics' }, { categoryKeywords: { electronics: ['smartphone'] } });
+    expect(fields[0].status).to.equal('confirmed');
+    expect(diffAnalysis(analysis, { category: 'electronics' })[0].status).to.equal('corrected');
+  });
+});
+
+describe('CorrectionLog', () => {
+  it('keeps the latest record per scan', async () => {
+    const log = new CorrectionLog();
+    await log.record({ uid: 'u1', scanId: 's1', analysis, finalValues: { brand: 'Samsung' } });
+    const record = await log.record({ uid: 'u1', scanId: 's1', analysis, finalValues: { brand: 'Apple' } });
+
+    expect(log.store.records.size).to.equal(1);
+    expect(record).to.include({ id: 'u1_s1', promptVersion: 'enhanced-v2' });
+    expect(record.changedFields).to.deep.equal([]);
+    expect(record.confidence).to.deep.equal({ brand: 0.9, condition: 0.6, price: 0.4 });
+  });
+
+  it('needs a scan and its analysis', async () => {
+    const log = new CorrectionLog();
+    let error;
+    try {
+      await log.record({ uid: 'u1', analysis });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/uid and scanId are required/);
+  });
+
+  it('exports hashed users and evaluation-ready expected values', async () => {
+    const log = createCorrectionLog({ type: 'memory' });
+    await log.record({ uid: 'u1', scanId: 's1', analysis, finalValues: { model: 'A2172', condition: 'like_new', price: 250 } });
+
+    const [line] = await collect(log.exportJsonl());
+    const row = JSON.parse(line);
+    expect(line.endsWith('\n')).to.equal(true);
+    expect(row.userKey).to.match(/^[0-9a-f]{16}$/);
+    expect(JSON.stringify(row)).not.to.include('"u1"');
+    expect(row.expected).to.deep.equal({
+      model: 'A2172',
+      condition: { rating: 'excellent' },
+      resale: { priceRange: { low: 200, high: 300 } }
+    });
+  });
+
+  it('pages through the store oldest first', async () => {
+    const store = new MemoryCorrectionStore();
+    for (let i = 0; i < 5; i++) {
+      await store.save({ id: `r${i}`, createdAt: `2026-01-0${i + 1}T00:00:00Z`, fields: [] });
+    }
+    const log = createCorrectionLog(store);
+    const ids = [];
+    for await (const record of log.iterate({ pageSize: 2 })) ids.push(record.id);
+    expect(ids).to.deep.equal(['r0', 'r1', 'r2', 'r3', 'r4']);
+  });
+
+  it('turns corrections into calibration samples, skipping unknown AI answers', async () => {
+    const log = new CorrectionLog();
+    await log.record({ uid: 'u1', scanId: 's1', analysis, finalValues: { brand: 'Apple', model: 'A2172', price: 400 } });
+    expect(await log.calibrationSamples()).to.deep.equal([
+      { field: 'brand', score: 0.9, correct: true },
+      { field: 'price', score: 0.4, correct: false }
+    ]);
+  });
+});
+
+describe('corrections through the SDK', () => {
+  it('records and refuses to calibrate on too few samples', async () => {
+    const sdk = new CaptureSDK({ corrections: { type: 'memory' }, safety: false });
+    await sdk.recordCorrections({ uid: 'u1', scanId: 's1', analysis, finalValues: { brand: 'Apple' } });
+
+    expect(await collect(sdk.exportCorrections())).to.have.lengthOf(1);
+    let error;
+    try {
+      await sdk.fitCalibrationFromCorrections();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/Not enough corrections to calibrate \(1 samples/);
+  });
+
+  it('is off unless configured', () => {
+    expect(() => new CaptureSDK({ safety: false }).exportCorrections()).to.throw(/not configured/);
+  });
+});
@@ -0,0 +1,60 @@
+// functions/capture-sdk/test/fixtures/barcodes.js
+// Barcode and QR photos drawn in memory for the decoding tests
+
+const sharp = require('sharp');
+const { QRCodeWriter, BarcodeFormat } = require('@zxing/library');
+
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const invert = bits => bits.replace(/./g, bit => (bit === '1' ? '0' : '1'));
+const rCode = digit => invert(L_CODES[digit]);
+const gCode = digit => rCode(digit).split('').reverse().join('');
+
+/**
+ * Bar modules ('1' = black) for a 13-digit EAN
+ */
+function ean13Modules(code) {
+  const digits = code.split('').map(Number);
+  const left = digits.slice(1, 7).map((d, i) => (PARITY[digits[0]][i] === 'L' ? L_CODES[d] : gCode(d))).join('');
+  const right = digits.slice(7).map(rCode).join('');
+  return `101${left}01010${right}101`;
+}
+
+/**
+ * Grayscale PNG from a matrix of booleans (true = black), with a white quiet zone
+ */
+function renderModules(rows, { scale = 3, quiet = 10 } = {}) {
+  const width = (rows[0].length + quiet * 2) * scale;
+  const height = (rows.length + quiet * 2) * scale;
+  const pixels = Buffer.alloc(width * height, 255);
+  rows.forEach((row, y) => row.forEach((black, x) => {
+    if (!black) return;
+    for (let dy = 0; dy < scale; dy++) {
+      const offset = ((y + quiet) * scale + dy) * width + (x + quiet) * scale;
+      pixels.fill(0, offset, offset + scale);
+    }
+  }));
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/**
+ * A photo of an EAN-13 barcode, optionally shot sideways
+ */
+async function ean13Photo(code, { rotate = 0 } = {}) {
+  const bars = ean13Modules(code).split('').map(bit => bit === '1');
+  const png = await renderModules(Array.from({ length: 30 }, () => bars));
+  return rotate ? sharp(png).rotate(rotate).png().toBuffer() : png;
+}
+
+/**
+ * A photo of a QR code holding `text`
+ */
+function qrPhoto(text) {
+  const matrix = new QRCodeWriter().encode(text, BarcodeFormat.QR_CODE, 0, 0, new Map());
+  const rows = Array.from({ length: matrix.getHeight() }, (_, y) =>
+    Array.from({ length: matrix.getWidth() }, (__, x) => matrix.get(x, y)));
+  return renderModules(rows, { scale: 4, quiet: 4 });
+}
+
+module.exports = { ean13Photo, qrPhoto };
@@ -0,0 +1,61 @@
+// functions/capture-sdk/test/fixtures/images.js
+// Small image buffers for the preprocessing tests, built in memory
+
+const sharp = require('sharp');
+
+const pad = (header, length = 16) => Buffer.concat([Buffer.from(header), Buffer.alloc(Math.max(0, length - header.length))]);
+
+// Just the magic bytes of each format, enough for sniffing
+const MAGIC = {
+  jpeg: pad([0xff, 0xd8, 0xff, 0xe0]),
+  png: pad([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  gif: pad(Buffer.from('GIF89a')),
+  webp: pad(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')),
+  heic: pad(Buffer.from('\0\0\0\x18ftypheic')),
+  heif: pad(Buffer.from('\0\0\0\x18ftypmif1')),
+  avif: pad(Buffer.from('\0\0\0\x18ftypavif')),
+  tiff: pad(Buffer.from('II*\0')),
+  bmp: pad(Buffer.from('BM'))
+};
+
+/**
+ * Raw RGB pixels with enough texture for a meaningful dHash
+ */
+function texturedPixels(width = 32, height = 16, seed = 1) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const value = ((x * 37 + y * 91) * seed) % 256;
+      pixels[i] = value;
+      pixels[i + 1] = (value * 3) % 256;
+      pixels[i + 2] = (x * 8) % 256;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+/**
+ * A 32x16 JPEG shot "sideways" (EXIF orientation 6) with a GPS position
+ */
+function sidewaysJpegWithGps() {
+  return texturedPixels()
+    .jpeg({ quality: 90 })
+    .withMetadata({
+      orientation: 6,
+      exif: {
+        IFD0: { Make: 'TestCam' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' }
+      }
+    })
+    .toBuffer();
+}
+
+/**
+ * A 32x16 PNG with no metadata
+ */
+function plainPng(seed = 1) {
+  return texturedPixels(32, 16, seed).png().toBuffer();
+}
+
+module.exports = { MAGIC, texturedPixels, sidewaysJpegWithGps, plainPng };
@@ -0,0 +1,30 @@
+// functions/capture-sdk/test/fusion.test.js
+// Multi-angle fusion mode: the image cap applies before any preprocessing
+
+const { expect } = require('chai');
+const { createMockProvider } = require('../providers/mock.js');
+const { analyzeItem } = require('../core/analyzeItem.js');
+
+const photos = count => Array.from({ length: count }, (_, i) => Buffer.from(`photo ${i}`).toString('base64'));
+
+describe('fusion mode', () => {
+  it('preprocesses and analyzes at most maxImages photos', async () => {
+    const events = [];
+    const result = await analyzeItem(photos(12), {
+      provider: createMockProvider(),
+      mode: 'fusion',
+      maxImages: 4,
+      barcodes: false,
+      onProgress: event => events.push(event)
+    });
+
+    expect(events.find(e => e.step === 'preprocessing').imageCount).to.equal(4);
+    expect(result.preprocessing).to.have.length(4);
+    expect(result.fusion).to.include({ imageCount: 4, droppedImages: 8 });
+  });
+
+  it('defaults the cap to eight photos', async () => {
+    const result = await analyzeItem(photos(10), { provider: 'mock', mode: 'fusion', barcodes: false });
+    expect(result.fusion).to.include({ imageCount: 8, droppedImages: 2 });
+  });
+});
@@ -0,0 +1,94 @@
+// functions/capture-sdk/test/gtin.test.js
+// GTIN and ISBN normalization, and decoding retail barcodes and QR codes from photos
+
+const { expect } = require('chai');
+const {
+  normalizeGtin,
+  normalizeIsbn,
+  gtinToIsbn,
+  gtinFromDigitalLink,
+  gtinType,
+  hasValidCheckDigit
+} = require('../utils/gtin.js');
+const { decodeBarcodes } = require('../utils/barcode.js');
+const { ean13Photo, qrPhoto } = require('./fixtures/barcodes.js');
+const { plainPng } = require('./fixtures/images.js');
+
+describe('normalizeGtin', () => {
+  it('checks the GS1 check digit', () => {
+    expect(hasValidCheckDigit('036000291452')).to.equal(true);
+    expect(hasValidCheckDigit('036000291453')).to.equal(false);
+    expect(normalizeGtin('036000291453')).to.equal(null);
+  });
+
+  it('accepts EAN-8, UPC-A and EAN-13 with spaces or dashes', () => {
+    expect(normalizeGtin('9638-5074')).to.equal('96385074');
+    expect(normalizeGtin('0 36000 29145 2')).to.equal('036000291452');
+    expect(normalizeGtin(4006381333931)).to.equal('4006381333931');
+  });
+
+  it('keeps a UPC-A padded to EAN-13 or GTIN-14 valid', () => {
+    expect(normalizeGtin('0036000291452')).to.equal('0036000291452');
+    expect(normalizeGtin('00036000291452')).to.equal('0036000291452');
+    expect(normalizeGtin('10036000291452')).to.equal(null);
+  });
+
+  it('expands UPC-E only when the decoder says so', () => {
+    expect(normalizeGtin('01234565', { format: 'UPC_E' })).to.equal('012345000065');
+    // The same eight digits are also a valid EAN-8
+    expect(normalizeGtin('01234565')).to.equal('01234565');
+  });
+
+  it('rejects letters, wrong lengths and nothing', () => {
+    expect(normalizeGtin('03600029145X')).to.equal(null);
+    expect(normalizeGtin('12345')).to.equal(null);
+    expect(normalizeGtin(null)).to.equal(null);
+  });
+
+  it('names the id type for lookups', () => {
+    expect(gtinType('9780306406157')).to.equal('ISBN');
+    expect(gtinType('036000291452')).to.equal('UPC');
+    expect(gtinType('4006381333931')).to.equal('EAN');
+    expect(gtinToIsbn('4006381333931')).to.equal(null);
+  });
+});
+
+describe('normalizeIsbn', () => {
+  it('converts ISBN-10 to ISBN-13, including an X check digit', () => {
+    expect(normalizeIsbn('0-306-40615-2')).to.equal('9780306406157');
+    expect(normalizeIsbn('ISBN-10: 080442957X')).to.equal('9780804429573');
+  });
+
+  it('accepts a valid ISBN-13 and rejects bad check digits or prefixes', () => {
+    expect(normalizeIsbn('978-0-306-40615-7')).to.equal('9780306406157');
+    expect(normalizeIsbn('978-0-306-40615-8')).to.equal(null);
+    expect(normalizeIsbn('0306406153')).to.equal(null);
+    expect(normalizeIsbn('4006381333931')).to.equal(null);
+  });
+});
+
+describe('decodeBarcodes', () => {
+  it('reads a book barcode as a GTIN and an ISBN', async () => {
+    const [code] = await decodeBarcodes([await ean13Photo('9780306406157')]);
+    expect(code).to.deep.equal({ imageIndex: 0, format: 'EAN_13', text: '9780306406157', gtin: '9780306406157', isbn: '9780306406157' });
+  });
+
+  it('reads a barcode shot sideways and a GS1 Digital Link QR', async () => {
+    const images = [
+      'https://example.com/remote.jpg',
+      await ean13Photo('4006381333931', { rotate: 90 }),
+      await qrPhoto('https://id.gs1.org/01/09506000134352/10/ABC')
+    ];
+    const codes = await decodeBarcodes(images);
+
+    expect(codes.map(c => [c.imageIndex, c.format, c.gtin])).to.deep.equal([
+      [1, 'EAN_13', '4006381333931'],
+      [2, 'QR_CODE', '9506000134352']
+    ]);
+    expect(gtinFromDigitalLink('https://example.com/01/123')).to.equal(null);
+  });
+
+  it('finds nothing in a photo without codes or in unreadable bytes', async () => {
+    expect(await decodeBarcodes([await plainPng(), Buffer.from('not an image')])).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,60 @@
+// functions/capture-sdk/test/imageEncoding.test.js
+// Media types from magic bytes and the encodings every vision provider sends
+
+const { expect } = require('chai');
+const {
+  sniffMediaType,
+  toImageBuffer,
+  determineImageMediaType,
+  convertToBase64,
+  convertToDataUrl
+} = require('../utils/imageEncoding.js');
+const { MAGIC } = require('./fixtures/images.js');
+
+describe('sniffMediaType', () => {
+  it('recognizes each format from its magic bytes', () => {
+    const sniffed = Object.fromEntries(Object.entries(MAGIC).map(([format, buffer]) => [format, sniffMediaType(buffer)]));
+    expect(sniffed).to.deep.equal({
+      jpeg: 'image/jpeg',
+      png: 'image/png',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      heic: 'image/heic',
+      heif: 'image/heif',
+      avif: 'image/avif',
+      tiff: 'image/tiff',
+      bmp: 'image/bmp'
+    });
+  });
+
+  it('returns null for unknown or truncated bytes', () => {
+    expect(sniffMediaType(Buffer.from('definitely not an image'))).to.equal(null);
+    expect(sniffMediaType(MAGIC.png.subarray(0, 8))).to.equal(null);
+    expect(sniffMediaType('iVBORw0KGgo')).to.equal(null);
+  });
+});
+
+describe('image encodings', () => {
+  const pngBase64 = MAGIC.png.toString('base64');
+
+  it('decodes base64, data URLs and image objects, but not remote URLs', () => {
+    expect(toImageBuffer(pngBase64).equals(MAGIC.png)).to.equal(true);
+    expect(toImageBuffer(`data:image/png;base64,${pngBase64}`).equals(MAGIC.png)).to.equal(true);
+    expect(toImageBuffer({ base64: pngBase64 }).equals(MAGIC.png)).to.equal(true);
+    expect(toImageBuffer({ buffer: MAGIC.png })).to.equal(MAGIC.png);
+    expect(toImageBuffer('https://example.com/photo.jpg')).to.equal(null);
+  });
+
+  it('trusts the bytes over a missing label, and a preprocessed type over the bytes', () => {
+    expect(determineImageMediaType(pngBase64)).to.equal('image/png');
+    expect(determineImageMediaType(MAGIC.webp)).to.equal('image/webp');
+    expect(determineImageMediaType({ buffer: MAGIC.png, mediaType: 'image/jpeg' })).to.equal('image/jpeg');
+    expect(determineImageMediaType(Buffer.from('unknown bytes here'))).to.equal('image/jpeg');
+  });
+
+  it('builds data URLs with the sniffed type', () => {
+    expect(convertToBase64(`data:image/png;base64,${pngBase64}`)).to.equal(pngBase64);
+    expect(convertToDataUrl(MAGIC.gif)).to.equal(`data:image/gif;base64,${MAGIC.gif.toString('base64')}`);
+    expect(() => convertToBase64(42)).to.throw(/Unsupported image format/);
+  });
+});
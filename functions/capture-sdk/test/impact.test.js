@@ -0,0 +1,101 @@
+// functions/capture-sdk/test/impact.test.js
+// Environmental impact: composition, CO2e and landfill avoided per route, and lifetime totals
+
+const { expect } = require('chai');
+const { estimateImpact, estimateComposition, summarizeImpact } = require('../core/impact.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+
+const shirt = { category: 't-shirt', materials: ['cotton'], specifications: { weight: '1.1 lbs' } };
+const laptop = { category: 'laptop', specifications: { weight: '2 kg' } };
+
+describe('estimateComposition', () => {
+  it('splits the weight across the listed materials', () => {
+    const composition = estimateComposition({ category: 'chair', materials: ['steel', 'cotton fabric'], specifications: { weight: '10 kg' } });
+
+    expect(composition.map(c => c.material)).to.deep.equal(['steel', 'textile']);
+    const total = composition.reduce((sum, c) => sum + c.weightKg, 0);
+    expect(total).to.be.closeTo(10 * 2.2046 * 0.4536, 0.01);
+    expect(composition[0].weightKg / composition[1].weightKg).to.be.closeTo(0.7 / 0.2, 0.001);
+  });
+
+  it('treats a whole electronic device as one material', () => {
+    expect(estimateComposition(laptop).map(c => c.material)).to.deep.equal(['e_waste_device']);
+  });
+});
+
+describe('estimateImpact', () => {
+  it('credits reuse with the new product it replaces, less the trip', () => {
+    const impact = estimateImpact(laptop, 'ebay');
+
+    // 2 kg x 80 kg CO2e/kg x 0.6 displacement - 0.7 kg shipping
+    expect(impact.weightKg).to.equal(2);
+    expect(impact.co2eAvoidedKg).to.be.closeTo(2 * 80 * 0.6 - 0.7, 0.2);
+    expect(impact.landfillAvoidedKg).to.equal(2);
+    expect(impact.milesNotDriven).to.equal(Math.round(impact.co2eAvoidedKg / 0.4));
+    expect(impact.baseline).to.equal('landfill');
+  });
+
+  it('ranks selling over donating over recycling for a working device', () => {
+    const [ebay, donation, recycle] = ['ebay', 'donation', 'recycle'].map(type => estimateImpact(laptop, type).co2eAvoidedKg);
+    expect(ebay).to.be.above(donation);
+    expect(donation).to.be.above(recycle);
+    expect(recycle).to.be.above(0);
+  });
+
+  it('counts landfill methane avoided for materials that decompose', () => {
+    const donated = estimateImpact(shirt, 'donation');
+    // 0.5 kg cotton: 15 x 0.4 displaced + 0.4 diverted x 0.4 methane - 0.4 trip
+    expect(donated.co2eAvoidedKg).to.be.closeTo(0.5 * 15 * 0.4 + 0.4 * 0.4 - 0.4, 0.1);
+    expect(donated.landfillAvoidedKg).to.equal(0.4);
+  });
+
+  it('avoids nothing on routes that end in the trash', () => {
+    expect(estimateImpact(laptop, 'trash')).to.include({ co2eAvoidedKg: 0, landfillAvoidedKg: 0, milesNotDriven: 0, weightKg: 2 });
+  });
+});
+
+describe('summarizeImpact', () => {
+  const stored = { co2eAvoidedKg: 10, landfillAvoidedKg: 1 };
+
+  it('counts the chosen route, else the recommended one', () => {
+    const summary = summarizeImpact([
+      { analysis: laptop, routes: { recommendedRoute: { type: 'ebay', impact: stored } } },
+      {
+        analysis: laptop,
+        routes: { recommendedRoute: { type: 'ebay' }, alternativeRoutes: [{ type: 'donation', impact: stored }] },
+        disposition: { type: 'donation' }
+      },
+      { analysis: shirt, disposition: { type: 'recycle' } }
+    ]);
+    const recycled = estimateImpact(shirt, 'recycle');
+
+    expect(summary.scanCount).to.equal(3);
+    expect(summary.basis).to.deep.equal({ chosen: 2, recommended: 1 });
+    expect(summary.byRoute.ebay).to.deep.equal({ count: 1, co2eAvoidedKg: 10, landfillAvoidedKg: 1 });
+    expect(summary.byRoute.donation.count).to.equal(1);
+    expect(summary.byRoute.recycle.co2eAvoidedKg).to.equal(recycled.co2eAvoidedKg);
+    expect(summary.co2eAvoidedKg).to.be.closeTo(20 + recycled.co2eAvoidedKg, 0.05);
+    expect(summary.milesNotDriven).to.equal(Math.round(summary.co2eAvoidedKg / 0.4));
+  });
+
+  it('skips failed analyses and scans without a route', () => {
+    const summary = summarizeImpact([
+      { analysis: { error: 'timeout' }, disposition: { type: 'ebay' } },
+      { analysis: laptop },
+      null
+    ]);
+    expect(summary).to.include({ scanCount: 0, co2eAvoidedKg: 0, milesNotDriven: 0 });
+  });
+});
+
+describe('route impact', () => {
+  it('puts the estimate for each route on the routes', async () => {
+    const pricing = { price: async () => ({ suggested: 300, range: { low: 250, high: 350 }, currency: 'USD', source: 'test' }) };
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, {}, null, { pricing, safety: false });
+
+    [result.recommendedRoute, ...result.alternativeRoutes].forEach(route => {
+      expect(route.impact, route.type).to.deep.equal(estimateImpact(DEFAULT_MOCK_RESPONSE, route.type));
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// functions/capture-sdk/test/offlineQueue.test.js
+// Offline queue: provisional estimates, sync through the SDK, retries and failures
+
+const { expect } = require('chai');
+const {
+  OfflineQueue,
+  MemoryQueueStore,
+  createOfflineQueue,
+  buildProvisionalAnalysis,
+  reconcileProvisional
+} = require('../offline/index.js');
+const { createMockProvider } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const IMAGE = Buffer.from('photo').toString('base64');
+
+// Records what the queue would write to the user's scans
+const fakeWriter = () => ({
+  written: [],
+  async reconcile(job, result) {
+    this.written.push({ job, ...result });
+    return `scan_${this.written.length}`;
+  }
+});
+
+// Each test's SDK gets its own provider, registered on that instance only
+const offlineSdk = (queueConfig, provider = createMockProvider({ name: 'offline-ok' })) => new CaptureSDK({
+  visionProvider: provider.name,
+  providers: { [provider.name]: provider },
+  safety: false,
+  offline: { type: 'memory', ...queueConfig }
+});
+
+describe('buildProvisionalAnalysis', () => {
+  it('prices the hint with the manual estimator', () => {
+    const provisional = buildProvisionalAnalysis({ categoryHint: 'cordless drill', brand: 'DeWalt' }, { jobId: 'j1', imageCount: 2 });
+
+    expect(provisional).to.include({ provisional: true, offlineJobId: 'j1', category: 'cordless drill', brand: 'DeWalt', imageCount: 2 });
+    expect(provisional.estimatedValue).to.include({ source: 'offline_manual', pricingCategory: 'tools', currency: 'USD' });
+    expect(provisional.estimatedValue.suggested).to.be.above(0);
+  });
+
+  it('uses the locale currency', () => {
+    expect(buildProvisionalAnalysis({}, { locale: 'de-DE' }).estimatedValue.currency).to.equal('EUR');
+  });
+});
+
+describe('reconcileProvisional', () => {
+  it('reports category and value changes', () => {
+    const reconciliation = reconcileProvisional(
+      { category: 'tools', estimatedValue: { suggested: 40 } },
+      { category: 'Electronics' },
+      { recommendedRoute: { type: 'ebay' }, marketAnalysis: { estimatedValue: { suggested: 55.5 } } }
+    );
+    expect(reconciliation).to.include({ categoryChanged: true, provisionalValue: 40, value: 55.5, valueDelta: 15.5, recommendedRoute: 'ebay' });
+  });
+});
+
+describe('OfflineQueue', () => {
+  it('needs at least one image', async () => {
+    const queue = new OfflineQueue();
+    let error;
+    try {
+      await queue.enqueue([]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/At least one image/);
+  });
+
+  it('queues the photos and replays only string analysis options', async () => {
+    const queue = new OfflineQueue();
+    const job = await queue.enqueue([IMAGE, 'https://example.com/photo.jpg'], {
+      uid: 'u1',
+      locale: 'en-US',
+      provider: { analyze() {} },
+      categoryHint: 'books'
+    });
+
+    expect(job.images[0]).to.have.property('base64');
+    expect(job.images[1]).to.deep.equal({ url: 'https://example.com/photo.jpg' });
+    expect(job.options).to.deep.equal({ locale: 'en-US', categoryHint: 'books' });
+    expect(await queue.status()).to.include({ pending: 1, total: 1 });
+  });
+
+  it('builds from config', () => {
+    expect(createOfflineQueue(false)).to.equal(null);
+    expect(createOfflineQueue({ type: 'memory' }).store).to.be.instanceOf(MemoryQueueStore);
+    expect(createOfflineQueue(new MemoryQueueStore())).to.be.instanceOf(OfflineQueue);
+    expect(() => createOfflineQueue({ type: 'sqlite' })).to.throw(/Unknown offline queue type/);
+  });
+});
+
+describe('offline sync through the SDK', () => {
+  it('queues while offline and syncs once back online', async () => {
+    let connected = false;
+    const writer = fakeWriter();
+    const sdk = offlineSdk({ isOnline: () => connected, writer });
+
+    const provisional = await sdk.analyzeItem([IMAGE], { uid: 'u1', categoryHint: 'phone' });
+    expect(provisional.provisional).to.equal(true);
+
+    const offline = await sdk.syncOfflineQueue();
+    expect(offline).to.include({ online: false, synced: 0, remaining: 1 });
+
+    connected = true;
+    const summary = await sdk.syncOfflineQueue();
+    expect(summary).to.include({ online: true, synced: 1, remaining: 0 });
+    expect(summary.results[0]).to.include({ status: 'synced', uid: 'u1', scanId: 'scan_1' });
+    expect(summary.results[0].analysis.brand).to.equal('Apple');
+    expect(writer.written[0].reconciliation.provisionalCategory).to.equal('phone');
+    expect((await sdk.offlineQueue.status()).total).to.equal(0);
+  });
+
+  it('backs off after a failure and marks the job failed after maxAttempts', async () => {
+    const provider = createMockProvider({ name: 'offline-down', error: 'vision down' });
+    const sdk = offlineSdk({ maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 }, provider);
+    await sdk.queueScan([IMAGE]);
+
+    const first = await sdk.syncOfflineQueue();
+    expect(first).to.include({ synced: 0, retrying: 1, remaining: 1 });
+    expect(first.results[0].error).to.equal('vision down');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await sdk.syncOfflineQueue();
+    expect(second).to.include({ failed: 1, remaining: 0 });
+    expect(await sdk.offlineQueue.status()).to.include({ failed: 1 });
+
+    expect(await sdk.offlineQueue.retryFailed()).to.equal(1);
+    expect(await sdk.offlineQueue.status()).to.include({ pending: 1, failed: 0 });
+  });
+
+  it('keeps the attempt when the signal drops mid-sync', async () => {
+    let connected = true;
+    const provider = createMockProvider({
+      name: 'offline-dropped',
+      response: () => {
+        connected = false;
+        throw new Error('network unreachable');
+      }
+    });
+    const sdk = offlineSdk({ isOnline: () => connected }, provider);
+    const job = await sdk.queueScan([IMAGE]);
+
+    const summary = await sdk.syncOfflineQueue();
+    expect(summary).to.include({ online: false, retrying: 1 });
+    expect(await sdk.offlineQueue.store.get(job.id)).to.include({ status: 'pending', attempts: 0 });
+  });
+
+  it('runs one sync at a time', async () => {
+    const sdk = offlineSdk({});
+    await sdk.queueScan([IMAGE]);
+
+    const [a, b] = await Promise.all([sdk.syncOfflineQueue(), sdk.syncOfflineQueue()]);
+    expect(a).to.equal(b);
+    expect(a.synced).to.equal(1);
+  });
+});
@@ -0,0 +1,82 @@
+// functions/capture-sdk/test/pricing.test.js
+// Manual estimates and the eBay route's cost breakdown agreeing with its proceeds
+
+const { expect } = require('chai');
+const { estimateManualPrice } = require('../pricing/manual.js');
+const { manualPricing } = require('../pricing/index.js');
+const { routeProceeds } = require('../pricing/proceeds.js');
+const { getEnhancedManualEstimate } = require('../utils/priceEstimate.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+
+const drill = {
+  category: 'tools',
+  brand: 'DeWalt',
+  model: 'DCD771',
+  condition: { rating: 'good', issues: [] },
+  identifiers: { visible_text: 'DEWALT DCD771 20V MAX' }
+};
+
+describe('manual estimates', () => {
+  it('prices category, brand and condition', () => {
+    const { suggested, factors } = estimateManualPrice(drill);
+    expect(factors).to.include({ category: 'tools', basePrice: 25, brandMultiplier: 1.8 });
+    expect(suggested).to.equal(Math.round(25 * 1.8 * factors.conditionMultiplier));
+  });
+
+  it('keeps the legacy entry point on the engine result shape', () => {
+    const legacy = getEnhancedManualEstimate(drill);
+    expect(legacy).to.deep.include({ suggested: estimateManualPrice(drill).suggested });
+    expect(legacy.suggested).to.equal(manualPricing(drill).suggested);
+  });
+
+  it('converts the US dollar estimate for other marketplaces', () => {
+    const usd = manualPricing(drill);
+    const gbp = manualPricing(drill, { locale: 'en-GB' });
+
+    expect(usd).to.include({ currency: 'USD', currencyConverted: false, conversion: null });
+    expect(gbp).to.include({ currency: 'GBP', currencyConverted: true, suggested: Math.round(usd.suggested * 0.79) });
+    expect(gbp.conversion).to.deep.equal({ from: 'USD', to: 'GBP', rate: 0.79, approximate: true });
+    expect(gbp.factors.usdEstimate).to.equal(usd.suggested);
+    expect(gbp.range.high).to.equal(Math.round(gbp.suggested * 1.3));
+  });
+
+  it('labels the estimate USD when there is no rate for the currency', () => {
+    const priced = manualPricing(drill, { currency: 'JPY' });
+    expect(priced).to.include({ currency: 'USD', currencyConverted: false, suggested: manualPricing(drill).suggested });
+  });
+});
+
+describe('price result costs', () => {
+  it('nets out packaging the same way as the eBay route', () => {
+    const priced = manualPricing(drill);
+    const proceeds = routeProceeds('ebay', { itemData: drill, marketAnalysis: { suggested: priced.suggested } });
+
+    expect(priced.packaging).to.be.above(0);
+    expect(priced).to.include({
+      shippingCost: proceeds.shipping.cost,
+      ebayFees: proceeds.fees.total,
+      packaging: proceeds.packaging,
+      netProfit: proceeds.cashIfSold
+    });
+    expect(priced.netProfit).to.be.closeTo(priced.suggested - priced.ebayFees - priced.shippingCost - priced.packaging, 0.001);
+  });
+});
+
+describe('eBay route details', () => {
+  it('reports the same net profit as its estimated return', async () => {
+    // Route details come from the route's own proceeds, not the price result
+    const pricing = { price: async () => ({ suggested: 300, range: { low: 250, high: 350 }, currency: 'USD', netProfit: 999 }) };
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, {}, null, { pricing, safety: false });
+    const ebay = [result.recommendedRoute, ...result.alternativeRoutes].find(route => route.type === 'ebay');
+
+    expect(ebay.details.netProfit).to.equal(ebay.estimatedReturn);
+    expect(ebay.details).to.include({
+      listingPrice: 300,
+      estimatedFees: ebay.proceeds.fees.total,
+      shippingCost: ebay.proceeds.shipping.cost,
+      packaging: ebay.proceeds.packaging
+    });
+    expect(ebay.details.packaging).to.be.above(0);
+  });
+});
@@ -0,0 +1,115 @@
+// functions/capture-sdk/test/proceeds.test.js
+// Net proceeds per route, the instant offer they are weighed against, and the ranking
+
+const { expect } = require('chai');
+const {
+  routeProceeds,
+  rankRoutes,
+  sellProbability,
+  INSTANT_OFFER_ACCEPTANCE
+} = require('../pricing/proceeds.js');
+const { calculateOffer } = require('../integrations/instantOffer/offerCalculator.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+
+const drill = { category: 'tools', brand: 'Unknown', condition: { rating: 'good', issues: [] } };
+
+// A price result with a wide range, so an offer built from the range high would stand out
+const pricedAt = (suggested, extra = {}) => ({
+  price: async () => ({ suggested, range: { low: suggested * 0.5, high: suggested * 2 }, currency: 'USD', source: 'test', ...extra })
+});
+
+describe('routeProceeds', () => {
+  it('takes fees, shipping and packaging off an eBay sale', () => {
+    const proceeds = routeProceeds('ebay', { itemData: drill, marketAnalysis: { suggested: 100 } });
+
+    expect(proceeds.salePrice).to.equal(100);
+    expect(proceeds.fees.total).to.be.above(0);
+    expect(proceeds.shipping.paidBy).to.equal('seller');
+    expect(proceeds.cashIfSold).to.equal(Math.round((100 - proceeds.fees.total - proceeds.shipping.cost - proceeds.packaging) * 100) / 100);
+    expect(proceeds.sellProbability).to.be.within(0, 1);
+    expect(proceeds.probabilityBasis).to.equal('category');
+  });
+
+  it('gives eBay a better chance of selling over a longer window', () => {
+    const soon = sellProbability(drill, {}, 7).probability;
+    const later = sellProbability(drill, {}, 90).probability;
+    expect(later).to.be.above(soon);
+  });
+
+  it('measures sell-through from the comparables when there are enough', () => {
+    const comparables = [true, true, true, false, false, false].map(sold => ({ sold }));
+    expect(sellProbability(drill, { comparables, daysBack: 90 }, 90)).to.include({ sellThrough: 0.5, basis: 'comparables' });
+  });
+
+  it('does not treat an instant offer as guaranteed', () => {
+    const proceeds = routeProceeds('instant_offer', { itemData: drill, marketAnalysis: { suggested: 100 }, amount: 40 });
+
+    expect(proceeds.salePrice).to.equal(40);
+    expect(proceeds.shipping.paidBy).to.equal('prepaid label');
+    expect(proceeds).to.include({ sellProbability: INSTANT_OFFER_ACCEPTANCE, probabilityBasis: 'inspection' });
+    expect(INSTANT_OFFER_ACCEPTANCE).to.be.below(1);
+    expect(proceeds.expectedNetValue).to.be.below(proceeds.cashIfSold);
+  });
+
+  it('charges the user their time', () => {
+    const cheap = routeProceeds('ebay', { itemData: drill, marketAnalysis: { suggested: 100 }, preferences: { hourlyRate: 0 } });
+    const dear = routeProceeds('ebay', { itemData: drill, marketAnalysis: { suggested: 100 }, preferences: { hourlyRate: 50 } });
+    expect(dear.time.cost).to.equal(50);
+    expect(dear.expectedNetValue).to.be.below(cheap.expectedNetValue);
+  });
+});
+
+describe('rankRoutes', () => {
+  it('puts worthwhile routes first, then the fallback', () => {
+    const ranked = rankRoutes([
+      { type: 'recycle', expectedNetValue: -1 },
+      { type: 'donation', expectedNetValue: -5 },
+      { type: 'ebay', expectedNetValue: 20 },
+      { type: 'local_pickup', expectedNetValue: 30 }
+    ]);
+    expect(ranked.map(r => r.type)).to.deep.equal(['local_pickup', 'ebay', 'donation', 'recycle']);
+    expect(ranked.map(r => r.priority)).to.deep.equal([1, 2, 3, 4]);
+  });
+});
+
+describe('calculateOffer', () => {
+  it('starts from the suggested price, not the top of the range', async () => {
+    const offer = await calculateOffer(drill, { pricing: pricedAt(100) });
+
+    expect(offer.isEligible).to.equal(true);
+    expect(offer.breakdown.marketPrice).to.equal(100);
+    expect(offer.amount).to.be.at.most(Math.round(100 * offer.breakdown.baseRate * offer.breakdown.demandMultiplier));
+  });
+
+  it('stays below what the seller would net on eBay', async () => {
+    for (const suggested of [20, 60, 150, 400]) {
+      const offer = await calculateOffer(drill, { pricing: pricedAt(suggested) });
+      if (!offer.isEligible) continue;
+      const ebay = routeProceeds('ebay', { itemData: drill, marketAnalysis: { suggested } });
+      expect(offer.amount, `at ${suggested}`).to.be.below(ebay.cashIfSold);
+      expect(offer.breakdown.ebayCashIfSold).to.equal(ebay.cashIfSold);
+    }
+  });
+
+  it('declines items worth less than the minimum offer', async () => {
+    const offer = await calculateOffer(drill, { pricing: pricedAt(8) });
+    expect(offer).to.include({ isEligible: false, suggestedAlternative: 'donation' });
+  });
+});
+
+describe('route ranking', () => {
+  it('prefers eBay for an item that sells well', async () => {
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, {}, null, { pricing: pricedAt(300), safety: false });
+    const routes = Object.fromEntries([result.recommendedRoute, ...result.alternativeRoutes].map(r => [r.type, r]));
+
+    expect(result.recommendedRoute.type).to.equal('ebay');
+    expect(routes.instant_offer.estimatedReturn).to.be.below(routes.ebay.estimatedReturn);
+    expect(routes.instant_offer.proceeds.sellProbability).to.be.below(1);
+  });
+
+  it('can still prefer the offer when the user wants cash within days', async () => {
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, { sellWithinDays: 7 }, null, { pricing: pricedAt(300), safety: false });
+    expect(result.recommendedRoute.type).to.equal('instant_offer');
+  });
+});
@@ -0,0 +1,107 @@
+// functions/capture-sdk/test/progress.test.js
+// Progress events from analysis and routing, and streaming them as SSE or NDJSON
+
+const { expect } = require('chai');
+const express = require('express');
+const { createProgressEmitter, createProgressStream } = require('../utils/progress.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { createMockProvider, DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const IMAGE = Buffer.from('photo').toString('base64');
+const OFFLINE = { preprocess: false, barcodes: false, productLookup: false, cache: false };
+
+const sdk = new CaptureSDK({
+  visionProvider: 'progress-mock',
+  providers: { 'progress-mock': createMockProvider({ name: 'progress-mock' }) },
+  safety: false
+});
+
+// Parse an SSE body into { event, data } pairs
+const parseSse = body => body.trim().split('\n\n').map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+describe('createProgressEmitter', () => {
+  it('adds the base fields and never lets a listener fail the work', () => {
+    const events = [];
+    createProgressEmitter(event => events.push(event), { phase: 'analyzeItem' })('vision', { provider: 'mock' });
+    expect(events).to.deep.equal([{ phase: 'analyzeItem', step: 'vision', provider: 'mock' }]);
+
+    const failing = createProgressEmitter(() => { throw new Error('listener broke'); }, { phase: 'getRoutes' });
+    expect(() => failing('done')).not.to.throw();
+    expect(createProgressEmitter(null)('done')).to.equal(undefined);
+  });
+
+  it('reports each analysis and routing step in order', async () => {
+    const events = [];
+    const analysis = await sdk.analyzeItem([IMAGE], { ...OFFLINE, onProgress: event => events.push(event) });
+    const pricing = { price: async () => ({ suggested: 300, range: { low: 250, high: 350 }, currency: 'USD', source: 'test' }) };
+    await routeDisposition(analysis, {}, null, { pricing, safety: false, onProgress: event => events.push(event) });
+
+    expect(events.map(e => `${e.phase}/${e.step}`)).to.deep.equal([
+      'analyzeItem/vision',
+      'analyzeItem/done',
+      'getRoutes/comparables',
+      'getRoutes/done'
+    ]);
+    expect(events[0].fields).to.include({ brand: DEFAULT_MOCK_RESPONSE.brand });
+    expect(events[2]).to.include({ suggested: 300, source: 'test' });
+  });
+});
+
+describe('createProgressStream', () => {
+  let server;
+  let baseUrl;
+
+  before(done => {
+    const app = express();
+    app.get('/scan', async (req, res) => {
+      const stream = createProgressStream(req, res);
+      stream.start();
+      if (req.query.fail) return stream.fail(502, { phase: 'analyzeItem', message: 'vision down' });
+      const analysis = await sdk.analyzeItem([IMAGE], { ...OFFLINE, onProgress: stream.progress });
+      return stream.done({ success: true, brand: analysis.brand });
+    });
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(done => server.close(done));
+
+  it('streams progress then the result as Server-Sent Events', async () => {
+    const response = await fetch(`${baseUrl}/scan?stream=1`);
+    expect(response.headers.get('content-type')).to.match(/^text\/event-stream/);
+
+    const events = parseSse(await response.text());
+    expect(events.map(e => e.event)).to.deep.equal(['progress', 'progress', 'result']);
+    expect(events[0].data).to.include({ type: 'progress', phase: 'analyzeItem', step: 'vision' });
+    expect(events[2].data).to.include({ type: 'result', success: true, brand: 'Apple' });
+  });
+
+  it('streams one JSON event per line for NDJSON', async () => {
+    const response = await fetch(`${baseUrl}/scan`, { headers: { Accept: 'application/x-ndjson' } });
+    const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(l => l.type)).to.deep.equal(['progress', 'progress', 'result']);
+  });
+
+  it('ends the stream with an error event once headers are sent', async () => {
+    const response = await fetch(`${baseUrl}/scan?stream=sse&fail=1`);
+    expect(response.status).to.equal(200);
+    expect(parseSse(await response.text())).to.deep.equal([
+      { event: 'error', data: { type: 'error', status: 502, phase: 'analyzeItem', message: 'vision down' } }
+    ]);
+  });
+
+  it('answers with plain JSON when no stream is asked for', async () => {
+    const ok = await fetch(`${baseUrl}/scan`);
+    expect(await ok.json()).to.deep.equal({ success: true, brand: 'Apple' });
+
+    const failed = await fetch(`${baseUrl}/scan?fail=1`);
+    expect(failed.status).to.equal(502);
+    expect(await failed.json()).to.include({ message: 'vision down' });
+  });
+});
@@ -0,0 +1,93 @@
+// functions/capture-sdk/test/prompts.test.js
+// Versioned prompt library and the offline A/B evaluation of prompt versions
+
+const path = require('path');
+const { expect } = require('chai');
+const {
+  DEFAULT_PROMPT_VERSION,
+  registerPrompt,
+  getPrompt,
+  listPrompts,
+  renderPrompt
+} = require('../prompts/index.js');
+const { loadFixtures, evaluatePrompts, scoreAnalysis, formatReport } = require('../eval/evaluatePrompts.js');
+const { createRecordedProvider } = require('../eval/recordedProvider.js');
+const recordings = require('../eval/fixtures/recordings.json');
+
+const MANIFEST = path.join(__dirname, '../eval/fixtures/manifest.json');
+
+describe('prompt library', () => {
+  it('lists the versions and marks the default', () => {
+    const prompts = listPrompts();
+    expect(prompts.map(p => p.version)).to.include.members(['enhanced-v1', 'enhanced-v2', 'enhanced-v3']);
+    expect(prompts.filter(p => p.isDefault).map(p => p.version)).to.deep.equal([DEFAULT_PROMPT_VERSION]);
+  });
+
+  it('never replaces a registered version', () => {
+    expect(() => registerPrompt({ version: 'enhanced-v1', template: 'changed' })).to.throw(/versions are immutable/);
+    expect(() => registerPrompt({ version: 'no-template' })).to.throw(/string version and template/);
+    expect(() => getPrompt('enhanced-v0')).to.throw(/Unknown prompt version "enhanced-v0"/);
+  });
+
+  it('narrows the category guidance to whole-word matches of the hint', () => {
+    const all = renderPrompt('enhanced-v2');
+    const shirt = renderPrompt('enhanced-v2', { categoryHint: 'flannel shirt' });
+    const tablet = renderPrompt('enhanced-v2', { categoryHint: 'tablet' });
+
+    expect(shirt.sections).to.deep.equal(['clothing']);
+    expect(shirt.cacheKey).to.equal('enhanced-v2#clothing');
+    expect(shirt.text.length).to.be.below(all.text.length);
+    expect(tablet.sections).not.to.include('furniture');
+    expect(all.cacheKey).to.equal('enhanced-v2');
+  });
+
+  it('asks for the output language and currency of a non-default locale', () => {
+    const german = renderPrompt('enhanced-v2', { locale: 'de-DE' });
+    expect(german).to.include({ locale: 'de-DE', cacheKey: 'enhanced-v2@de-DE' });
+    expect(german.text).to.match(/OUTPUT LOCALE \(de-DE\)/).and.to.match(/EUR/);
+    expect(renderPrompt('enhanced-v2').text).not.to.match(/OUTPUT LOCALE/);
+  });
+});
+
+describe('prompt evaluation', () => {
+  it('scores fields with their own matching rules', () => {
+    const scores = scoreAnalysis(
+      { category: 'vintage blue denim jacket', model: 'SM G991U', resale: { priceRange: { low: 40, high: 60 } } },
+      { category: 'denim jacket', model: 'SM-G991U', brand: 'Levi', resale: { priceRange: { low: 45, high: 55 } } }
+    );
+    expect(Object.fromEntries(scores.map(s => [s.field, s.correct]))).to.deep.equal({
+      category: true,
+      brand: false,
+      model: true,
+      'resale.priceRange': true
+    });
+  });
+
+  it('compares prompt versions on the recorded fixtures', async () => {
+    const fixtures = await loadFixtures(MANIFEST);
+    const report = await evaluatePrompts({
+      fixtures,
+      provider: createRecordedProvider(recordings),
+      versions: ['enhanced-v1', 'enhanced-v2'],
+      options: { barcodes: false }
+    });
+
+    const [v1, v2] = report.versions;
+    expect(report.provider).to.equal('recorded');
+    expect(v1).to.include({ version: 'enhanced-v1', fixtures: fixtures.length, errors: 0, schemaValidRate: 1 });
+    expect(v2.accuracy).to.be.above(v1.accuracy);
+    expect(v1.fields.model.correct).to.be.below(v1.fields.model.total);
+    expect(formatReport(report)).to.match(/enhanced-v1 misses:\n {2}iphone-12 model: expected "A2172"/);
+  });
+
+  it('reports fixtures that have no recording as errors', async () => {
+    const fixtures = await loadFixtures(MANIFEST);
+    const report = await evaluatePrompts({
+      fixtures: fixtures.slice(0, 1),
+      provider: createRecordedProvider(recordings),
+      versions: ['enhanced-v3'],
+      options: { barcodes: false }
+    });
+    expect(report.versions[0].errors).to.equal(1);
+  });
+});
@@ -0,0 +1,186 @@
+// functions/capture-sdk/test/providers.test.js
+// Vision provider registry and the deterministic mock provider, through analyzeItem
+
+const { expect } = require('chai');
+const {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  hasProvider,
+  listProviders,
+  resolveApiKey,
+  createMockProvider
+} = require('../providers/index.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const { analyzeItem } = require('../core/analyzeItem.js');
+const CaptureSDK = require('../index.js');
+
+// Offline options: no sharp preprocessing, no barcode decoding
+const OFFLINE = { preprocess: false, barcodes: false };
+const IMAGE = Buffer.from('not really a photo').toString('base64');
+
+describe('provider registry', () => {
+  afterEach(() => {
+    unregisterProvider('custom');
+  });
+
+  it('registers the built-in providers', () => {
+    expect(listProviders()).to.include.members(['claude', 'openai', 'gemini', 'ollama', 'mock']);
+  });
+
+  it('resolves legacy aliases and is case-insensitive', () => {
+    expect(getProvider('gpt4v').name).to.equal('openai');
+    expect(getProvider('anthropic').name).to.equal('claude');
+    expect(getProvider('MOCK').name).to.equal('mock');
+    expect(hasProvider('llava')).to.equal(true);
+  });
+
+  it('rejects unknown names and providers without analyze()', () => {
+    expect(() => getProvider('nope')).to.throw(/Unknown vision provider "nope"/);
+    expect(() => registerProvider('custom', {})).to.throw(/must implement analyze/);
+    expect(() => registerProvider('', { analyze() {} })).to.throw(/non-empty string/);
+    expect(() => getProvider({ name: 'inline' })).to.throw(/must implement analyze/);
+  });
+
+  it('registers, replaces and removes a custom provider', () => {
+    registerProvider('custom', createMockProvider({ name: 'custom', model: 'v1' }));
+    expect(getProvider('custom').defaultModel).to.equal('v1');
+
+    registerProvider('custom', createMockProvider({ name: 'custom', model: 'v2' }));
+    expect(getProvider('custom').defaultModel).to.equal('v2');
+
+    expect(unregisterProvider('custom')).to.equal(true);
+    expect(hasProvider('custom')).to.equal(false);
+  });
+
+  it('passes provider objects straight through', () => {
+    const inline = createMockProvider({ name: 'inline' });
+    expect(getProvider(inline)).to.equal(inline);
+  });
+
+  it('prefers an explicit API key over the environment', () => {
+    const provider = { envKey: 'TEST_VISION_KEY' };
+    process.env.TEST_VISION_KEY = 'from-env';
+    try {
+      expect(resolveApiKey(provider, 'explicit')).to.equal('explicit');
+      expect(resolveApiKey(provider)).to.equal('from-env');
+      expect(resolveApiKey({ envKey: null })).to.equal(undefined);
+    } finally {
+      delete process.env.TEST_VISION_KEY;
+    }
+  });
+});
+
+describe('SDK provider registries', () => {
+  it('keeps a custom provider on the instance that registered it', async () => {
+    const sdk = new CaptureSDK({ visionProvider: 'custom', providers: { custom: createMockProvider({ name: 'custom' }) }, safety: false });
+    sdk.registerProvider('extra', createMockProvider({ name: 'extra' }));
+
+    expect(sdk.listProviders()).to.include.members(['claude', 'custom', 'extra']);
+    expect(hasProvider('custom')).to.equal(false);
+    expect(hasProvider('extra')).to.equal(false);
+    expect(new CaptureSDK({ safety: false }).listProviders()).not.to.include('custom');
+    expect(() => new CaptureSDK({ visionProvider: 'custom' })).to.throw(/Unknown vision provider "custom"/);
+
+    const result = await sdk.analyzeItem([IMAGE], { ...OFFLINE, cache: false, productLookup: false });
+    expect(result.brand).to.equal(DEFAULT_MOCK_RESPONSE.brand);
+  });
+
+  it('sees providers registered globally before it was created', () => {
+    registerProvider('custom', createMockProvider({ name: 'custom' }));
+    try {
+      expect(new CaptureSDK({ visionProvider: 'custom' }).visionProvider).to.equal('custom');
+    } finally {
+      unregisterProvider('custom');
+    }
+  });
+});
+
+describe('mock provider', () => {
+  it('returns the default response and records every call', async () => {
+    const mock = createMockProvider();
+    const raw = await mock.analyze([IMAGE], 'prompt', {});
+
+    expect(JSON.parse(raw.text)).to.deep.equal(DEFAULT_MOCK_RESPONSE);
+    expect(raw.model).to.equal('mock-vision-1');
+    expect(mock.calls).to.have.length(1);
+    expect(mock.calls[0]).to.include({ imageCount: 1, prompt: 'prompt' });
+
+    mock.reset();
+    expect(mock.calls).to.have.length(0);
+  });
+
+  it('plays a fixed sequence and repeats the last entry', async () => {
+    const mock = createMockProvider({ responses: ['first', { second: true }] });
+    const texts = [];
+    for (let i = 0; i < 3; i++) texts.push((await mock.analyze([], '', {})).text);
+    expect(texts).to.deep.equal(['first', '{"second":true}', '{"second":true}']);
+  });
+
+  it('calls response functions with the call index', async () => {
+    const mock = createMockProvider({ response: (images, prompt, options, callIndex) => ({ callIndex }) });
+    await mock.analyze([], '', {});
+    expect(JSON.parse((await mock.analyze([], '', {})).text)).to.deep.equal({ callIndex: 1 });
+  });
+
+  it('throws the configured error', async () => {
+    const mock = createMockProvider({ error: 'provider down' });
+    let error;
+    try {
+      await mock.analyze([], '', {});
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an('error').with.property('message', 'provider down');
+  });
+});
+
+describe('analyzeItem with the mock provider', () => {
+  it('normalizes the mock response without a network or API key', async () => {
+    const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: 'mock' });
+
+    expect(result.error).to.equal(undefined);
+    expect(result.provider).to.equal('mock');
+    expect(result.visionModel).to.equal('mock-vision-1');
+    expect(result).to.include({ category: 'electronics', brand: 'Apple', model: 'iPhone 12' });
+    expect(result.condition.rating).to.equal('good');
+    expect(result.fieldConfidence).to.have.property('overall');
+  });
+
+  it('is deterministic for the same input', async () => {
+    const mock = createMockProvider();
+    // Timing varies run to run
+    const strip = ({ analyzedAt, usage: { latencyMs, ...usage }, ...rest }) => ({ ...rest, usage });
+    const first = await analyzeItem([IMAGE], { ...OFFLINE, provider: mock });
+    const second = await analyzeItem([IMAGE], { ...OFFLINE, provider: mock });
+    expect(strip(second)).to.deep.equal(strip(first));
+  });
+
+  it('uses a registered provider by name', async () => {
+    registerProvider('custom', createMockProvider({
+      name: 'custom',
+      response: { ...DEFAULT_MOCK_RESPONSE, category: 'tools', brand: 'DeWalt', model: 'DCD771' }
+    }));
+    try {
+      const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: 'custom' });
+      expect(result).to.include({ provider: 'custom', category: 'tools', brand: 'DeWalt' });
+    } finally {
+      unregisterProvider('custom');
+    }
+  });
+
+  it('returns an error result instead of throwing when the provider fails', async () => {
+    const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: createMockProvider({ error: 'boom' }) });
+    expect(result).to.include({ error: 'boom', errorCode: 'ANALYSIS_FAILED', provider: 'mock' });
+  });
+
+  it('requires at least one image', async () => {
+    let error;
+    try {
+      await analyzeItem([], { ...OFFLINE, provider: 'mock' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an('error').with.property('message').that.match(/At least one image/);
+  });
+});
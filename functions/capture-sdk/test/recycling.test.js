@@ -0,0 +1,112 @@
+// functions/capture-sdk/test/recycling.test.js
+// Recycling: material streams, resin codes, weights, scrap value and the recycle route
+
+const { expect } = require('chai');
+const {
+  classifyRecycling,
+  resolveRecycling,
+  classifyMaterial,
+  estimateWeightLbs
+} = require('../core/recycling.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+
+const unsold = {
+  price: async () => ({ suggested: 0, range: { low: 0, high: 0 }, currency: 'USD', source: 'test' })
+};
+
+const brokenLaptop = {
+  category: 'laptop',
+  brand: 'Dell',
+  condition: { usableAsIs: false, description: 'Cracked screen, does not power on' },
+  specifications: { weight: '2 kg' },
+  salvageable: [{ component: 'RAM module' }, 'copper wire']
+};
+
+describe('classifyMaterial', () => {
+  it('maps materials to their stream', () => {
+    expect(classifyMaterial('aluminum frame')).to.deep.equal({ material: 'aluminum', stream: 'scrap_metal' });
+    expect(classifyMaterial('cotton')).to.deep.equal({ material: 'textile', stream: 'textiles' });
+    expect(classifyMaterial('')).to.deep.equal({ material: 'unknown', stream: 'landfill' });
+  });
+
+  it('reads resin codes from numbers and named plastics', () => {
+    expect(classifyMaterial('#5 container')).to.include({ stream: 'plastics', resinCode: 5 });
+    expect(classifyMaterial('PET plastic bottle')).to.include({ stream: 'plastics', resinCode: 1 });
+  });
+
+  it('only treats an abbreviation as a resin next to "plastic"', () => {
+    expect(classifyMaterial('pet bed')).to.deep.equal({ material: 'unknown', stream: 'landfill' });
+  });
+});
+
+describe('estimateWeightLbs', () => {
+  it('converts the specified weight to pounds', () => {
+    expect(estimateWeightLbs({ specifications: { weight: '2 kg' } })).to.equal(4.41);
+    expect(estimateWeightLbs({ specifications: { weight: '8 oz' } })).to.equal(0.5);
+    expect(estimateWeightLbs({ specifications: { weight: '12 lbs' } })).to.equal(12);
+  });
+
+  it('falls back to a default weight for unknown categories', () => {
+    expect(estimateWeightLbs({ category: 'widget' })).to.equal(5);
+  });
+});
+
+describe('classifyRecycling', () => {
+  it('sends a whole device to e-waste and pulled parts to their own streams', () => {
+    const recycling = classifyRecycling(brokenLaptop);
+
+    expect(recycling.primaryStream).to.equal('e_waste');
+    expect(recycling.streams.map(s => s.stream)).to.deep.equal(['e_waste', 'scrap_metal', 'batteries']);
+    expect(recycling.components.map(c => c.material)).to.deep.equal(['circuit_board', 'copper_wire']);
+    expect(recycling.recyclable).to.equal(true);
+  });
+
+  it('values scrap by weight and sums it across streams', () => {
+    const recycling = classifyRecycling({ category: 'chair', materials: ['steel', 'cotton fabric'] });
+    const [metal, textiles] = recycling.streams;
+
+    // 70% of a 15 lb chair in steel at $0.03-0.08/lb
+    expect(metal).to.include({ stream: 'scrap_metal' });
+    expect(metal.scrapValue).to.deep.equal({ low: 0.32, high: 0.84 });
+    expect(textiles.stream).to.equal('textiles');
+    expect(recycling.estimatedScrapValue).to.deep.equal({ low: 0.32, high: 0.99, currency: 'USD' });
+  });
+
+  it('applies scrap price overrides', () => {
+    const recycling = classifyRecycling({ category: 'chair', materials: ['steel'] }, { scrapPrices: { steel: { low: 1, high: 1 } } });
+    expect(recycling.estimatedScrapValue).to.include({ low: 15, high: 15 });
+  });
+
+  it('warns when a resin is rarely taken curbside', () => {
+    const recycling = classifyRecycling({ category: 'toy', materials: ['#6 plastic'] });
+    expect(recycling.streams[0].resinCodes).to.deep.equal([6]);
+    expect(recycling.streams[0].dropOff).to.match(/^#6 .* rarely accepted curbside/);
+  });
+
+  it('has nothing recyclable when no material has a stream', () => {
+    const recycling = classifyRecycling({ category: 'widget' });
+    expect(recycling).to.include({ primaryStream: 'landfill', recyclable: false });
+    expect(recycling.estimatedScrapValue).to.include({ low: 0, high: 0 });
+  });
+
+  it('reuses the classification stored on the analysis', () => {
+    const stored = { primaryStream: 'textiles' };
+    expect(resolveRecycling({ recycling: stored })).to.equal(stored);
+    expect(resolveRecycling({ category: 'widget' }).primaryStream).to.equal('landfill');
+  });
+});
+
+describe('recycle route', () => {
+  it('recommends recycling a broken item with no resale value', async () => {
+    const result = await routeDisposition(brokenLaptop, {}, null, { pricing: unsold, safety: false });
+    const route = result.recommendedRoute;
+    const recycling = classifyRecycling(brokenLaptop);
+
+    expect(route).to.include({ type: 'recycle', stream: 'e_waste' });
+    expect(route.reason).to.match(/not usable as-is - recycle the materials/);
+    expect(route.scrapValue).to.deep.equal(recycling.estimatedScrapValue);
+    expect(route.estimatedReturn).to.equal((recycling.estimatedScrapValue.low + recycling.estimatedScrapValue.high) / 2);
+    expect(route.proceeds.route).to.equal('recycle');
+    expect(result.alternativeRoutes.map(r => r.type)).to.include('donation');
+  });
+});
@@ -0,0 +1,126 @@
+// functions/capture-sdk/test/routing.test.js
+// Routing policy: resolving operator and user values, validating preferences and the rules
+
+const { expect } = require('chai');
+const { createRoutingPolicy, RoutingPolicy } = require('../routing/index.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const pricing = {
+  price: async () => ({ suggested: 300, range: { low: 250, high: 350 }, currency: 'USD', source: 'test' })
+};
+
+const route = (preferences, routing) => routeDisposition(DEFAULT_MOCK_RESPONSE, preferences, null, { pricing, safety: false, routing });
+const routeTypes = result => [result.recommendedRoute, ...result.alternativeRoutes].map(r => r.type);
+
+describe('RoutingPolicy.resolve', () => {
+  it('layers defaults, operator and user values', () => {
+    const routing = createRoutingPolicy({ policy: { minProfit: 5, hourlyRate: 20 }, locked: ['minProfit'] });
+    const { values, sources } = routing.resolve({ minProfit: 1, hourlyRate: 30, goal: 'cash_now' });
+
+    expect(values).to.include({ minProfit: 5, hourlyRate: 30, goal: 'cash_now', sellWithinDays: 7 });
+    expect(sources).to.include({ minProfit: 'locked', hourlyRate: 'user', goal: 'user', sellWithinDays: 'goal:cash_now', willShip: 'default' });
+  });
+
+  it('accepts a bare object as the operator policy', () => {
+    expect(createRoutingPolicy({ maxEffort: 'low' }).resolve().sources.maxEffort).to.equal('operator');
+  });
+
+  it('rejects invalid operator values up front', () => {
+    expect(() => createRoutingPolicy({ goal: 'fastest' })).to.throw(/Unknown routing goal/);
+    expect(() => new RoutingPolicy({ policy: { minProfit: -1 } })).to.throw(/minProfit/);
+  });
+
+  it('drops invalid user values instead of throwing', () => {
+    const { values, sources, invalid } = createRoutingPolicy().resolve({ goal: 'fastest', maxEffort: 'low', willShip: 'no' });
+
+    expect(values).to.include({ goal: 'balanced', maxEffort: 'low', willShip: true });
+    expect(sources.goal).to.equal('default');
+    expect(invalid.map(i => i.field)).to.deep.equal(['goal', 'willShip']);
+    expect(invalid[0].reason).to.match(/Unknown routing goal "fastest"/);
+  });
+});
+
+describe('RoutingPolicy.validate', () => {
+  const routing = createRoutingPolicy({ policy: { minProfit: 5 }, locked: ['minProfit'] });
+
+  it('accepts valid preferences and clearing a field', () => {
+    expect(routing.validate({ goal: 'max_value', hourlyRate: 0, sellWithinDays: null })).to.deep.equal({
+      valid: true,
+      values: { goal: 'max_value', hourlyRate: 0, sellWithinDays: null },
+      errors: []
+    });
+  });
+
+  it('reports unknown, locked and invalid fields', () => {
+    const { valid, values, errors } = routing.validate({
+      goal: 'max_value',
+      minProfit: 1,
+      colour: 'blue',
+      maxShipWeightLbs: '20',
+      alwaysDonateCategories: 'clothing'
+    });
+
+    expect(valid).to.equal(false);
+    expect(values).to.deep.equal({ goal: 'max_value' });
+    expect(errors.map(e => e.field)).to.deep.equal(['minProfit', 'colour', 'maxShipWeightLbs', 'alwaysDonateCategories']);
+    expect(errors[0].message).to.match(/set by the operator/);
+  });
+
+  it('needs an object', () => {
+    expect(routing.validate(null).valid).to.equal(false);
+    expect(routing.validate(['goal']).valid).to.equal(false);
+  });
+
+  it('is available on the SDK', () => {
+    const sdk = new CaptureSDK({ routing: { policy: { minProfit: 5 }, locked: ['minProfit'] } });
+    expect(sdk.validateRoutingPreferences({ minProfit: 1 }).valid).to.equal(false);
+  });
+});
+
+describe('routing decisions', () => {
+  it('still routes when a stored preference is invalid, and says what was ignored', async () => {
+    const result = await route({ goal: 'fastest', maxEffort: 'ludicrous' });
+
+    expect(result.marketAnalysis.estimatedValue.source).to.equal('test');
+    expect(result.recommendedRoute.type).not.to.equal(undefined);
+    const ignored = result.routing.decisions.filter(d => d.outcome === 'invalid');
+    expect(ignored.map(d => d.field)).to.deep.equal(['goal', 'maxEffort']);
+    expect(ignored[0]).to.include({ rule: 'policy', route: null });
+  });
+
+  it('keeps everything local when the user will not ship', async () => {
+    const result = await route({ willShip: false });
+    expect(routeTypes(result)).not.to.include('ebay');
+    expect(result.routing.excluded.map(r => r.type)).to.include('ebay');
+  });
+
+  it('donates the categories the user always donates', async () => {
+    const result = await route({ alwaysDonateCategories: ['electronics'] });
+    expect(result.recommendedRoute.type).to.equal('donation');
+  });
+
+  it('applies operator locks over user preferences', async () => {
+    const routing = createRoutingPolicy({ policy: { willShip: false }, locked: ['willShip'] });
+    const result = await route({ willShip: true }, routing);
+    expect(routeTypes(result)).not.to.include('ebay');
+    expect(result.routing.sources.willShip).to.equal('locked');
+  });
+
+  it('falls back to donation in the same shape when pricing fails', async () => {
+    const failing = { price: async () => { throw new Error('eBay down'); } };
+    const routed = await route({});
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, { goal: 'fastest' }, null, { pricing: failing, safety: false });
+
+    expect(Object.keys(result)).to.have.members(Object.keys(routed));
+    expect(result.recommendedRoute).to.include({ type: 'donation', priority: 1 });
+    expect(result.recommendedRoute.proceeds).to.include({ route: 'donation' });
+    expect(result.recommendedRoute.expectedNetValue).to.equal(result.recommendedRoute.proceeds.expectedNetValue);
+    expect(result.alternativeRoutes).to.deep.equal([]);
+    expect(result.routing.decisions.map(d => d.outcome)).to.deep.equal(['invalid', 'fallback']);
+    expect(result.routing.policy.goal).to.equal('balanced');
+    expect(result.marketAnalysis).to.include({ dataSource: 'error_fallback', currency: 'USD', marketplaceId: 'EBAY_US' });
+    expect(result.marketAnalysis.estimatedValue.reason).to.equal('eBay down');
+  });
+});
@@ -0,0 +1,114 @@
+// functions/capture-sdk/test/safety.test.js
+// Safety screening rules and the notices routing carries onto each route
+
+const { expect } = require('chai');
+const { createSafetyScreener } = require('../safety/index.js');
+const { routeDisposition } = require('../core/routeDisposition.js');
+const { DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+
+const NOW = new Date('2026-06-01');
+
+const item = fields => ({
+  category: 'baby',
+  brand: 'Unknown',
+  model: 'Unknown',
+  condition: { rating: 'good', description: 'Light wear', issues: [] },
+  identifiers: { visible_text: 'Unknown' },
+  ...fields
+});
+
+const pricing = {
+  price: async () => ({
+    suggested: 300,
+    priceRange: { low: 250, high: 350 },
+    source: 'test',
+    confidence: 'high',
+    currency: 'USD',
+    sampleSize: 12
+  })
+};
+
+describe('SafetyScreener', () => {
+  const screener = createSafetyScreener();
+
+  it('is on by default and can be disabled', () => {
+    expect(screener).not.to.equal(null);
+    expect(createSafetyScreener(false)).to.equal(null);
+  });
+
+  it('blocks sale of an expired car seat', async () => {
+    const result = await screener.screen(item({
+      model: 'Infant car seat',
+      identifiers: { visible_text: 'DO NOT USE AFTER 03/2024' }
+    }), { now: NOW });
+
+    expect(result.status).to.equal('blocked');
+    expect(result.redirectTo).to.equal('safe_disposal');
+    expect(result.blockedRoutes).to.include.members(['ebay', 'donation']);
+  });
+
+  it('asks for review when a car seat has no date', async () => {
+    const result = await screener.screen(item({ model: 'Booster seat' }), { now: NOW });
+    expect(result).to.include({ status: 'warning', requiresReview: true });
+    expect(result.blockedRoutes).to.deep.equal(['instant_offer']);
+  });
+
+  it('blocks a damaged helmet', async () => {
+    const result = await screener.screen(item({
+      category: 'sports',
+      model: 'Bike helmet',
+      condition: { rating: 'fair', description: 'Cracked shell after an impact', issues: [] }
+    }), { now: NOW });
+    expect(result.status).to.equal('blocked');
+  });
+
+  it('restricts lithium battery shipping to the shipped routes', async () => {
+    const result = await screener.screen(DEFAULT_MOCK_RESPONSE, { now: NOW });
+    const lithium = result.warnings.find(w => w.id === 'lithium_battery');
+
+    expect(result.status).to.equal('clear');
+    expect(result.shippingRestrictions).to.deep.equal(['battery_installed']);
+    expect(lithium.appliesToRoutes).to.deep.equal(['ebay', 'instant_offer']);
+  });
+
+  it('matches built-in prohibited items', async () => {
+    const result = await screener.screen(item({ model: 'Drop-side crib' }), { now: NOW });
+    expect(result.warnings.map(w => w.id)).to.include('cpsc-drop-side-crib');
+    expect(result.status).to.equal('blocked');
+  });
+
+  it('carries appliesToRoutes through from dataset entries', async () => {
+    const local = createSafetyScreener({
+      datasets: [],
+      entries: [{ id: 'note-1', type: 'prohibited', title: 'iPhone note', brand: 'Apple', models: ['iPhone 12'], blockedRoutes: [], appliesToRoutes: ['local_pickup'] }]
+    });
+    const result = await local.screen(DEFAULT_MOCK_RESPONSE, { now: NOW });
+    expect(result.warnings.find(w => w.id === 'note-1').appliesToRoutes).to.deep.equal(['local_pickup']);
+  });
+});
+
+describe('route safety notices', () => {
+  it('attaches shipping notices only to the routes that ship', async () => {
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, {}, null, { pricing, safety: createSafetyScreener() });
+    const routes = Object.fromEntries([result.recommendedRoute, ...result.alternativeRoutes].map(r => [r.type, r]));
+
+    expect(routes.ebay.safetyWarnings).to.deep.equal(['Ship with the battery installed and the device switched off']);
+    expect(routes.ebay.shippingRestrictions).to.deep.equal(['battery_installed']);
+    expect(routes.instant_offer.shippingRestrictions).to.deep.equal(['battery_installed']);
+    ['local_pickup', 'donation', 'recycle'].forEach(type => {
+      expect(routes[type], type).not.to.have.property('safetyWarnings');
+      expect(routes[type], type).not.to.have.property('shippingRestrictions');
+    });
+  });
+
+  it('attaches untagged notices to every route', async () => {
+    const safety = createSafetyScreener({
+      entries: [{ id: 'note-1', type: 'prohibited', title: 'Check the IMEI', brand: 'Apple', models: ['iPhone 12'], severity: 'info', blockedRoutes: [] }]
+    });
+    const result = await routeDisposition(DEFAULT_MOCK_RESPONSE, {}, null, { pricing, safety });
+
+    [result.recommendedRoute, ...result.alternativeRoutes].forEach(route => {
+      expect(route.safetyWarnings, route.type).to.include('Check the IMEI');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// functions/capture-sdk/test/schemaValidator.test.js
+// JSON Schema subset validator, the item-analysis schema and the re-prompt repair loop
+
+const { expect } = require('chai');
+const { validateSchema } = require('../utils/schemaValidator.js');
+const {
+  validateAnalysis,
+  collectDefaultedFields,
+  buildRepairPrompt
+} = require('../core/analysisSchema.js');
+const { createMockProvider, DEFAULT_MOCK_RESPONSE } = require('../providers/mock.js');
+const { analyzeItem } = require('../core/analyzeItem.js');
+
+const OFFLINE = { preprocess: false, barcodes: false };
+const IMAGE = Buffer.from('photo').toString('base64');
+
+describe('validateSchema', () => {
+  it('accepts a matching value', () => {
+    const schema = { type: 'object', required: ['a'], properties: { a: { type: 'integer', minimum: 1 } } };
+    expect(validateSchema({ a: 2 }, schema)).to.deep.equal([]);
+  });
+
+  it('reports the path and keyword of each failure', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'tags'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        tags: { type: 'array', minItems: 1, items: { type: 'string', enum: ['a', 'b'] } },
+        score: { type: 'number', maximum: 10 }
+      }
+    };
+    const errors = validateSchema({ name: '  ', tags: ['a', 'c'], score: 11 }, schema);
+    expect(errors.map(e => `${e.path}:${e.keyword}`)).to.have.members([
+      'name:minLength',
+      'tags[1]:enum',
+      'score:maximum'
+    ]);
+  });
+
+  it('stops at a type mismatch and treats integers as numbers', () => {
+    expect(validateSchema('x', { type: 'object', required: ['a'] })).to.have.length(1);
+    expect(validateSchema(3, { type: 'number' })).to.deep.equal([]);
+    expect(validateSchema(3.5, { type: 'integer' })[0].keyword).to.equal('type');
+  });
+
+  it('flags missing and null required keys and extra keys when closed', () => {
+    const schema = { type: 'object', required: ['a', 'b'], properties: { a: {}, b: {} }, additionalProperties: false };
+    const errors = validateSchema({ a: null, c: 1 }, schema);
+    expect(errors.map(e => `${e.path}:${e.keyword}`)).to.have.members(['a:required', 'b:required', 'c:additionalProperties']);
+  });
+
+  it('handles anyOf and oneOf', () => {
+    const anyOf = { anyOf: [{ type: 'string' }, { type: 'number' }] };
+    expect(validateSchema(1, anyOf)).to.deep.equal([]);
+    expect(validateSchema(true, anyOf)[0].keyword).to.equal('anyOf');
+
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    expect(validateSchema(1, oneOf)[0].keyword).to.equal('oneOf');
+    expect(validateSchema(1.5, oneOf)).to.deep.equal([]);
+  });
+});
+
+describe('validateAnalysis', () => {
+  it('accepts the mock provider response', () => {
+    expect(validateAnalysis(DEFAULT_MOCK_RESPONSE)).to.deep.equal({ valid: true, errors: [] });
+  });
+
+  it('accepts a price range object as well as a string', () => {
+    const parsed = { ...DEFAULT_MOCK_RESPONSE, resale: { ...DEFAULT_MOCK_RESPONSE.resale, priceRange: { low: 5, high: 9 } } };
+    expect(validateAnalysis(parsed).valid).to.equal(true);
+  });
+
+  it('rejects non-objects and bad fields', () => {
+    expect(validateAnalysis(null).errors[0].message).to.match(/not a JSON object/);
+
+    const parsed = {
+      ...DEFAULT_MOCK_RESPONSE,
+      confidence: 42,
+      condition: { ...DEFAULT_MOCK_RESPONSE.condition, rating: 'mint' },
+      resale: { ...DEFAULT_MOCK_RESPONSE.resale, priceRange: 'cheap' }
+    };
+    const paths = validateAnalysis(parsed).errors.map(e => e.path);
+    expect(paths).to.include.members(['confidence', 'condition.rating', 'resale.priceRange']);
+  });
+
+  it('lists the fields that will be defaulted', () => {
+    const { brand, ...withoutBrand } = DEFAULT_MOCK_RESPONSE;
+    const { errors } = validateAnalysis({ ...withoutBrand, confidence: 42 });
+    const defaulted = collectDefaultedFields({ ...withoutBrand, confidence: 42 }, errors);
+    expect(defaulted).to.include.members(['brand', 'confidence']);
+    expect(defaulted).not.to.include('category');
+  });
+
+  it('builds a repair prompt naming every error', () => {
+    const prompt = buildRepairPrompt('ORIGINAL', '{"brand":1}', [{ path: 'brand', message: 'expected string, got integer' }]);
+    expect(prompt).to.contain('ORIGINAL');
+    expect(prompt).to.contain('- brand: expected string, got integer');
+    expect(prompt).to.contain('{"brand":1}');
+  });
+});
+
+describe('analyzeItem schema repair', () => {
+  const invalid = { ...DEFAULT_MOCK_RESPONSE, confidence: 42 };
+
+  it('re-prompts with the validation errors and keeps the repaired answer', async () => {
+    const mock = createMockProvider({ responses: [invalid, DEFAULT_MOCK_RESPONSE] });
+    const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: mock });
+
+    expect(mock.calls).to.have.length(2);
+    expect(mock.calls[1].prompt).to.contain('VALIDATION ERRORS');
+    expect(mock.calls[1].prompt).to.contain('- confidence:');
+    expect(result.validation).to.include({ valid: true, repaired: true, repairAttempts: 1 });
+  });
+
+  it('defaults fields when the repair is still invalid', async () => {
+    const mock = createMockProvider({ response: invalid });
+    const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: mock });
+
+    expect(result.validation).to.include({ valid: false, repaired: false, repairAttempts: 1 });
+    expect(result.validation.defaultedFields).to.include('confidence');
+  });
+
+  it('skips the repair when disabled', async () => {
+    const mock = createMockProvider({ response: invalid });
+    const result = await analyzeItem([IMAGE], { ...OFFLINE, provider: mock, repair: false });
+
+    expect(mock.calls).to.have.length(1);
+    expect(result.validation.repairAttempts).to.equal(0);
+  });
+});
@@ -0,0 +1,122 @@
+// functions/capture-sdk/test/scoring.test.js
+// Comparable scoring: recency, title and condition weights, rejections and outlier fences
+
+const { expect } = require('chai');
+const { scoreComparables, rejectOutliers, listingConditionRating } = require('../pricing/scoring.js');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const headphones = { category: 'electronics', brand: 'Sony', model: 'XM4', condition: { rating: 'good', issues: [] } };
+
+const sale = (fields = {}) => ({ price: 100, sold: true, soldAt: daysAgo(0), title: 'Sony XM4 electronics', condition: 'Used - Good', ...fields });
+const score = (comparables, itemData = headphones, options = {}) => scoreComparables(comparables, itemData, { now: NOW, ...options });
+const only = (comparable, itemData) => score([comparable], itemData).scored[0];
+
+describe('listingConditionRating', () => {
+  it('reads eBay condition names', () => {
+    expect(listingConditionRating('For parts or not working')).to.equal('poor');
+    expect(listingConditionRating('Open box')).to.equal('excellent');
+    expect(listingConditionRating('Used - Acceptable')).to.equal('fair');
+    expect(listingConditionRating('Pre-owned')).to.equal('good');
+    expect(listingConditionRating('Not specified')).to.equal(null);
+  });
+
+  it('rates "new with defects" as new and "used with defects" as used', () => {
+    expect(listingConditionRating('New with defects')).to.equal('excellent');
+    expect(listingConditionRating('Used with defects')).to.equal('good');
+  });
+});
+
+describe('scoreComparables weights', () => {
+  it('halves a sale every 30 days', () => {
+    expect(only(sale()).weights.recency).to.equal(1);
+    expect(only(sale({ soldAt: daysAgo(30) }))).to.deep.include({ ageDays: 30, weights: { recency: 0.5, similarity: 1, condition: 1 } });
+    expect(only(sale({ soldAt: daysAgo(60) })).weights.recency).to.equal(0.25);
+  });
+
+  it('half-trusts asking prices and undated sales', () => {
+    expect(only(sale({ sold: false, soldAt: undefined })).weights.recency).to.equal(0.5);
+    expect(only(sale({ soldAt: undefined })).weights.recency).to.equal(0.5);
+  });
+
+  it('scales by the share of brand, model and category words in the title', () => {
+    expect(only(sale({ title: 'Sony XM4 headphones' })).weights.similarity).to.equal(0.77);
+    expect(only(sale({ title: 'Bose QC45 headphones' })).weights.similarity).to.equal(0.3);
+    expect(only(sale({ title: 'Bose QC45', exactMatch: true })).weights.similarity).to.equal(1);
+  });
+
+  it('weighs by how many condition steps apart the listing is', () => {
+    expect(only(sale({ condition: 'Used - Good' })).weights.condition).to.equal(1);
+    expect(only(sale({ condition: 'New' })).weights.condition).to.equal(0.7);
+    expect(only(sale({ condition: 'Not specified' })).weights.condition).to.equal(0.8);
+    const excellent = { ...headphones, condition: { rating: 'excellent', issues: [] } };
+    expect(only(sale({ condition: 'Used - Acceptable' }), excellent).weights.condition).to.equal(0.4);
+  });
+
+  it('multiplies the components and applies the price factor', () => {
+    const scored = score([sale({ sold: false, title: 'Sony XM4 headphones', condition: 'New' })], headphones, { priceFactor: () => 0.92 }).scored[0];
+    expect(scored.weight).to.equal(Math.round(0.5 * 0.77 * 0.7 * 100) / 100);
+    expect(scored.adjustedPrice).to.equal(92);
+  });
+
+  it('uses recency alone without an item', () => {
+    expect(score([sale({ title: 'anything', condition: 'New' })], null).scored[0].weights).to.deep.equal({ recency: 1, similarity: 1, condition: 1 });
+  });
+});
+
+describe('scoreComparables rejections', () => {
+  it('rejects lots', () => {
+    const { scored, rejected } = score([sale({ title: 'Lot of 3 Sony XM4' })]);
+    expect(scored).to.deep.equal([]);
+    expect(rejected[0].reason).to.equal('lot');
+  });
+
+  it('keeps lots as comparables for an item that is itself a lot', () => {
+    expect(score([sale({ title: 'Lot of 3 Sony XM4' })], { ...headphones, quantity: 3 }).scored).to.have.length(1);
+  });
+
+  it('rejects for-parts listings by title or condition for a working item', () => {
+    const { rejected } = score([sale({ title: 'Sony XM4 broken' }), sale({ condition: 'For parts or not working' })]);
+    expect(rejected.map(r => r.reason)).to.deep.equal(['for_parts', 'for_parts']);
+  });
+
+  it('keeps for-parts listings for a for-parts item', () => {
+    const broken = { ...headphones, condition: { rating: 'fair', usableAsIs: false, issues: [] } };
+    expect(score([sale({ title: 'Sony XM4 broken' })], broken).scored).to.have.length(1);
+  });
+
+  it('rejects sales older than the window with their age', () => {
+    const { scored, rejected } = score([sale({ soldAt: daysAgo(120) }), sale({ soldAt: daysAgo(40) })], headphones, { daysBack: 90 });
+    expect(scored).to.have.length(1);
+    expect(rejected[0]).to.include({ reason: 'stale', ageDays: 120 });
+  });
+});
+
+describe('rejectOutliers', () => {
+  const scored = prices => prices.map(adjustedPrice => ({ adjustedPrice, weight: 1, weights: {} }));
+
+  it('fences at 1.5 x IQR', () => {
+    const { kept, outliers, fences } = rejectOutliers(scored([100, 102, 104, 106, 108, 300]), 'iqr');
+    expect(fences).to.deep.equal({ low: 95, high: 115, method: 'iqr' });
+    expect(kept).to.have.length(5);
+    expect(outliers).to.deep.equal([{ adjustedPrice: 300, reason: 'outlier' }]);
+  });
+
+  it('fences at a modified z-score of 3.5 with MAD', () => {
+    const { outliers, fences } = rejectOutliers(scored([90, 100, 110, 120, 130, 1000]), 'mad');
+    expect(fences).to.deep.equal({ low: 37.16, high: 192.84, method: 'mad' });
+    expect(outliers.map(o => o.adjustedPrice)).to.deep.equal([1000]);
+  });
+
+  it('leaves mostly identical prices alone under MAD but not IQR', () => {
+    const prices = scored([100, 100, 100, 100, 130]);
+    expect(rejectOutliers(prices, 'mad')).to.deep.include({ outliers: [], fences: null });
+    expect(rejectOutliers(prices, 'iqr').outliers).to.have.length(1);
+  });
+
+  it('needs four prices and can be switched off', () => {
+    expect(rejectOutliers(scored([1, 2, 1000]), 'iqr').fences).to.equal(null);
+    expect(rejectOutliers(scored([100, 102, 104, 106, 108, 300]), false).kept).to.have.length(6);
+  });
+});
@@ -0,0 +1,14 @@
+// functions/capture-sdk/test/setup.js
+// Mocha setup for the offline suite: the SDK logs every step, keep the reporter readable
+// (DEBUG=1 npm test shows the logs)
+
+if (!process.env.DEBUG) {
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
+
+// No test may reach a real API: credentials from the environment are dropped
+['CLAUDE_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'EBAY_CLIENT_ID', 'EBAY_CLIENT_SECRET', 'EBAY_BASE_URL'].forEach(key => {
+  delete process.env[key];
+});
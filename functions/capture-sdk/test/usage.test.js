@@ -0,0 +1,107 @@
+// functions/capture-sdk/test/usage.test.js
+// Usage ledger totals and the monthly budget the SDK enforces before a paid call
+
+const { expect } = require('chai');
+const { UsageLedger, createUsageLedger, monthBounds } = require('../usage/index.js');
+const { createMockProvider } = require('../providers/mock.js');
+const CaptureSDK = require('../index.js');
+
+const IMAGE = Buffer.from('photo').toString('base64');
+const scan = costUsd => ({ provider: 'claude', model: 'claude-sonnet-4-20250514', calls: 1, inputTokens: 1000, outputTokens: 200, costUsd });
+
+// Days relative to now, so the current month is always the one being checked
+const lastMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+};
+
+const budgetSdk = (budget, provider = createMockProvider({ name: 'budgeted' })) => new CaptureSDK({
+  visionProvider: provider.name,
+  providers: { [provider.name]: provider },
+  usage: { type: 'memory', budget },
+  safety: false,
+  cache: false
+});
+
+describe('UsageLedger', () => {
+  it('adds scans up per day and per month', async () => {
+    const ledger = new UsageLedger();
+    await ledger.record('u1', scan(0.02));
+    await ledger.record('u1', scan(0.03), { cached: true });
+    await ledger.record('u2', scan(1));
+
+    const { totals, days } = await ledger.getSummary('u1');
+    expect(totals).to.include({ scans: 2, cachedScans: 1, calls: 2, inputTokens: 2000, costUsd: 0.05 });
+    expect(days).to.have.lengthOf(1);
+    expect(Object.keys(days[0].byModel)).to.deep.equal(['claude:claude-sonnet-4-20250514']);
+
+    const report = await ledger.getDailyReport();
+    expect(report.users.map(u => u.uid)).to.deep.equal(['u2', 'u1']);
+    expect(report.totalCostUsd).to.equal(1.05);
+  });
+
+  it('never fails a scan over a lost record', async () => {
+    const ledger = createUsageLedger({ increment: async () => { throw new Error('offline'); }, listDays: async () => [] });
+    expect(await ledger.record('u1', scan(0.01))).to.equal(false);
+    expect(await ledger.record(null, scan(0.01))).to.equal(false);
+  });
+
+  it('starts each month with a fresh budget', async () => {
+    const ledger = new UsageLedger({ budget: { monthlyUsd: 1 } });
+    const previous = lastMonth();
+    await ledger.record('u1', scan(5), { date: previous });
+
+    expect(await ledger.getBudgetStatus('u1', previous)).to.include({ exceeded: true, spentUsd: 5, remainingUsd: 0 });
+    expect(await ledger.getBudgetStatus('u1')).to.include({ exceeded: false, spentUsd: 0, remainingUsd: 1 });
+    expect(monthBounds(new Date('2026-02-10'))).to.deep.equal({ from: '2026-02-01', to: '2026-02-28' });
+  });
+
+  it('prefers the user override to the default budget', async () => {
+    const ledger = new UsageLedger({ budget: { monthlyUsd: 10, onExceeded: 'degrade' } });
+    await ledger.store.setBudget('u1', { monthlyUsd: 2, onExceeded: 'refuse' });
+    expect(await ledger.getBudgetStatus('u1')).to.include({ limitUsd: 2, onExceeded: 'refuse' });
+    expect(await ledger.getBudgetStatus('u2')).to.include({ limitUsd: 10, onExceeded: 'degrade' });
+  });
+});
+
+describe('checkBudget', () => {
+  it('lets a call under the limit through with the remaining budget', async () => {
+    const sdk = budgetSdk({ monthlyUsd: 1, onExceeded: 'refuse' });
+    await sdk.usageLedger.record('u1', scan(0.4));
+
+    expect(await sdk.checkBudget('u1', 'budgeted')).to.include({ limitUsd: 1, spentUsd: 0.4, remainingUsd: 0.6, exceeded: false });
+    expect(await sdk.checkBudget(null, 'budgeted')).to.equal(null);
+
+    const result = await sdk.analyzeItem([IMAGE], { uid: 'u1', preprocess: false, barcodes: false, productLookup: false });
+    expect(result.budget).to.include({ exceeded: false });
+  });
+
+  it('refuses a call over the limit with BUDGET_EXCEEDED', async () => {
+    const provider = createMockProvider({ name: 'budget-refused' });
+    const sdk = budgetSdk({ monthlyUsd: 1, onExceeded: 'refuse' }, provider);
+    await sdk.usageLedger.record('u1', scan(1.2));
+
+    let error;
+    try {
+      await sdk.analyzeItem([IMAGE], { uid: 'u1', preprocess: false, barcodes: false });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal('BUDGET_EXCEEDED');
+    expect(error.budget).to.include({ limitUsd: 1, spentUsd: 1.2, exceeded: true });
+    expect(provider.calls).to.have.lengthOf(0);
+  });
+
+  it('degrades to the cheaper model over the limit by default', async () => {
+    const sdk = budgetSdk({ monthlyUsd: 1 });
+    await sdk.usageLedger.record('u1', scan(2));
+    expect(await sdk.checkBudget('u1', 'claude')).to.include({ exceeded: true, degradedTo: 'claude-3-5-haiku-20241022' });
+    expect(await sdk.checkBudget('u1', 'budgeted')).to.include({ degradedTo: null });
+  });
+
+  it('allows calls again once the month rolls over', async () => {
+    const sdk = budgetSdk({ monthlyUsd: 1, onExceeded: 'refuse' });
+    await sdk.usageLedger.record('u1', scan(3), { date: lastMonth() });
+    expect(await sdk.checkBudget('u1', 'budgeted')).to.include({ exceeded: false, spentUsd: 0 });
+  });
+});
@@ -35,6 +35,7 @@ export function ScanCard({ itemData, routes, onAction }) {
           color: 'orange',
           icon: '❤️'
         };
+      case 'recycle':
       case 'recycle-parts':
         return {
           text: 'Recycle/Parts',
@@ -52,6 +53,12 @@ export function ScanCard({ itemData, routes, onAction }) {
 
   const actionButton = getActionButton();
 
+  // Calibrated confidence from the SDK; older scans only have the raw 1-10 self-score
+  const confidence = itemData.fieldConfidence || {
+    overall: (itemData.confidence || 0) / 10,
+    level: itemData.confidence >= 7 ? 'high' : 'medium'
+  };
+
   return (
     <div className="scan-card">
       <div className="scan-card-header">
@@ -60,8 +67,8 @@ export function ScanCard({ itemData, routes, onAction }) {
           {itemData.model !== 'Unknown' && `${itemData.model} `}
           {itemData.category}
         </h3>
-        <span className={`confidence-badge confidence-${itemData.confidence >= 7 ? 'high' : 'medium'}`}>
-          {itemData.confidence}/10 confidence
+        <span className={`confidence-badge confidence-${confidence.level}`}>
+          {Math.round(confidence.overall * 100)}% confidence
         </span>
       </div>
 
@@ -123,6 +130,20 @@ export function ScanCard({ itemData, routes, onAction }) {
         </div>
       </div>
 
+      {selectedRoute.type === 'recycle' && selectedRoute.dropOff?.length > 0 && (
+        <div className="recycle-guidance">
+          <h4>Where to take it</h4>
+          <ul>
+            {selectedRoute.dropOff.map((line, idx) => (
+              <li key={idx}>{line}</li>
+            ))}
+          </ul>
+          {selectedRoute.scrapValue?.high > 0 && (
+            <p>Scrap value: ${selectedRoute.scrapValue.low} - ${selectedRoute.scrapValue.high}</p>
+          )}
+        </div>
+      )}
+
       <button 
         className={`action-button action-${actionButton.color}`}
         onClick={handleAction}
@@ -214,6 +235,11 @@ const styles = `
   color: #f57c00;
 }
 
+.confidence-low {
+  background: #ffebee;
+  color: #c62828;
+}
+
 .condition-section {
   margin-bottom: 20px;
 }
@@ -0,0 +1,79 @@
+// functions/capture-sdk/usage/firestoreUsage.js
+// Firestore usage store: one document per user per day at users/{uid}/usage/{YYYY-MM-DD},
+// updated with atomic increments so concurrent scans never lose spend
+
+class FirestoreUsageStore {
+  constructor(config = {}) {
+    if (!config.db) {
+      throw new Error('FirestoreUsageStore requires a Firestore db instance (config.db)');
+    }
+    this.db = config.db;
+    this.FieldValue = config.FieldValue || require('firebase-admin').firestore.FieldValue;
+    this.usersCollection = config.usersCollection || 'users';
+    this.collection = config.collection || 'usage';
+  }
+
+  dayRef(uid, date) {
+    return this.db.collection(this.usersCollection).doc(uid).collection(this.collection).doc(date);
+  }
+
+  async increment(uid, date, delta) {
+    const inc = value => this.FieldValue.increment(value || 0);
+
+    await this.dayRef(uid, date).set({
+      uid,
+      date,
+      month: date.slice(0, 7),
+      scans: inc(delta.scans),
+      cachedScans: inc(delta.cachedScans),
+      calls: inc(delta.calls),
+      inputTokens: inc(delta.inputTokens),
+      outputTokens: inc(delta.outputTokens),
+      costUsd: inc(delta.costUsd),
+      byModel: {
+        [delta.modelKey]: {
+          scans: inc(delta.scans),
+          inputTokens: inc(delta.inputTokens),
+          outputTokens: inc(delta.outputTokens),
+          costUsd: inc(delta.costUsd)
+        }
+      },
+      updatedAt: this.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  async listDays(uid, from, to) {
+    const snapshot = await this.db.collection(this.usersCollection).doc(uid).collection(this.collection)
+      .where('date', '>=', from)
+      .where('date', '<=', to)
+      .orderBy('date', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Every user's usage for one date (needs a collection group index on usage.date)
+   */
+  async listUsersForDay(date) {
+    const snapshot = await this.db.collectionGroup(this.collection)
+      .where('date', '==', date)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Per-user budget override stored on the user document ({ budget: { monthlyUsd, onExceeded } })
+   */
+  async getBudget(uid) {
+    const doc = await this.db.collection(this.usersCollection).doc(uid).get();
+    return doc.exists ? (doc.data().budget || null) : null;
+  }
+
+  async setBudget(uid, budget) {
+    await this.db.collection(this.usersCollection).doc(uid).set({ budget }, { merge: true });
+  }
+}
+
+module.exports = { FirestoreUsageStore };
@@ -0,0 +1,205 @@
+// functions/capture-sdk/usage/index.js
+// Token usage and cost accounting per scan and per user, plus monthly budgets
+//
+// Stores are pluggable; any object with these async methods works:
+//   increment(uid, date, delta), listDays(uid, from, to) -> day[],
+//   listUsersForDay(date) -> day[], getBudget(uid) -> budget|null
+
+const { MemoryUsageStore } = require('./memoryUsage.js');
+const { FirestoreUsageStore } = require('./firestoreUsage.js');
+const { meterProvider, emptyUsage } = require('./meter.js');
+const { MODEL_PRICING, BUDGET_FALLBACK_MODELS, getModelPricing, calculateCost } = require('./pricing.js');
+
+const BUDGET_ACTIONS = ['degrade', 'refuse'];
+
+function toDateKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function monthBounds(date = new Date()) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0));
+  return { from: toDateKey(start), to: toDateKey(end) };
+}
+
+function roundUsd(value) {
+  return Math.round((value || 0) * 1e6) / 1e6;
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.store] - Usage store (defaults to in-memory)
+   * @param {Object} [config.budget] - Default monthly budget applied to every user:
+   *   { monthlyUsd, onExceeded: 'degrade' | 'refuse', fallbackModels: { provider: model } }
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryUsageStore(config);
+    this.budget = config.budget || null;
+  }
+
+  /**
+   * Add one scan's usage to the user's day totals. Never throws - losing a
+   * usage record must not fail a scan the user already paid for in time.
+   */
+  async record(uid, usage, { cached = false, date = new Date() } = {}) {
+    if (!uid || !usage) return false;
+
+    try {
+      await this.store.increment(uid, toDateKey(date), {
+        scans: 1,
+        cachedScans: cached ? 1 : 0,
+        calls: usage.calls || 0,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        costUsd: usage.costUsd || 0,
+        // Firestore treats dots in field names as paths
+        modelKey: `${usage.provider || 'unknown'}:${usage.model || 'unknown'}`.replace(/[.\/]/g, '_')
+      });
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Usage record failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Per-day spend for a user plus totals over the range
+   * @returns {Promise<{uid: string, from: string, to: string, days: Object[], totals: Object}>}
+   */
+  async getSummary(uid, { from, to } = {}) {
+    const range = monthBounds();
+    const fromKey = from || range.from;
+    const toKey = to || toDateKey();
+
+    const days = await this.store.listDays(uid, fromKey, toKey);
+    const totals = days.reduce((sum, day) => ({
+      scans: sum.scans + (day.scans || 0),
+      cachedScans: sum.cachedScans + (day.cachedScans || 0),
+      calls: sum.calls + (day.calls || 0),
+      inputTokens: sum.inputTokens + (day.inputTokens || 0),
+      outputTokens: sum.outputTokens + (day.outputTokens || 0),
+      costUsd: sum.costUsd + (day.costUsd || 0)
+    }), { scans: 0, cachedScans: 0, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+    return {
+      uid,
+      from: fromKey,
+      to: toKey,
+      days: days.map(day => ({
+        date: day.date,
+        scans: day.scans || 0,
+        cachedScans: day.cachedScans || 0,
+        calls: day.calls || 0,
+        inputTokens: day.inputTokens || 0,
+        outputTokens: day.outputTokens || 0,
+        costUsd: roundUsd(day.costUsd),
+        byModel: day.byModel || {}
+      })),
+      totals: { ...totals, costUsd: roundUsd(totals.costUsd) }
+    };
+  }
+
+  /**
+   * Spend per user for one day, most expensive first
+   */
+  async getDailyReport(date = new Date()) {
+    const dateKey = typeof date === 'string' ? date : toDateKey(date);
+    const days = await this.store.listUsersForDay(dateKey);
+
+    const users = days
+      .map(day => ({
+        uid: day.uid,
+        scans: day.scans || 0,
+        cachedScans: day.cachedScans || 0,
+        inputTokens: day.inputTokens || 0,
+        outputTokens: day.outputTokens || 0,
+        costUsd: roundUsd(day.costUsd)
+      }))
+      .sort((a, b) => b.costUsd - a.costUsd);
+
+    return {
+      date: dateKey,
+      users,
+      totalCostUsd: roundUsd(users.reduce((sum, u) => sum + u.costUsd, 0))
+    };
+  }
+
+  /**
+   * The user's budget (their override, else the default) and this month's spend
+   * @returns {Promise<{limitUsd: number|null, spentUsd: number, remainingUsd: number|null,
+   *   exceeded: boolean, onExceeded: string, month: string}>}
+   */
+  async getBudgetStatus(uid, now = new Date()) {
+    const month = toDateKey(now).slice(0, 7);
+    let budget = this.budget;
+
+    try {
+      const override = uid && typeof this.store.getBudget === 'function' ? await this.store.getBudget(uid) : null;
+      if (override) budget = { ...budget, ...override };
+    } catch (error) {
+      console.warn('⚠️ Budget lookup failed, using default:', error.message);
+    }
+
+    const limitUsd = budget?.monthlyUsd != null && Number.isFinite(Number(budget.monthlyUsd))
+      ? Number(budget.monthlyUsd)
+      : null;
+    const onExceeded = BUDGET_ACTIONS.includes(budget?.onExceeded) ? budget.onExceeded : 'degrade';
+
+    if (!uid || limitUsd === null) {
+      return { limitUsd: null, spentUsd: 0, remainingUsd: null, exceeded: false, onExceeded, month };
+    }
+
+    const { totals } = await this.getSummary(uid, monthBounds(now));
+    return {
+      limitUsd,
+      spentUsd: totals.costUsd,
+      remainingUsd: roundUsd(Math.max(0, limitUsd - totals.costUsd)),
+      exceeded: totals.costUsd >= limitUsd,
+      onExceeded,
+      month,
+      fallbackModels: { ...BUDGET_FALLBACK_MODELS, ...(budget.fallbackModels || {}) }
+    };
+  }
+}
+
+/**
+ * Build a ledger from config: a UsageLedger, a raw store, or
+ * { type: 'memory' | 'firestore', budget, ...storeOptions }
+ */
+function createUsageLedger(config) {
+  if (!config) return null;
+  if (config instanceof UsageLedger) return config;
+
+  if (typeof config.increment === 'function' && typeof config.listDays === 'function') {
+    return new UsageLedger({ store: config });
+  }
+
+  const stores = {
+    memory: () => new MemoryUsageStore(config),
+    firestore: () => new FirestoreUsageStore(config)
+  };
+
+  const type = config.type || 'memory';
+  if (!stores[type]) {
+    throw new Error(`Unknown usage store type "${type}" (use memory or firestore)`);
+  }
+
+  return new UsageLedger({ ...config, store: stores[type]() });
+}
+
+module.exports = {
+  UsageLedger,
+  MemoryUsageStore,
+  FirestoreUsageStore,
+  createUsageLedger,
+  meterProvider,
+  emptyUsage,
+  MODEL_PRICING,
+  BUDGET_FALLBACK_MODELS,
+  getModelPricing,
+  calculateCost,
+  toDateKey,
+  monthBounds
+};
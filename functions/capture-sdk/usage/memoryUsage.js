@@ -0,0 +1,68 @@
+// functions/capture-sdk/usage/memoryUsage.js
+// In-memory usage store (per process) - for tests and local development
+
+class MemoryUsageStore {
+  constructor() {
+    this.days = new Map();
+    this.budgets = new Map();
+  }
+
+  dayKey(uid, date) {
+    return `${uid}|${date}`;
+  }
+
+  async increment(uid, date, delta) {
+    const key = this.dayKey(uid, date);
+    const day = this.days.get(key) || {
+      uid,
+      date,
+      month: date.slice(0, 7),
+      scans: 0,
+      cachedScans: 0,
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      costUsd: 0,
+      byModel: {}
+    };
+
+    ['scans', 'cachedScans', 'calls', 'inputTokens', 'outputTokens', 'costUsd'].forEach(field => {
+      day[field] += delta[field] || 0;
+    });
+
+    const model = day.byModel[delta.modelKey] || { scans: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    ['scans', 'inputTokens', 'outputTokens', 'costUsd'].forEach(field => {
+      model[field] += delta[field] || 0;
+    });
+    day.byModel[delta.modelKey] = model;
+    day.updatedAt = new Date().toISOString();
+
+    this.days.set(key, day);
+  }
+
+  /**
+   * Day documents for a user between two YYYY-MM-DD dates (inclusive)
+   */
+  async listDays(uid, from, to) {
+    return Array.from(this.days.values())
+      .filter(day => day.uid === uid && day.date >= from && day.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Every user's day document for one date
+   */
+  async listUsersForDay(date) {
+    return Array.from(this.days.values()).filter(day => day.date === date);
+  }
+
+  async getBudget(uid) {
+    return this.budgets.get(uid) || null;
+  }
+
+  async setBudget(uid, budget) {
+    this.budgets.set(uid, budget);
+  }
+}
+
+module.exports = { MemoryUsageStore };
@@ -0,0 +1,76 @@
+// functions/capture-sdk/usage/meter.js
+// Wraps a vision provider so every call (main, repair, fusion passes) is
+// counted towards one scan's token usage, latency and cost
+
+const { calculateCost } = require('./pricing.js');
+
+function emptyUsage(providerName, model) {
+  return {
+    provider: providerName,
+    model,
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    costUsd: 0,
+    priced: true
+  };
+}
+
+/**
+ * @param {Object} provider - Registered provider ({ name, analyze, ... })
+ * @param {Object} [options]
+ * @param {Object} [options.pricing] - Per-model price overrides ({ model: { input, output } })
+ * @returns {{provider: Object, summary: function(): Object}}
+ */
+function meterProvider(provider, options = {}) {
+  const calls = [];
+
+  const metered = {
+    ...provider,
+    async analyze(images, prompt, callOptions = {}) {
+      const startedAt = Date.now();
+      try {
+        const raw = await provider.analyze(images, prompt, callOptions);
+        calls.push({
+          model: raw?.model || callOptions.model || provider.defaultModel,
+          usage: raw?.usage || null,
+          latencyMs: Date.now() - startedAt
+        });
+        return raw;
+      } catch (error) {
+        // Failed calls still took time; providers do not bill them
+        calls.push({ model: callOptions.model || provider.defaultModel, usage: null, latencyMs: Date.now() - startedAt, failed: true });
+        throw error;
+      }
+    }
+  };
+
+  return {
+    provider: metered,
+    summary() {
+      const usage = emptyUsage(provider.name, calls[0]?.model || provider.defaultModel);
+
+      calls.forEach(call => {
+        const inputTokens = call.usage?.inputTokens || 0;
+        const outputTokens = call.usage?.outputTokens || 0;
+        const { costUsd, priced } = calculateCost(call.model, inputTokens, outputTokens, provider.name, options.pricing);
+
+        usage.calls++;
+        usage.inputTokens += inputTokens;
+        usage.outputTokens += outputTokens;
+        usage.latencyMs += call.latencyMs;
+        usage.costUsd += costUsd;
+        // A successful call without usage data means the cost is unknown
+        if (!priced || (!call.usage && !call.failed)) usage.priced = false;
+      });
+
+      usage.totalTokens = usage.inputTokens + usage.outputTokens;
+      usage.costUsd = Math.round(usage.costUsd * 1e6) / 1e6;
+      return usage;
+    }
+  };
+}
+
+module.exports = { meterProvider, emptyUsage };
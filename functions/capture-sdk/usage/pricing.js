@@ -0,0 +1,67 @@
+// functions/capture-sdk/usage/pricing.js
+// Per-model token prices (USD per million tokens) and the cheaper model each
+// provider degrades to when a budget is exhausted
+
+const MODEL_PRICING = {
+  // Anthropic
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  // OpenAI
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  // Google
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+// Self-hosted / test providers never cost anything
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+const BUDGET_FALLBACK_MODELS = {
+  claude: 'claude-3-5-haiku-20241022',
+  openai: 'gpt-4o-mini',
+  gemini: 'gemini-1.5-flash'
+};
+
+/**
+ * Price for a model; dated suffixes fall back to the undated family entry
+ * (e.g. gpt-4o-2024-08-06 -> gpt-4o)
+ * @returns {{input: number, output: number}|null}
+ */
+function getModelPricing(model, providerName, overrides = {}) {
+  if (FREE_PROVIDERS.includes(providerName)) return { input: 0, output: 0 };
+
+  const table = { ...MODEL_PRICING, ...overrides };
+  if (!model) return null;
+  if (table[model]) return table[model];
+
+  const family = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return family ? table[family] : null;
+}
+
+/**
+ * Cost in USD for one call, rounded to a millionth of a dollar
+ */
+function calculateCost(model, inputTokens = 0, outputTokens = 0, providerName, overrides) {
+  const pricing = getModelPricing(model, providerName, overrides);
+  if (!pricing) return { costUsd: 0, priced: false };
+
+  const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+  return { costUsd: Math.round(cost * 1e6) / 1e6, priced: true };
+}
+
+module.exports = {
+  MODEL_PRICING,
+  BUDGET_FALLBACK_MODELS,
+  getModelPricing,
+  calculateCost
+};
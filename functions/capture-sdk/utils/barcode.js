@@ -0,0 +1,130 @@
+// functions/capture-sdk/utils/barcode.js
+// Local barcode / QR decoding over uploaded photos (no API call)
+// - Retail 1D codes (UPC-A, UPC-E, EAN-8, EAN-13) become a validated GTIN
+// - Bookland EANs (978/979) also become an ISBN
+// - QR codes are kept as text; GS1 Digital Link QRs yield a GTIN too
+
+const { toImageBuffer } = require('./imageEncoding.js');
+const { normalizeGtin, gtinToIsbn, gtinFromDigitalLink } = require('./gtin.js');
+
+// Barcodes stay readable well below the vision-call size and decoding is much faster
+const DECODE_MAX_DIMENSION = 1600;
+
+let zxingModule;
+function loadZxing() {
+  if (zxingModule === undefined) {
+    try {
+      zxingModule = require('@zxing/library');
+    } catch (error) {
+      console.warn('⚠️ @zxing/library not available - barcode decoding disabled:', error.message);
+      zxingModule = null;
+    }
+  }
+  return zxingModule;
+}
+
+let sharpModule;
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      console.warn('⚠️ sharp not available - barcode decoding disabled:', error.message);
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+function createReader(zxing, formats) {
+  const reader = new zxing.MultiFormatReader();
+  reader.setHints(new Map([
+    [zxing.DecodeHintType.POSSIBLE_FORMATS, formats.map(f => zxing.BarcodeFormat[f])],
+    [zxing.DecodeHintType.TRY_HARDER, true]
+  ]));
+  return reader;
+}
+
+function tryDecode(zxing, reader, gray) {
+  try {
+    const source = new zxing.RGBLuminanceSource(gray.data, gray.width, gray.height);
+    const result = reader.decode(new zxing.BinaryBitmap(new zxing.HybridBinarizer(source)));
+    return { text: result.getText(), format: zxing.BarcodeFormat[result.getBarcodeFormat()] };
+  } catch (error) {
+    // NotFoundException / ChecksumException / FormatException all mean "nothing readable"
+    return null;
+  } finally {
+    reader.reset();
+  }
+}
+
+async function toGrayscale(sharp, buffer, rotate = 0) {
+  const { data, info } = await sharp(buffer)
+    .rotate(rotate)
+    .resize({ width: DECODE_MAX_DIMENSION, height: DECODE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+function describeCode(decoded, imageIndex) {
+  const entry = { imageIndex, format: decoded.format, text: decoded.text };
+
+  if (decoded.format === 'QR_CODE') {
+    const gtin = gtinFromDigitalLink(decoded.text);
+    if (gtin) entry.gtin = gtin;
+  } else {
+    const gtin = normalizeGtin(decoded.text, { format: decoded.format });
+    if (!gtin) return null;
+    entry.gtin = gtin;
+  }
+
+  const isbn = gtinToIsbn(entry.gtin);
+  if (isbn) entry.isbn = isbn;
+  return entry;
+}
+
+/**
+ * Decode retail barcodes and QR codes from every image
+ * @param {Array<Buffer|string|Object>} images - Same shapes analyzeItem accepts (remote URLs are skipped)
+ * @returns {Promise<Array<{imageIndex: number, format: string, text: string, gtin?: string, isbn?: string}>>}
+ */
+async function decodeBarcodes(images) {
+  const zxing = loadZxing();
+  const sharp = loadSharp();
+  if (!zxing || !sharp || !Array.isArray(images)) return [];
+
+  const retailReader = createReader(zxing, ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E']);
+  const qrReader = createReader(zxing, ['QR_CODE']);
+  const found = [];
+
+  for (let i = 0; i < images.length; i++) {
+    const buffer = toImageBuffer(images[i]);
+    if (!buffer) continue;
+
+    try {
+      const gray = await toGrayscale(sharp, buffer);
+      // A barcode shot sideways is common on boxes; 1D readers only scan rows
+      const retail = tryDecode(zxing, retailReader, gray) ||
+        tryDecode(zxing, retailReader, await toGrayscale(sharp, buffer, 90));
+      const qr = tryDecode(zxing, qrReader, gray);
+
+      [retail, qr].filter(Boolean).forEach(decoded => {
+        const entry = describeCode(decoded, i);
+        if (entry && !found.some(f => f.text === entry.text && f.format === entry.format)) found.push(entry);
+      });
+    } catch (error) {
+      console.warn(`⚠️ Barcode decoding failed for image ${i + 1}:`, error.message);
+    }
+  }
+
+  if (found.length) {
+    console.log('🏷️ Barcodes decoded:', found.map(f => `${f.format} ${f.gtin || f.text}`).join(', '));
+  }
+  return found;
+}
+
+module.exports = {
+  decodeBarcodes
+};
@@ -2,13 +2,18 @@
 // Utility for managing eBay tokens in Firestore
 
 const { getFirestore } = require('firebase-admin/firestore');
+const { ebayHosts } = require('../integrations/ebay/hosts.js');
 
 class EbayTokenManager {
-  constructor() {
-    this.db = getFirestore();
-    this.environment = process.env.EBAY_ENVIRONMENT || 'production';
-    this.clientId = process.env.EBAY_CLIENT_ID;
-    this.clientSecret = process.env.EBAY_CLIENT_SECRET;
+  /**
+   * @param {Object} [config] - { db, environment, baseUrl, clientId, clientSecret }; defaults from the environment
+   */
+  constructor(config = {}) {
+    this.db = config.db || getFirestore();
+    this.environment = config.environment || process.env.EBAY_ENVIRONMENT || 'production';
+    this.baseUrl = config.baseUrl || null;
+    this.clientId = config.clientId || process.env.EBAY_CLIENT_ID;
+    this.clientSecret = config.clientSecret || process.env.EBAY_CLIENT_SECRET;
   }
 
   /**
@@ -81,9 +86,7 @@ class EbayTokenManager {
       throw new Error('eBay credentials not configured');
     }
 
-    const tokenUrl = this.environment === 'sandbox'
-      ? 'https://api.sandbox.ebay.com/identity/v1/oauth2/token'
-      : 'https://api.ebay.com/identity/v1/oauth2/token';
+    const { tokenUrl } = ebayHosts({ environment: this.environment, baseUrl: this.baseUrl });
 
     const basicAuth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
 
@@ -265,6 +268,7 @@ class EbayTokenManager {
      */
     async createEbayClient(userId) {
         const tokenInfo = await this.getValidAccessToken(userId);
+        const { api } = ebayHosts({ environment: this.environment, baseUrl: this.baseUrl });
         
         return {
         accessToken: tokenInfo.accessToken,
@@ -272,11 +276,7 @@ class EbayTokenManager {
         
         // Helper method to make authenticated requests
         async apiCall(method, endpoint, body = null) {
-            const baseUrl = this.environment === 'sandbox' 
-            ? 'https://api.sandbox.ebay.com'
-            : 'https://api.ebay.com';
-
-            const response = await fetch(`${baseUrl}${endpoint}`, {
+            const response = await fetch(`${api}${endpoint}`, {
         method,
         headers: {
           'Authorization': `Bearer ${tokenInfo.accessToken}`,
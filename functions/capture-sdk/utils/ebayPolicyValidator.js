@@ -3,9 +3,13 @@
  * Fetches and validates all policies from your connected eBay account
  */
 
-// Main function to validate and retrieve all policies
-async function validateEbayPolicies(accessToken, marketplaceId = 'EBAY_US') {
-  console.log('🔍 Starting eBay policy validation...');
+const { contentLanguage, toMarketplaceId } = require('./locale.js');
+const { ebayHosts } = require('../integrations/ebay/hosts.js');
+
+// Main function to validate and retrieve all policies (marketplace id or locale, e.g. 'EBAY_DE' / 'de-DE')
+async function validateEbayPolicies(accessToken, marketplace = 'EBAY_US') {
+  const marketplaceId = toMarketplaceId(marketplace);
+  console.log(`🔍 Starting eBay policy validation for ${marketplaceId}...`);
   
   const results = {
     success: false,
@@ -70,14 +74,14 @@ async function fetchFulfillmentPolicies(accessToken, marketplaceId) {
   console.log('📋 Fetching fulfillment policies...');
   
   try {
-const response = await fetch(`https://api.ebay.com/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
+const response = await fetch(`${ebayHosts().api}/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
 
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json',
         'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
-        'Accept-Language': 'en-US'
+        'Accept-Language': contentLanguage(marketplaceId)
       }
     });
 
@@ -100,14 +104,14 @@ async function fetchPaymentPolicies(accessToken, marketplaceId) {
   console.log('💳 Fetching payment policies...');
   
   try {
-const response = await fetch(`https://api.ebay.com/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
+const response = await fetch(`${ebayHosts().api}/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
 
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json',
         'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
-        'Accept-Language': 'en-US'
+        'Accept-Language': contentLanguage(marketplaceId)
       }
     });
 
@@ -130,14 +134,14 @@ async function fetchReturnPolicies(accessToken, marketplaceId) {
   console.log('🔄 Fetching return policies...');
   
   try {
-const response = await fetch(`https://api.ebay.com/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
+const response = await fetch(`${ebayHosts().api}/sell/account/v1/fulfillment_policy?marketplace_id=${marketplaceId}`, {
 
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json',
         'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
-        'Accept-Language': 'en-US'
+        'Accept-Language': contentLanguage(marketplaceId)
       }
     });
 
@@ -1,12 +1,13 @@
 const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
 const Buffer = require('buffer').Buffer;
+const { ebayHosts } = require('../integrations/ebay/hosts.js');
 
 /**
  * Refresh eBay access token using a refresh token.
  * Returns: { access_token, refresh_token, expires_in, refresh_token_expires_in, ... }
  */
 async function refreshEbayToken(refresh_token, clientId, clientSecret, redirectUri) {
-  const tokenUrl = 'https://api.ebay.com/identity/v1/oauth2/token';
+  const { tokenUrl } = ebayHosts();
   const basicAuth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
 
   const params = new URLSearchParams();
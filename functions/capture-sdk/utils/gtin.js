@@ -0,0 +1,104 @@
+// functions/capture-sdk/utils/gtin.js
+// GTIN helpers: UPC-A / UPC-E / EAN-8 / EAN-13 / ISBN validation and normalization
+
+/**
+ * GS1 mod-10 check digit over every digit but the last
+ */
+function hasValidCheckDigit(digits) {
+  const body = digits.slice(0, -1);
+  const sum = body.split('').reverse().reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Expand an 8-digit UPC-E to its 12-digit UPC-A form
+ */
+function expandUpcE(upcE) {
+  const [system, d1, d2, d3, d4, d5, d6, check] = upcE.split('');
+  let manufacturerProduct;
+  if (['0', '1', '2'].includes(d6)) manufacturerProduct = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') manufacturerProduct = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') manufacturerProduct = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else manufacturerProduct = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return `${system}${manufacturerProduct}${check}`;
+}
+
+/**
+ * Normalize a scanned or printed code to a valid GTIN (8, 12 or 13 digits), or null.
+ * UPC-E is expanded to UPC-A; a 13-digit code with a leading 0 is kept as
+ * 13 digits because eBay and most lookups accept either.
+ * @param {string|number} value
+ * @param {Object} [options]
+ * @param {string} [options.format] - Barcode format from the decoder ('UPC_E' expands 8 digits)
+ */
+function normalizeGtin(value, { format } = {}) {
+  if (value === undefined || value === null) return null;
+  let digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (format === 'UPC_E' && digits.length === 8) digits = expandUpcE(digits);
+  if (digits.length === 14 && digits.startsWith('0')) digits = digits.slice(1);
+  if (![8, 12, 13].includes(digits.length)) return null;
+
+  return hasValidCheckDigit(digits) ? digits : null;
+}
+
+/**
+ * ISBN-10 check digit (mod 11, X = 10)
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((acc, c, i) => acc + (c === 'X' ? 10 : Number(c)) * (10 - i), 0);
+  return sum % 11 === 0;
+}
+
+/**
+ * Normalize an ISBN (10 or 13, with or without hyphens) to ISBN-13, or null
+ */
+function normalizeIsbn(value) {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).toUpperCase().replace(/^ISBN(-1[03])?:?/, '').replace(/[\s-]/g, '');
+
+  if (raw.length === 10 && isValidIsbn10(raw)) {
+    const body = `978${raw.slice(0, 9)}`;
+    for (let check = 0; check <= 9; check++) {
+      if (hasValidCheckDigit(body + check)) return body + check;
+    }
+  }
+  if (raw.length === 13 && /^97[89]\d{10}$/.test(raw) && hasValidCheckDigit(raw)) return raw;
+  return null;
+}
+
+/**
+ * Bookland EANs (978/979 prefix) are ISBNs
+ */
+function gtinToIsbn(gtin) {
+  return gtin && /^97[89]\d{10}$/.test(gtin) ? gtin : null;
+}
+
+/**
+ * GTIN from a GS1 Digital Link QR payload (https://id.gs1.org/01/09506000134352/...)
+ */
+function gtinFromDigitalLink(text) {
+  const match = /\/01\/(\d{8,14})(?:[/?#]|$)/.exec(String(text || ''));
+  return match ? normalizeGtin(match[1]) : null;
+}
+
+/**
+ * Which product id type a GTIN is, for APIs that ask (eBay Finding productId)
+ */
+function gtinType(gtin) {
+  if (!gtin) return null;
+  if (gtinToIsbn(gtin)) return 'ISBN';
+  if (gtin.length === 12) return 'UPC';
+  return 'EAN';
+}
+
+module.exports = {
+  normalizeGtin,
+  normalizeIsbn,
+  gtinToIsbn,
+  gtinFromDigitalLink,
+  gtinType,
+  hasValidCheckDigit
+};
@@ -0,0 +1,106 @@
+// functions/capture-sdk/utils/imageEncoding.js
+// Shared image encoding helpers used by every vision provider
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Detect the real image type from magic bytes (null when unrecognized)
+ */
+function sniffMediaType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (HEIF_BRANDS.includes(brand)) return brand.startsWith('he') ? 'image/heic' : 'image/heif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'image/tiff';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+
+  return null;
+}
+
+/**
+ * Decode any supported input shape into a Buffer (null for remote URLs)
+ */
+function toImageBuffer(img) {
+  if (Buffer.isBuffer(img)) return img;
+
+  if (typeof img === 'string') {
+    if (img.startsWith('http')) return null;
+    return Buffer.from(img.startsWith('data:') ? img.split(',')[1] : img, 'base64');
+  }
+
+  if (typeof img === 'object' && img !== null) {
+    if (Buffer.isBuffer(img.buffer)) return img.buffer;
+    if (img.base64) return Buffer.from(img.base64, 'base64');
+  }
+
+  return null;
+}
+
+/**
+ * Determine image media type for vision APIs
+ */
+function determineImageMediaType(img) {
+  if (typeof img === 'string') {
+    if (img.startsWith('data:image/png')) return 'image/png';
+    if (img.startsWith('data:image/gif')) return 'image/gif';
+    if (img.startsWith('data:image/webp')) return 'image/webp';
+    if (img.startsWith('data:image/')) return 'image/jpeg';
+    return sniffMediaType(toImageBuffer(img)) || 'image/jpeg';
+  }
+
+  // Preprocessed images carry their verified type
+  if (img && typeof img === 'object' && img.mediaType) return img.mediaType;
+
+  // Otherwise trust the bytes, defaulting to JPEG
+  return sniffMediaType(toImageBuffer(img)) || 'image/jpeg';
+}
+
+/**
+ * Convert image to a raw base64 string (no data URL prefix)
+ */
+function convertToBase64(img) {
+  if (typeof img === 'string') {
+    // If it's a data URL, extract the base64 part
+    if (img.startsWith('data:image/')) {
+      return img.split(',')[1];
+    }
+    // If it's already base64, return as-is
+    return img;
+  }
+
+  if (Buffer.isBuffer(img)) {
+    return img.toString('base64');
+  }
+
+  if (typeof img === 'object' && img !== null) {
+    if (img.base64) return img.base64;
+    if (img.buffer) return img.buffer.toString('base64');
+  }
+
+  throw new Error(`Unsupported image format: ${typeof img}`);
+}
+
+/**
+ * Convert image to a data URL (used by OpenAI-style APIs)
+ */
+function convertToDataUrl(img) {
+  if (typeof img === 'string' && img.startsWith('data:image/')) {
+    return img;
+  }
+  return `data:${determineImageMediaType(img)};base64,${convertToBase64(img)}`;
+}
+
+module.exports = {
+  sniffMediaType,
+  toImageBuffer,
+  determineImageMediaType,
+  convertToBase64,
+  convertToDataUrl
+};
@@ -0,0 +1,296 @@
+// functions/capture-sdk/utils/imagePreprocess.js
+// Image preprocessing before vision calls
+// - Sniff the real MIME type from magic bytes
+// - Convert HEIC/HEIF (iPhone default) and other unsupported formats to JPEG
+// - Auto-rotate from EXIF orientation
+// - Strip EXIF (including GPS) for privacy
+// - Downscale to the provider's size limits
+// - Compute a perceptual hash (dHash) later stages can reuse, and a digest of the exact bytes
+
+const crypto = require('crypto');
+const { sniffMediaType, toImageBuffer } = require('./imageEncoding.js');
+
+const DEFAULT_IMAGE_LIMITS = {
+  maxBytes: 5 * 1024 * 1024,
+  maxDimension: 2048,
+  mediaTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+};
+
+const HEIF_TYPES = ['image/heic', 'image/heif'];
+
+// A dHash with fewer set (or unset) bits than this says little more than "flat image": blank walls,
+// plain backdrops and smooth gradients all hash to (nearly) 0000000000000000 or ffffffffffffffff
+const MIN_HASH_DETAIL_BITS = 8;
+
+let sharpModule;
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      console.warn('⚠️ sharp not available - image preprocessing limited to MIME sniffing:', error.message);
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * Decode HEIC/HEIF to JPEG (sharp's prebuilt libvips cannot decode HEVC)
+ */
+async function convertHeicToJpeg(buffer) {
+  const convert = require('heic-convert');
+  const output = await convert({ buffer, format: 'JPEG', quality: 0.9 });
+  return Buffer.from(output);
+}
+
+/**
+ * Check a raw EXIF block (as returned by sharp metadata) for a GPS IFD pointer
+ */
+function exifHasGps(exif) {
+  if (!exif || exif.length < 14) return false;
+
+  // sharp returns "Exif\0\0" followed by the TIFF header
+  const start = exif.toString('ascii', 0, 4) === 'Exif' ? 6 : 0;
+  const order = exif.toString('ascii', start, start + 2);
+  if (order !== 'II' && order !== 'MM') return false;
+
+  const le = order === 'II';
+  const readU16 = (o) => (le ? exif.readUInt16LE(o) : exif.readUInt16BE(o));
+  const readU32 = (o) => (le ? exif.readUInt32LE(o) : exif.readUInt32BE(o));
+
+  try {
+    const ifd0 = start + readU32(start + 4);
+    const entries = readU16(ifd0);
+    for (let i = 0; i < entries; i++) {
+      if (readU16(ifd0 + 2 + i * 12) === 0x8825) return true; // GPSInfo
+    }
+  } catch (error) {
+    return false; // Truncated/corrupt EXIF - nothing usable to leak
+  }
+  return false;
+}
+
+/**
+ * 64-bit difference hash, returned as 16 hex characters
+ */
+async function computePerceptualHash(buffer) {
+  const sharp = loadSharp();
+  if (!sharp) return null;
+
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let nibbleBits = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      nibbleBits = (nibbleBits << 1) | (left > right ? 1 : 0);
+      if (col === 3 || col === 7) {
+        hash += nibbleBits.toString(16);
+        nibbleBits = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Too little texture for the hash to tell two photos apart
+ */
+function isDegenerateHash(hash) {
+  if (!hash) return false;
+  const setBits = hammingDistance(hash, '0'.repeat(hash.length));
+  return setBits < MIN_HASH_DETAIL_BITS || hash.length * 4 - setBits < MIN_HASH_DETAIL_BITS;
+}
+
+/**
+ * Short SHA-256 of the exact bytes (identical uploads only)
+ */
+function contentDigest(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 32);
+}
+
+/**
+ * Number of differing bits between two hex perceptual hashes
+ */
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Re-encode an image so it fits the provider's byte/dimension limits
+ */
+async function encodeWithinLimits(sharp, buffer, { outputType, maxDimension, maxBytes }) {
+  let dimension = maxDimension;
+  let quality = 85;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let pipeline = sharp(buffer)
+      .rotate() // Apply EXIF orientation; output carries no EXIF unless asked
+      .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true });
+
+    pipeline = outputType === 'image/png'
+      ? pipeline.png({ compressionLevel: 9 })
+      : outputType === 'image/webp'
+        ? pipeline.webp({ quality })
+        : pipeline.jpeg({ quality, mozjpeg: true });
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    if (data.length <= maxBytes || attempt === 4) {
+      return { buffer: data, width: info.width, height: info.height };
+    }
+
+    // Still too big: PNG falls back to JPEG, then trade quality and size
+    if (outputType === 'image/png') outputType = 'image/jpeg';
+    quality = Math.max(50, quality - 15);
+    dimension = Math.round(dimension * 0.8);
+  }
+}
+
+/**
+ * Preprocess one image for a provider.
+ * Returns { buffer, mediaType, phash, ...report } - providers accept the object directly.
+ */
+async function preprocessImage(image, limits = DEFAULT_IMAGE_LIMITS, options = {}) {
+  const { computeHash = true } = options;
+  const effectiveLimits = { ...DEFAULT_IMAGE_LIMITS, ...limits };
+
+  let buffer = toImageBuffer(image);
+  if (!buffer) {
+    // Remote URLs are passed through untouched
+    return { source: image, preprocessed: false, reason: 'unsupported_input' };
+  }
+
+  const originalMediaType = sniffMediaType(buffer) || 'application/octet-stream';
+  const report = {
+    originalMediaType,
+    originalBytes: buffer.length,
+    converted: false,
+    rotated: false,
+    resized: false,
+    metadataStripped: false,
+    gpsRemoved: false
+  };
+
+  const sharp = loadSharp();
+  if (!sharp) {
+    return { buffer, mediaType: originalMediaType, phash: null, preprocessed: false, ...report };
+  }
+
+  if (HEIF_TYPES.includes(originalMediaType)) {
+    buffer = await convertHeicToJpeg(buffer);
+    report.converted = true;
+  }
+
+  const meta = await sharp(buffer).metadata();
+  const currentType = report.converted ? 'image/jpeg' : originalMediaType;
+  const supported = effectiveLimits.mediaTypes.includes(currentType);
+  const orientation = meta.orientation || 1;
+  const hasGps = exifHasGps(meta.exif);
+  const tooLarge = buffer.length > effectiveLimits.maxBytes ||
+    Math.max(meta.width || 0, meta.height || 0) > effectiveLimits.maxDimension;
+
+  const needsReencode = report.converted || !supported || orientation !== 1 ||
+    !!meta.exif || !!meta.xmp || tooLarge;
+
+  let width = meta.width;
+  let height = meta.height;
+  let mediaType = currentType;
+
+  if (needsReencode) {
+    const keepFormat = supported && ['image/png', 'image/webp'].includes(currentType);
+    const outputType = keepFormat ? currentType : 'image/jpeg';
+    const encoded = await encodeWithinLimits(sharp, buffer, {
+      outputType,
+      maxDimension: effectiveLimits.maxDimension,
+      maxBytes: effectiveLimits.maxBytes
+    });
+
+    report.converted = report.converted || outputType !== originalMediaType;
+    report.rotated = orientation !== 1;
+    report.resized = encoded.width < (orientation >= 5 ? meta.height : meta.width);
+    report.metadataStripped = !!(meta.exif || meta.xmp);
+    report.gpsRemoved = hasGps;
+
+    buffer = encoded.buffer;
+    width = encoded.width;
+    height = encoded.height;
+    mediaType = sniffMediaType(buffer) || outputType;
+  }
+
+  return {
+    buffer,
+    mediaType,
+    width,
+    height,
+    bytes: buffer.length,
+    phash: computeHash ? await computePerceptualHash(buffer) : null,
+    digest: contentDigest(buffer),
+    preprocessed: true,
+    ...report
+  };
+}
+
+/**
+ * Preprocess a batch; failures fall back to the original bytes with a sniffed type
+ */
+async function preprocessImages(images, limits = DEFAULT_IMAGE_LIMITS, options = {}) {
+  const results = [];
+
+  for (let i = 0; i < images.length; i++) {
+    try {
+      results.push({ index: i, ...(await preprocessImage(images[i], limits, options)) });
+    } catch (error) {
+      console.warn(`⚠️ Preprocessing failed for image ${i + 1}, sending original:`, error.message);
+      const buffer = toImageBuffer(images[i]);
+      results.push(buffer
+        ? { index: i, buffer, mediaType: sniffMediaType(buffer) || 'image/jpeg', phash: null, preprocessed: false, error: error.message }
+        : { index: i, source: images[i], preprocessed: false, error: error.message });
+    }
+  }
+
+  console.log('🖼️ Preprocessed images:', results.map(r => ({
+    index: r.index,
+    type: `${r.originalMediaType || '?'} → ${r.mediaType || '?'}`,
+    bytes: r.bytes || r.buffer?.length,
+    rotated: r.rotated,
+    gpsRemoved: r.gpsRemoved
+  })));
+
+  return results;
+}
+
+/**
+ * Strip buffers from preprocessing results so they can be attached to a result
+ */
+function summarizePreprocessing(results) {
+  return results.map(({ buffer, source, ...rest }) => rest);
+}
+
+module.exports = {
+  DEFAULT_IMAGE_LIMITS,
+  preprocessImage,
+  preprocessImages,
+  summarizePreprocessing,
+  computePerceptualHash,
+  hammingDistance,
+  isDegenerateHash,
+  contentDigest,
+  exifHasGps
+};
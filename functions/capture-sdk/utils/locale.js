@@ -0,0 +1,209 @@
+// functions/capture-sdk/utils/locale.js
+// Locale -> analysis language, listing template strings, currency and eBay marketplace.
+// A locale can be given as a code ('de-DE'), a bare language ('de') or an eBay
+// marketplace id ('EBAY_DE').
+
+const DEFAULT_LOCALE = 'en-US';
+
+// globalId is the Finding API site id (X-EBAY-SOA-GLOBAL-ID)
+const LOCALES = {
+  'en-US': { language: 'en', languageName: 'English', marketplaceId: 'EBAY_US', globalId: 'EBAY-US', currency: 'USD', shippingService: 'USPS Priority Mail' },
+  'en-GB': { language: 'en', languageName: 'British English', marketplaceId: 'EBAY_GB', globalId: 'EBAY-GB', currency: 'GBP', shippingService: 'Royal Mail Tracked 48' },
+  'en-CA': { language: 'en', languageName: 'Canadian English', marketplaceId: 'EBAY_CA', globalId: 'EBAY-ENCA', currency: 'CAD', shippingService: 'Canada Post Expedited Parcel' },
+  'fr-CA': { language: 'fr', languageName: 'Canadian French', marketplaceId: 'EBAY_CA', globalId: 'EBAY-FRCA', currency: 'CAD', shippingService: 'Postes Canada Colis accélérés' },
+  'en-AU': { language: 'en', languageName: 'Australian English', marketplaceId: 'EBAY_AU', globalId: 'EBAY-AU', currency: 'AUD', shippingService: 'Australia Post Parcel Post' },
+  'de-DE': { language: 'de', languageName: 'German', marketplaceId: 'EBAY_DE', globalId: 'EBAY-DE', currency: 'EUR', shippingService: 'DHL Paket' },
+  'de-AT': { language: 'de', languageName: 'German', marketplaceId: 'EBAY_AT', globalId: 'EBAY-AT', currency: 'EUR', shippingService: 'Österreichische Post Paket' },
+  'fr-FR': { language: 'fr', languageName: 'French', marketplaceId: 'EBAY_FR', globalId: 'EBAY-FR', currency: 'EUR', shippingService: 'Colissimo' },
+  'it-IT': { language: 'it', languageName: 'Italian', marketplaceId: 'EBAY_IT', globalId: 'EBAY-IT', currency: 'EUR', shippingService: 'Poste Italiane Pacco' },
+  'es-ES': { language: 'es', languageName: 'Spanish', marketplaceId: 'EBAY_ES', globalId: 'EBAY-ES', currency: 'EUR', shippingService: 'Correos Paquete' }
+};
+
+// Approximate units of each currency per US dollar, for converting the USD price tables
+// (pricing/manual.js) - close enough for an estimate, not for settling a sale
+const USD_EXCHANGE_RATES = { USD: 1, GBP: 0.79, CAD: 1.37, AUD: 1.52, EUR: 0.92 };
+
+// Listing template strings by language; missing keys fall back to English
+const LISTING_STRINGS = {
+  en: {
+    category: 'Category',
+    brand: 'Brand',
+    model: 'Model',
+    unbranded: 'Unbranded',
+    seePhotos: 'See photos',
+    notSpecified: 'Not specified',
+    conditionNotes: 'Condition Notes',
+    salvageableParts: 'Salvageable Parts',
+    foundItemNotice: 'Found item - selling as-is. Please review all photos carefully before purchasing.',
+    minimalNotice: 'Selling as-is. See photos for condition.',
+    itemOverview: 'ITEM OVERVIEW',
+    detailedCondition: 'DETAILED CONDITION',
+    knownIssues: 'Known Issues',
+    noneNoted: 'None noted',
+    specifications: 'SPECIFICATIONS',
+    usableAsIs: 'Usable As-Is',
+    yes: 'Yes',
+    noNeedsRepair: 'No - needs repair',
+    noWarrantyNotice: 'IMPORTANT: This is a found/secondhand item being sold as-is with no warranty. \nAll sales final. Please examine photos carefully and ask questions before bidding.',
+    forParts: 'For Parts/Repair',
+    excellentCondition: 'Excellent Condition'
+  },
+  de: {
+    category: 'Kategorie',
+    brand: 'Marke',
+    model: 'Modell',
+    unbranded: 'Markenlos',
+    seePhotos: 'Siehe Fotos',
+    notSpecified: 'Nicht angegeben',
+    conditionNotes: 'Zustand',
+    salvageableParts: 'Verwertbare Teile',
+    foundItemNotice: 'Fundstück - Verkauf wie besehen. Bitte vor dem Kauf alle Fotos genau ansehen.',
+    minimalNotice: 'Verkauf wie besehen. Zustand siehe Fotos.',
+    itemOverview: 'ARTIKELÜBERSICHT',
+    detailedCondition: 'ZUSTAND IM DETAIL',
+    knownIssues: 'Bekannte Mängel',
+    noneNoted: 'Keine festgestellt',
+    specifications: 'TECHNISCHE DATEN',
+    usableAsIs: 'Sofort nutzbar',
+    yes: 'Ja',
+    noNeedsRepair: 'Nein - muss repariert werden',
+    noWarrantyNotice: 'WICHTIG: Privatverkauf eines gebrauchten Artikels wie besehen, ohne Garantie und Rücknahme. \nBitte Fotos genau prüfen und Fragen vor dem Bieten stellen.',
+    forParts: 'Defekt/Für Bastler',
+    excellentCondition: 'Sehr guter Zustand'
+  },
+  fr: {
+    category: 'Catégorie',
+    brand: 'Marque',
+    model: 'Modèle',
+    unbranded: 'Sans marque',
+    seePhotos: 'Voir photos',
+    notSpecified: 'Non précisé',
+    conditionNotes: 'État',
+    salvageableParts: 'Pièces récupérables',
+    foundItemNotice: 'Objet trouvé - vendu en l\'état. Merci d\'examiner toutes les photos avant l\'achat.',
+    minimalNotice: 'Vendu en l\'état. Voir photos pour l\'état.',
+    itemOverview: 'PRÉSENTATION',
+    detailedCondition: 'ÉTAT DÉTAILLÉ',
+    knownIssues: 'Défauts connus',
+    noneNoted: 'Aucun constaté',
+    specifications: 'CARACTÉRISTIQUES',
+    usableAsIs: 'Utilisable en l\'état',
+    yes: 'Oui',
+    noNeedsRepair: 'Non - à réparer',
+    noWarrantyNotice: 'IMPORTANT : objet d\'occasion vendu en l\'état, sans garantie. \nVente définitive. Merci d\'examiner les photos et de poser vos questions avant d\'enchérir.',
+    forParts: 'Pour pièces/à réparer',
+    excellentCondition: 'Excellent état'
+  },
+  it: {
+    category: 'Categoria',
+    brand: 'Marca',
+    model: 'Modello',
+    unbranded: 'Senza marca',
+    seePhotos: 'Vedi foto',
+    notSpecified: 'Non specificato',
+    conditionNotes: 'Condizioni',
+    salvageableParts: 'Parti recuperabili',
+    foundItemNotice: 'Oggetto usato - venduto così com\'è. Controllare attentamente tutte le foto prima dell\'acquisto.',
+    minimalNotice: 'Venduto così com\'è. Vedi foto per le condizioni.',
+    itemOverview: 'PANORAMICA',
+    detailedCondition: 'CONDIZIONI DETTAGLIATE',
+    knownIssues: 'Difetti noti',
+    noneNoted: 'Nessuno rilevato',
+    specifications: 'CARATTERISTICHE',
+    usableAsIs: 'Utilizzabile così com\'è',
+    yes: 'Sì',
+    noNeedsRepair: 'No - da riparare',
+    noWarrantyNotice: 'IMPORTANTE: oggetto usato venduto così com\'è, senza garanzia. \nVendita definitiva. Controllare le foto e fare domande prima di offrire.',
+    forParts: 'Per ricambi/da riparare',
+    excellentCondition: 'Ottime condizioni'
+  },
+  es: {
+    category: 'Categoría',
+    brand: 'Marca',
+    model: 'Modelo',
+    unbranded: 'Sin marca',
+    seePhotos: 'Ver fotos',
+    notSpecified: 'No especificado',
+    conditionNotes: 'Estado',
+    salvageableParts: 'Piezas aprovechables',
+    foundItemNotice: 'Artículo de segunda mano - se vende tal cual. Revise todas las fotos antes de comprar.',
+    minimalNotice: 'Se vende tal cual. Ver fotos para el estado.',
+    itemOverview: 'RESUMEN DEL ARTÍCULO',
+    detailedCondition: 'ESTADO DETALLADO',
+    knownIssues: 'Defectos conocidos',
+    noneNoted: 'Ninguno',
+    specifications: 'ESPECIFICACIONES',
+    usableAsIs: 'Utilizable tal cual',
+    yes: 'Sí',
+    noNeedsRepair: 'No - necesita reparación',
+    noWarrantyNotice: 'IMPORTANTE: artículo de segunda mano vendido tal cual, sin garantía. \nVenta final. Revise las fotos y haga sus preguntas antes de pujar.',
+    forParts: 'Para piezas/reparar',
+    excellentCondition: 'Excelente estado'
+  }
+};
+
+function toLocaleConfig(code) {
+  return { code, ...LOCALES[code], strings: { ...LISTING_STRINGS.en, ...LISTING_STRINGS[LOCALES[code].language] } };
+}
+
+/**
+ * Resolve a locale code, bare language or eBay marketplace id to its config
+ * @returns {Object} { code, language, languageName, marketplaceId, globalId, currency, shippingService, strings }
+ */
+function resolveLocale(locale = DEFAULT_LOCALE) {
+  if (locale && typeof locale === 'object') return locale.strings ? locale : resolveLocale(locale.code);
+
+  const value = String(locale || DEFAULT_LOCALE).trim().replace('_', '-');
+  const codes = Object.keys(LOCALES);
+  const code = codes.find(c => c.toLowerCase() === value.toLowerCase())
+    || codes.find(c => LOCALES[c].marketplaceId === value.toUpperCase().replace('-', '_'))
+    || codes.find(c => LOCALES[c].language === value.toLowerCase());
+
+  if (!code) {
+    throw new Error(`Unknown locale "${locale}" (use ${codes.join(', ')} or an eBay marketplace id)`);
+  }
+  return toLocaleConfig(code);
+}
+
+/**
+ * Format an amount in the locale's currency (e.g. 12,50 € for de-DE)
+ */
+function formatCurrency(amount, locale) {
+  const { code, currency } = resolveLocale(locale);
+  return new Intl.NumberFormat(code, { style: 'currency', currency }).format(Number(amount) || 0);
+}
+
+/**
+ * Convert a US dollar amount at the approximate rate; rate null for a currency without one
+ * @returns {{ amount: number, rate: number|null }}
+ */
+function convertFromUsd(amount, currency = 'USD') {
+  const rate = USD_EXCHANGE_RATES[currency] || null;
+  return { amount: rate ? Math.round(amount * rate) : amount, rate };
+}
+
+/**
+ * eBay marketplace id for a locale; marketplace ids pass through (including ones without a locale here)
+ */
+function toMarketplaceId(value = 'EBAY_US') {
+  return /^EBAY_[A-Z_]+$/.test(value) ? value : resolveLocale(value).marketplaceId;
+}
+
+/**
+ * Content language for eBay REST calls on a marketplace (Accept-Language / Content-Language)
+ */
+function contentLanguage(marketplaceId = 'EBAY_US') {
+  return Object.keys(LOCALES).find(code => LOCALES[code].marketplaceId === marketplaceId) || DEFAULT_LOCALE;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LISTING_STRINGS,
+  USD_EXCHANGE_RATES,
+  resolveLocale,
+  formatCurrency,
+  convertFromUsd,
+  toMarketplaceId,
+  contentLanguage
+};
@@ -253,4 +253,4 @@ function normalizeResponse(rawResponse /*, provider */) {
 }
 
 // ✅ FIXED: Proper CommonJS export
-module.exports = { normalizeResponse };
\ No newline at end of file
+module.exports = { normalizeResponse, normalizeSalvageComponent };
\ No newline at end of file
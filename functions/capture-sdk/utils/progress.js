@@ -0,0 +1,71 @@
+// functions/capture-sdk/utils/progress.js
+// Progress callbacks for long-running steps (analysis, routing), and streaming
+// them to an HTTP client. A listener that throws must never fail the work it is watching.
+
+/**
+ * Wrap an optional onProgress(event) listener
+ * @param {Function} [onProgress]
+ * @param {Object} [base] - Fields added to every event (e.g. { phase: 'analyzeItem' })
+ * @returns {Function} emit(step, data)
+ */
+function createProgressEmitter(onProgress, base = {}) {
+  if (typeof onProgress !== 'function') return () => {};
+
+  return (step, data = {}) => {
+    try {
+      onProgress({ ...base, step, ...data });
+    } catch (error) {
+      console.warn(`⚠️ Progress listener failed on ${base.phase || 'progress'}/${step}:`, error.message);
+    }
+  };
+}
+
+/**
+ * Stream progress to an HTTP client: Server-Sent Events for ?stream=1|sse
+ * (or Accept: text/event-stream), one JSON event per line for ?stream=ndjson
+ * (or Accept: application/x-ndjson), and a plain JSON response otherwise
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{enabled: boolean, start: Function, progress: Function, fail: Function, done: Function}}
+ */
+function createProgressStream(req, res) {
+  const accept = (req.headers.accept || '').toLowerCase();
+  const format = req.query.stream === 'ndjson' || accept.includes('application/x-ndjson') ? 'ndjson'
+    : req.query.stream === '1' || req.query.stream === 'sse' || accept.includes('text/event-stream') ? 'sse'
+    : null;
+
+  const send = (event) => {
+    if (!format || !res.headersSent || res.writableEnded) return;
+    res.write(format === 'sse'
+      ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+      : JSON.stringify(event) + '\n');
+  };
+
+  return {
+    enabled: !!format,
+    start() {
+      if (!format || res.headersSent) return;
+      res.setHeader('Content-Type', format === 'sse' ? 'text/event-stream' : 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+    },
+    progress: (event) => send({ type: 'progress', ...event }),
+    // Once the stream has started the status code is already sent; errors become the last event
+    fail(status, body) {
+      if (!format || !res.headersSent) return res.status(status).json(body);
+      send({ type: 'error', status, ...body });
+      return res.end();
+    },
+    done(body) {
+      if (!format || !res.headersSent) return res.json(body);
+      send({ type: 'result', ...body });
+      return res.end();
+    }
+  };
+}
+
+module.exports = {
+  createProgressEmitter,
+  createProgressStream
+};
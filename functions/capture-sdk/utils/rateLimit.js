@@ -0,0 +1,60 @@
+// functions/capture-sdk/utils/rateLimit.js
+// Shared rate-limit helpers: providers tag their 429s, callers retry with backoff
+
+/**
+ * Error for a provider 429. Keeps the provider's message and carries the
+ * server's Retry-After hint (ms) when it sent one.
+ */
+function createRateLimitError(message, response) {
+  const error = new Error(message);
+  error.code = 'RATE_LIMITED';
+  error.status = 429;
+  error.retryAfterMs = parseRetryAfter(response?.headers?.get?.('retry-after'));
+  return error;
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * True for a thrown rate-limit error or an analysis result that failed on one
+ * (analyzeItem returns an error response instead of throwing)
+ */
+function isRateLimited(errorOrResult) {
+  if (!errorOrResult) return false;
+  if (errorOrResult.code === 'RATE_LIMITED' || errorOrResult.errorCode === 'RATE_LIMITED') return true;
+  if (errorOrResult.status === 429) return true;
+  const message = errorOrResult instanceof Error ? errorOrResult.message : errorOrResult.error;
+  return typeof message === 'string' && /rate limit/i.test(message);
+}
+
+/**
+ * Exponential backoff with jitter (half fixed, half random); waits at least the
+ * server's Retry-After, capped at maxDelayMs
+ * @param {number} attempt - 1 for the first retry
+ */
+function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 30000, retryAfterMs = null } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  return Math.min(maxDelayMs, Math.max(jittered, retryAfterMs || 0));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createRateLimitError,
+  parseRetryAfter,
+  isRateLimited,
+  backoffDelay,
+  sleep
+};
@@ -0,0 +1,109 @@
+// functions/capture-sdk/utils/schemaValidator.js
+// Minimal JSON Schema validator (draft-07 subset) - no external dependencies
+//
+// Supported keywords: type, required, properties, additionalProperties (boolean),
+// items, enum, pattern, minLength, minimum, maximum, minItems, anyOf, oneOf
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {Array<{path: string, keyword: string, message: string}>} empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const fail = (keyword, message) => errors.push({ path: path || '(root)', keyword, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      fail('type', `expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors; // Nothing else is meaningful with the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `"${value.substring(0, 60)}" does not match ${schema.description || schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, joinPath(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), keyword: 'required', message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propSchema, joinPath(path, key)));
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !(schema.properties || {})[key])
+        .forEach(key => errors.push({ path: joinPath(path, key), keyword: 'additionalProperties', message: 'is not allowed' }));
+    }
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives) {
+    const results = alternatives.map(alt => validateSchema(value, alt, path));
+    const passing = results.filter(r => r.length === 0).length;
+    if (schema.anyOf && passing === 0) {
+      fail('anyOf', schema.description ? `must be ${schema.description}` : 'does not match any allowed shape');
+    }
+    if (schema.oneOf && passing !== 1) {
+      fail('oneOf', schema.description ? `must be ${schema.description}` : 'must match exactly one allowed shape');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
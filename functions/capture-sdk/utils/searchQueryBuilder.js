@@ -1,18 +1,22 @@
 // functions/capture-sdk/utils/searchQueryBuilder.js
 // Enhanced search query building for better eBay comparables
 
+const { normalizeGtin, normalizeIsbn } = require('./gtin.js');
+
 /**
- * Build intelligent search queries based on item characteristics
+ * Only filter comparables by brand when the brand is printed on the item
  */
+function isSafeToFilterByBrand(result) {
+  const hasBrandEvidence =
+    (result.identifiers?.visible_text || '').toLowerCase().includes((result.brand || '').toLowerCase()) ||
+    (result.identifiers?.logos_seen || '').toLowerCase().includes((result.brand || '').toLowerCase());
 
-const hasBrandEvidence =
-  (result.identifiers?.visible_text || '').toLowerCase().includes((result.brand || '').toLowerCase()) ||
-  (result.identifiers?.logos_seen || '').toLowerCase().includes((result.brand || '').toLowerCase());
-
-const safeToFilterByBrand =
-  result.brand && result.brand !== 'Unknown' && (result.confidence_rating || 0) >= 7 && hasBrandEvidence;
-
+  return !!(result.brand && result.brand !== 'Unknown' && (result.confidence_rating || 0) >= 7 && hasBrandEvidence);
+}
 
+/**
+ * Build intelligent search queries based on item characteristics
+ */
 function buildSmartSearchQueries(itemData) {
     const queries = [];
     const category = itemData.category?.toLowerCase();
@@ -22,6 +26,18 @@ function buildSmartSearchQueries(itemData) {
     // Extract key characteristics from the item
     const characteristics = extractItemCharacteristics(itemData);
     
+    // Strategy 0: Exact product by barcode - a GTIN search beats every keyword guess
+    const gtin = normalizeGtin(itemData.identifiers?.gtin) || normalizeIsbn(itemData.identifiers?.isbn);
+    if (gtin) {
+      queries.push({
+        query: gtin,
+        gtin,
+        priority: 0,
+        description: 'Exact GTIN (UPC/EAN/ISBN) match',
+        expectedResults: 'exact_match'
+      });
+    }
+    
     // Strategy 1: Most specific - Brand + Model + Type
     if (brand && brand !== 'Unknown' && model && model !== 'Unknown') {
       queries.push({
@@ -352,4 +368,4 @@ function buildSmartSearchQueries(itemData) {
   // 5. "side table"
   // NOT: "furniture" (useless!)
   */
-  module.exports = { searchQueryBuilder };
+  module.exports = { buildSmartSearchQueries, extractItemCharacteristics, isSafeToFilterByBrand };
@@ -1,3 +1,5 @@
+const { toMarketplaceId, contentLanguage } = require('./capture-sdk/utils/locale.js');
+const { ebayHosts } = require('./capture-sdk/integrations/ebay/hosts.js');
 
 // Global database references
 let db = null;
@@ -21,6 +23,12 @@ const CATEGORY_KEYWORDS = {
 };
 
 // eBay Category Mapping Service (REST API Version)
+// Each marketplace has its own category tree, so mappings are built and stored per marketplace
+
+// EBAY_US keeps the original document id so existing mappings stay valid
+function mappingDocId(marketplaceId) {
+  return marketplaceId === 'EBAY_US' ? 'ebay_category_mapping' : `ebay_category_mapping_${marketplaceId}`;
+}
 
 // Your internal categories to map
 const INTERNAL_CATEGORIES = [
@@ -60,11 +68,12 @@ function getFallbackMapping() {
 }
 
 // ADDED: Validate category mapping function
-async function validateCategoryMapping() {
+async function validateCategoryMapping(marketplaceId = 'EBAY_US') {
   try {
-    const mapping = await getCategoryMapping(false);
+    const mapping = await getCategoryMapping(false, null, marketplaceId);
     const validation = {
       isValid: true,
+      marketplaceId: toMarketplaceId(marketplaceId),
       totalCategories: Object.keys(mapping).length,
       missingCategories: [],
       invalidCategories: [],
@@ -112,7 +121,7 @@ async function getEbayAccessToken(ebayConfig) {
     
     const credentials = Buffer.from(`${ebayConfig.clientId}:${ebayConfig.clientSecret}`).toString('base64');
     
-    const response = await fetch('https://api.ebay.com/identity/v1/oauth2/token', {
+    const response = await fetch(ebayHosts(ebayConfig).tokenUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -137,13 +146,14 @@ async function getEbayAccessToken(ebayConfig) {
 
 
 // Fetch category tree using Taxonomy API
-async function fetchEbayCategoryTree(ebayConfig) {
+async function fetchEbayCategoryTree(ebayConfig, marketplaceId = 'EBAY_US') {
   try {
     const fetch = (await import('node-fetch')).default;
     const accessToken = await getEbayAccessToken(ebayConfig);
     
     // Get default category tree ID
-    const treeResponse = await fetch('https://api.ebay.com/commerce/taxonomy/v1/get_default_category_tree_id?marketplace_id=EBAY_US', {
+    const apiUrl = ebayHosts(ebayConfig).api;
+    const treeResponse = await fetch(`${apiUrl}/commerce/taxonomy/v1/get_default_category_tree_id?marketplace_id=${marketplaceId}`, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
@@ -157,13 +167,14 @@ async function fetchEbayCategoryTree(ebayConfig) {
     const treeData = await treeResponse.json();
     const categoryTreeId = treeData.categoryTreeId;
     
-    console.log(`Using eBay category tree ID: ${categoryTreeId}`);
+    console.log(`Using eBay category tree ID: ${categoryTreeId} (${marketplaceId})`);
     
     // Get full category tree
-    const categoriesResponse = await fetch(`https://api.ebay.com/commerce/taxonomy/v1/category_tree/${categoryTreeId}`, {
+    const categoriesResponse = await fetch(`${apiUrl}/commerce/taxonomy/v1/category_tree/${categoryTreeId}`, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Accept-Language': contentLanguage(marketplaceId)
       }
     });
     
@@ -205,11 +216,11 @@ function extractLeafCategories(node, ancestors = []) {
 
 
 // Fetch all eBay leaf categories
-async function fetchEbayLeafCategories(ebayConfig) {
-  console.log('Fetching eBay leaf categories using Taxonomy API...');
+async function fetchEbayLeafCategories(ebayConfig, marketplaceId = 'EBAY_US') {
+  console.log(`Fetching ${marketplaceId} leaf categories using Taxonomy API...`);
   
   try {
-    const categoryTree = await fetchEbayCategoryTree(ebayConfig);
+    const categoryTree = await fetchEbayCategoryTree(ebayConfig, marketplaceId);
     const leafCategories = extractLeafCategories(categoryTree.rootCategoryNode);
     
     console.log(`Found ${leafCategories.length} eBay leaf categories`);
@@ -221,7 +232,7 @@ async function fetchEbayLeafCategories(ebayConfig) {
 }
 
 
-// Score category match based on keywords
+// Score category match based on keywords (English keywords: non-English trees mostly fall back to '99')
 function scoreCategoryMatch(internalCategory, ebayCategory) {
   const keywords = CATEGORY_KEYWORDS[internalCategory] || [];
   const ebayCategoryLower = ebayCategory.name.toLowerCase();
@@ -290,20 +301,21 @@ function buildCategoryMapping(leafCategories) {
 
 
 // Save mapping to Firestore
-async function saveCategoryMapping(mapping) {
+async function saveCategoryMapping(mapping, marketplaceId = 'EBAY_US') {
   try {
     if (!isInitialized || !db || !admin) {
       console.warn('Database not initialized, skipping save to Firestore');
       return false;
     }
 
-    await db.collection('system').doc('ebay_category_mapping').set({
+    await db.collection('system').doc(mappingDocId(marketplaceId)).set({
       mapping: mapping,
+      marketplaceId,
       lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
       version: Date.now()
     });
     
-    console.log('Category mapping saved to Firestore');
+    console.log(`Category mapping for ${marketplaceId} saved to Firestore`);
     return true;
   } catch (error) {
     console.error('Failed to save category mapping:', error);
@@ -313,17 +325,17 @@ async function saveCategoryMapping(mapping) {
 
 
 // Load mapping from Firestore
-async function loadCategoryMapping() {
+async function loadCategoryMapping(marketplaceId = 'EBAY_US') {
   try {
     if (!isInitialized || !db) {
       console.warn('Database not initialized, cannot load from Firestore');
       return null;
     }
 
-    const doc = await db.collection('system').doc('ebay_category_mapping').get();
+    const doc = await db.collection('system').doc(mappingDocId(marketplaceId)).get();
     
     if (!doc.exists) {
-      console.log('No existing category mapping found');
+      console.log(`No existing category mapping found for ${marketplaceId}`);
       return null;
     }
     
@@ -348,12 +360,14 @@ function shouldRefreshMapping(lastUpdated) {
 }
 
 
-// Main function to get/refresh category mapping
-async function getCategoryMapping(forceRefresh = false, ebayConfig = null) {
+// Main function to get/refresh category mapping (marketplace id or locale, e.g. 'EBAY_GB' / 'en-GB')
+async function getCategoryMapping(forceRefresh = false, ebayConfig = null, marketplace = ebayConfig?.marketplaceId || 'EBAY_US') {
   try {
+    const marketplaceId = toMarketplaceId(marketplace);
+
     // Try to load existing mapping first
     if (!forceRefresh) {
-      const existingMapping = await loadCategoryMapping();
+      const existingMapping = await loadCategoryMapping(marketplaceId);
       if (existingMapping) {
         return existingMapping;
       }
@@ -365,16 +379,16 @@ async function getCategoryMapping(forceRefresh = false, ebayConfig = null) {
       return getFallbackMapping();
     }
     
-    console.log('Building new eBay category mapping...');
+    console.log(`Building new ${marketplaceId} category mapping...`);
     
     // Fetch fresh data from eBay
-    const leafCategories = await fetchEbayLeafCategories(ebayConfig);
+    const leafCategories = await fetchEbayLeafCategories(ebayConfig, marketplaceId);
     
     // Build the mapping
     const mapping = buildCategoryMapping(leafCategories);
     
     // Save for future use
-    await saveCategoryMapping(mapping);
+    await saveCategoryMapping(mapping, marketplaceId);
     
     // Log the results
     console.log('Category mapping completed:');
@@ -392,9 +406,9 @@ async function getCategoryMapping(forceRefresh = false, ebayConfig = null) {
 
 
 // Updated mapCategoryToEbayId function
-async function mapCategoryToEbayId(category, ebayConfig = null) {
+async function mapCategoryToEbayId(category, ebayConfig = null, marketplaceId = ebayConfig?.marketplaceId || 'EBAY_US') {
   try { 
-    const mapping = await getCategoryMapping(false, ebayConfig);
+    const mapping = await getCategoryMapping(false, ebayConfig, marketplaceId);
     let normalizedCategory = category?.toLowerCase()?.trim();
 
     // Check for a direct mapping from the AI's raw category first
@@ -10,6 +10,14 @@ const dotenv = require('dotenv');
 const Busboy = require('busboy');
 const cors = require('cors');
 const { EbayTokenManager } = require('./capture-sdk/utils/ebay-token-manager.js');
+const { ebayHosts } = require('./capture-sdk/integrations/ebay/hosts.js');
+const { createProgressStream } = require('./capture-sdk/utils/progress.js');
+const {
+  toEbayConditionEnum,
+  toEbayConditionId,
+  isValidEbayConditionEnum,
+  ebayConditionLabel
+} = require('./capture-sdk/core/conditionGrade.js');
 
 // FIXED: Import and initialize the category mapper
 const { 
@@ -53,6 +61,7 @@ setGlobalOptions({
 console.log('Environment check:', {
   hasOpenAI: !!process.env.OPENAI_API_KEY,
   hasClaude: !!process.env.CLAUDE_API_KEY,
+  visionProvider: process.env.VISION_PROVIDER || 'claude',
   hasEbayClientId: !!process.env.EBAY_CLIENT_ID,
   hasEbaySecret: !!process.env.EBAY_CLIENT_SECRET,
   ebayEnvironment: process.env.EBAY_ENVIRONMENT || 'not-set',
@@ -105,19 +114,58 @@ async function getSDK() {
   try {
     const CaptureSDK = require('./capture-sdk/index.js');
     cachedSDK = new CaptureSDK({
-      visionProvider: 'claude',
+      visionProvider: process.env.VISION_PROVIDER || 'claude',
+      promptVersion: process.env.VISION_PROMPT_VERSION,
+      // Default analysis language / currency / eBay marketplace (e.g. en-GB, de-DE)
+      locale: process.env.SDK_LOCALE,
       apiKeys: {
-        gpt4v: process.env.OPENAI_API_KEY,
-        claude: process.env.CLAUDE_API_KEY
+        openai: process.env.OPENAI_API_KEY,
+        claude: process.env.CLAUDE_API_KEY,
+        gemini: process.env.GEMINI_API_KEY
       },
       ebay: {
         clientId: process.env.EBAY_CLIENT_ID,
         clientSecret: process.env.EBAY_CLIENT_SECRET,
         environment: process.env.EBAY_ENVIRONMENT || 'production',
-        redirectUri: process.env.EBAY_REDIRECT_URI
+        redirectUri: process.env.EBAY_REDIRECT_URI,
+        // EBAY_BASE_URL=http://localhost:8787 points every eBay call at the local sandbox server
+        baseUrl: process.env.EBAY_BASE_URL
+      },
+      // Re-scans (e.g. after editing in scan-editor) reuse the paid analysis
+      cache: { type: 'firestore', db, collection: 'analysisCache' },
+      // What users change in scan-editor, for prompt evaluation and confidence calibration
+      corrections: { type: 'firestore', db, collection: 'corrections', categoryKeywords: CATEGORY_KEYWORDS },
+      // Decoded barcodes are looked up in Open Library / UPCitemdb (UPCITEMDB_API_KEY for the paid tier)
+      productLookup: { adapters: ['openLibrary', 'upcItemDb'] },
+      // Prohibited items and car seat / helmet / battery rules are built in; SAFETY_DATASET_FILE adds a local recall list
+      safety: process.env.SAFETY_DATASET_FILE ? { file: process.env.SAFETY_DATASET_FILE } : true,
+      // Token/cost accounting in users/{uid}/usage/{day}; users can override the budget on their profile
+      usage: {
+        type: 'firestore',
+        db,
+        budget: {
+          monthlyUsd: process.env.MONTHLY_ANALYSIS_BUDGET_USD ? Number(process.env.MONTHLY_ANALYSIS_BUDGET_USD) : null,
+          onExceeded: process.env.ANALYSIS_BUDGET_ACTION || 'degrade'
+        }
       }
     });
     console.log('✅ SDK initialized with eBay configuration');
+
+    // Latest confidence calibration fitted from user corrections (optional)
+    try {
+      const calibrationDoc = await db.collection('config').doc('confidenceCalibration').get();
+      if (calibrationDoc.exists) cachedSDK.setCalibration(calibrationDoc.data());
+    } catch (calibrationError) {
+      console.warn('⚠️ Could not load confidence calibration:', calibrationError.message);
+    }
+
+    // Operator routing policy: { policy, locked } - users' routingPreferences apply on top (optional)
+    try {
+      const routingDoc = await db.collection('config').doc('routingPolicy').get();
+      if (routingDoc.exists) cachedSDK.setRoutingPolicy(routingDoc.data());
+    } catch (routingError) {
+      console.warn('⚠️ Could not load routing policy:', routingError.message);
+    }
     return cachedSDK;
   } catch (error) {
     console.error('❌ SDK initialization failed:', error);
@@ -208,7 +256,7 @@ async function verifyAuth(req) {
 // ========== 8. EBAY TOKEN MANAGEMENT ==========
 async function refreshEbayToken(refreshToken) {
   const fetch = (await import('node-fetch')).default;
-  const response = await fetch('https://api.ebay.com/identity/v1/oauth2/token', {
+  const response = await fetch(ebayHosts().tokenUrl, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -269,7 +317,7 @@ async function callEbayAPI(accessToken, method, endpoint, body = null) {
     console.log('✅ Added Content-Language: en-US header for Inventory API');
   }
 
-  const response = await fetch(`https://api.ebay.com${endpoint}`, {
+  const response = await fetch(`${ebayHosts().api}${endpoint}`, {
     method,
     headers,
     body: body ? JSON.stringify(body) : undefined
@@ -309,7 +357,7 @@ async function callTradingAPI(accessToken, apiCallName, xmlPayload) {
     'Content-Type': 'text/xml'
   };
 
-  const tradingApiUrl = `https://api.ebay.com/ws/api.dll`;
+  const tradingApiUrl = ebayHosts().tradingUrl;
 
   const response = await fetch(tradingApiUrl, {
     method: 'POST',
@@ -439,167 +487,25 @@ async function getUserEbayPolicies(userId) {
 }
 
 
-// ✅ FIXED: Clean mapConditionToEbay function
-function mapConditionToEbay(condition) {
-  console.log('🏷️ Mapping condition to eBay ConditionEnum:', { input: condition, type: typeof condition });
-  
-  let normalizedCondition = condition;
-  
-  // Handle object conditions (e.g., { rating: 'good' })
-  if (typeof condition === 'object' && condition !== null) {
-    normalizedCondition = condition.rating || condition.condition || 'good';
-  }
-  
-  const conditionKey = String(normalizedCondition).toLowerCase().trim();
-  
-  // CRITICAL FIX: Use only valid eBay Inventory API ConditionEnum values
-  const conditionMap = {
-    // New conditions
-    'new': 'NEW',
-    'like_new': 'LIKE_NEW',
-    'like new': 'LIKE_NEW',
-    'new_other': 'NEW_OTHER',
-    'new other': 'NEW_OTHER',
-    'new_with_defects': 'NEW_WITH_DEFECTS',
-    'new with defects': 'NEW_WITH_DEFECTS',
-    
-    // Refurbished conditions
-    'certified_refurbished': 'CERTIFIED_REFURBISHED',
-    'certified refurbished': 'CERTIFIED_REFURBISHED',
-    'excellent_refurbished': 'EXCELLENT_REFURBISHED',
-    'excellent refurbished': 'EXCELLENT_REFURBISHED',
-    'very_good_refurbished': 'VERY_GOOD_REFURBISHED',
-    'very good refurbished': 'VERY_GOOD_REFURBISHED',
-    'good_refurbished': 'GOOD_REFURBISHED',
-    'good refurbished': 'GOOD_REFURBISHED',
-    'seller_refurbished': 'SELLER_REFURBISHED',
-    'seller refurbished': 'SELLER_REFURBISHED',
-    'refurbished': 'SELLER_REFURBISHED',
-    
-    // Used conditions
-    'excellent': 'USED_EXCELLENT',
-    'used_excellent': 'USED_EXCELLENT',
-    'used excellent': 'USED_EXCELLENT',
-    'very_good': 'USED_VERY_GOOD',
-    'very good': 'USED_VERY_GOOD',
-    'used_very_good': 'USED_VERY_GOOD',
-    'used very good': 'USED_VERY_GOOD',
-    'good': 'USED_GOOD',
-    'used_good': 'USED_GOOD',
-    'used good': 'USED_GOOD',
-    'used': 'USED_GOOD',
-    'acceptable': 'USED_ACCEPTABLE',
-    'used_acceptable': 'USED_ACCEPTABLE',
-    'used acceptable': 'USED_ACCEPTABLE',
-    'fair': 'USED_ACCEPTABLE',
-    
-    // Non-working conditions
-    'poor': 'FOR_PARTS_OR_NOT_WORKING',
-    'for_parts': 'FOR_PARTS_OR_NOT_WORKING',
-    'for parts': 'FOR_PARTS_OR_NOT_WORKING',
-    'broken': 'FOR_PARTS_OR_NOT_WORKING',
-    'damaged': 'FOR_PARTS_OR_NOT_WORKING',
-    'not_working': 'FOR_PARTS_OR_NOT_WORKING',
-    'not working': 'FOR_PARTS_OR_NOT_WORKING',
-    'for_parts_or_not_working': 'FOR_PARTS_OR_NOT_WORKING'
-  };
-  
-  const mappedCondition = conditionMap[conditionKey] || 'USED_GOOD';
-  
-  console.log('Condition mapped to ConditionEnum:', { 
-    input: condition, 
-    normalized: conditionKey, 
-    output: mappedCondition
-  });
-  
+// eBay condition helpers - thin wrappers over the SDK's condition grading
+// (capture-sdk/core/conditionGrade.js), the single source of truth for conditions
+function mapConditionToEbay(condition, category) {
+  const mappedCondition = toEbayConditionEnum(condition, { category });
+  console.log('🏷️ Condition mapped to ConditionEnum:', { input: condition, category, output: mappedCondition });
   return mappedCondition;
 }
 
-// ADDED: Validation function to ensure condition is valid before API calls
 function isValidEbayCondition(condition) {
-  const validConditions = [
-    'NEW', 'LIKE_NEW', 'NEW_OTHER', 'NEW_WITH_DEFECTS',
-    'CERTIFIED_REFURBISHED', 'EXCELLENT_REFURBISHED', 'VERY_GOOD_REFURBISHED', 
-    'GOOD_REFURBISHED', 'SELLER_REFURBISHED',
-    'USED_EXCELLENT', 'USED_VERY_GOOD', 'USED_GOOD', 'USED_ACCEPTABLE',
-    'FOR_PARTS_OR_NOT_WORKING', 'PRE_OWNED_EXCELLENT', 'PRE_OWNED_FAIR'
-  ];
-  
-  return validConditions.includes(condition);
+  return isValidEbayConditionEnum(condition);
 }
 
 function formatConditionForEbay(condition) {
-  const conditionDisplay = {
-    'NEW': 'New',
-    'LIKE_NEW': 'Like New',
-    'NEW_OTHER': 'New other (see details)',
-    'NEW_WITH_DEFECTS': 'New with defects',
-    'CERTIFIED_REFURBISHED': 'Certified - Refurbished',
-    'EXCELLENT_REFURBISHED': 'Excellent - Refurbished',
-    'VERY_GOOD_REFURBISHED': 'Very Good - Refurbished',
-    'GOOD_REFURBISHED': 'Good - Refurbished',
-    'SELLER_REFURBISHED': 'Seller refurbished',
-    'USED_EXCELLENT': 'Used - Excellent',
-    'USED_VERY_GOOD': 'Used - Very Good',
-    'USED_GOOD': 'Used - Good',
-    'USED_ACCEPTABLE': 'Used - Acceptable',
-    'FOR_PARTS_OR_NOT_WORKING': 'For parts or not working',
-    'PRE_OWNED_EXCELLENT': 'Pre-owned - Excellent',
-    'PRE_OWNED_FAIR': 'Pre-owned - Fair'
-  };
-  
-  const key = String(condition).toUpperCase().trim();
-  return conditionDisplay[key] || 'Used - Good';
+  return ebayConditionLabel(condition);
 }
 
-
-function getEbayConditionId(condition) {
-  const normalizedCondition = condition?.toLowerCase()?.trim();
-
-  // Use a map of normalized strings to correct eBay numeric IDs
-  const conditionIdMap = {
-    'new': 1000,
-    'like_new': 1500,
-    'new other': 1750,
-    'new_other': 1750,
-    'new with defects': 2000,
-    'new_with_defects': 2000,
-    'certified refurbished': 2500,
-    'certified_refurbished': 2500,
-    'excellent refurbished': 2750,
-    'excellent_refurbished': 2750,
-    'very good refurbished': 3000,
-    'very_good_refurbished': 3000,
-    'good refurbished': 4000,
-    'good_refurbished': 4000,
-    'seller refurbished': 5000,
-    'seller_refurbished': 5000,
-    'used': 3000,
-  'excellent': 3000,
-  'used_excellent': 3000,
-  'used excellent': 3000,
-  'very_good': 3000,
-  'used_very_good': 3000,
-  'used very good': 3000,
-  'good': 3000,
-  'used_good': 3000,
-  'used good': 3000,
-  'acceptable': 3000, // Change this line
-  'used_acceptable': 3000, // Change this line
-  'used acceptable': 3000, // Change this line
-  'fair': 3000, // Change this line
-    'poor': 7000,
-    'for_parts': 7000,
-    'for parts': 7000,
-    'broken': 7000,
-    'damaged': 7000,
-    'not_working': 7000,
-    'not working': 7000,
-    'for_parts_or_not_working': 7000,
-  };
-
-  // Return the mapped ID or a fallback
-  return conditionIdMap[normalizedCondition] || 3000; // Default to 'Used - Good'
+// Trading API ConditionID; used conditions collapse to 3000 outside categories that accept graded used IDs
+function getEbayConditionId(condition, category) {
+  return toEbayConditionId(condition || 'good', { category });
 }
 
 
@@ -767,6 +673,14 @@ app.post('/api/ebay/test-category', asyncHandler(async (req, res) => {
   }
 }));
 
+// ---------- Analysis Progress Streaming ----------
+// /api/analyze and /api/analyze-json answer with Server-Sent Events for ?stream=1
+// (or Accept: text/event-stream), or one JSON event per line for ?stream=ndjson
+// (or Accept: application/x-ndjson).
+// Progress events use the same `phase` names as the error responses
+// (upload, getSDK, analyzeItem, getRoutes); the last event is `result` or `error`.
+// See createProgressStream in capture-sdk/utils/progress.js.
+
 // ---------- Main Analysis Endpoint (Multipart) ----------
 app.post('/api/analyze', asyncHandler(async (req, res) => {
   const ct = (req.headers['content-type'] || '').toLowerCase();
@@ -785,10 +699,16 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
 
   req.on('aborted', () => console.error('[analyze] client aborted before finish'));
 
+  const stream = createProgressStream(req, res);
+  stream.start();
+
   const bb = Busboy({ headers: req.headers });
   const buffers = [];
+  const fields = {};
   req.pipe(bb);
 
+  bb.on('field', (name, value) => { fields[name] = value; });
+
   bb.on('file', (_fieldname, file) => {
     const chunks = [];
     file.on('data', (d) => chunks.push(d));
@@ -797,29 +717,47 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
 
   bb.once('error', (e) => {
     console.error('[upload] busboy error:', e);
-    return res.status(400).json({ phase: 'upload', message: String(e) });
+    return stream.fail(400, { phase: 'upload', message: String(e) });
   });
 
   bb.on('finish', async () => {
     if (buffers.length === 0) {
-      return res.status(400).json({ phase: 'upload', message: 'No images provided.' });
+      return stream.fail(400, { phase: 'upload', message: 'No images provided.' });
     }
+    stream.progress({
+      phase: 'upload',
+      step: 'received',
+      imageCount: buffers.length,
+      bytes: buffers.reduce((sum, b) => sum + b.length, 0)
+    });
 
     let sdk;
     try { 
       sdk = await getSDK(); 
     } catch (e) {
       console.error('[analyze] getSDK FAILED:', e);
-      return res.status(500).json({ phase: 'getSDK', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'getSDK', message: String(e.message || e) });
     }
 
     let analysis;
     try {
-      analysis = await sdk.analyzeItem(buffers, { provider: 'claude', apiKey: process.env.CLAUDE_API_KEY });
+      analysis = await sdk.analyzeItem(buffers, {
+        // 4+ photos (front, back, labels, damage) go through multi-angle fusion
+        mode: buffers.length > 3 ? 'fusion' : 'standard',
+        forceRefresh: fields.forceRefresh === 'true' || req.query.forceRefresh === '1',
+        categoryHint: fields.categoryHint,
+        // Analysis language, currency and eBay marketplace (e.g. 'de-DE'); SDK_LOCALE when absent
+        locale: fields.locale,
+        uid: userId,
+        onProgress: stream.progress
+      });
       console.log('[analyze] analyzeItem OK');
     } catch (e) {
+      if (e.code === 'BUDGET_EXCEEDED') {
+        return stream.fail(402, { phase: 'analyzeItem', code: e.code, message: e.message, budget: e.budget });
+      }
       console.error('[analyze] analyzeItem FAILED:', e?.stack || e);
-      return res.status(500).json({ phase: 'analyzeItem', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'analyzeItem', message: String(e.message || e) });
     }
 
     let userData = null;
@@ -850,14 +788,14 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
     let routes;
     try {
       if (ebayConfig) {
-        routes = await sdk.getRoutes(analysis, {}, ebayConfig);
+        routes = await sdk.getRoutes(analysis, { ...userData?.routingPreferences }, ebayConfig, { onProgress: stream.progress });
       } else {
-        routes = await sdk.getRoutes(analysis, { hasEbayAccount: false });
+        routes = await sdk.getRoutes(analysis, { ...userData?.routingPreferences, hasEbayAccount: false }, null, { onProgress: stream.progress });
       }
       console.log('[analyze] getRoutes OK');
     } catch (e) {
       console.error('[analyze] getRoutes FAILED:', e?.stack || e);
-      return res.status(500).json({ phase: 'getRoutes', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'getRoutes', message: String(e.message || e) });
     }
 
     const ebayUsed = !!(routes?.marketAnalysis?.estimatedValue?.source?.toLowerCase?.().includes('ebay'));
@@ -869,6 +807,7 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
           routes,
           imageCount: buffers.length,
           ebayUsed,
+          usage: analysis.usage || null,
           createdAt: admin.firestore.FieldValue.serverTimestamp(),
           status: 'analyzed'
         };
@@ -879,7 +818,7 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
       }
     }
 
-    res.json({
+    stream.done({
       success: true,
       analysis,
       routes,
@@ -1025,10 +964,16 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
 
   req.on('aborted', () => console.error('[analyze] client aborted before finish'));
 
+  const stream = createProgressStream(req, res);
+  stream.start();
+
   const bb = Busboy({ headers: req.headers });
   const buffers = [];
+  const fields = {};
   req.pipe(bb);
 
+  bb.on('field', (name, value) => { fields[name] = value; });
+
   bb.on('file', (_fieldname, file) => {
     const chunks = [];
     file.on('data', (d) => chunks.push(d));
@@ -1037,29 +982,47 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
 
   bb.once('error', (e) => {
     console.error('[upload] busboy error:', e);
-    return res.status(400).json({ phase: 'upload', message: String(e) });
+    return stream.fail(400, { phase: 'upload', message: String(e) });
   });
 
   bb.on('finish', async () => {
     if (buffers.length === 0) {
-      return res.status(400).json({ phase: 'upload', message: 'No images provided.' });
+      return stream.fail(400, { phase: 'upload', message: 'No images provided.' });
     }
+    stream.progress({
+      phase: 'upload',
+      step: 'received',
+      imageCount: buffers.length,
+      bytes: buffers.reduce((sum, b) => sum + b.length, 0)
+    });
 
     let sdk;
     try { sdk = await getSDK(); }
     catch (e) {
       console.error('[analyze] getSDK FAILED:', e);
-      return res.status(500).json({ phase: 'getSDK', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'getSDK', message: String(e.message || e) });
     }
 
     // Analyze the item
     let analysis;
     try {
-      analysis = await sdk.analyzeItem(buffers, { provider: 'claude', apiKey: process.env.CLAUDE_API_KEY });
+      analysis = await sdk.analyzeItem(buffers, {
+        // 4+ photos (front, back, labels, damage) go through multi-angle fusion
+        mode: buffers.length > 3 ? 'fusion' : 'standard',
+        forceRefresh: fields.forceRefresh === 'true' || req.query.forceRefresh === '1',
+        categoryHint: fields.categoryHint,
+        // Analysis language, currency and eBay marketplace (e.g. 'de-DE'); SDK_LOCALE when absent
+        locale: fields.locale,
+        uid: userId,
+        onProgress: stream.progress
+      });
       console.log('[analyze] analyzeItem OK');
     } catch (e) {
+      if (e.code === 'BUDGET_EXCEEDED') {
+        return stream.fail(402, { phase: 'analyzeItem', code: e.code, message: e.message, budget: e.budget });
+      }
       console.error('[analyze] analyzeItem FAILED:', e?.stack || e);
-      return res.status(500).json({ phase: 'analyzeItem', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'analyzeItem', message: String(e.message || e) });
     }
 
     // Get user's eBay configuration if authenticated
@@ -1092,14 +1055,14 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
     let routes;
     try {
       if (ebayConfig) {
-        routes = await sdk.getRoutes(analysis, {}, ebayConfig);
+        routes = await sdk.getRoutes(analysis, { ...userData?.routingPreferences }, ebayConfig, { onProgress: stream.progress });
       } else {
-        routes = await sdk.getRoutes(analysis, { hasEbayAccount: false });
+        routes = await sdk.getRoutes(analysis, { ...userData?.routingPreferences, hasEbayAccount: false }, null, { onProgress: stream.progress });
       }
       console.log('[analyze] getRoutes OK');
     } catch (e) {
       console.error('[analyze] getRoutes FAILED:', e?.stack || e);
-      return res.status(500).json({ phase: 'getRoutes', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'getRoutes', message: String(e.message || e) });
     }
 
     const ebayUsed = !!(routes?.marketAnalysis?.estimatedValue?.source?.toLowerCase?.().includes('ebay'));
@@ -1112,6 +1075,7 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
           routes,
           imageCount: buffers.length,
           ebayUsed,
+          usage: analysis.usage || null,
           createdAt: admin.firestore.FieldValue.serverTimestamp(),
           status: 'analyzed'
         };
@@ -1122,7 +1086,7 @@ app.post('/api/analyze', asyncHandler(async (req, res) => {
       }
     }
 
-    res.json({
+    stream.done({
       success: true,
       analysis,
       routes,
@@ -1143,7 +1107,8 @@ app.use(express.json({ limit: '50mb' }));
 
 app.post('/api/analyze-json', asyncHandler(async (req, res) => {
   try {
-    const { images, uid, saveToFirestore } = req.body || {};
+    // detectItems: list every item in the photo (box lots, piles); groupAs: 'items' | 'lot'
+    const { images, uid, saveToFirestore, forceRefresh, detectItems, groupAs, categoryHint, locale } = req.body || {};
     if (!Array.isArray(images) || images.length === 0) {
       return res.status(400).json({ phase: 'upload', message: 'images[] (base64 or data URLs) required' });
     }
@@ -1164,36 +1129,406 @@ app.post('/api/analyze-json', asyncHandler(async (req, res) => {
       });
     }
 
+    const stream = createProgressStream(req, res);
+    stream.start();
+    stream.progress({
+      phase: 'upload',
+      step: 'received',
+      imageCount: buffers.length,
+      bytes: buffers.reduce((sum, b) => sum + b.length, 0)
+    });
+
     const sdk = await getSDK();
 
     let result;
     try {
       result = await sdk.analyzeItem(buffers, {
-        provider: 'claude',
-        apiKey: process.env.CLAUDE_API_KEY,
         uid,
-        saveToFirestore
+        saveToFirestore,
+        forceRefresh: !!forceRefresh,
+        categoryHint,
+        // Analysis language, currency and eBay marketplace (e.g. 'de-DE'); SDK_LOCALE when absent
+        locale,
+        ...(detectItems && { mode: 'detect' }),
+        onProgress: stream.progress
       });
     } catch (e) {
-      return res.status(500).json({ phase: 'analyzeItem', message: String(e.message || e) });
+      if (e.code === 'BUDGET_EXCEEDED') {
+        return stream.fail(402, { phase: 'analyzeItem', code: e.code, message: e.message, budget: e.budget });
+      }
+      return stream.fail(500, { phase: 'analyzeItem', message: String(e.message || e) });
+    }
+
+    // The user's own routing policy values (see capture-sdk/routing/)
+    let routingPreferences = {};
+    if (uid) {
+      try {
+        const userDoc = await admin.firestore().collection('users').doc(uid).get();
+        routingPreferences = userDoc.data()?.routingPreferences || {};
+      } catch (userError) {
+        console.warn('[analyze-json] Error fetching routing preferences:', userError.message);
+      }
     }
 
     let routes;
+    let multiItem = null;
     try {
-      routes = await sdk.getRoutes(result, { hasEbayAccount: true });
+      if (result.items?.length && typeof sdk.getRoutesForItems === 'function') {
+        multiItem = await sdk.getRoutesForItems(result, { ...routingPreferences, hasEbayAccount: true }, null, { groupAs });
+        // `routes` stays the primary item's so single-item clients keep working
+        routes = multiItem.items.find(i => i.itemIndex === result.detection?.primaryItemIndex)?.routes || multiItem.items[0].routes;
+      } else {
+        routes = await sdk.getRoutes(result, { ...routingPreferences, hasEbayAccount: true }, null, { onProgress: stream.progress });
+      }
     } catch (e) {
-      return res.status(500).json({ phase: 'getRoutes', message: String(e.message || e) });
+      return stream.fail(500, { phase: 'getRoutes', message: String(e.message || e) });
     }
 
-    res.json({
+    stream.done({
       success: true,
       analysis: result,
       routes,
+      ...(multiItem && { multiItem }),
       imageCount: buffers.length,
       sdkType: sdkInitError ? 'fallback' : 'real'
     });
   } catch (e) {
-    res.status(500).json({ phase: 'analyze-json', message: String(e.message || e) });
+    createProgressStream(req, res).fail(500, { phase: 'analyze-json', message: String(e.message || e) });
+  }
+}));
+
+// ---------- Batch analysis (estate / garage cleanouts) ----------
+// Body: { items: [{ id?, images: [base64 | data URL], categoryHint? }], concurrency?, forceRefresh? }
+// Streams NDJSON progress events when ?stream=1 or Accept: application/x-ndjson,
+// ending with a { type: 'result' } line; otherwise responds once with the whole batch.
+app.post('/api/analyze/batch', asyncHandler(async (req, res) => {
+  let userId = null;
+  try {
+    const decodedToken = await verifyAuth(req);
+    userId = decodedToken.uid;
+  } catch (_authError) {
+    console.log('[batch] No authentication provided - using anonymous analysis');
+  }
+
+  const { items, concurrency, forceRefresh } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ phase: 'upload', message: 'items[] with images[] (base64 or data URLs) required' });
+  }
+
+  let batchItems;
+  try {
+    const toBuffer = (s) => {
+      if (typeof s !== 'string') throw new Error('image must be string');
+      const b64 = s.startsWith('data:') ? s.split(',')[1] : s;
+      return Buffer.from(b64, 'base64');
+    };
+    batchItems = items.map((item) => ({
+      id: item.id,
+      images: (item.images || []).map(toBuffer),
+      options: item.categoryHint ? { categoryHint: item.categoryHint } : {}
+    }));
+  } catch (e) {
+    return res.status(400).json({ phase: 'upload', message: String(e.message || e) });
+  }
+
+  const sdk = await getSDK();
+  if (typeof sdk.analyzeBatch !== 'function') {
+    return res.status(503).json({ phase: 'getSDK', message: 'Batch analysis unavailable' });
+  }
+
+  const stream = req.query.stream === '1' || (req.headers.accept || '').includes('application/x-ndjson');
+  if (stream) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+  }
+  const send = (event) => { if (stream && !res.writableEnded) res.write(JSON.stringify(event) + '\n'); };
+
+  let batch;
+  try {
+    batch = await sdk.analyzeBatch(batchItems, {
+      uid: userId,
+      forceRefresh: !!forceRefresh,
+      // Server-side cap so one crew can't exhaust the shared provider rate limit
+      concurrency: Math.min(Number(concurrency) || Number(process.env.BATCH_CONCURRENCY) || 2, 4),
+      onProgress: send
+    });
+  } catch (e) {
+    console.error('[batch] analyzeBatch FAILED:', e?.stack || e);
+    if (stream) {
+      send({ type: 'error', phase: 'analyzeBatch', message: String(e.message || e) });
+      return res.end();
+    }
+    return res.status(400).json({ phase: 'analyzeBatch', message: String(e.message || e) });
+  }
+
+  // One inventory: every analyzed item becomes a scan, linked from the batch document
+  if (userId) {
+    try {
+      const userRef = admin.firestore().collection('users').doc(userId);
+      const scanIds = {};
+      for (const item of batch.items.filter(i => i.status === 'completed')) {
+        const scanRef = await userRef.collection('scans').add({
+          analysis: item.analysis,
+          routes: item.routes,
+          imageCount: batchItems[item.index].images.length,
+          usage: item.analysis.usage || null,
+          batchId: batch.batchId,
+          batchItemId: item.id,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          status: 'analyzed'
+        });
+        scanIds[item.id] = scanRef.id;
+        item.scanId = scanRef.id;
+      }
+      await userRef.collection('batches').doc(batch.batchId).set({
+        summary: batch.summary,
+        items: batch.items.map(i => ({ id: i.id, status: i.status, scanId: scanIds[i.id] || null, error: i.error || null })),
+        startedAt: batch.startedAt,
+        completedAt: batch.completedAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      console.log(`[batch] Saved ${Object.keys(scanIds).length} scans for batch ${batch.batchId}`);
+    } catch (saveError) {
+      console.warn('[batch] Failed to save batch:', saveError.message);
+    }
+  }
+
+  const response = {
+    success: true,
+    batchId: batch.batchId,
+    summary: batch.summary,
+    items: batch.items,
+    userAuthenticated: !!userId,
+    sdkType: sdkInitError ? 'fallback' : 'real'
+  };
+
+  if (stream) {
+    send({ type: 'result', ...response });
+    return res.end();
+  }
+  res.json(response);
+}));
+
+// ---------- Corrections (human-in-the-loop feedback) ----------
+// Record the user's final values for a scan: { finalValues: { category, brand, model, condition, price } }
+app.post('/api/scans/:id/corrections', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    const userId = decodedToken.uid;
+    const scanId = req.params.id;
+    const finalValues = req.body?.finalValues || req.body?.editedData;
+
+    if (!finalValues || typeof finalValues !== 'object') {
+      return res.status(400).json({ success: false, error: 'finalValues object is required' });
+    }
+
+    const scanRef = db.collection('users').doc(userId).collection('scans').doc(scanId);
+    const scanDoc = await scanRef.get();
+    if (!scanDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Scan not found' });
+    }
+
+    const scan = scanDoc.data();
+    if (!scan.analysis) {
+      return res.status(409).json({ success: false, error: 'Scan has no AI analysis to correct' });
+    }
+
+    const sdk = await getSDK();
+    if (typeof sdk.recordCorrections !== 'function') {
+      return res.status(503).json({ success: false, error: 'Correction capture unavailable' });
+    }
+
+    const correction = await sdk.recordCorrections({
+      uid: userId,
+      scanId,
+      analysis: scan.analysis,
+      routes: scan.routes,
+      finalValues,
+      source: req.body?.source || 'scan-editor'
+    });
+
+    await scanRef.update({
+      corrections: {
+        changedFields: correction.changedFields,
+        recordedAt: correction.createdAt
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, correction: { ...correction, uid: undefined } });
+  } catch (error) {
+    console.error('Error recording corrections:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// Export every correction as JSONL (?since=ISO date) - admin claim required
+app.get('/api/admin/corrections/export', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    if (decodedToken.admin !== true) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    const sdk = await getSDK();
+    if (typeof sdk.exportCorrections !== 'function') {
+      return res.status(503).json({ success: false, error: 'Correction capture unavailable' });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="corrections-${new Date().toISOString().slice(0, 10)}.jsonl"`);
+    for await (const line of sdk.exportCorrections({ since: req.query.since || null })) {
+      res.write(line);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting corrections:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// Refit the confidence calibration table from corrections and store it - admin claim required
+app.post('/api/admin/calibration/fit', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    if (decodedToken.admin !== true) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    const sdk = await getSDK();
+    if (typeof sdk.fitCalibrationFromCorrections !== 'function') {
+      return res.status(503).json({ success: false, error: 'Correction capture unavailable' });
+    }
+
+    const calibration = await sdk.fitCalibrationFromCorrections({
+      since: req.body?.since || null,
+      minSamples: Number(req.body?.minSamples) || undefined
+    });
+    await db.collection('config').doc('confidenceCalibration').set(calibration);
+
+    res.json({ success: true, calibration });
+  } catch (error) {
+    console.error('Error fitting calibration:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// ---------- Usage & Budgets ----------
+// Per-day token usage and spend for the signed-in user (?from=YYYY-MM-DD&to=YYYY-MM-DD, default this month)
+app.get('/api/usage', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    const sdk = await getSDK();
+    if (typeof sdk.getUsageSummary !== 'function') {
+      return res.status(503).json({ success: false, error: 'Usage tracking unavailable' });
+    }
+
+    const summary = await sdk.getUsageSummary(decodedToken.uid, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error getting usage summary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// Lifetime CO2e / landfill impact from the user's saved scans
+app.get('/api/impact', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    const sdk = await getSDK();
+    if (typeof sdk.getImpactSummary !== 'function') {
+      return res.status(503).json({ success: false, error: 'Impact summary unavailable' });
+    }
+
+    const snapshot = await db.collection('users').doc(decodedToken.uid).collection('scans').get();
+    const summary = sdk.getImpactSummary(snapshot.docs.map(doc => doc.data()));
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error getting impact summary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// ---------- Routing preferences ----------
+// The signed-in user's routing preferences with the policy they resolve to
+app.get('/api/routing-preferences', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    const sdk = await getSDK();
+    if (!sdk.routingPolicy) {
+      return res.status(503).json({ success: false, error: 'Routing policy unavailable' });
+    }
+
+    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+    const routingPreferences = userDoc.exists ? userDoc.data()?.routingPreferences || {} : {};
+    const { values, sources, invalid } = sdk.routingPolicy.resolve(routingPreferences);
+    res.json({ success: true, routingPreferences, policy: values, sources, invalid, locked: sdk.routingPolicy.locked });
+  } catch (error) {
+    console.error('Error getting routing preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// Save routing preferences: { routingPreferences: { goal, minProfit, maxEffort, ... } } (null clears a field).
+// Every value is checked first - nothing is saved when any is invalid, unknown or locked by the operator
+app.put('/api/routing-preferences', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    const sdk = await getSDK();
+    if (typeof sdk.validateRoutingPreferences !== 'function') {
+      return res.status(503).json({ success: false, error: 'Routing policy unavailable' });
+    }
+
+    const { valid, values, errors } = sdk.validateRoutingPreferences(req.body?.routingPreferences);
+    if (!valid) {
+      return res.status(400).json({ success: false, error: 'Invalid routing preferences', errors });
+    }
+
+    const userRef = db.collection('users').doc(decodedToken.uid);
+    const userDoc = await userRef.get();
+    // Stored values that no longer validate (or are now locked) are dropped on the way
+    const current = sdk.validateRoutingPreferences(userDoc.exists ? userDoc.data()?.routingPreferences || {} : {}).values;
+    const routingPreferences = Object.fromEntries(
+      Object.entries({ ...current, ...values }).filter(([, value]) => value !== null)
+    );
+
+    // mergeFields replaces the whole map, so cleared fields go away
+    await userRef.set({
+      routingPreferences,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { mergeFields: ['routingPreferences', 'updatedAt'] });
+
+    const { values: policy, sources } = sdk.routingPolicy.resolve(routingPreferences);
+    res.json({ success: true, routingPreferences, policy, sources });
+  } catch (error) {
+    console.error('Error saving routing preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}));
+
+// Spend per user for one day (?date=YYYY-MM-DD, default today) - admin claim required
+app.get('/api/admin/usage', asyncHandler(async (req, res) => {
+  try {
+    const decodedToken = await verifyAuth(req);
+    if (decodedToken.admin !== true) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    const sdk = await getSDK();
+    if (!sdk.usageLedger) {
+      return res.status(503).json({ success: false, error: 'Usage tracking unavailable' });
+    }
+
+    const report = await sdk.usageLedger.getDailyReport(req.query.date || new Date());
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error getting usage report:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 }));
 
@@ -1991,11 +2326,8 @@ app.post('/api/ebay/create-listing', asyncHandler(async (req, res) => {
         const categoryId = await mapCategoryToEbayId(rawListingData.category, ebayConfig);
         console.log('📂 Category mapped:', categoryId);
 
-        let conditionKey = rawListingData.condition;
-        if (typeof conditionKey === 'object' && conditionKey !== null) {
-            conditionKey = conditionKey.rating || conditionKey.condition || 'good';
-        }
-        const conditionId = getEbayConditionId(conditionKey);
+        // The full condition object, when sent, keeps its graded defects
+        const conditionId = getEbayConditionId(rawListingData.condition, rawListingData.category);
         console.log('📦 Condition mapped to ID:', conditionId);
 
         let xmlPayload;
@@ -2044,7 +2376,7 @@ app.post('/api/ebay/create-listing', asyncHandler(async (req, res) => {
             throw new Error('Listing creation failed: No ItemID in response');
         }
 
-        const listingUrl = `https://www.ebay.com/itm/${listingId}`;
+        const listingUrl = ebayHosts().listingUrl(listingId);
 
         // Save to the database using the scanId provided by the client.
         await db.collection('users').doc(userId).collection('scans').doc(scanId).collection('listings').add({
@@ -2052,7 +2384,7 @@ app.post('/api/ebay/create-listing', asyncHandler(async (req, res) => {
             title: rawListingData.title,
             price: rawListingData.pricing?.buyItNowPrice || 9.99,
             category: rawListingData.category,
-            condition: conditionKey,
+            conditionId,
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             status: 'active',
             url: listingUrl,
@@ -2305,24 +2637,8 @@ app.post('/api/ebay/verify-listing', asyncHandler(async (req, res) => {
     };
     const categoryId = await mapCategoryToEbayId(rawListingData.category, ebayConfig);
     
-    // Map condition
-    let conditionKey = rawListingData.condition;
-    if (typeof conditionKey === 'object' && conditionKey !== null) {
-      conditionKey = conditionKey.rating || conditionKey.condition || 'good';
-    }
-    conditionKey = String(conditionKey).toLowerCase().trim();
-    
-    const conditionMap = {
-      'new': 1000,
-      'like_new': 1500,
-      'excellent': 3000,
-      'very_good': 3000,
-      'good': 3000,
-      'used': 3000,
-      'acceptable': 4000,
-      'for_parts': 7000
-    };
-    const conditionId = conditionMap[conditionKey] || 3000;
+    // Map condition (same grading as the real listing)
+    const conditionId = getEbayConditionId(rawListingData.condition, rawListingData.category);
     
     // Check for business policies
     const hasBusinessPolicies = userData?.ebay?.policies?.fulfillmentPolicyId && 
@@ -2501,7 +2817,7 @@ app.post('/api/ebay/debug-shipping-services', asyncHandler(async (req, res) => {
 
 app.post('/api/ebay/test-condition', asyncHandler(async (req, res) => {
   try {
-    const { condition } = req.body;
+    const { condition, category } = req.body;
     
     if (!condition) {
       return res.status(400).json({ 
@@ -2511,7 +2827,7 @@ app.post('/api/ebay/test-condition', asyncHandler(async (req, res) => {
       });
     }
     
-    const mapped = mapConditionToEbay(condition);
+    const mapped = mapConditionToEbay(condition, category);
     const valid = isValidEbayCondition(mapped);
     const display = formatConditionForEbay(mapped);
     
@@ -2547,13 +2863,13 @@ console.log('✅ Variable scoping issues resolved - offer variable properly decl
 // ADDED: New endpoint for testing condition mapping
 app.post('/api/ebay/test-condition', asyncHandler(async (req, res) => {
   try {
-    const { condition } = req.body;
+    const { condition, category } = req.body;
     
     if (!condition) {
       return res.status(400).json({ error: 'Condition parameter required' });
     }
     
-    const mapped = mapConditionToEbay(condition);
+    const mapped = mapConditionToEbay(condition, category);
     const valid = isValidEbayCondition(mapped);
     const display = formatConditionForEbay(mapped);
     